@@ -0,0 +1,19 @@
+/**
+ * JPEG-LS decoder worker.
+ */
+// Do not warn if these variables were not defined before.
+/* global importScripts */
+
+importScripts('jpegls.js');
+
+self.addEventListener('message', function (event) {
+
+  // decode DICOM buffer
+  var decoder = new dwv.decoder.JpegLsDecoder();
+  // post decoded data
+  self.postMessage([decoder.decode(
+    event.data.buffer,
+    event.data.meta.bitsAllocated,
+    event.data.meta.isSigned)]);
+
+}, false);
@@ -0,0 +1,751 @@
+// namespaces
+var dwv = dwv || {};
+dwv.decoder = dwv.decoder || {};
+
+/**
+ * JPEG-LS decoder class.
+ * Implements the decoding process of ITU-T T.87 (ISO/IEC 14495-1):
+ * lossless and near-lossless, 2 to 16 bits per sample, no, line or
+ * sample interleave.
+ * @class
+ * @see https://www.itu.int/rec/T-REC-T.87
+ * @see http://dicom.nema.org/medical/dicom/current/output/chtml/part05/sect_A.4.3.html
+ */
+dwv.decoder.JpegLsDecoder = function () {};
+
+/**
+ * JPEG-LS run length order table (J, see T.87 A.7.1.2).
+ * @private
+ */
+dwv.decoder.JpegLsDecoder.J = [
+  0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3,
+  4, 4, 5, 5, 6, 6, 7, 7, 8, 9, 10, 11, 12, 13, 14, 15
+];
+
+/**
+ * Decode a JPEG-LS buffer.
+ * @param {Array} buffer The buffer to decode.
+ * @param {number} bitsAllocated The bits allocated per element in the buffer.
+ * @param {boolean} isSigned Is the data signed.
+ * @returns The decoded buffer, samples are pixel interleaved.
+ */
+dwv.decoder.JpegLsDecoder.prototype.decode = function (buffer,
+  bitsAllocated, isSigned) {
+
+  var data = new Uint8Array(buffer.buffer, buffer.byteOffset,
+    buffer.byteLength);
+  var pos = 0;
+
+  // frame information (from the SOF55 segment)
+  var frame = null;
+  // preset coding parameters (from the LSE segment, 0 means default)
+  var preset = {maxVal: 0, t1: 0, t2: 0, t3: 0, reset: 0};
+  // restart interval, in lines
+  var restartInterval = 0;
+  // decoded samples
+  var samples = null;
+
+  /**
+   * Read a big endian unsigned 16 bits value and move forward.
+   * @returns {number} The value.
+   */
+  function readUint16() {
+    var value = (data[pos] << 8) | data[pos + 1];
+    pos += 2;
+    return value;
+  }
+
+  /**
+   * Read a big endian unsigned value of a given byte size.
+   * @param {number} size The size in bytes.
+   * @returns {number} The value.
+   */
+  function readUint(size) {
+    var value = 0;
+    for (var i = 0; i < size; ++i) {
+      value = value * 256 + data[pos++];
+    }
+    return value;
+  }
+
+  /**
+   * Read the start of frame segment.
+   */
+  function readStartOfFrame() {
+    var length = readUint16();
+    var end = pos + length - 2;
+    var precision = data[pos++];
+    var height = readUint16();
+    var width = readUint16();
+    var nComponents = data[pos++];
+    var ids = [];
+    for (var i = 0; i < nComponents; ++i) {
+      ids.push(data[pos]);
+      // skip sampling factors and Tq
+      pos += 3;
+    }
+    if (precision < 2 || precision > 16) {
+      throw new Error('Unsupported JPEG-LS precision: ' + precision);
+    }
+    if (width === 0 || height === 0) {
+      throw new Error('Unsupported JPEG-LS frame size: ' +
+        width + 'x' + height);
+    }
+    frame = {
+      precision: precision,
+      width: width,
+      height: height,
+      componentIds: ids
+    };
+    samples = new Uint16Array(width * height * nComponents);
+    pos = end;
+  }
+
+  /**
+   * Read a JPEG-LS preset parameters segment.
+   */
+  function readPresetParameters() {
+    var length = readUint16();
+    var end = pos + length - 2;
+    var id = data[pos++];
+    if (id === 1) {
+      preset.maxVal = readUint16();
+      preset.t1 = readUint16();
+      preset.t2 = readUint16();
+      preset.t3 = readUint16();
+      preset.reset = readUint16();
+    } else if (id === 2 || id === 3) {
+      throw new Error('Unsupported JPEG-LS mapping table.');
+    }
+    pos = end;
+  }
+
+  /**
+   * Read a restart interval definition segment.
+   */
+  function readRestartInterval() {
+    var length = readUint16();
+    restartInterval = readUint(length - 2);
+  }
+
+  /**
+   * Get the coding parameters of a scan.
+   * @param {number} near The near-lossless error bound.
+   * @returns {object} The parameters.
+   */
+  function getParameters(near) {
+    var maxVal = preset.maxVal || ((1 << frame.precision) - 1);
+    // default thresholds (T.87 C.2.4.1.1)
+    var clamp = function (value, min) {
+      return (value > maxVal || value < min) ? min : value;
+    };
+    var t1 = 0;
+    var t2 = 0;
+    var t3 = 0;
+    var factor = 0;
+    if (maxVal >= 128) {
+      factor = Math.floor((Math.min(maxVal, 4095) + 128) / 256);
+      t1 = clamp(factor * (3 - 2) + 2 + 3 * near, near + 1);
+      t2 = clamp(factor * (7 - 3) + 3 + 5 * near, t1);
+      t3 = clamp(factor * (21 - 4) + 4 + 7 * near, t2);
+    } else {
+      factor = Math.floor(256 / (maxVal + 1));
+      t1 = clamp(Math.max(2, Math.floor(3 / factor) + 3 * near), near + 1);
+      t2 = clamp(Math.max(3, Math.floor(7 / factor) + 5 * near), t1);
+      t3 = clamp(Math.max(4, Math.floor(21 / factor) + 7 * near), t2);
+    }
+    var range = Math.floor((maxVal + 2 * near) / (2 * near + 1)) + 1;
+    var qbpp = 0;
+    while ((1 << qbpp) < range) {
+      ++qbpp;
+    }
+    var bpp = 2;
+    while ((1 << bpp) < maxVal + 1) {
+      ++bpp;
+    }
+    return {
+      maxVal: maxVal,
+      near: near,
+      t1: preset.t1 || t1,
+      t2: preset.t2 || t2,
+      t3: preset.t3 || t3,
+      reset: preset.reset || 64,
+      range: range,
+      qbpp: qbpp,
+      limit: 2 * (bpp + Math.max(8, bpp))
+    };
+  }
+
+  /**
+   * Decode a scan: its data starts at the current position.
+   * @param {Array} components The frame indices of the scan components.
+   * @param {number} near The near-lossless error bound.
+   * @param {number} ilv The interleave mode.
+   */
+  function decodeScan(components, near, ilv) {
+    var J = dwv.decoder.JpegLsDecoder.J;
+    var p = getParameters(near);
+    var maxVal = p.maxVal;
+    var range = p.range;
+    var qbpp = p.qbpp;
+    var limit = p.limit;
+    var reset = p.reset;
+    var quantStep = 2 * near + 1;
+    var width = frame.width;
+    var height = frame.height;
+    var nFrameComps = frame.componentIds.length;
+    var nComps = components.length;
+
+    if (ilv === 0 && nComps !== 1) {
+      throw new Error('Bad JPEG-LS scan: no interleave with ' +
+        nComps + ' components.');
+    }
+    if (ilv > 2) {
+      throw new Error('Unknown JPEG-LS interleave mode: ' + ilv);
+    }
+
+    // context variables: 365 regular contexts and 2 run interruption ones
+    var A = new Int32Array(367);
+    var B = new Int32Array(367);
+    var C = new Int32Array(367);
+    var N = new Int32Array(367);
+    var Nn = new Int32Array(2);
+    // run index: one per component in line interleave mode
+    var runIndices = new Int32Array(nComps);
+    var runIndex = 0;
+
+    // line buffers with one extra sample on both sides
+    var prevLines = [];
+    var currLines = [];
+    for (var c = 0; c < nComps; ++c) {
+      prevLines.push(new Int32Array(width + 2));
+      currLines.push(new Int32Array(width + 2));
+    }
+
+    /**
+     * Reset the coding state (start of scan or restart marker).
+     */
+    function resetState() {
+      var a = Math.max(2, Math.floor((range + 32) / 64));
+      A.fill(a);
+      B.fill(0);
+      C.fill(0);
+      N.fill(1);
+      Nn.fill(0);
+      runIndices.fill(0);
+      runIndex = 0;
+      for (var i = 0; i < nComps; ++i) {
+        prevLines[i].fill(0);
+        currLines[i].fill(0);
+      }
+    }
+
+    // bit reader
+    var bitBuffer = 0;
+    var bitCount = 0;
+    var lastByteWasFF = false;
+
+    /**
+     * Read one bit from the scan data. After a 0xFF byte,
+     *   the next byte only holds 7 bits (bit stuffing).
+     * @returns {number} The bit.
+     */
+    function readBit() {
+      if (bitCount === 0) {
+        if (pos >= data.length ||
+          (data[pos] === 0xff && data[pos + 1] >= 0x80)) {
+          // marker reached: pad with zeros
+          bitBuffer = 0;
+          bitCount = 8;
+          lastByteWasFF = false;
+        } else {
+          var byte = data[pos++];
+          if (lastByteWasFF) {
+            bitBuffer = byte & 0x7f;
+            bitCount = 7;
+          } else {
+            bitBuffer = byte;
+            bitCount = 8;
+          }
+          lastByteWasFF = byte === 0xff;
+        }
+      }
+      --bitCount;
+      return (bitBuffer >> bitCount) & 1;
+    }
+
+    /**
+     * Read a number of bits.
+     * @param {number} n The number of bits.
+     * @returns {number} The value.
+     */
+    function readBits(n) {
+      var value = 0;
+      for (var i = 0; i < n; ++i) {
+        value = (value << 1) | readBit();
+      }
+      return value;
+    }
+
+    /**
+     * Decode a limited length Golomb code (T.87 A.5.3).
+     * @param {number} k The Golomb parameter.
+     * @param {number} glimit The code length limit.
+     * @returns {number} The mapped error value.
+     */
+    function decodeValue(k, glimit) {
+      var highBits = 0;
+      while (readBit() === 0) {
+        ++highBits;
+        if (highBits > glimit) {
+          throw new Error('Bad JPEG-LS code: too many leading zeros.');
+        }
+      }
+      if (highBits >= glimit - qbpp - 1) {
+        return readBits(qbpp) + 1;
+      }
+      return (highBits << k) + readBits(k);
+    }
+
+    /**
+     * Quantize a local gradient (T.87 A.3.3).
+     * @param {number} d The gradient.
+     * @returns {number} The quantized gradient in [-4, 4].
+     */
+    function quantize(d) {
+      if (d <= -p.t3) {
+        return -4;
+      }
+      if (d <= -p.t2) {
+        return -3;
+      }
+      if (d <= -p.t1) {
+        return -2;
+      }
+      if (d < -near) {
+        return -1;
+      }
+      if (d <= near) {
+        return 0;
+      }
+      if (d < p.t1) {
+        return 1;
+      }
+      if (d < p.t2) {
+        return 2;
+      }
+      if (d < p.t3) {
+        return 3;
+      }
+      return 4;
+    }
+
+    /**
+     * Get the signed context id from the neighbour samples.
+     * @param {number} ra The left sample.
+     * @param {number} rb The above sample.
+     * @param {number} rc The above left sample.
+     * @param {number} rd The above right sample.
+     * @returns {number} The context id, 0 means run mode.
+     */
+    function getContextId(ra, rb, rc, rd) {
+      return (quantize(rd - rb) * 9 + quantize(rb - rc)) * 9 +
+        quantize(rc - ra);
+    }
+
+    /**
+     * Get the reconstructed sample value (T.87 A.4.5).
+     * @param {number} px The predicted value.
+     * @param {number} errVal The error value.
+     * @returns {number} The sample value.
+     */
+    function reconstruct(px, errVal) {
+      var rx = px + errVal * quantStep;
+      if (rx < -near) {
+        rx += range * quantStep;
+      } else if (rx > maxVal + near) {
+        rx -= range * quantStep;
+      }
+      if (rx < 0) {
+        rx = 0;
+      } else if (rx > maxVal) {
+        rx = maxVal;
+      }
+      return rx;
+    }
+
+    /**
+     * Decode a sample in regular mode (T.87 A.4 to A.6).
+     * @param {number} qs The signed context id.
+     * @param {number} ra The left sample.
+     * @param {number} rb The above sample.
+     * @param {number} rc The above left sample.
+     * @returns {number} The sample value.
+     */
+    function decodeRegular(qs, ra, rb, rc) {
+      var sign = 1;
+      if (qs < 0) {
+        sign = -1;
+        qs = -qs;
+      }
+      // median edge detector
+      var px = 0;
+      if (rc >= Math.max(ra, rb)) {
+        px = Math.min(ra, rb);
+      } else if (rc <= Math.min(ra, rb)) {
+        px = Math.max(ra, rb);
+      } else {
+        px = ra + rb - rc;
+      }
+      // prediction correction
+      px += sign * C[qs];
+      if (px < 0) {
+        px = 0;
+      } else if (px > maxVal) {
+        px = maxVal;
+      }
+      // Golomb parameter
+      var k = 0;
+      while ((N[qs] << k) < A[qs]) {
+        ++k;
+      }
+      // error value
+      var mErrVal = decodeValue(k, limit);
+      var errVal = 0;
+      if (near === 0 && k === 0 && 2 * B[qs] <= -N[qs]) {
+        errVal = (mErrVal & 1) ? (mErrVal - 1) >> 1 : -(mErrVal >> 1) - 1;
+      } else {
+        errVal = (mErrVal & 1) ? -((mErrVal + 1) >> 1) : mErrVal >> 1;
+      }
+      // context update
+      A[qs] += Math.abs(errVal);
+      B[qs] += errVal * quantStep;
+      if (N[qs] === reset) {
+        A[qs] >>= 1;
+        B[qs] >>= 1;
+        N[qs] >>= 1;
+      }
+      ++N[qs];
+      if (B[qs] + N[qs] <= 0) {
+        B[qs] += N[qs];
+        if (B[qs] <= -N[qs]) {
+          B[qs] = -N[qs] + 1;
+        }
+        if (C[qs] > -128) {
+          --C[qs];
+        }
+      } else if (B[qs] > 0) {
+        B[qs] -= N[qs];
+        if (B[qs] > 0) {
+          B[qs] = 0;
+        }
+        if (C[qs] < 127) {
+          ++C[qs];
+        }
+      }
+      return reconstruct(px, sign * errVal);
+    }
+
+    /**
+     * Decode a run interruption error value (T.87 A.7.2).
+     * @param {number} riType The run interruption type (0 or 1).
+     * @returns {number} The error value.
+     */
+    function decodeRunInterruptionError(riType) {
+      var q = 365 + riType;
+      var temp = A[q] + (N[q] >> 1) * riType;
+      var k = 0;
+      while ((N[q] << k) < temp) {
+        ++k;
+      }
+      var emErrVal = decodeValue(k, limit - J[runIndex] - 1);
+      var t = emErrVal + riType;
+      var map = t & 1;
+      var errAbs = (t + map) >> 1;
+      var errVal = errAbs;
+      if ((k !== 0 || 2 * Nn[riType] >= N[q]) === (map === 1)) {
+        errVal = -errAbs;
+      }
+      // context update
+      if (errVal < 0) {
+        ++Nn[riType];
+      }
+      A[q] += (emErrVal + 1 - riType) >> 1;
+      if (N[q] === reset) {
+        A[q] >>= 1;
+        N[q] >>= 1;
+        Nn[riType] >>= 1;
+      }
+      ++N[q];
+      return errVal;
+    }
+
+    /**
+     * Decode the length of a run (T.87 A.7.1).
+     * @param {number} remaining The number of samples left in the line.
+     * @returns {number} The run length.
+     */
+    function decodeRunLength(remaining) {
+      var index = 0;
+      while (readBit() === 1) {
+        var count = Math.min(1 << J[runIndex], remaining - index);
+        index += count;
+        if (count === (1 << J[runIndex]) && runIndex < 31) {
+          ++runIndex;
+        }
+        if (index === remaining) {
+          break;
+        }
+      }
+      if (index !== remaining) {
+        index += readBits(J[runIndex]);
+      }
+      if (index > remaining) {
+        throw new Error('Bad JPEG-LS run length.');
+      }
+      return index;
+    }
+
+    /**
+     * Decode a line of one component (no or line interleave).
+     * @param {Int32Array} prev The previous line.
+     * @param {Int32Array} curr The current line.
+     */
+    function decodeLine(prev, curr) {
+      prev[width + 1] = prev[width];
+      curr[0] = prev[1];
+      var x = 0;
+      while (x < width) {
+        var ra = curr[x];
+        var rb = prev[x + 1];
+        var rc = prev[x];
+        var qs = getContextId(ra, rb, rc, prev[x + 2]);
+        if (qs !== 0) {
+          curr[x + 1] = decodeRegular(qs, ra, rb, rc);
+          ++x;
+        } else {
+          var run = decodeRunLength(width - x);
+          for (var i = 1; i <= run; ++i) {
+            curr[x + i] = ra;
+          }
+          x += run;
+          if (x < width) {
+            rb = prev[x + 1];
+            if (Math.abs(ra - rb) <= near) {
+              curr[x + 1] = reconstruct(ra, decodeRunInterruptionError(1));
+            } else {
+              curr[x + 1] = reconstruct(rb,
+                decodeRunInterruptionError(0) * (rb >= ra ? 1 : -1));
+            }
+            if (runIndex > 0) {
+              --runIndex;
+            }
+            ++x;
+          }
+        }
+      }
+    }
+
+    /**
+     * Decode a line of all components (sample interleave).
+     */
+    function decodeSampleLine() {
+      var i = 0;
+      var j = 0;
+      for (i = 0; i < nComps; ++i) {
+        prevLines[i][width + 1] = prevLines[i][width];
+        currLines[i][0] = prevLines[i][1];
+      }
+      var qs = new Int32Array(nComps);
+      var x = 0;
+      while (x < width) {
+        var isRun = true;
+        for (i = 0; i < nComps; ++i) {
+          qs[i] = getContextId(currLines[i][x], prevLines[i][x + 1],
+            prevLines[i][x], prevLines[i][x + 2]);
+          if (qs[i] !== 0) {
+            isRun = false;
+          }
+        }
+        if (!isRun) {
+          for (i = 0; i < nComps; ++i) {
+            currLines[i][x + 1] = decodeRegular(qs[i], currLines[i][x],
+              prevLines[i][x + 1], prevLines[i][x]);
+          }
+          ++x;
+        } else {
+          var run = decodeRunLength(width - x);
+          for (i = 0; i < nComps; ++i) {
+            var ra = currLines[i][x];
+            for (j = 1; j <= run; ++j) {
+              currLines[i][x + j] = ra;
+            }
+          }
+          x += run;
+          if (x < width) {
+            for (i = 0; i < nComps; ++i) {
+              var rai = currLines[i][x];
+              var rbi = prevLines[i][x + 1];
+              currLines[i][x + 1] = reconstruct(rbi,
+                decodeRunInterruptionError(0) * (rbi >= rai ? 1 : -1));
+            }
+            if (runIndex > 0) {
+              --runIndex;
+            }
+            ++x;
+          }
+        }
+      }
+    }
+
+    /**
+     * Copy the current line of a component into the output and swap lines.
+     * @param {number} c The scan component index.
+     * @param {number} y The line index.
+     */
+    function storeLine(c, y) {
+      var curr = currLines[c];
+      var offset = y * width * nFrameComps + components[c];
+      for (var x = 0; x < width; ++x) {
+        samples[offset + x * nFrameComps] = curr[x + 1];
+      }
+      currLines[c] = prevLines[c];
+      prevLines[c] = curr;
+    }
+
+    /**
+     * Move past a restart marker and reset the coding state.
+     */
+    function readRestartMarker() {
+      while (pos < data.length &&
+        !(data[pos] === 0xff && data[pos + 1] >= 0xd0 &&
+        data[pos + 1] <= 0xd7)) {
+        ++pos;
+      }
+      if (pos >= data.length) {
+        throw new Error('Missing JPEG-LS restart marker.');
+      }
+      pos += 2;
+      bitCount = 0;
+      lastByteWasFF = false;
+      resetState();
+    }
+
+    resetState();
+    for (var y = 0; y < height; ++y) {
+      if (restartInterval !== 0 && y !== 0 && y % restartInterval === 0) {
+        readRestartMarker();
+      }
+      if (ilv === 2) {
+        decodeSampleLine();
+        for (c = 0; c < nComps; ++c) {
+          storeLine(c, y);
+        }
+      } else {
+        for (c = 0; c < nComps; ++c) {
+          runIndex = runIndices[c];
+          decodeLine(prevLines[c], currLines[c]);
+          runIndices[c] = runIndex;
+          storeLine(c, y);
+        }
+      }
+    }
+
+    // move to the next marker
+    while (pos < data.length &&
+      !(data[pos] === 0xff && data[pos + 1] >= 0x80)) {
+      ++pos;
+    }
+  }
+
+  /**
+   * Read a start of scan segment and decode the scan.
+   */
+  function readStartOfScan() {
+    if (frame === null) {
+      throw new Error('Bad JPEG-LS stream: scan before frame.');
+    }
+    var length = readUint16();
+    var end = pos + length - 2;
+    var nComponents = data[pos++];
+    var components = [];
+    for (var i = 0; i < nComponents; ++i) {
+      var index = frame.componentIds.indexOf(data[pos++]);
+      if (index === -1) {
+        throw new Error('Bad JPEG-LS scan: unknown component.');
+      }
+      components.push(index);
+      if (data[pos++] !== 0) {
+        throw new Error('Unsupported JPEG-LS mapping table.');
+      }
+    }
+    var near = data[pos++];
+    var ilv = data[pos++];
+    pos = end;
+    decodeScan(components, near, ilv);
+  }
+
+  // start of image
+  if (readUint16() !== 0xffd8) {
+    throw new Error('Not a JPEG-LS buffer: missing start of image marker.');
+  }
+  // read segments
+  var isEnd = false;
+  while (!isEnd) {
+    if (pos + 1 >= data.length) {
+      throw new Error('Unexpected end of JPEG-LS buffer.');
+    }
+    if (data[pos] !== 0xff) {
+      throw new Error('Bad JPEG-LS buffer: expected a marker at ' + pos);
+    }
+    var marker = data[pos + 1];
+    // 0xff fill bytes
+    if (marker === 0xff) {
+      ++pos;
+      continue;
+    }
+    pos += 2;
+    if (marker === 0xd9) {
+      isEnd = true;
+    } else if (marker === 0xf7) {
+      readStartOfFrame();
+    } else if (marker === 0xf8) {
+      readPresetParameters();
+    } else if (marker === 0xdd) {
+      readRestartInterval();
+    } else if (marker === 0xda) {
+      readStartOfScan();
+    } else if (marker >= 0xc0 && marker <= 0xcf) {
+      throw new Error('Not a JPEG-LS buffer: found marker 0xff' +
+        marker.toString(16));
+    } else {
+      // skip other segments (APPn, COM...)
+      pos += readUint16() - 2;
+    }
+  }
+
+  if (samples === null) {
+    throw new Error('Bad JPEG-LS buffer: no frame.');
+  }
+
+  // output
+  var decoded = null;
+  var i = 0;
+  var len = samples.length;
+  if (bitsAllocated === 8) {
+    decoded = isSigned ? new Int8Array(len) : new Uint8Array(len);
+  } else {
+    decoded = isSigned ? new Int16Array(len) : new Uint16Array(len);
+  }
+  if (isSigned && frame.precision < bitsAllocated) {
+    // sign extend
+    var signBit = 1 << (frame.precision - 1);
+    var offset = 1 << frame.precision;
+    for (i = 0; i < len; ++i) {
+      decoded[i] = samples[i] & signBit ? samples[i] - offset : samples[i];
+    }
+  } else {
+    decoded.set(samples);
+  }
+  return decoded;
+};
@@ -11,7 +11,7 @@ self.addEventListener('message', function (event) {
   // decode DICOM buffer
   var decoder = new JpegImage();
   decoder.parse(event.data.buffer);
-  // post decoded data
+  // post decoded data (Uint16Array, 8 or 12 bits samples)
   var res = decoder.getData(decoder.width, decoder.height);
   self.postMessage([res]);
 
@@ -570,16 +570,74 @@ var JpegImage = (function jpegImage() {
     }
   }
 
+  // Floating point IDCT used for extended (12 bit) precision: the integer
+  // version above is tuned for 8 bit data and overflows 32 bits for the
+  // larger coefficients of 12 bit data.
+  var idctCosTable = null;
+  function getIdctCosTable() {
+    if (idctCosTable === null) {
+      idctCosTable = new Float64Array(64);
+      for (var x = 0; x < 8; x++) {
+        for (var u = 0; u < 8; u++) {
+          var cu = (u === 0) ? Math.SQRT1_2 : 1;
+          idctCosTable[x * 8 + u] =
+            cu * Math.cos((2 * x + 1) * u * Math.PI / 16) / 2;
+        }
+      }
+    }
+    return idctCosTable;
+  }
+
+  function quantizeAndInverseFloat(component, blockBufferOffset, p,
+                                   precision) {
+    var qt = component.quantizationTable, blockData = component.blockData;
+    var cosTable = getIdctCosTable();
+    var levelShift = 1 << (precision - 1);
+    var maxValue = (1 << precision) - 1;
+    var x, y, u, sum, t;
+
+    // inverse DCT on rows
+    for (y = 0; y < 64; y += 8) {
+      for (x = 0; x < 8; x++) {
+        sum = 0;
+        for (u = 0; u < 8; u++) {
+          sum += cosTable[x * 8 + u] *
+            blockData[blockBufferOffset + y + u] * qt[y + u];
+        }
+        p[y + x] = sum;
+      }
+    }
+    // inverse DCT on columns, level shift and clamp
+    for (x = 0; x < 8; x++) {
+      for (y = 0; y < 8; y++) {
+        sum = 0;
+        for (u = 0; u < 8; u++) {
+          sum += cosTable[y * 8 + u] * p[u * 8 + x];
+        }
+        t = Math.round(sum) + levelShift;
+        blockData[blockBufferOffset + y * 8 + x] =
+          t < 0 ? 0 : t > maxValue ? maxValue : t;
+      }
+    }
+  }
+
   function buildComponentData(frame, component) {
     var blocksPerLine = component.blocksPerLine;
     var blocksPerColumn = component.blocksPerColumn;
+    var isFloat = frame.precision !== 8;
     //var computationBuffer = new Int16Array(64);
-    var computationBuffer = new Int32Array(64);
+    var computationBuffer = isFloat ?
+      new Float64Array(64) : new Int32Array(64);
 
     for (var blockRow = 0; blockRow < blocksPerColumn; blockRow++) {
       for (var blockCol = 0; blockCol < blocksPerLine; blockCol++) {
         var offset = getBlockBufferOffset(component, blockRow, blockCol);
-        quantizeAndInverse(component, offset, computationBuffer);
+        if (isFloat) {
+          quantizeAndInverseFloat(component, offset, computationBuffer,
+            frame.precision);
+        } else {
+          quantizeAndInverse(component, offset, computationBuffer);
+        }
       }
     }
     return component.blockData;
@@ -727,10 +785,9 @@ var JpegImage = (function jpegImage() {
             frame.extended = (fileMarker === 0xFFC1);
             frame.progressive = (fileMarker === 0xFFC2);
             frame.precision = data[offset++];
-            var frameBitConversion = 255 / ( (1<<frame.precision) - 1 );
-            tMin /= frameBitConversion;
-            tMax /= frameBitConversion;
-            t8bitMax /= frameBitConversion;
+            if (frame.precision !== 8 && frame.precision !== 12) {
+              throw 'Unsupported JPEG precision: ' + frame.precision;
+            }
             frame.scanLines = readUint16();
             frame.samplesPerLine = readUint16();
             frame.components = [];
@@ -831,6 +888,7 @@ var JpegImage = (function jpegImage() {
 
       this.width = frame.samplesPerLine;
       this.height = frame.scanLines;
+      this.precision = frame.precision;
       this.jfif = jfif;
       this.adobe = adobe;
       this.components = [];
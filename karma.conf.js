@@ -24,6 +24,10 @@ module.exports = function (config) {
         watched: false
       },
       {pattern: 'node_modules/jszip/dist/jszip.min.js', watched: false},
+      // decoders (for synchronous tests)
+      {pattern: 'decoders/dwv/jpegls.js', watched: false},
+      {pattern: 'decoders/dwv/rle.js', watched: false},
+      {pattern: 'decoders/pdfjs/jpg.js', watched: false},
       // benchmark
       {pattern: 'node_modules/lodash/lodash.min.js', watched: false},
       {pattern: 'node_modules/benchmark/benchmark.js', watched: false},
@@ -23,6 +23,18 @@ dwv.App = function () {
   // load controller
   var loadController = null;
 
+  // measurement report controller
+  var measurementReportController = null;
+
+  // presentation state controller
+  var presentationStateController = null;
+
+  // structure set controller
+  var structureSetController = null;
+
+  // dose controller
+  var doseController = null;
+
   // stage
   var stage = null;
 
@@ -230,6 +242,11 @@ dwv.App = function () {
    *   after the first loaded data or not
    * - `defaultCharacterSet`: the default chraracter set string used for DICOM
    *   parsing
+   * - `lazyPixelData`: boolean flag to only read the pixel data when
+   *   creating the image, the pixel data element value of the loaded
+   *   DICOM elements is then a `dwv.dicom.LazyPixelData`
+   * - `lenientParsing`: boolean flag to recover from malformed DICOM data,
+   *   the problems are listed in the loaditem event warnings
    */
   this.init = function (opt) {
     // store
@@ -305,7 +322,9 @@ dwv.App = function () {
     }
 
     // create load controller
-    loadController = new dwv.ctrl.LoadController(options.defaultCharacterSet);
+    loadController = new dwv.ctrl.LoadController(
+      options.defaultCharacterSet, options.lenientParsing,
+      options.lazyPixelData);
     loadController.onloadstart = onloadstart;
     loadController.onprogress = onprogress;
     loadController.onloaditem = onloaditem;
@@ -321,6 +340,17 @@ dwv.App = function () {
     if (typeof options.binders !== 'undefined') {
       stage.setBinders(options.binders);
     }
+    // create measurement report controller
+    measurementReportController = new dwv.ctrl.MeasurementReportController(
+      stage, dataController);
+    // create presentation state controller
+    presentationStateController = new dwv.ctrl.PresentationStateController(
+      stage, dataController);
+    // create structure set controller
+    structureSetController = new dwv.ctrl.StructureSetController(
+      stage, dataController);
+    // create dose controller
+    doseController = new dwv.ctrl.DoseController(stage, dataController);
   };
 
   /**
@@ -341,6 +371,8 @@ dwv.App = function () {
     // clear objects
     dataController.reset();
     stage.empty();
+    structureSetController.reset();
+    doseController.reset();
     // reset undo/redo
     if (undoStack) {
       undoStack = new dwv.tool.UndoStack();
@@ -383,11 +415,14 @@ dwv.App = function () {
   // load API [begin] -------------------------------------------------------
 
   /**
-   * Load a list of files. Can be image files or a state file.
+   * Load a list of files. Can be image files, a state file or
+   *   the files of a folder containing a DICOMDIR.
    *
    * @param {Array} files The list of files to load.
    * @param {object} options The options object, can contain:
    *  - timepoint: an object with time information
+   *  - seriesInstanceUID: the DICOMDIR series to load (folder or
+   *    zip), defaults to the first one (see dwv.dicom.getDicomDirTree)
    * @fires dwv.App#loadstart
    * @fires dwv.App#loadprogress
    * @fires dwv.App#loaditem
@@ -411,6 +446,8 @@ dwv.App = function () {
    *  - requestHeaders: an array of {name, value} to use as request headers
    *  - withCredentials: boolean xhr.withCredentials flag to pass to the request
    *  - batchSize: the size of the request url batch
+   *  - seriesInstanceUID: the DICOMDIR series to load (folder or
+   *    zip), defaults to the first one (see dwv.dicom.getDicomDirTree)
    * @fires dwv.App#loadstart
    * @fires dwv.App#loadprogress
    * @fires dwv.App#loaditem
@@ -615,6 +652,87 @@ dwv.App = function () {
     viewLayer.draw();
   };
 
+  /**
+   * Set the visibility of a segment of a segmentation data.
+   *
+   * @param {number} dataIndex The index of the segmentation data.
+   * @param {number} segmentNumber The segment number.
+   * @param {boolean} flag True to show the segment.
+   */
+  this.setSegmentVisibility = function (dataIndex, segmentNumber, flag) {
+    updateSegmentation(dataIndex, function (helper) {
+      helper.setSegmentVisible(segmentNumber, flag);
+    });
+  };
+
+  /**
+   * Set the colour of a segment of a segmentation data.
+   *
+   * @param {number} dataIndex The index of the segmentation data.
+   * @param {number} segmentNumber The segment number.
+   * @param {object} colour The colour as {r, g, b}.
+   */
+  this.setSegmentColour = function (dataIndex, segmentNumber, colour) {
+    updateSegmentation(dataIndex, function (helper) {
+      helper.setSegmentColour(segmentNumber, colour);
+    });
+  };
+
+  /**
+   * Set the display threshold of a fractional segmentation data.
+   *
+   * @param {number} dataIndex The index of the segmentation data.
+   * @param {number} threshold The threshold in the [0, 1] range, null
+   *   for a graded display.
+   */
+  this.setSegmentationThreshold = function (dataIndex, threshold) {
+    updateSegmentation(dataIndex, function (helper) {
+      helper.setThreshold(threshold);
+    });
+  };
+
+  /**
+   * Set the colour wash threshold of a RT dose data: lower doses
+   *   are not displayed.
+   *
+   * @param {number} dataIndex The index of the dose data.
+   * @param {number} threshold The minimum displayed dose (usually in Gy),
+   *   null to only hide zero doses.
+   */
+  this.setDoseWashThreshold = function (dataIndex, threshold) {
+    doseController.setWashThreshold(dataIndex, threshold);
+  };
+
+  /**
+   * Set the isodose lines of a RT dose data: they are drawn in the
+   *   overlay of the draw layers of the dose views that are in the image
+   *   plane and replace the previous ones. They are not interactive,
+   *   not exported with the drawings and not part of the undo stack.
+   *
+   * @param {number} dataIndex The index of the dose data.
+   * @param {Array} levels The list of isodose levels as {dose, colour}
+   *   with dose usually in Gy and colour an hex string, an empty list
+   *   removes the lines.
+   */
+  this.setIsodoseLines = function (dataIndex, levels) {
+    doseController.setIsodoseLines(dataIndex, levels, style);
+  };
+
+  /**
+   * Get the dose of a RT dose data at a display position, for example
+   *   the cursor position in the layer group div.
+   *
+   * @param {number} dataIndex The index of the dose data.
+   * @param {number} x The display X position.
+   * @param {number} y The display Y position.
+   * @returns {object} The dose as {value, units} with units the
+   *   DICOM dose units ('GY' or 'RELATIVE'), null if the position
+   *   is outside of the dose grid.
+   */
+  this.getDoseAtDisplayPosition = function (dataIndex, x, y) {
+    return doseController.getDoseAtDisplayPosition(dataIndex, x, y);
+  };
+
   /**
    * Get the list of drawing display details.
    *
@@ -696,6 +814,206 @@ dwv.App = function () {
     drawController.toogleGroupVisibility(drawDetails);
   };
 
+  /**
+   * Get the list of the loaded RT structure set structures.
+   *
+   * @returns {Array} The structures as {name, number, interpretedType,
+   *   colour, visible}, their index in the list is used to change
+   *   their visibility.
+   */
+  this.getStructures = function () {
+    return structureSetController.getStructures();
+  };
+
+  /**
+   * Set the visibility of a loaded structure: the visibility of all
+   *   its contour drawings.
+   *
+   * @param {number} index The index of the structure,
+   *   see getStructures.
+   * @param {boolean} flag True to show the structure.
+   */
+  this.setStructureVisibility = function (index, flag) {
+    structureSetController.setStructureVisibility(index, flag);
+  };
+
+  /**
+   * Toggle the visibility of a loaded structure.
+   *
+   * @param {number} index The index of the structure,
+   *   see getStructures.
+   */
+  this.toggleStructureVisibility = function (index) {
+    structureSetController.toggleStructureVisibility(index);
+  };
+
+  /**
+   * Get a media-like ZIP of the loaded DICOM data: the data files
+   *   (with their possibly edited pixels) and a DICOMDIR.
+   *
+   * @param {object} options Optional export options,
+   *   see dwv.io.getDicomZip.
+   * @returns {Promise} A promise resolving to the ZIP content.
+   */
+  this.getDicomZip = function (options) {
+    var dataList = [];
+    for (var i = 0; i < dataController.length(); ++i) {
+      var data = dataController.get(i);
+      if (typeof data === 'undefined') {
+        continue;
+      }
+      for (var j = 0; j < data.dicomElements.length; ++j) {
+        dataList.push({
+          elements: data.dicomElements[j],
+          image: data.image
+        });
+      }
+    }
+    return dwv.io.getDicomZip(dataList, options);
+  };
+
+  /**
+   * Get an imaging measurement report (DICOM SR) of the drawings of
+   *   the active layer: its ruler, rectangle, ellipse, circle and
+   *   protractor measurements.
+   *
+   * @param {object} options Optional export options, can contain:
+   *  - attributes: DICOM attributes overriding the default ones,
+   *    see dwv.dicom.getMeasurementReportTags
+   *  - writer: the dwv.dicom.DicomWriter to use
+   * @returns {ArrayBuffer} The DICOM SR buffer.
+   */
+  this.getMeasurementReport = function (options) {
+    if (typeof options === 'undefined') {
+      options = {};
+    }
+    var layerGroup = stage.getActiveLayerGroup();
+    var viewLayer = layerGroup.getActiveViewLayer();
+    var data = dataController.get(viewLayer.getDataIndex());
+    var drawController =
+      layerGroup.getActiveDrawLayer().getDrawController();
+    var measurements = drawController.getDrawMeasurements(
+      data.image, viewLayer.getViewController().getPlaneHelper());
+    return dwv.dicom.getMeasurementReportBuffer(
+      measurements, data.dicomElements, options.attributes, options.writer);
+  };
+
+  /**
+   * Get a RT structure set (DICOM RTSTRUCT) of the drawings of the
+   *   active layer: its ROI, free hand and livewire contours grouped
+   *   per structure, see dwv.ctrl.DrawController.getDrawContours.
+   *
+   * @param {object} options Optional export options, can contain:
+   *  - label: the structure set label
+   *  - attributes: DICOM attributes overriding the default ones,
+   *    see dwv.dicom.getStructureSetTags
+   *  - writer: the dwv.dicom.DicomWriter to use
+   * @returns {ArrayBuffer} The DICOM RTSTRUCT buffer.
+   */
+  this.getStructureSet = function (options) {
+    if (typeof options === 'undefined') {
+      options = {};
+    }
+    var layerGroup = stage.getActiveLayerGroup();
+    var viewLayer = layerGroup.getActiveViewLayer();
+    var data = dataController.get(viewLayer.getDataIndex());
+    var drawController =
+      layerGroup.getActiveDrawLayer().getDrawController();
+    var structureSet = {
+      label: options.label,
+      structures: drawController.getDrawContours(
+        data.image, viewLayer.getViewController().getPlaneHelper())
+    };
+    return dwv.dicom.getStructureSetBuffer(
+      structureSet, data.dicomElements, options.attributes, options.writer);
+  };
+
+  /**
+   * Get a Grayscale Softcopy Presentation State (GSPS) of the active
+   *   layer: its window level, colour inversion, displayed area (zoom
+   *   and offset), flips and drawings with their labels.
+   * The view needs to be in the image plane.
+   *
+   * @param {object} options Optional export options, can contain:
+   *  - attributes: DICOM attributes overriding the default ones,
+   *    see dwv.dicom.getPresentationStateTags
+   *  - writer: the dwv.dicom.DicomWriter to use
+   * @returns {ArrayBuffer} The DICOM GSPS buffer.
+   */
+  this.getPresentationState = function (options) {
+    if (typeof options === 'undefined') {
+      options = {};
+    }
+    var layerGroup = stage.getActiveLayerGroup();
+    var viewLayer = layerGroup.getActiveViewLayer();
+    var viewController = viewLayer.getViewController();
+    var planeHelper = viewController.getPlaneHelper();
+    var data = dataController.get(viewLayer.getDataIndex());
+    var drawController =
+      layerGroup.getActiveDrawLayer().getDrawController();
+    var presentation = drawController.getDrawAnnotations(
+      data.image, planeHelper);
+
+    // window level and presentation LUT
+    if (viewController.canWindowLevel()) {
+      var windowLevel = viewController.getWindowLevel();
+      presentation.voiLuts = [{
+        windowCenter: windowLevel.center,
+        windowWidth: windowLevel.width
+      }];
+    }
+    presentation.presentationLutShape =
+      viewController.getColourMap() === dwv.image.lut.invPlain
+        ? 'INVERSE' : 'IDENTITY';
+
+    // displayed area: the visible part of the image plane,
+    // see dwv.image.PresentationStateHelper.getDisplayTransform
+    var geometry = data.image.getGeometry();
+    var size = geometry.getSize();
+    var spacing = geometry.getSpacing();
+    var scale = layerGroup.getScale();
+    var offset = planeHelper.getPlaneOffsetFromOffset3D(layerGroup.getOffset());
+    var rotation = layerGroup.getRotation();
+    var angle = rotation * Math.PI / 180;
+    var cos = Math.cos(angle);
+    var sin = Math.sin(angle);
+    // display corners (in mm) to plane: offset + S^-1 * R^-1 * corner
+    var width = size.get(0) * spacing.get(0);
+    var height = size.get(1) * spacing.get(1);
+    var corners = [
+      [0, 0],
+      [width, 0],
+      [0, height],
+      [width, height]
+    ];
+    var xs = [];
+    var ys = [];
+    for (var c = 0; c < corners.length; ++c) {
+      var cx = corners[c][0];
+      var cy = corners[c][1];
+      xs.push(offset.x + (cos * cx + sin * cy) / (spacing.get(0) * scale.x));
+      ys.push(offset.y + (cos * cy - sin * cx) / (spacing.get(1) * scale.y));
+    }
+    var x0 = Math.min.apply(null, xs);
+    var y0 = Math.min.apply(null, ys);
+    presentation.displayedAreas = [{
+      topLeft: [Math.round(x0) + 1, Math.round(y0) + 1],
+      bottomRight: [
+        Math.round(Math.max.apply(null, xs)),
+        Math.round(Math.max.apply(null, ys))
+      ],
+      sizeMode: 'SCALE TO FIT'
+    }];
+    // a vertical flip is a rotation and an horizontal flip
+    var flipX = scale.x < 0;
+    var flipY = scale.y < 0;
+    presentation.imageRotation = (rotation + (flipY ? 180 : 0)) % 360;
+    presentation.imageHorizontalFlip = flipX !== flipY;
+
+    return dwv.dicom.getPresentationStateBuffer(
+      presentation, data.dicomElements, options.attributes, options.writer);
+  };
+
   /**
    * Get the JSON state of the app.
    *
@@ -1000,10 +1318,36 @@ dwv.App = function () {
     }
 
     var eventMetaData = null;
-    if (event.loadtype === 'image') {
+    var eventWarnings;
+    if (event.loadtype === 'image' &&
+      typeof event.data.image === 'undefined') {
+      // structured report, presentation state or structure set:
+      // apply it to the loaded data
+      eventWarnings = event.data.warnings;
+      var sopClassUid =
+        dwv.dicom.cleanString(event.data.info.x00080016.value[0]);
+      if (dwv.dicom.isPresentationStateSopClass(sopClassUid)) {
+        presentationStateController.apply(
+          event.data.info, style, fireEvent, self.addToUndoStack);
+      } else if (dwv.dicom.isRtStructureSetSopClass(sopClassUid)) {
+        structureSetController.addDrawings(
+          event.data.info, style, fireEvent);
+      } else {
+        measurementReportController.addDrawings(
+          event.data.info, style, fireEvent, self.addToUndoStack);
+      }
+      eventMetaData = event.data.info;
+    } else if (event.loadtype === 'image') {
+      eventWarnings = event.data.warnings;
       if (isFirstLoadItem && timeId === 0) {
+        var image = event.data.image;
+        // display doses on the grid of their planning image
+        // (resampled when it is loaded if it comes after the dose)
+        if (image.getMeta().Modality === 'RTDOSE') {
+          image = doseController.getResampledDose(event.loadid, image);
+        }
         dataController.addNew(
-          event.loadid, event.data.image, event.data.info);
+          event.loadid, image, event.data.info);
       } else {
         dataController.update(
           event.loadid, event.data.image, event.data.info,
@@ -1026,16 +1370,20 @@ dwv.App = function () {
      * @property {*} source The load source: string for an url,
      *   File for a file.
      * @property {object} data The loaded meta data.
+     * @property {Array} warnings The DICOM parsing warnings (only with
+     *   the lenientParsing option) as a list of {tag, offset, kind, message}.
      */
     fireEvent({
       type: 'loaditem',
       data: eventMetaData,
       source: event.source,
-      loadtype: event.loadtype
+      loadtype: event.loadtype,
+      warnings: eventWarnings
     });
 
     // render if first and flag allows
     if (event.loadtype === 'image' &&
+      typeof event.data.image !== 'undefined' &&
       getViewConfigs(event.loadid).length !== 0 &&
       isFirstLoadItem && options.viewOnFirstLoadItem) {
       self.render(event.loadid);
@@ -1049,6 +1397,11 @@ dwv.App = function () {
    * @private
    */
   function onload(event) {
+    // resample the doses loaded before their planning image
+    if (event.loadtype === 'image' &&
+      typeof dataController.get(event.loadid) !== 'undefined') {
+      doseController.onImageLoad(event.loadid);
+    }
     /**
      * Load event: fired when a load finishes successfully.
      *
@@ -1195,6 +1548,31 @@ dwv.App = function () {
     return maxSize;
   }
 
+  /**
+   * Update a segmentation data and its display.
+   *
+   * @param {number} dataIndex The index of the segmentation data.
+   * @param {Function} callback The update function, called with
+   *   the segmentation dwv.image.MaskSegmentHelper.
+   */
+  function updateSegmentation(dataIndex, callback) {
+    var data = dataController.get(dataIndex);
+    if (typeof data === 'undefined' ||
+      data.image.getMeta().Modality !== 'SEG') {
+      throw new Error('No segmentation data with index: ' + dataIndex);
+    }
+    var helper = new dwv.image.MaskSegmentHelper(data.image);
+    callback(helper);
+    helper.update();
+    // update the views: image then alpha function (triggers a draw)
+    dataController.setImage(dataIndex, data.image);
+    var viewLayers = stage.getViewLayersByDataIndex(dataIndex);
+    for (var i = 0; i < viewLayers.length; ++i) {
+      viewLayers[i].getViewController().setViewAlphaFunction(
+        helper.getAlphaFunction());
+    }
+  }
+
   /**
    * Add a view layer.
    *
@@ -1227,18 +1605,19 @@ dwv.App = function () {
     );
     view.setOrientation(viewOrientation);
 
-    // make pixel of value 0 transparent for segmentation
-    // (assuming RGB data)
+    // make empty pixels transparent for segmentation
     if (data.image.getMeta().Modality === 'SEG') {
-      view.setAlphaFunction(function (value) {
-        if (value[0] === 0 &&
-          value[1] === 0 &&
-          value[2] === 0) {
-          return 1;
-        } else {
-          return 0xff;
-        }
-      });
+      view.setAlphaFunction(
+        new dwv.image.MaskSegmentHelper(data.image).getAlphaFunction());
+    }
+
+    // dose colour wash: low doses are transparent
+    if (data.image.getMeta().Modality === 'RTDOSE') {
+      view.setAlphaFunction(
+        new dwv.image.DoseHelper(data.image).getAlphaFunction());
+      if (typeof dataViewConfig.colourMap === 'undefined') {
+        view.setColourMap(dwv.image.lut.rainbow);
+      }
     }
 
     // colour map
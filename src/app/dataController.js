@@ -4,14 +4,14 @@ var dwv = dwv || {};
 dwv.ctrl = dwv.ctrl || {};
 
 /*
- * Data (list of {image, meta}) controller.
+ * Data (list of {image, meta, dicomElements}) controller.
  *
  * @class
  */
 dwv.ctrl.DataController = function () {
 
   /**
-   * List of {image, meta}.
+   * List of {image, meta, dicomElements}.
    *
    * @private
    * @type {object}
@@ -80,8 +80,10 @@ dwv.ctrl.DataController = function () {
     // store the new image
     data[index] = {
       image: image,
-      meta: getMetaObject(meta)
+      meta: getMetaObject(meta),
+      dicomElements: []
     };
+    storeDicomElements(index, meta);
   };
 
   /**
@@ -107,6 +109,7 @@ dwv.ctrl.DataController = function () {
 
     // add slice to current image
     dataToUpdate.image.appendSlice(image, timeId);
+    storeDicomElements(index, meta);
 
     // update meta data
     // TODO add time support
@@ -158,6 +161,19 @@ dwv.ctrl.DataController = function () {
     listenerHandler.fireEvent(event);
   }
 
+  /**
+   * Store the raw DICOM elements of a data slice, for export.
+   *
+   * @param {number} index The index of the data.
+   * @param {object} meta The image meta.
+   */
+  function storeDicomElements(index, meta) {
+    // dicom case (x00020010: transfer syntax)
+    if (typeof meta.x00020010 !== 'undefined') {
+      data[index].dicomElements.push(meta);
+    }
+  }
+
   /**
    * Get a meta data object.
    *
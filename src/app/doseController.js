@@ -0,0 +1,294 @@
+// namespaces
+var dwv = dwv || {};
+dwv.ctrl = dwv.ctrl || {};
+
+/**
+ * Dose controller: resampling, colour wash, isodose lines and
+ *   readout of the loaded RT dose data.
+ *
+ * @class
+ * @param {dwv.gui.Stage} stage The application stage.
+ * @param {dwv.ctrl.DataController} dataController The data controller.
+ */
+dwv.ctrl.DoseController = function (stage, dataController) {
+
+  /**
+   * The isodose overlay shapes as {drawController, ids}, indexed
+   *   by dose data index.
+   *
+   * @private
+   * @type {object}
+   */
+  var isodoses = {};
+
+  /**
+   * The indices of the doses kept on their own grid.
+   *
+   * @private
+   * @type {Array}
+   */
+  var ownGridDoses = [];
+
+  /**
+   * Reset the class: forget the isodose lines and the doses
+   *   to resample.
+   */
+  this.reset = function () {
+    isodoses = {};
+    ownGridDoses = [];
+  };
+
+  /**
+   * Get the dose helper of a RT dose data.
+   *
+   * @param {number} dataIndex The index of the dose data.
+   * @returns {dwv.image.DoseHelper} The dose helper.
+   */
+  function getDoseHelper(dataIndex) {
+    var data = dataController.get(dataIndex);
+    if (typeof data === 'undefined' ||
+      data.image.getMeta().Modality !== 'RTDOSE') {
+      throw new Error('No dose data with index: ' + dataIndex);
+    }
+    return new dwv.image.DoseHelper(data.image);
+  }
+
+  /**
+   * Get the first image with a frame of reference that can be used
+   *   as a dose grid.
+   *
+   * @param {string} frameOfReferenceUid The frame of reference UID.
+   * @param {Array} dataIndices The indices of the candidate data.
+   * @returns {dwv.image.Image} The image, undefined if none.
+   */
+  function getGridImage(frameOfReferenceUid, dataIndices) {
+    for (var i = 0; i < dataIndices.length; ++i) {
+      var data = dataController.get(dataIndices[i]);
+      if (typeof data === 'undefined' ||
+        typeof data.meta.x00200052 === 'undefined') {
+        continue;
+      }
+      var modality = data.image.getMeta().Modality;
+      if (modality === 'RTDOSE' || modality === 'SEG' ||
+        data.image.getGeometry().getSize().length() > 3 ||
+        dwv.dicom.cleanString(data.meta.x00200052.value[0]) !==
+        frameOfReferenceUid) {
+        continue;
+      }
+      return data.image;
+    }
+    return undefined;
+  }
+
+  /**
+   * Resample a dose on the grid of an image.
+   *
+   * @param {dwv.image.Image} dose The dose image.
+   * @param {dwv.image.Image} image The grid image.
+   * @returns {dwv.image.Image} The resampled dose.
+   */
+  function resample(dose, image) {
+    var geometry = image.getGeometry();
+    var uids = [];
+    for (var k = 0; k < geometry.getSize().get(2); ++k) {
+      uids.push(dose.getMeta().SOPInstanceUID);
+    }
+    return new dwv.image.DoseHelper(dose).resample(geometry, uids);
+  }
+
+  /**
+   * Get the image to store for a loaded RT dose: the dose resampled
+   *   on the grid of a loaded image sharing its frame of reference,
+   *   typically the planning CT.
+   * Without such an image, the dose is kept on its own grid and
+   *   resampled when it is loaded, see onImageLoad.
+   *
+   * @param {number} dataIndex The index of the dose data.
+   * @param {dwv.image.Image} dose The dose image.
+   * @returns {dwv.image.Image} The resampled dose, the input one if
+   *   no matching image is loaded.
+   */
+  this.getResampledDose = function (dataIndex, dose) {
+    var dataIndices = [];
+    for (var i = 0; i < dataController.length(); ++i) {
+      dataIndices.push(i);
+    }
+    var image = getGridImage(
+      dose.getMeta().FrameOfReferenceUID, dataIndices);
+    if (typeof image === 'undefined') {
+      ownGridDoses.push(dataIndex);
+      return dose;
+    }
+    return resample(dose, image);
+  };
+
+  /**
+   * Handle the end of an image load: resample the doses kept on
+   *   their own grid that share the image frame of reference.
+   * Doses that are already displayed keep their grid: their layers
+   *   are sized for it, load the planning image first to avoid it.
+   *
+   * @param {number} dataIndex The index of the loaded data.
+   */
+  this.onImageLoad = function (dataIndex) {
+    var done = [];
+    for (var i = 0; i < ownGridDoses.length; ++i) {
+      var doseIndex = ownGridDoses[i];
+      var dose = dataController.get(doseIndex).image;
+      var image = getGridImage(
+        dose.getMeta().FrameOfReferenceUID, [dataIndex]);
+      if (typeof image === 'undefined') {
+        continue;
+      }
+      if (stage.getViewLayersByDataIndex(doseIndex).length === 0) {
+        dataController.setImage(doseIndex, resample(dose, image));
+      } else {
+        dwv.logger.warn('The dose ' + doseIndex + ' is displayed on its ' +
+          'own grid, load it after its planning image to display it on ' +
+          'the planning grid.');
+      }
+      done.push(doseIndex);
+    }
+    ownGridDoses = ownGridDoses.filter(function (index) {
+      return done.indexOf(index) === -1;
+    });
+  };
+
+  /**
+   * Set the colour wash threshold of a dose data: lower doses
+   *   are not displayed.
+   *
+   * @param {number} dataIndex The index of the dose data.
+   * @param {number} threshold The minimum displayed dose (usually in Gy),
+   *   null to only hide zero doses.
+   */
+  this.setWashThreshold = function (dataIndex, threshold) {
+    var helper = getDoseHelper(dataIndex);
+    helper.setWashThreshold(threshold);
+    var viewLayers = stage.getViewLayersByDataIndex(dataIndex);
+    for (var i = 0; i < viewLayers.length; ++i) {
+      viewLayers[i].getViewController().setViewAlphaFunction(
+        helper.getAlphaFunction());
+    }
+  };
+
+  /**
+   * Set the isodose lines of a RT dose data: they are drawn in the
+   *   overlay of the draw layers of the dose views that are in the image
+   *   plane and replace the previous ones. They are not interactive,
+   *   not exported with the drawings and not part of the undo stack.
+   *
+   * @param {number} dataIndex The index of the dose data.
+   * @param {Array} levels The list of isodose levels as {dose, colour}
+   *   with dose usually in Gy and colour an hex string, an empty list
+   *   removes the lines.
+   * @param {dwv.gui.Style} style The drawing style.
+   */
+  this.setIsodoseLines = function (dataIndex, levels, style) {
+    var helper = getDoseHelper(dataIndex);
+    // remove the previous lines
+    var previous = isodoses[dataIndex];
+    if (typeof previous !== 'undefined') {
+      for (var p = 0; p < previous.length; ++p) {
+        previous[p].drawController.deleteOverlayShapes(previous[p].ids);
+      }
+    }
+    isodoses[dataIndex] = [];
+
+    var units = helper.getUnits() === 'GY' ? ' Gy' : '';
+    var numberOfSlices =
+      dataController.get(dataIndex).image.getGeometry().getSize().get(2);
+    for (var g = 0; g < stage.getNumberOfLayerGroups(); ++g) {
+      var layerGroup = stage.getLayerGroup(g);
+      var drawLayers = layerGroup.getDrawLayersByDataIndex(dataIndex);
+      if (drawLayers.length === 0) {
+        continue;
+      }
+      var viewController = layerGroup.getViewLayersByDataIndex(
+        dataIndex)[0].getViewController();
+      // lines are computed in the image plane
+      if (viewController.getScrollIndex() !== 2) {
+        dwv.logger.warn('Cannot add isodose lines to a view ' +
+          'that is not in the image plane.');
+        continue;
+      }
+      var index = viewController.getCurrentIndex();
+      var dims = [2];
+      for (var j = 3; j < index.length(); ++j) {
+        dims.push(j);
+      }
+      var shapes = [];
+      for (var k = 0; k < numberOfSlices; ++k) {
+        var values = index.getValues();
+        values[2] = k;
+        var sliceIndex = new dwv.math.Index(values);
+        var posGroupId = sliceIndex.toStringId(dims);
+        for (var l = 0; l < levels.length; ++l) {
+          var lines = helper.getIsodoseLines(sliceIndex, levels[l].dose);
+          for (var n = 0; n < lines.length; ++n) {
+            var isClosed = lines[n].closed && lines[n].points.length > 2;
+            if (lines[n].points.length < 2) {
+              continue;
+            }
+            shapes.push({
+              name: isClosed ? 'Roi' : 'FreeHand',
+              points: lines[n].points,
+              posGroupId: posGroupId,
+              colour: levels[l].colour,
+              textExpr: levels[l].dose + units
+            });
+          }
+        }
+      }
+      var drawController = drawLayers[0].getDrawController();
+      isodoses[dataIndex].push({
+        drawController: drawController,
+        ids: drawController.addOverlayShapes(shapes, style, viewController)
+      });
+      drawController.activateDrawLayer(
+        viewController.getCurrentOrientedIndex(),
+        viewController.getScrollIndex());
+    }
+  };
+
+  /**
+   * Get the dose of a RT dose data at a display position, for example
+   *   the cursor position in the layer group div.
+   *
+   * @param {number} dataIndex The index of the dose data.
+   * @param {number} x The display X position.
+   * @param {number} y The display Y position.
+   * @returns {object} The dose as {value, units} with units the
+   *   DICOM dose units ('GY' or 'RELATIVE'), null if the position
+   *   is outside of the dose grid.
+   */
+  this.getDoseAtDisplayPosition = function (dataIndex, x, y) {
+    var helper = getDoseHelper(dataIndex);
+    var viewLayers = stage.getActiveLayerGroup().getViewLayersByDataIndex(
+      dataIndex);
+    if (viewLayers.length === 0) {
+      throw new Error('No dose view in the active layer group for data: ' +
+        dataIndex);
+    }
+    var planePos = viewLayers[0].displayToPlanePos(x, y);
+    var viewController = viewLayers[0].getViewController();
+    var planePoint = new dwv.math.Point3D(
+      Math.floor(planePos.x),
+      Math.floor(planePos.y),
+      viewController.getCurrentScrollIndexValue());
+    var point = viewController.getPlaneHelper().getImageOrientedVector3D(
+      planePoint);
+    var values = viewController.getCurrentIndex().getValues();
+    values[0] = point.getX();
+    values[1] = point.getY();
+    values[2] = point.getZ();
+    var value = helper.getDoseAtIndex(new dwv.math.Index(values));
+    if (value === null) {
+      return null;
+    }
+    return {
+      value: value,
+      units: helper.getUnits()
+    };
+  };
+}; // class DoseController
@@ -43,6 +43,43 @@ dwv.draw.getPositionFromGroupId = function (groupId) {
   };
 };
 
+/**
+ * Get the image reference of an image plane draw position: the
+ *   referenced SOP instance and its one based frame number, frames
+ *   being the fourth image dimension.
+ *
+ * @param {dwv.image.Image} image The drawn image.
+ * @param {dwv.math.Index} position The draw position.
+ * @returns {object} The reference as {sopInstanceUID, frameNumber}.
+ */
+dwv.draw.getPositionImageReference = function (image, position) {
+  var values = position.getValues();
+  values[0] = 0;
+  values[1] = 0;
+  return {
+    sopInstanceUID: image.getImageUid(new dwv.math.Index(values)),
+    frameNumber: position.length() > 3 ? position.get(3) + 1 : 1
+  };
+};
+
+/**
+ * Get the world position of a drawing point.
+ * Drawings have the pixel center at 0.5, indices at 0.
+ *
+ * @param {dwv.image.Geometry} geometry The drawn image geometry.
+ * @param {dwv.image.PlaneHelper} planeHelper The plane helper of
+ *   the drawn view.
+ * @param {number} x The drawing X coordinate.
+ * @param {number} y The drawing Y coordinate.
+ * @param {number} k The index of the drawn plane.
+ * @returns {dwv.math.Point3D} The world position.
+ */
+dwv.draw.getDrawPointWorld = function (geometry, planeHelper, x, y, k) {
+  var planePoint = new dwv.math.Point3D(x - 0.5, y - 0.5, k);
+  return geometry.pointToWorld(
+    planeHelper.getImageOrientedVector3D(planePoint));
+};
+
 /**
  * Is an input node's name 'shape'.
  *
@@ -105,6 +142,161 @@ dwv.draw.canNodeChangeColour = function (node) {
   return node.name() !== 'anchor' && node.name() !== 'label';
 };
 
+/**
+ * Get the DICOM graphic of a measurement shape, in plane coordinates
+ *   and without the drag offsets.
+ *
+ * @param {string} groupName The shape group name.
+ * @param {object} shape The Konva shape.
+ * @returns {object} The graphic as {name, type, points} with name the
+ *   drawing type, type the DICOM graphic type and points the flat
+ *   coordinates list, null if the shape is not a measurement one.
+ */
+dwv.draw.getShapeGraphic = function (groupName, shape) {
+  var graphic = null;
+  if (groupName === 'ruler-group') {
+    graphic = {name: 'Ruler', type: 'POLYLINE', points: shape.points()};
+  } else if (groupName === 'protractor-group') {
+    // only complete protractors
+    if (shape.points().length === 6) {
+      graphic = {
+        name: 'Protractor',
+        type: 'POLYLINE',
+        points: shape.points()
+      };
+    }
+  } else if (groupName === 'rectangle-group') {
+    var width = shape.width();
+    var height = shape.height();
+    // closed polyline
+    graphic = {
+      name: 'Rectangle',
+      type: 'POLYLINE',
+      points: [0, 0, width, 0, width, height, 0, height, 0, 0]
+    };
+  } else if (groupName === 'ellipse-group') {
+    var rx = shape.radiusX();
+    var ry = shape.radiusY();
+    // major axis end points then minor axis ones
+    var xAxis = [-rx, 0, rx, 0];
+    var yAxis = [0, -ry, 0, ry];
+    graphic = {
+      name: 'Ellipse',
+      type: 'ELLIPSE',
+      points: rx >= ry ? xAxis.concat(yAxis) : yAxis.concat(xAxis)
+    };
+  } else if (groupName === 'circle-group') {
+    // center and a perimeter point
+    graphic = {
+      name: 'Circle',
+      type: 'CIRCLE',
+      points: [0, 0, shape.radius(), 0]
+    };
+  }
+  return graphic;
+};
+
+/**
+ * Get the DICOM presentation state graphic of a shape, in plane
+ *   coordinates and without the drag offsets.
+ *
+ * @param {string} groupName The shape group name.
+ * @param {object} shape The Konva shape.
+ * @returns {object} The graphic as {name, type, points}, see
+ *   dwv.draw.getShapeGraphic, null if the shape is not supported.
+ */
+dwv.draw.getShapeAnnotationGraphic = function (groupName, shape) {
+  var graphic = dwv.draw.getShapeGraphic(groupName, shape);
+  if (graphic === null) {
+    if (groupName === 'roi-group') {
+      // closed polyline
+      var points = shape.points();
+      graphic = {
+        name: 'Roi',
+        type: 'POLYLINE',
+        points: points.concat(points.slice(0, 2))
+      };
+    } else if (groupName === 'freeHand-group') {
+      // smooth line
+      graphic = {
+        name: 'FreeHand',
+        type: 'INTERPOLATED',
+        points: shape.points()
+      };
+    } else if (groupName === 'line-group') {
+      graphic = {name: 'Arrow', type: 'POLYLINE', points: shape.points()};
+    }
+  }
+  return graphic;
+};
+
+/**
+ * Get the shape matching a DICOM graphic, the reverse of
+ *   dwv.draw.getShapeGraphic.
+ *
+ * @param {string} graphicType The DICOM graphic type.
+ * @param {Array} points The list of dwv.math.Point2D in plane coordinates.
+ * @returns {object} The shape as {name, points} with name the draw
+ *   factory name (for ex 'Ruler' for the RulerFactory) and points the
+ *   factory creation points, null if the graphic is not supported.
+ */
+dwv.draw.getShapeFromGraphic = function (graphicType, points) {
+  var shape = null;
+  var nPoints = points.length;
+  if (graphicType === 'POLYLINE' || graphicType === 'POLYGON') {
+    var isClosed = graphicType === 'POLYGON' ||
+      (nPoints > 2 && points[0].equals(points[nPoints - 1]));
+    if (isClosed) {
+      // remove closing point
+      var polygon = points;
+      if (points[0].equals(points[nPoints - 1])) {
+        polygon = points.slice(0, nPoints - 1);
+      }
+      // axis aligned rectangle
+      var isRectangle = polygon.length === 4;
+      for (var i = 0; i < polygon.length && isRectangle; ++i) {
+        var p0 = polygon[i];
+        var p1 = polygon[(i + 1) % 4];
+        isRectangle = p0.getX() === p1.getX() || p0.getY() === p1.getY();
+      }
+      if (isRectangle) {
+        shape = {name: 'Rectangle', points: [polygon[0], polygon[2]]};
+      } else if (polygon.length > 2) {
+        shape = {name: 'Roi', points: polygon};
+      }
+    } else if (nPoints === 2) {
+      shape = {name: 'Ruler', points: points};
+    } else if (nPoints === 3) {
+      shape = {name: 'Protractor', points: points};
+    } else if (nPoints > 3) {
+      shape = {name: 'FreeHand', points: points};
+    }
+  } else if (graphicType === 'CIRCLE' && nPoints === 2) {
+    shape = {name: 'Circle', points: points};
+  } else if (graphicType === 'ELLIPSE' && nPoints === 4) {
+    // axis aligned: first axis gives the first radius
+    var center = new dwv.math.Point2D(
+      (points[0].getX() + points[1].getX()) / 2,
+      (points[0].getY() + points[1].getY()) / 2);
+    var axis0 = new dwv.math.Line(points[0], points[1]);
+    var axis1 = new dwv.math.Line(points[2], points[3]);
+    var radius0 = axis0.getLength() / 2;
+    var radius1 = axis1.getLength() / 2;
+    var isHorizontal =
+      Math.abs(axis0.getDeltaX()) >= Math.abs(axis0.getDeltaY());
+    var radiusX = isHorizontal ? radius0 : radius1;
+    var radiusY = isHorizontal ? radius1 : radius0;
+    shape = {
+      name: 'Ellipse',
+      points: [
+        center,
+        new dwv.math.Point2D(center.getX() + radiusX, center.getY() + radiusY)
+      ]
+    };
+  }
+  return shape;
+};
+
 /**
  * Debug function to output the layer hierarchy as text.
  *
@@ -129,11 +321,34 @@ dwv.draw.getHierarchyLog = function (layer, prefix) {
  *
  * @class
  * @param {object} konvaLayer The draw layer.
+ * @param {object} overlayLayer The optional overlay layer: a layer for
+ *   non interactive shapes that are not drawings, for example isodose
+ *   lines. They are not exported and not part of the undo stack.
  */
-dwv.ctrl.DrawController = function (konvaLayer) {
+dwv.ctrl.DrawController = function (konvaLayer, overlayLayer) {
   // current position group id
   var currentPosGroupId = null;
 
+  /**
+   * Get or create a position group of a layer.
+   *
+   * @param {object} layer The Konva layer.
+   * @param {string} posGroupId The position group id.
+   * @returns {object} The Konva.Group.
+   */
+  function getOrCreatePosGroup(layer, posGroupId) {
+    var posGroup = layer.getChildren(dwv.draw.isNodeWithId(posGroupId))[0];
+    if (typeof posGroup === 'undefined') {
+      posGroup = new Konva.Group({
+        id: posGroupId,
+        name: 'position-group',
+        visible: false
+      });
+      layer.add(posGroup);
+    }
+    return posGroup;
+  }
+
   /**
    * Get the current position group.
    *
@@ -168,6 +383,7 @@ dwv.ctrl.DrawController = function (konvaLayer) {
    */
   this.reset = function () {
     konvaLayer = null;
+    overlayLayer = undefined;
   };
 
   /**
@@ -187,6 +403,10 @@ dwv.ctrl.DrawController = function (konvaLayer) {
 
     // get all position groups
     var posGroups = konvaLayer.getChildren(dwv.draw.isPositionNode);
+    if (typeof overlayLayer !== 'undefined') {
+      posGroups = posGroups.concat(
+        overlayLayer.getChildren(dwv.draw.isPositionNode));
+    }
     // reset or set the visible property
     var visible;
     for (var i = 0, leni = posGroups.length; i < leni; ++i) {
@@ -200,6 +420,9 @@ dwv.ctrl.DrawController = function (konvaLayer) {
 
     // show current draw layer
     konvaLayer.draw();
+    if (typeof overlayLayer !== 'undefined') {
+      overlayLayer.draw();
+    }
   };
 
   /**
@@ -233,7 +456,7 @@ dwv.ctrl.DrawController = function (konvaLayer) {
           }
         }
         if (type === 'Rect') {
-          type = 'Rectangle';
+          type = collec[i].name() === 'text-group' ? 'Text' : 'Rectangle';
         }
         list.push({
           id: collec[i].id(),
@@ -284,6 +507,453 @@ dwv.ctrl.DrawController = function (konvaLayer) {
     return drawingsDetails;
   };
 
+  /**
+   * Get the list of drawing measurements: the ruler, rectangle, ellipse,
+   *   circle and protractor drawings with their DICOM graphic data.
+   * Drawings made on the acquisition plane are given in image coordinates
+   *   with their image reference, the other ones in world coordinates.
+   *
+   * @param {dwv.image.Image} image The drawn image.
+   * @param {dwv.image.PlaneHelper} planeHelper The plane helper of
+   *   the drawn view.
+   * @returns {Array} The list of measurements,
+   *   see dwv.dicom.getMeasurementReportTags.
+   */
+  this.getDrawMeasurements = function (image, planeHelper) {
+    var measurements = [];
+    var scrollIndex = planeHelper.getScrollIndex();
+    var isImagePlane = scrollIndex === 2;
+    var geometry = image.getGeometry();
+
+    var posGroups = konvaLayer.getChildren(dwv.draw.isPositionNode);
+    for (var i = 0, leni = posGroups.length; i < leni; ++i) {
+      var position = dwv.math.getIndexFromStringId(posGroups[i].id());
+      var k = position.get(scrollIndex);
+      var groups = posGroups[i].getChildren();
+      for (var j = 0, lenj = groups.length; j < lenj; ++j) {
+        var group = groups[j];
+        var shape = group.getChildren(dwv.draw.isNodeNameShape)[0];
+        var graphic = dwv.draw.getShapeGraphic(group.name(), shape);
+        if (graphic === null) {
+          continue;
+        }
+        // shape and group drag offsets
+        var dx = group.x() + shape.x();
+        var dy = group.y() + shape.y();
+        var graphicData = [];
+        var graphicType = graphic.type;
+        var p;
+        if (isImagePlane) {
+          for (p = 0; p < graphic.points.length; p += 2) {
+            graphicData.push(graphic.points[p] + dx);
+            graphicData.push(graphic.points[p + 1] + dy);
+          }
+        } else {
+          // world coordinates: no circle and explicit polygon
+          var planePoints = graphic.points;
+          if (graphicType === 'CIRCLE') {
+            var cx = planePoints[0];
+            var cy = planePoints[1];
+            var radius = planePoints[2] - cx;
+            var xAxis = [cx - radius, cy, cx + radius, cy];
+            var yAxis = [cx, cy - radius, cx, cy + radius];
+            planePoints = xAxis.concat(yAxis);
+            graphicType = 'ELLIPSE';
+          } else if (group.name() === 'rectangle-group') {
+            graphicType = 'POLYGON';
+          }
+          for (p = 0; p < planePoints.length; p += 2) {
+            var point3D = dwv.draw.getDrawPointWorld(geometry, planeHelper,
+              planePoints[p] + dx, planePoints[p + 1] + dy, k);
+            graphicData.push(point3D.getX());
+            graphicData.push(point3D.getY());
+            graphicData.push(point3D.getZ());
+          }
+        }
+
+        var text = group.getChildren(
+          dwv.draw.isNodeNameLabel)[0].getChildren()[0];
+        // imported measurements keep their tracking
+        var trackingId = group.getAttr('trackingId');
+        if (typeof trackingId === 'undefined') {
+          trackingId = group.id();
+        }
+        var measurement = {
+          trackingId: trackingId,
+          trackingUid: group.getAttr('trackingUid'),
+          type: graphic.name,
+          graphicType: graphicType,
+          graphicData: graphicData,
+          quantification: text.meta.quantification
+        };
+        if (isImagePlane) {
+          var reference = dwv.draw.getPositionImageReference(image, position);
+          measurement.referencedSOPInstanceUID = reference.sopInstanceUID;
+          // used for multi-frame data
+          measurement.referencedFrameNumber = reference.frameNumber;
+        }
+        measurements.push(measurement);
+      }
+    }
+    return measurements;
+  };
+
+  /**
+   * Get the drawings as presentation state annotations.
+   * The shapes are described in image pixels so the view needs
+   *   to be in the image plane.
+   *
+   * @param {dwv.image.Image} image The associated image.
+   * @param {dwv.image.PlaneHelper} planeHelper The associated plane helper.
+   * @returns {object} The annotations as {graphicLayers, annotations},
+   *   see dwv.dicom.getPresentationState, with one graphic layer per
+   *   shape colour.
+   */
+  this.getDrawAnnotations = function (image, planeHelper) {
+    var scrollIndex = planeHelper.getScrollIndex();
+    if (scrollIndex !== 2) {
+      throw new Error(
+        'Drawings annotations are only available in the image plane.');
+    }
+    var graphicLayers = [];
+    var annotations = [];
+    var getLayerName = function (colour) {
+      for (var l = 0; l < graphicLayers.length; ++l) {
+        if (graphicLayers[l].colour === colour) {
+          return graphicLayers[l].name;
+        }
+      }
+      var name = 'LAYER' + graphicLayers.length;
+      graphicLayers.push({
+        name: name,
+        order: graphicLayers.length + 1,
+        colour: colour
+      });
+      return name;
+    };
+
+    var posGroups = konvaLayer.getChildren(dwv.draw.isPositionNode);
+    for (var i = 0, leni = posGroups.length; i < leni; ++i) {
+      var position = dwv.math.getIndexFromStringId(posGroups[i].id());
+      var reference = dwv.draw.getPositionImageReference(image, position);
+      var referencedImages = [{
+        sopInstanceUID: reference.sopInstanceUID,
+        // only used for multi-frame data
+        frameNumbers: [reference.frameNumber]
+      }];
+
+      var groups = posGroups[i].getChildren();
+      for (var j = 0, lenj = groups.length; j < lenj; ++j) {
+        var group = groups[j];
+        var shape = group.getChildren(dwv.draw.isNodeNameShape)[0];
+        var graphic = dwv.draw.getShapeAnnotationGraphic(group.name(), shape);
+        // text shapes only have a label
+        var isText = group.name() === 'text-group';
+        if (graphic === null && !isText) {
+          continue;
+        }
+        // shape and group drag offsets
+        var dx = group.x() + shape.x();
+        var dy = group.y() + shape.y();
+        var data = [];
+        if (graphic !== null) {
+          for (var p = 0; p < graphic.points.length; p += 2) {
+            data.push(graphic.points[p] + dx);
+            data.push(graphic.points[p + 1] + dy);
+          }
+        }
+        var annotation = {
+          layer: getLayerName(shape.stroke()),
+          referencedImages: referencedImages,
+          graphics: [],
+          texts: []
+        };
+        // label as a text object
+        var label = group.getChildren(dwv.draw.isNodeNameLabel)[0];
+        var text = label.getChildren()[0];
+        if (label.visible() && text.text().length !== 0) {
+          var x0 = group.x() + label.x();
+          var y0 = group.y() + label.y();
+          var textObject = {
+            text: text.text(),
+            boundingBoxUnits: 'PIXEL',
+            topLeft: [x0, y0],
+            bottomRight: [
+              x0 + label.width() * Math.abs(label.scaleX()),
+              y0 + label.height() * Math.abs(label.scaleY())
+            ]
+          };
+          // arrows: the text points to the arrow head
+          if (!isText && graphic.name === 'Arrow') {
+            textObject.anchorUnits = 'PIXEL';
+            textObject.anchor = data.slice(0, 2);
+            textObject.anchorVisible = true;
+          }
+          annotation.texts.push(textObject);
+        }
+        if (!isText &&
+          (graphic.name !== 'Arrow' || annotation.texts.length === 0)) {
+          annotation.graphics.push({
+            units: 'PIXEL',
+            type: graphic.type,
+            data: data,
+            filled: false
+          });
+        }
+        if (annotation.graphics.length !== 0 ||
+          annotation.texts.length !== 0) {
+          annotations.push(annotation);
+        }
+      }
+    }
+    return {
+      graphicLayers: graphicLayers,
+      annotations: annotations
+    };
+  };
+
+  /**
+   * Get the ROI and free hand drawings as RT structure set structures:
+   *   the contours are grouped per label text (or per colour for
+   *   drawings without label) and given in world coordinates.
+   * Free hand drawings are exported as closed contours.
+   *
+   * @param {dwv.image.Image} image The drawn image.
+   * @param {dwv.image.PlaneHelper} planeHelper The plane helper of
+   *   the drawn view.
+   * @returns {Array} The list of structures as {name, colour, contours},
+   *   see dwv.dicom.getStructureSetTags.
+   */
+  this.getDrawContours = function (image, planeHelper) {
+    var structures = [];
+    var keys = [];
+    var scrollIndex = planeHelper.getScrollIndex();
+    var isImagePlane = scrollIndex === 2;
+    var geometry = image.getGeometry();
+
+    var posGroups = konvaLayer.getChildren(dwv.draw.isPositionNode);
+    for (var i = 0, leni = posGroups.length; i < leni; ++i) {
+      var position = dwv.math.getIndexFromStringId(posGroups[i].id());
+      var k = position.get(scrollIndex);
+      var values = [0, 0, k];
+      for (var d = 3; d < position.length(); ++d) {
+        values.push(position.get(d));
+      }
+      var groups = posGroups[i].getChildren();
+      for (var j = 0, lenj = groups.length; j < lenj; ++j) {
+        var group = groups[j];
+        if (group.name() !== 'roi-group' &&
+          group.name() !== 'freeHand-group') {
+          continue;
+        }
+        var shape = group.getChildren(dwv.draw.isNodeNameShape)[0];
+        var points = shape.points();
+        if (points.length < 6) {
+          continue;
+        }
+        // shape and group drag offsets
+        var dx = group.x() + shape.x();
+        var dy = group.y() + shape.y();
+        var data = [];
+        for (var p = 0; p < points.length; p += 2) {
+          var world = dwv.draw.getDrawPointWorld(geometry, planeHelper,
+            points[p] + dx, points[p + 1] + dy, k);
+          data.push(world.getX());
+          data.push(world.getY());
+          data.push(world.getZ());
+        }
+        var contour = {
+          type: 'CLOSED_PLANAR',
+          points: data,
+          referencedSOPInstanceUIDs: []
+        };
+        if (isImagePlane) {
+          contour.referencedSOPInstanceUIDs.push(
+            image.getImageUid(new dwv.math.Index(values)));
+        }
+
+        // structure: label text or colour
+        var text = group.getChildren(
+          dwv.draw.isNodeNameLabel)[0].getChildren()[0];
+        var name = text.meta.textExpr.trim();
+        var key = name.length !== 0 ? 'name:' + name : shape.stroke();
+        var index = keys.indexOf(key);
+        if (index === -1) {
+          index = keys.length;
+          keys.push(key);
+          structures.push({
+            name: name,
+            colour: shape.stroke(),
+            contours: []
+          });
+        }
+        structures[index].contours.push(contour);
+      }
+    }
+    // default names
+    for (var s = 0; s < structures.length; ++s) {
+      if (structures[s].name.length === 0) {
+        structures[s].name = 'Structure ' + (s + 1);
+      }
+    }
+    return structures;
+  };
+
+  /**
+   * Add shapes created by the draw factories, for example from
+   *   imported DICOM data.
+   *
+   * @param {Array} shapes The list of shapes as {name, points, posGroupId}
+   *   with name the draw factory name (for ex 'Ruler' for the
+   *   RulerFactory), points the factory creation points and
+   *   posGroupId the id of the position group where to add the shape.
+   *   Shapes can also have a colour (hex string) and a textExpr label
+   *   text that replace the default ones, imported quantification
+   *   values that replace the computed ones and a measurement
+   *   trackingId and trackingUid that are kept for export.
+   * @param {object} style The drawing style.
+   * @param {object} viewController The associated view controller.
+   * @param {object} cmdCallback The DrawCommand callback.
+   * @param {object} exeCallback The optional callback to call once the
+   *   DrawCommand has been executed, for example to add it to the
+   *   undo stack.
+   * @returns {Array} The list of the created shape group ids.
+   */
+  this.addShapes = function (
+    shapes, style, viewController, cmdCallback, exeCallback) {
+    var ids = [];
+    for (var i = 0; i < shapes.length; ++i) {
+      var factory = new dwv.tool.draw[shapes[i].name + 'Factory']();
+      var group = factory.create(shapes[i].points, style, viewController);
+      group.id(dwv.math.guid());
+      ids.push(group.id());
+
+      getOrCreatePosGroup(konvaLayer, shapes[i].posGroupId).add(group);
+
+      // create and execute the draw command
+      var shape = group.getChildren(dwv.draw.isNodeNameShape)[0];
+      var cmd = new dwv.tool.DrawGroupCommand(
+        group, dwv.tool.GetShapeDisplayName(shape), konvaLayer);
+      cmd.onExecute = cmdCallback;
+      cmd.onUndo = cmdCallback;
+      cmd.execute();
+      if (typeof exeCallback !== 'undefined') {
+        exeCallback(cmd);
+      }
+
+      // optional measurement tracking
+      if (typeof shapes[i].trackingId !== 'undefined') {
+        group.setAttr('trackingId', shapes[i].trackingId);
+      }
+      if (typeof shapes[i].trackingUid !== 'undefined') {
+        group.setAttr('trackingUid', shapes[i].trackingUid);
+      }
+
+      // optional colour, label and quantification
+      if (typeof shapes[i].colour !== 'undefined' ||
+        typeof shapes[i].textExpr !== 'undefined' ||
+        typeof shapes[i].quantification !== 'undefined') {
+        var drawDetails = {
+          id: group.id(),
+          color: shapes[i].colour
+        };
+        if (typeof drawDetails.color === 'undefined') {
+          drawDetails.color = style.getLineColour();
+        }
+        var text = group.getChildren(
+          dwv.draw.isNodeNameLabel)[0].getChildren()[0];
+        drawDetails.meta = {
+          textExpr: text.meta.textExpr,
+          quantification: text.meta.quantification
+        };
+        if (typeof shapes[i].textExpr !== 'undefined') {
+          drawDetails.meta.textExpr = shapes[i].textExpr;
+        }
+        if (typeof shapes[i].quantification !== 'undefined') {
+          var quantification = {};
+          var names = Object.keys(text.meta.quantification);
+          var n;
+          for (n = 0; n < names.length; ++n) {
+            quantification[names[n]] = text.meta.quantification[names[n]];
+          }
+          names = Object.keys(shapes[i].quantification);
+          for (n = 0; n < names.length; ++n) {
+            quantification[names[n]] = shapes[i].quantification[names[n]];
+          }
+          drawDetails.meta.quantification = quantification;
+        }
+        this.updateDraw(drawDetails);
+      }
+    }
+    return ids;
+  };
+
+  /**
+   * Add overlay shapes: non interactive shapes created by the draw
+   *   factories, they are not exported and not part of the undo stack.
+   *
+   * @param {Array} shapes The list of shapes as {name, points, posGroupId},
+   *   see addShapes, with an optional colour and textExpr.
+   * @param {object} style The drawing style.
+   * @param {object} viewController The associated view controller.
+   * @returns {Array} The list of the created shape group ids.
+   */
+  this.addOverlayShapes = function (shapes, style, viewController) {
+    if (typeof overlayLayer === 'undefined') {
+      throw new Error('No overlay layer to add shapes to.');
+    }
+    var ids = [];
+    for (var i = 0; i < shapes.length; ++i) {
+      var factory = new dwv.tool.draw[shapes[i].name + 'Factory']();
+      var group = factory.create(shapes[i].points, style, viewController);
+      group.id(dwv.math.guid());
+      group.listening(false);
+      ids.push(group.id());
+      getOrCreatePosGroup(overlayLayer, shapes[i].posGroupId).add(group);
+
+      // optional colour and label
+      var text = group.getChildren(
+        dwv.draw.isNodeNameLabel)[0].getChildren()[0];
+      var drawDetails = {
+        color: shapes[i].colour,
+        meta: {
+          textExpr: text.meta.textExpr,
+          quantification: text.meta.quantification
+        }
+      };
+      if (typeof drawDetails.color === 'undefined') {
+        drawDetails.color = style.getLineColour();
+      }
+      if (typeof shapes[i].textExpr !== 'undefined') {
+        drawDetails.meta.textExpr = shapes[i].textExpr;
+      }
+      updateGroup(group, drawDetails);
+    }
+    overlayLayer.draw();
+    return ids;
+  };
+
+  /**
+   * Delete overlay shapes.
+   *
+   * @param {Array} ids The list of the shape group ids to delete.
+   */
+  this.deleteOverlayShapes = function (ids) {
+    if (typeof overlayLayer === 'undefined') {
+      return;
+    }
+    for (var i = 0; i < ids.length; ++i) {
+      var group = overlayLayer.findOne('#' + ids[i]);
+      if (typeof group === 'undefined') {
+        dwv.logger.warn('Can\'t delete overlay group with id:\'' + ids[i] +
+          '\', cannot find it.');
+      } else {
+        group.destroy();
+      }
+    }
+    overlayLayer.draw();
+  };
+
   /**
    * Set the drawings on the current stage.
    *
@@ -306,16 +976,7 @@ dwv.ctrl.DrawController = function (konvaLayer) {
 
       // Get or create position-group if it does not exist and
       // append it to konvaLayer
-      var posGroup = konvaLayer.getChildren(
-        dwv.draw.isNodeWithId(statePosGroup.id()))[0];
-      if (typeof posGroup === 'undefined') {
-        posGroup = new Konva.Group({
-          id: statePosGroup.id(),
-          name: 'position-group',
-          visible: false
-        });
-        konvaLayer.add(posGroup);
-      }
+      var posGroup = getOrCreatePosGroup(konvaLayer, statePosGroup.id());
 
       var statePosKids = statePosGroup.getChildren();
       for (var j = 0, lenj = statePosKids.length; j < lenj; ++j) {
@@ -352,19 +1013,12 @@ dwv.ctrl.DrawController = function (konvaLayer) {
   };
 
   /**
-   * Update a drawing from its details.
+   * Update a shape group from draw details.
    *
-   * @param {object} drawDetails Details of the drawing to update.
+   * @param {object} group The Konva.Group.
+   * @param {object} drawDetails The draw details as {color, meta}.
    */
-  this.updateDraw = function (drawDetails) {
-    // get the group
-    var group = konvaLayer.findOne('#' + drawDetails.id);
-    if (typeof group === 'undefined') {
-      dwv.logger.warn(
-        '[updateDraw] Cannot find group with id: ' + drawDetails.id
-      );
-      return;
-    }
+  function updateGroup(group, drawDetails) {
     // shape
     var shapes = group.getChildren(dwv.draw.isNodeNameShape);
     for (var i = 0; i < shapes.length; ++i) {
@@ -399,6 +1053,23 @@ dwv.ctrl.DrawController = function (konvaLayer) {
         }
       }
     }
+  }
+
+  /**
+   * Update a drawing from its details.
+   *
+   * @param {object} drawDetails Details of the drawing to update.
+   */
+  this.updateDraw = function (drawDetails) {
+    // get the group
+    var group = konvaLayer.findOne('#' + drawDetails.id);
+    if (typeof group === 'undefined') {
+      dwv.logger.warn(
+        '[updateDraw] Cannot find group with id: ' + drawDetails.id
+      );
+      return;
+    }
+    updateGroup(group, drawDetails);
 
     // udpate current layer
     konvaLayer.draw();
@@ -454,18 +1125,12 @@ dwv.ctrl.DrawController = function (konvaLayer) {
    *   DeleteCommand has been executed.
    */
   this.deleteDrawGroupId = function (groupId, cmdCallback, exeCallback) {
-    var groups = konvaLayer.getChildren();
-    var groupToDelete = groups.getChildren(function (node) {
-      return node.id() === groupId;
-    });
-    if (groupToDelete.length === 1) {
-      this.deleteDrawGroup(groupToDelete[0], cmdCallback, exeCallback);
-    } else if (groupToDelete.length === 0) {
+    var group = konvaLayer.findOne('#' + groupId);
+    if (typeof group === 'undefined') {
       dwv.logger.warn('Can\'t delete group with id:\'' + groupId +
         '\', cannot find it.');
     } else {
-      dwv.logger.warn('Can\'t delete group with id:\'' + groupId +
-        '\', too many with the same id.');
+      this.deleteDrawGroup(group, cmdCallback, exeCallback);
     }
   };
 
@@ -6,9 +6,12 @@ dwv.ctrl = dwv.ctrl || {};
  * Load controller.
  *
  * @param {string} defaultCharacterSet The default character set.
+ * @param {boolean} lenientParsing Optional lenient DICOM parsing flag.
+ * @param {boolean} lazyPixelData Optional lazy pixel data parsing flag.
  * @class
  */
-dwv.ctrl.LoadController = function (defaultCharacterSet) {
+dwv.ctrl.LoadController = function (
+  defaultCharacterSet, lenientParsing, lazyPixelData) {
   // closure to self
   var self = this;
   // current loaders
@@ -33,6 +36,7 @@ dwv.ctrl.LoadController = function (defaultCharacterSet) {
    * @param {Array} files The list of files to load.
    * @param {object} options The options object, can contain:
    *  - timepoint: an object with time information
+   *  - seriesInstanceUID: the DICOMDIR series to load
    */
   this.loadFiles = function (files, options) {
     // has been checked for emptiness.
@@ -51,6 +55,7 @@ dwv.ctrl.LoadController = function (defaultCharacterSet) {
    * @param {object} options The load options:
    * - requestHeaders: an array of {name, value} to use as request headers.
    * - withCredentials: credentials flag to pass to the request.
+   * - seriesInstanceUID: the DICOMDIR series to load.
    */
   this.loadURLs = function (urls, options) {
     // has been checked for emptiness.
@@ -71,6 +76,8 @@ dwv.ctrl.LoadController = function (defaultCharacterSet) {
   this.loadImageObject = function (data) {
     // create IO
     var memoryIO = new dwv.io.MemoryLoader();
+    memoryIO.setLazyPixelData(lazyPixelData);
+    memoryIO.setLenientParsing(lenientParsing);
     // load data
     loadData(data, memoryIO, 'image');
   };
@@ -100,6 +107,8 @@ dwv.ctrl.LoadController = function (defaultCharacterSet) {
     // create IO
     var fileIO = new dwv.io.FilesLoader();
     fileIO.setDefaultCharacterSet(defaultCharacterSet);
+    fileIO.setLazyPixelData(lazyPixelData);
+    fileIO.setLenientParsing(lenientParsing);
     // load data
     loadData(files, fileIO, 'image', options);
   }
@@ -117,6 +126,8 @@ dwv.ctrl.LoadController = function (defaultCharacterSet) {
     // create IO
     var urlIO = new dwv.io.UrlsLoader();
     urlIO.setDefaultCharacterSet(defaultCharacterSet);
+    urlIO.setLazyPixelData(lazyPixelData);
+    urlIO.setLenientParsing(lenientParsing);
     // load data
     loadData(urls, urlIO, 'image', options);
   }
@@ -205,9 +216,12 @@ dwv.ctrl.LoadController = function (defaultCharacterSet) {
       }
       // callback
       augmentCallbackEvent(self.onloaditem, eventInfoItem)(event);
-      // update loader
+      // update loader (structured reports, presentation states and
+      // structure sets do not provide an image)
+      var isImageLess = loadType === 'image' &&
+        typeof event.data.image === 'undefined';
       if (typeof currentLoaders[loadId] !== 'undefined' &&
-        currentLoaders[loadId].isFirstItem) {
+        currentLoaders[loadId].isFirstItem && !isImageLess) {
         currentLoaders[loadId].isFirstItem = false;
       }
     };
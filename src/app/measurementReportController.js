@@ -0,0 +1,146 @@
+// namespaces
+var dwv = dwv || {};
+dwv.ctrl = dwv.ctrl || {};
+
+/**
+ * Measurement report controller: adds the measurements of DICOM
+ *   structured reports as drawings of the displayed data.
+ *
+ * @class
+ * @param {dwv.gui.Stage} stage The application stage.
+ * @param {dwv.ctrl.DataController} dataController The data controller.
+ */
+dwv.ctrl.MeasurementReportController = function (stage, dataController) {
+
+  /**
+   * Get the position of a structured report measurement in a data.
+   *
+   * @param {object} measurement The measurement, see
+   *   dwv.dicom.getMeasurementsFromReport.
+   * @param {object} data The data as {image, meta}.
+   * @param {dwv.math.Index} index The current data index.
+   * @returns {object} The position as {index, points} with index the
+   *   data index of the measurement and points the list of
+   *   dwv.math.Point2D in image pixel coordinates, null if the
+   *   measurement does not apply to the data.
+   */
+  function getReportMeasurementPosition(measurement, data, index) {
+    var geometry = data.image.getGeometry();
+    var numberOfSlices = geometry.getSize().get(2);
+    var graphicData = measurement.graphicData;
+    var points = [];
+    var position = null;
+    var i;
+    if (typeof measurement.referencedSOPInstanceUID !== 'undefined') {
+      position = data.image.getReferencedIndex(index,
+        measurement.referencedSOPInstanceUID,
+        measurement.referencedFrameNumber);
+      for (i = 0; i < graphicData.length; i += 2) {
+        points.push(new dwv.math.Point2D(graphicData[i], graphicData[i + 1]));
+      }
+    } else if (typeof measurement.referencedFrameOfReferenceUID !==
+      'undefined') {
+      var frameOfReference = data.meta.x00200052;
+      if (typeof frameOfReference === 'undefined' ||
+        dwv.dicom.cleanString(frameOfReference.value[0]) !==
+        measurement.referencedFrameOfReferenceUID) {
+        return null;
+      }
+      for (i = 0; i < graphicData.length; i += 3) {
+        var point = geometry.worldToPoint(new dwv.math.Point3D(
+          graphicData[i], graphicData[i + 1], graphicData[i + 2]));
+        if (position === null) {
+          var k = Math.round(point.getZ());
+          if (k < 0 || k >= numberOfSlices) {
+            return null;
+          }
+          var values = index.getValues();
+          values[2] = k;
+          position = new dwv.math.Index(values);
+        }
+        // drawings have the pixel center at 0.5
+        points.push(new dwv.math.Point2D(
+          point.getX() + 0.5, point.getY() + 0.5));
+      }
+    }
+    if (position === null) {
+      return null;
+    }
+    return {
+      index: position,
+      points: points
+    };
+  }
+
+  /**
+   * Add the measurements of a structured report as drawings
+   *   of the displayed data they reference.
+   *
+   * @param {object} elements The raw DICOM elements of the report.
+   * @param {dwv.gui.Style} style The drawing style.
+   * @param {object} cmdCallback The DrawCommand callback.
+   * @param {object} exeCallback The optional callback to call once the
+   *   DrawCommand has been executed.
+   */
+  this.addDrawings = function (elements, style, cmdCallback, exeCallback) {
+    var measurements = dwv.dicom.getMeasurementsFromReport(elements);
+    var numberOfShapes = 0;
+    for (var g = 0; g < stage.getNumberOfLayerGroups(); ++g) {
+      var layerGroup = stage.getLayerGroup(g);
+      var dataIndices = layerGroup.getViewDataIndices();
+      for (var d = 0; d < dataIndices.length; ++d) {
+        var drawLayers = layerGroup.getDrawLayersByDataIndex(dataIndices[d]);
+        if (drawLayers.length === 0) {
+          continue;
+        }
+        var viewController = layerGroup.getViewLayersByDataIndex(
+          dataIndices[d])[0].getViewController();
+        // coordinates are given in the image plane
+        if (viewController.getScrollIndex() !== 2) {
+          dwv.logger.warn('Cannot add report drawings to a view ' +
+            'that is not in the image plane.');
+          continue;
+        }
+        var data = dataController.get(dataIndices[d]);
+        var index = viewController.getCurrentIndex();
+        var dims = [2];
+        for (var j = 3; j < index.length(); ++j) {
+          dims.push(j);
+        }
+        var shapes = [];
+        for (var m = 0; m < measurements.length; ++m) {
+          var position = getReportMeasurementPosition(
+            measurements[m], data, index);
+          if (position === null) {
+            continue;
+          }
+          var shape = dwv.draw.getShapeFromGraphic(
+            measurements[m].graphicType, position.points);
+          if (shape === null) {
+            dwv.logger.warn('Unsupported report graphic type: ' +
+              measurements[m].graphicType);
+            continue;
+          }
+          shape.posGroupId = position.index.toStringId(dims);
+          // keep the imported measurement tracking and values
+          shape.trackingId = measurements[m].trackingId;
+          shape.trackingUid = measurements[m].trackingUid;
+          shape.quantification = measurements[m].quantification;
+          shapes.push(shape);
+        }
+        var drawController = drawLayers[0].getDrawController();
+        drawController.addShapes(
+          shapes, style, viewController, cmdCallback, exeCallback);
+        drawController.activateDrawLayer(
+          viewController.getCurrentOrientedIndex(),
+          viewController.getScrollIndex());
+        numberOfShapes += shapes.length;
+      }
+    }
+    if (measurements.length !== 0 && numberOfShapes === 0) {
+      dwv.logger.warn('No displayed data for the structured report ' +
+        'measurements, load the referenced data first.');
+    }
+  };
+
+}; // class MeasurementReportController
@@ -0,0 +1,114 @@
+// namespaces
+var dwv = dwv || {};
+dwv.ctrl = dwv.ctrl || {};
+
+/**
+ * Presentation state controller: applies Grayscale Softcopy
+ *   Presentation States (GSPS) to the displayed data they reference.
+ *
+ * @class
+ * @param {dwv.gui.Stage} stage The application stage.
+ * @param {dwv.ctrl.DataController} dataController The data controller.
+ */
+dwv.ctrl.PresentationStateController = function (stage, dataController) {
+
+  /**
+   * Apply a display transform to a layer group.
+   *
+   * @param {dwv.gui.LayerGroup} layerGroup The layer group.
+   * @param {dwv.ctrl.ViewController} viewController The data view controller.
+   * @param {dwv.image.Geometry} geometry The data image geometry.
+   * @param {object} transform The transform, see
+   *   dwv.image.PresentationStateHelper.getDisplayTransform.
+   */
+  function applyDisplayTransform(
+    layerGroup, viewController, geometry, transform) {
+    var spacing = geometry.getSpacing();
+    // plane pixel offset to layer offset
+    var offset = viewController.getPlaneHelper().getTargetDeOrientedVector3D(
+      new dwv.math.Vector3D(
+        transform.planeOffset.x, transform.planeOffset.y, 0));
+    layerGroup.setScale(transform.scale);
+    layerGroup.setOffset({
+      x: offset.getX() * spacing.get(0),
+      y: offset.getY() * spacing.get(1),
+      z: offset.getZ() * spacing.get(2)
+    });
+    layerGroup.setRotation(transform.rotation);
+    layerGroup.draw();
+  }
+
+  /**
+   * Apply a presentation state to the displayed data it references:
+   *   window level, presentation LUT, spatial transformation,
+   *   displayed area and annotations.
+   *
+   * @param {object} elements The raw DICOM elements of the
+   *   presentation state.
+   * @param {dwv.gui.Style} style The drawing style.
+   * @param {object} cmdCallback The DrawCommand callback.
+   * @param {object} exeCallback The optional callback to call once the
+   *   DrawCommand has been executed.
+   */
+  this.apply = function (elements, style, cmdCallback, exeCallback) {
+    var state = dwv.dicom.getPresentationState(elements);
+    var helper = new dwv.image.PresentationStateHelper(state);
+    var isApplied = false;
+    for (var g = 0; g < stage.getNumberOfLayerGroups(); ++g) {
+      var layerGroup = stage.getLayerGroup(g);
+      var dataIndices = layerGroup.getViewDataIndices();
+      for (var d = 0; d < dataIndices.length; ++d) {
+        var image = dataController.get(dataIndices[d]).image;
+        var viewController = layerGroup.getViewLayersByDataIndex(
+          dataIndices[d])[0].getViewController();
+        var index = viewController.getCurrentIndex();
+        var indices = helper.getIndices(state.referencedImages, image, index);
+        if (indices.length === 0) {
+          continue;
+        }
+        isApplied = true;
+
+        // VOI and presentation LUTs
+        var voiLut = helper.getItem(state.voiLuts, image, index);
+        if (typeof voiLut !== 'undefined') {
+          viewController.setWindowLevel(
+            voiLut.windowCenter, voiLut.windowWidth);
+        }
+        if (state.presentationLutShape === 'INVERSE') {
+          viewController.setColourMap(dwv.image.lut.invPlain);
+        } else if (state.presentationLutShape === 'IDENTITY') {
+          viewController.setColourMap(dwv.image.lut.plain);
+        }
+
+        // spatial transformation and annotations are given
+        // in the image plane
+        if (viewController.getScrollIndex() !== 2) {
+          dwv.logger.warn('Cannot apply presentation display and ' +
+            'annotations to a view that is not in the image plane.');
+          continue;
+        }
+        var area = helper.getItem(state.displayedAreas, image, index);
+        var drawLayers = layerGroup.getDrawLayersByDataIndex(dataIndices[d]);
+        if (drawLayers.length !== 0) {
+          var shapes = helper.getShapes(area, indices, image, index);
+          var drawController = drawLayers[0].getDrawController();
+          drawController.addShapes(
+            shapes, style, viewController, cmdCallback, exeCallback);
+          drawController.activateDrawLayer(
+            viewController.getCurrentOrientedIndex(),
+            viewController.getScrollIndex());
+        }
+        // after the shapes: updates their label scale and rotation
+        var geometry = image.getGeometry();
+        applyDisplayTransform(layerGroup, viewController, geometry,
+          helper.getDisplayTransform(
+            area, geometry, layerGroup.getFitScale()));
+      }
+    }
+    if (!isApplied) {
+      dwv.logger.warn('No displayed data for the presentation state, ' +
+        'load the referenced data first.');
+    }
+  };
+
+}; // class PresentationStateController
@@ -0,0 +1,241 @@
+// namespaces
+var dwv = dwv || {};
+dwv.ctrl = dwv.ctrl || {};
+
+/**
+ * Structure set controller: adds the contours of RT structure sets
+ *   as drawings of the displayed data and keeps the list of the
+ *   loaded structures.
+ *
+ * @class
+ * @param {dwv.gui.Stage} stage The application stage.
+ * @param {dwv.ctrl.DataController} dataController The data controller.
+ */
+dwv.ctrl.StructureSetController = function (stage, dataController) {
+
+  /**
+   * The loaded structures as {name, number, interpretedType, colour,
+   *   visible, drawings} with drawings the list of their contour
+   *   drawings as {drawController, id}.
+   *
+   * @private
+   * @type {Array}
+   */
+  var structures = [];
+
+  /**
+   * Reset the class: empty the structure list.
+   */
+  this.reset = function () {
+    structures = [];
+  };
+
+  /**
+   * Get the index of a structure set contour in a data.
+   *
+   * @param {object} contour The contour, see dwv.dicom.getStructureSet.
+   * @param {string} frameOfReferenceUid The structure frame of
+   *   reference UID.
+   * @param {object} data The data as {image, meta}.
+   * @param {dwv.math.Index} index The current data index.
+   * @returns {dwv.math.Index} The contour index, null if the contour
+   *   does not apply to the data.
+   */
+  function getContourIndex(contour, frameOfReferenceUid, data, index) {
+    if (contour.referencedSOPInstanceUIDs.length !== 0) {
+      // referenced image
+      return data.image.getReferencedIndex(index,
+        contour.referencedSOPInstanceUIDs[0]);
+    }
+    // position
+    var frameOfReference = data.meta.x00200052;
+    if (typeof frameOfReferenceUid !== 'undefined' &&
+      (typeof frameOfReference === 'undefined' ||
+      dwv.dicom.cleanString(frameOfReference.value[0]) !==
+      frameOfReferenceUid)) {
+      return null;
+    }
+    var point = data.image.getGeometry().worldToPoint(new dwv.math.Point3D(
+      contour.points[0], contour.points[1], contour.points[2]));
+    var k = Math.round(point.getZ());
+    var numberOfSlices = data.image.getGeometry().getSize().get(2);
+    if (k < 0 || k >= numberOfSlices) {
+      return null;
+    }
+    var values = index.getValues();
+    values[2] = k;
+    return new dwv.math.Index(values);
+  }
+
+  /**
+   * Add the contours of a RT structure set as polygon drawings
+   *   of the displayed data they reference, with the structure
+   *   colour and name. The structures are added to the
+   *   structure list.
+   *
+   * @param {object} elements The raw DICOM elements of the structure set.
+   * @param {dwv.gui.Style} style The drawing style.
+   * @param {object} cmdCallback The DrawCommand callback.
+   */
+  this.addDrawings = function (elements, style, cmdCallback) {
+    var structureSet = dwv.dicom.getStructureSet(elements);
+    var numberOfContours = 0;
+    var numberOfShapes = 0;
+    var s;
+    var added = [];
+    for (s = 0; s < structureSet.structures.length; ++s) {
+      var structure = structureSet.structures[s];
+      numberOfContours += structure.contours.length;
+      added.push({
+        name: structure.name,
+        number: structure.number,
+        interpretedType: structure.interpretedType,
+        colour: structure.colour,
+        visible: true,
+        drawings: []
+      });
+    }
+
+    for (var g = 0; g < stage.getNumberOfLayerGroups(); ++g) {
+      var layerGroup = stage.getLayerGroup(g);
+      var dataIndices = layerGroup.getViewDataIndices();
+      for (var d = 0; d < dataIndices.length; ++d) {
+        var drawLayers = layerGroup.getDrawLayersByDataIndex(dataIndices[d]);
+        if (drawLayers.length === 0) {
+          continue;
+        }
+        var viewController = layerGroup.getViewLayersByDataIndex(
+          dataIndices[d])[0].getViewController();
+        // contours are drawn in the image plane
+        if (viewController.getScrollIndex() !== 2) {
+          dwv.logger.warn('Cannot add structure set drawings to a view ' +
+            'that is not in the image plane.');
+          continue;
+        }
+        var data = dataController.get(dataIndices[d]);
+        var geometry = data.image.getGeometry();
+        var index = viewController.getCurrentIndex();
+        var dims = [2];
+        for (var j = 3; j < index.length(); ++j) {
+          dims.push(j);
+        }
+        var drawController = drawLayers[0].getDrawController();
+        for (s = 0; s < structureSet.structures.length; ++s) {
+          var contours = structureSet.structures[s].contours;
+          var shapes = [];
+          for (var c = 0; c < contours.length; ++c) {
+            var name = null;
+            if (contours[c].type === 'CLOSED_PLANAR') {
+              name = 'Roi';
+            } else if (contours[c].type === 'OPEN_PLANAR') {
+              name = 'FreeHand';
+            } else {
+              dwv.logger.warn('Unsupported contour type: ' +
+                contours[c].type);
+              continue;
+            }
+            var contourIndex = getContourIndex(contours[c],
+              structureSet.structures[s].frameOfReferenceUID, data, index);
+            if (contourIndex === null) {
+              continue;
+            }
+            // drawings have the pixel center at 0.5
+            var points = [];
+            for (var p = 0; p + 2 < contours[c].points.length; p += 3) {
+              var point = geometry.worldToPoint(new dwv.math.Point3D(
+                contours[c].points[p],
+                contours[c].points[p + 1],
+                contours[c].points[p + 2]));
+              points.push(new dwv.math.Point2D(
+                point.getX() + 0.5, point.getY() + 0.5));
+            }
+            if (points.length < 2 || (name === 'Roi' && points.length < 3)) {
+              continue;
+            }
+            shapes.push({
+              name: name,
+              points: points,
+              posGroupId: contourIndex.toStringId(dims),
+              colour: added[s].colour,
+              textExpr: added[s].name
+            });
+          }
+          // imported contours are not undoable
+          var ids = drawController.addShapes(
+            shapes, style, viewController, cmdCallback);
+          for (var i = 0; i < ids.length; ++i) {
+            added[s].drawings.push({
+              drawController: drawController,
+              id: ids[i]
+            });
+          }
+          numberOfShapes += ids.length;
+        }
+        drawController.activateDrawLayer(
+          viewController.getCurrentOrientedIndex(),
+          viewController.getScrollIndex());
+      }
+    }
+    structures = structures.concat(added);
+    if (numberOfContours !== 0 && numberOfShapes === 0) {
+      dwv.logger.warn('No displayed data for the structure set ' +
+        'contours, load the referenced data first.');
+    }
+  };
+
+  /**
+   * Get the list of the loaded RT structure set structures.
+   *
+   * @returns {Array} The structures as {name, number, interpretedType,
+   *   colour, visible}, their index in the list is used to change
+   *   their visibility.
+   */
+  this.getStructures = function () {
+    return structures.map(function (structure) {
+      return {
+        name: structure.name,
+        number: structure.number,
+        interpretedType: structure.interpretedType,
+        colour: structure.colour,
+        visible: structure.visible
+      };
+    });
+  };
+
+  /**
+   * Set the visibility of a loaded structure: the visibility of all
+   *   its contour drawings.
+   *
+   * @param {number} index The index of the structure,
+   *   see getStructures.
+   * @param {boolean} flag True to show the structure.
+   */
+  this.setStructureVisibility = function (index, flag) {
+    var structure = structures[index];
+    if (typeof structure === 'undefined') {
+      throw new Error('Unknown structure index: ' + index);
+    }
+    for (var i = 0; i < structure.drawings.length; ++i) {
+      var drawController = structure.drawings[i].drawController;
+      var drawDetails = {id: structure.drawings[i].id};
+      if (drawController.isGroupVisible(drawDetails) !== flag) {
+        drawController.toogleGroupVisibility(drawDetails);
+      }
+    }
+    structure.visible = flag;
+  };
+
+  /**
+   * Toggle the visibility of a loaded structure.
+   *
+   * @param {number} index The index of the structure,
+   *   see getStructures.
+   */
+  this.toggleStructureVisibility = function (index) {
+    var structure = structures[index];
+    if (typeof structure === 'undefined') {
+      throw new Error('Unknown structure index: ' + index);
+    }
+    this.setStructureVisibility(index, !structure.visible);
+  };
+}; // class StructureSetController
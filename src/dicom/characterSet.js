@@ -0,0 +1,403 @@
+// namespaces
+var dwv = dwv || {};
+dwv.dicom = dwv.dicom || {};
+
+/**
+ * Code elements that can be invoked with ISO 2022 escape sequences.
+ * Each element has:
+ * - g: the graphic set it is designated to (0 for G0, 1 for G1),
+ * - escape: the escape sequence bytes,
+ * - bytes: the number of bytes per character,
+ * - label: the TextDecoder label used to decode it (null for ASCII),
+ * - prefix: optional byte to prepend to each character before decoding.
+ * References:
+ * - DICOM [Support of Character Repertoires]{@link https://dicom.nema.org/medical/dicom/2022a/output/chtml/part05/sect_6.1.2.5.html}
+ * - DICOM [Defined Terms for Multi-Byte Character Sets with Code Extensions]{@link https://dicom.nema.org/medical/dicom/2022a/output/chtml/part03/sect_C.12.html#table_C.12-4}
+ *
+ * @type {object}
+ */
+dwv.dicom.characterSetCodeElements = {
+  'IR 6': {g: 0, escape: [0x1b, 0x28, 0x42], bytes: 1, label: null},
+  'IR 14': {g: 0, escape: [0x1b, 0x28, 0x4a], bytes: 1, label: 'shift-jis'},
+  'IR 100': {g: 1, escape: [0x1b, 0x2d, 0x41], bytes: 1, label: 'iso-8859-1'},
+  'IR 101': {g: 1, escape: [0x1b, 0x2d, 0x42], bytes: 1, label: 'iso-8859-2'},
+  'IR 109': {g: 1, escape: [0x1b, 0x2d, 0x43], bytes: 1, label: 'iso-8859-3'},
+  'IR 110': {g: 1, escape: [0x1b, 0x2d, 0x44], bytes: 1, label: 'iso-8859-4'},
+  'IR 144': {g: 1, escape: [0x1b, 0x2d, 0x4c], bytes: 1, label: 'iso-8859-5'},
+  'IR 127': {g: 1, escape: [0x1b, 0x2d, 0x47], bytes: 1, label: 'iso-8859-6'},
+  'IR 126': {g: 1, escape: [0x1b, 0x2d, 0x46], bytes: 1, label: 'iso-8859-7'},
+  'IR 138': {g: 1, escape: [0x1b, 0x2d, 0x48], bytes: 1, label: 'iso-8859-8'},
+  'IR 148': {g: 1, escape: [0x1b, 0x2d, 0x4d], bytes: 1, label: 'iso-8859-9'},
+  'IR 166': {g: 1, escape: [0x1b, 0x2d, 0x54], bytes: 1, label: 'iso-8859-11'},
+  'IR 13': {g: 1, escape: [0x1b, 0x29, 0x49], bytes: 1, label: 'shift-jis'},
+  'IR 87': {g: 0, escape: [0x1b, 0x24, 0x42], bytes: 2, label: 'euc-jp'},
+  'IR 159': {
+    g: 0,
+    escape: [0x1b, 0x24, 0x28, 0x44],
+    bytes: 2,
+    label: 'euc-jp',
+    prefix: 0x8f
+  },
+  'IR 149': {g: 1, escape: [0x1b, 0x24, 0x29, 0x43], bytes: 2, label: 'euc-kr'},
+  'IR 58': {g: 1, escape: [0x1b, 0x24, 0x29, 0x41], bytes: 2, label: 'gb2312'}
+};
+
+/**
+ * Text decoders indexed by label.
+ *
+ * @type {object}
+ */
+dwv.dicom.characterSetTextDecoders = {};
+
+/**
+ * Encoding tables (character to bytes) indexed by code element name.
+ *
+ * @type {object}
+ */
+dwv.dicom.characterSetEncodingTables = {};
+
+/**
+ * Get the character set terms from a SpecificCharacterSet value.
+ *
+ * @param {Array} value The SpecificCharacterSet (0008,0005) value.
+ * @returns {Array} The list of cleaned terms, empty values are
+ *   returned as empty strings.
+ */
+dwv.dicom.getCharacterSetTerms = function (value) {
+  var terms = [];
+  for (var i = 0; i < value.length; ++i) {
+    terms.push(value[i] === null ? '' : dwv.dicom.cleanString(value[i]));
+  }
+  return terms;
+};
+
+/**
+ * Get the code elements of a character set term.
+ *
+ * @param {string} term The character set term, for example
+ *   'ISO 2022 IR 87'. An empty term is the default repertoire.
+ * @returns {Array} The list of code element names, null if the term
+ *   is not supported with code extensions.
+ */
+dwv.dicom.getCodeElements = function (term) {
+  if (term === '') {
+    return ['IR 6'];
+  }
+  // also accept terms without code extensions ('ISO_IR 100')
+  var name = term.replace(/^ISO_IR /, 'IR ').replace(/^ISO 2022 /, '');
+  if (name === 'IR 13') {
+    // JIS X 0201: katakana in G1 and romaji in G0
+    return ['IR 13', 'IR 14'];
+  }
+  if (typeof dwv.dicom.characterSetCodeElements[name] === 'undefined' ||
+    name === 'IR 14') {
+    return null;
+  }
+  return [name];
+};
+
+/**
+ * Check if a list of character set terms uses code extensions,
+ *   i.e. if it has multiple values or an 'ISO 2022' value, and
+ *   if all its terms are supported.
+ *
+ * @param {Array} terms The list of character set terms, as found
+ *   in the SpecificCharacterSet (0008,0005) element.
+ * @returns {boolean} True if the terms use supported code extensions.
+ */
+dwv.dicom.isCodeExtensionCharacterSet = function (terms) {
+  if (terms.length === 0 ||
+    (terms.length === 1 && terms[0].indexOf('ISO 2022') !== 0)) {
+    return false;
+  }
+  for (var i = 0; i < terms.length; ++i) {
+    if (dwv.dicom.getCodeElements(terms[i]) === null) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Get the initial state of the graphic sets for a list of character
+ *   set terms: the one of the first term, or the default repertoire
+ *   if it is empty.
+ *
+ * @param {Array} terms The list of character set terms.
+ * @returns {object} The initial state as {g0, g1} code element names,
+ *   g1 can be null.
+ */
+dwv.dicom.getInitialCodeElements = function (terms) {
+  var state = {g0: 'IR 6', g1: null};
+  var names = dwv.dicom.getCodeElements(terms[0]);
+  for (var i = 0; i < names.length; ++i) {
+    if (dwv.dicom.characterSetCodeElements[names[i]].g === 0) {
+      state.g0 = names[i];
+    } else {
+      state.g1 = names[i];
+    }
+  }
+  return state;
+};
+
+/**
+ * Get a cached text decoder.
+ *
+ * @param {string} label The decoder label.
+ * @returns {object} The text decoder.
+ */
+dwv.dicom.getCachedTextDecoder = function (label) {
+  if (typeof dwv.dicom.characterSetTextDecoders[label] === 'undefined') {
+    if (label !== null && typeof window.TextDecoder !== 'undefined') {
+      dwv.dicom.characterSetTextDecoders[label] = new TextDecoder(label);
+    } else {
+      dwv.dicom.characterSetTextDecoders[label] = {
+        decode: function (buffer) {
+          var result = '';
+          for (var i = 0; i < buffer.length; ++i) {
+            result += String.fromCharCode(buffer[i]);
+          }
+          return result;
+        }
+      };
+    }
+  }
+  return dwv.dicom.characterSetTextDecoders[label];
+};
+
+/**
+ * Decode bytes of a given code element.
+ *
+ * @param {Array} bytes The bytes as found in the data.
+ * @param {string} name The code element name, null to decode
+ *   as ASCII/latin1.
+ * @returns {string} The decoded string.
+ */
+dwv.dicom.decodeCodeElement = function (bytes, name) {
+  var element = {bytes: 1, label: null};
+  if (name !== null) {
+    element = dwv.dicom.characterSetCodeElements[name];
+  }
+  var data = bytes;
+  if (element.bytes === 2) {
+    // decode 94x94 sets with their EUC form
+    data = [];
+    for (var i = 0; i < bytes.length; ++i) {
+      if (typeof element.prefix !== 'undefined' && i % 2 === 0) {
+        data.push(element.prefix);
+      }
+      data.push(bytes[i] | 0x80);
+    }
+  }
+  return dwv.dicom.getCachedTextDecoder(element.label).decode(
+    new Uint8Array(data));
+};
+
+/**
+ * Is a byte a delimiter that resets the graphic sets to their initial state.
+ *
+ * @param {number} byte The byte to check.
+ * @param {boolean} isPersonName True if the value is a person name.
+ * @returns {boolean} True if the byte is a delimiter.
+ */
+dwv.dicom.isCodeExtensionDelimiter = function (byte, isPersonName) {
+  // backslash, CR, LF, FF, TAB and for person names '^' and '='
+  return byte === 0x5c || byte === 0x0d || byte === 0x0a ||
+    byte === 0x0c || byte === 0x09 ||
+    (isPersonName === true && (byte === 0x5e || byte === 0x3d));
+};
+
+/**
+ * Decode a value that can contain ISO 2022 escape sequences.
+ *
+ * @param {Uint8Array} bytes The value bytes.
+ * @param {Array} terms The list of character set terms.
+ * @param {boolean} isPersonName True if the value is a person name.
+ * @returns {string} The decoded value.
+ */
+dwv.dicom.decodeWithCodeExtensions = function (bytes, terms, isPersonName) {
+  // code elements available for escapes
+  var names = [];
+  for (var t = 0; t < terms.length; ++t) {
+    names = names.concat(dwv.dicom.getCodeElements(terms[t]));
+  }
+  var initial = dwv.dicom.getInitialCodeElements(terms);
+  var state = {g0: initial.g0, g1: initial.g1};
+
+  var result = '';
+  var run = [];
+  var runName = null;
+  var i = 0;
+  while (i < bytes.length) {
+    var byte = bytes[i];
+    // escape sequence
+    if (byte === 0x1b) {
+      var found = null;
+      for (var n = 0; n < names.length && found === null; ++n) {
+        var escape = dwv.dicom.characterSetCodeElements[names[n]].escape;
+        var match = true;
+        for (var e = 0; e < escape.length && match; ++e) {
+          match = bytes[i + e] === escape[e];
+        }
+        if (match) {
+          found = names[n];
+        }
+      }
+      // ASCII can always be invoked
+      if (found === null && bytes[i + 1] === 0x28 && bytes[i + 2] === 0x42) {
+        found = 'IR 6';
+      }
+      if (found !== null) {
+        if (dwv.dicom.characterSetCodeElements[found].g === 0) {
+          state.g0 = found;
+        } else {
+          state.g1 = found;
+        }
+        i += dwv.dicom.characterSetCodeElements[found].escape.length;
+        continue;
+      }
+    }
+    // get the code element of the byte
+    var name = byte < 0x80 ? state.g0 : state.g1;
+    if (name !== runName) {
+      if (run.length !== 0) {
+        result += dwv.dicom.decodeCodeElement(run, runName);
+      }
+      run = [];
+      runName = name;
+    }
+    run.push(byte);
+    // single byte delimiters reset the state
+    if ((name === null ||
+      dwv.dicom.characterSetCodeElements[name].bytes === 1) &&
+      dwv.dicom.isCodeExtensionDelimiter(byte, isPersonName)) {
+      state.g0 = initial.g0;
+      state.g1 = initial.g1;
+    }
+    ++i;
+  }
+  if (run.length !== 0) {
+    result += dwv.dicom.decodeCodeElement(run, runName);
+  }
+  return result;
+};
+
+/**
+ * Get the encoding table of a code element, built by decoding
+ *   all its characters.
+ *
+ * @param {string} name The code element name.
+ * @returns {object} The table of bytes (as written in the data)
+ *   indexed by character.
+ */
+dwv.dicom.getCodeElementEncodingTable = function (name) {
+  if (typeof dwv.dicom.characterSetEncodingTables[name] !== 'undefined') {
+    return dwv.dicom.characterSetEncodingTables[name];
+  }
+  var table = {};
+  var element = dwv.dicom.characterSetCodeElements[name];
+  var high = element.g === 1 ? 0x80 : 0;
+  var str;
+  if (element.bytes === 1) {
+    // G0 sets are ASCII compatible, handled by the encoder
+    if (element.g === 1) {
+      for (var b = 0xa0; b <= 0xff; ++b) {
+        str = dwv.dicom.decodeCodeElement([b], name);
+        if (str.length === 1 && str !== '\uFFFD' &&
+          typeof table[str] === 'undefined') {
+          table[str] = [b];
+        }
+      }
+    }
+  } else {
+    for (var b1 = 0x21; b1 <= 0x7e; ++b1) {
+      for (var b2 = 0x21; b2 <= 0x7e; ++b2) {
+        str = dwv.dicom.decodeCodeElement([b1, b2], name);
+        if (str.length === 1 && str !== '\uFFFD' &&
+          typeof table[str] === 'undefined') {
+          table[str] = [b1 | high, b2 | high];
+        }
+      }
+    }
+  }
+  dwv.dicom.characterSetEncodingTables[name] = table;
+  return table;
+};
+
+/**
+ * Encode a value using ISO 2022 escape sequences. Each character
+ *   is encoded with the first code element that supports it, searching
+ *   the initial ones first and then the terms order. Characters that
+ *   cannot be encoded are replaced by '?'.
+ *
+ * @param {string} str The value to encode.
+ * @param {Array} terms The list of character set terms.
+ * @param {boolean} isPersonName True if the value is a person name.
+ * @returns {Uint8Array} The encoded value.
+ */
+dwv.dicom.encodeWithCodeExtensions = function (str, terms, isPersonName) {
+  var initial = dwv.dicom.getInitialCodeElements(terms);
+  // search order: initial code elements first
+  var names = [];
+  if (initial.g1 !== null) {
+    names.push(initial.g1);
+  }
+  for (var t = 0; t < terms.length; ++t) {
+    var termNames = dwv.dicom.getCodeElements(terms[t]);
+    for (var n = 0; n < termNames.length; ++n) {
+      var element = dwv.dicom.characterSetCodeElements[termNames[n]];
+      // single byte G0 sets are ASCII
+      var isAscii = element.g === 0 && element.bytes === 1;
+      if (!isAscii && names.indexOf(termNames[n]) === -1) {
+        names.push(termNames[n]);
+      }
+    }
+  }
+  var state = {g0: initial.g0, g1: initial.g1};
+
+  var result = [];
+  var appendBytes = function (bytes) {
+    for (var i = 0; i < bytes.length; ++i) {
+      result.push(bytes[i]);
+    }
+  };
+  for (var i = 0; i < str.length; ++i) {
+    var code = str.charCodeAt(i);
+    if (code < 0x80) {
+      // ASCII: back to the initial G0 set if needed
+      if (dwv.dicom.characterSetCodeElements[state.g0].bytes !== 1) {
+        appendBytes(dwv.dicom.characterSetCodeElements[initial.g0].escape);
+        state.g0 = initial.g0;
+      }
+      result.push(code);
+      if (dwv.dicom.isCodeExtensionDelimiter(code, isPersonName)) {
+        state.g1 = initial.g1;
+      }
+      continue;
+    }
+    var bytes = null;
+    for (var j = 0; j < names.length && bytes === null; ++j) {
+      var table = dwv.dicom.getCodeElementEncodingTable(names[j]);
+      if (typeof table[str[i]] !== 'undefined') {
+        bytes = table[str[i]];
+        var codeElement = dwv.dicom.characterSetCodeElements[names[j]];
+        var g = codeElement.g === 0 ? 'g0' : 'g1';
+        if (state[g] !== names[j]) {
+          appendBytes(codeElement.escape);
+          state[g] = names[j];
+        }
+      }
+    }
+    if (bytes === null) {
+      dwv.logger.warn('Cannot encode character \'' + str[i] +
+        '\' with the character set: ' + terms.join('\\'));
+      bytes = [0x3f];
+    }
+    appendBytes(bytes);
+  }
+  // end with the initial G0 set
+  if (state.g0 !== initial.g0) {
+    appendBytes(dwv.dicom.characterSetCodeElements[initial.g0].escape);
+  }
+  return new Uint8Array(result);
+};
@@ -1,6 +1,7 @@
 // namespaces
 var dwv = dwv || {};
 dwv.dicom = dwv.dicom || {};
+/* global BigInt64Array, BigUint64Array */
 
 /**
  * Is the Native endianness Little Endian.
@@ -72,6 +73,25 @@ dwv.dicom.DataReader = function (buffer, isLittleEndian) {
     }
   };
 
+  /**
+   * Character set terms using code extensions (ISO 2022), null if none.
+   *
+   * @private
+   * @type {Array}
+   */
+  var charSetTerms = null;
+
+  /**
+   * Set the character set terms used to decode values with
+   *   code extensions (ISO 2022 escape sequences).
+   *
+   * @param {Array} terms The list of character set terms, as found in
+   *   the SpecificCharacterSet (0008,0005) element.
+   */
+  this.setCharacterSetTerms = function (terms) {
+    charSetTerms = terms;
+  };
+
   /**
    * Is the Native endianness Little Endian.
    *
@@ -96,6 +116,15 @@ dwv.dicom.DataReader = function (buffer, isLittleEndian) {
    */
   var view = new DataView(buffer);
 
+  /**
+   * Get the byte length of the read buffer.
+   *
+   * @returns {number} The byte length.
+   */
+  this.getByteLength = function () {
+    return buffer.byteLength;
+  };
+
   /**
    * Read Uint16 (2 bytes) data.
    *
@@ -348,6 +377,66 @@ dwv.dicom.DataReader = function (buffer, isLittleEndian) {
     return data;
   };
 
+  /**
+   * Read BigInt64 array.
+   *
+   * @param {number} byteOffset The offset to start reading from.
+   * @param {number} size The size of the array.
+   * @returns {Array} The read data.
+   */
+  this.readBigInt64Array = function (byteOffset, size) {
+    // not available in all browsers: keep the raw bytes
+    if (typeof BigInt64Array === 'undefined') {
+      return this.readUint8Array(byteOffset, size);
+    }
+    var bpe = BigInt64Array.BYTES_PER_ELEMENT;
+    var arraySize = size / bpe;
+    var data = null;
+    // byteOffset should be a multiple of BigInt64Array.BYTES_PER_ELEMENT (=8)
+    if (byteOffset % bpe === 0) {
+      data = new BigInt64Array(buffer, byteOffset, arraySize);
+      if (needFlip) {
+        dwv.dicom.flipArrayEndianness(data);
+      }
+    } else {
+      data = new BigInt64Array(arraySize);
+      for (var i = 0; i < arraySize; ++i) {
+        data[i] = view.getBigInt64(byteOffset + bpe * i, isLittleEndian);
+      }
+    }
+    return data;
+  };
+
+  /**
+   * Read BigUint64 array.
+   *
+   * @param {number} byteOffset The offset to start reading from.
+   * @param {number} size The size of the array.
+   * @returns {Array} The read data.
+   */
+  this.readBigUint64Array = function (byteOffset, size) {
+    // not available in all browsers: keep the raw bytes
+    if (typeof BigUint64Array === 'undefined') {
+      return this.readUint8Array(byteOffset, size);
+    }
+    var bpe = BigUint64Array.BYTES_PER_ELEMENT;
+    var arraySize = size / bpe;
+    var data = null;
+    // byteOffset should be a multiple of BigUint64Array.BYTES_PER_ELEMENT (=8)
+    if (byteOffset % bpe === 0) {
+      data = new BigUint64Array(buffer, byteOffset, arraySize);
+      if (needFlip) {
+        dwv.dicom.flipArrayEndianness(data);
+      }
+    } else {
+      data = new BigUint64Array(arraySize);
+      for (var i = 0; i < arraySize; ++i) {
+        data[i] = view.getBigUint64(byteOffset + bpe * i, isLittleEndian);
+      }
+    }
+    return data;
+  };
+
   /**
    * Read data as a string.
    *
@@ -366,10 +455,16 @@ dwv.dicom.DataReader = function (buffer, isLittleEndian) {
    *
    * @param {number} byteOffset The offset to start reading from.
    * @param {number} nChars The number of characters to read.
+   * @param {boolean} isPersonName Optional flag to tell if the data is
+   *   a person name, used with code extensions.
    * @returns {string} The read data.
    */
-  this.readSpecialString = function (byteOffset, nChars) {
+  this.readSpecialString = function (byteOffset, nChars, isPersonName) {
     var data = this.readUint8Array(byteOffset, nChars);
+    if (charSetTerms !== null) {
+      return dwv.dicom.decodeWithCodeExtensions(
+        data, charSetTerms, isPersonName);
+    }
     return textDecoder.decode(data);
   };
 
@@ -1,6 +1,7 @@
 // namespaces
 var dwv = dwv || {};
 dwv.dicom = dwv.dicom || {};
+/* global BigInt64Array, BigUint64Array */
 
 /**
  * Data writer.
@@ -43,6 +44,25 @@ dwv.dicom.DataWriter = function (buffer, isLittleEndian) {
     }
   };
 
+  /**
+   * Character set terms using code extensions (ISO 2022), null if none.
+   *
+   * @private
+   * @type {Array}
+   */
+  var charSetTerms = null;
+
+  /**
+   * Set the character set terms used to encode values with
+   *   code extensions (ISO 2022 escape sequences).
+   *
+   * @param {Array} terms The list of character set terms, as found in
+   *   the SpecificCharacterSet (0008,0005) element.
+   */
+  this.setCharacterSetTerms = function (terms) {
+    charSetTerms = terms;
+  };
+
   // private DataView
   var view = new DataView(buffer);
 
@@ -146,6 +166,30 @@ dwv.dicom.DataWriter = function (buffer, isLittleEndian) {
     return byteOffset + Float64Array.BYTES_PER_ELEMENT;
   };
 
+  /**
+   * Write BigInt64 data.
+   *
+   * @param {number} byteOffset The offset to start writing from.
+   * @param {bigint} value The data to write.
+   * @returns {number} The new offset position.
+   */
+  this.writeBigInt64 = function (byteOffset, value) {
+    view.setBigInt64(byteOffset, value, isLittleEndian);
+    return byteOffset + BigInt64Array.BYTES_PER_ELEMENT;
+  };
+
+  /**
+   * Write BigUint64 data.
+   *
+   * @param {number} byteOffset The offset to start writing from.
+   * @param {bigint} value The data to write.
+   * @returns {number} The new offset position.
+   */
+  this.writeBigUint64 = function (byteOffset, value) {
+    view.setBigUint64(byteOffset, value, isLittleEndian);
+    return byteOffset + BigUint64Array.BYTES_PER_ELEMENT;
+  };
+
   /**
    * Write string data as hexadecimal.
    *
@@ -178,10 +222,18 @@ dwv.dicom.DataWriter = function (buffer, isLittleEndian) {
    *
    * @param {number} byteOffset The offset to start reading from.
    * @param {number} str The data to write.
+   * @param {boolean} isPersonName Optional flag to tell if the data is
+   *   a person name, used with code extensions.
    * @returns {number} The new offset position.
    */
-  this.writeSpecialString = function (byteOffset, str) {
-    var data = textEncoder.encode(str);
+  this.writeSpecialString = function (byteOffset, str, isPersonName) {
+    var data = null;
+    if (charSetTerms !== null) {
+      data = dwv.dicom.encodeWithCodeExtensions(
+        str, charSetTerms, isPersonName);
+    } else {
+      data = textEncoder.encode(str);
+    }
     return this.writeUint8Array(byteOffset, data);
   };
 
@@ -324,3 +376,33 @@ dwv.dicom.DataWriter.prototype.writeFloat64Array = function (
   }
   return byteOffset;
 };
+
+/**
+ * Write BigInt64 array.
+ *
+ * @param {number} byteOffset The offset to start writing from.
+ * @param {Array} array The array to write.
+ * @returns {number} The new offset position.
+ */
+dwv.dicom.DataWriter.prototype.writeBigInt64Array = function (
+  byteOffset, array) {
+  for (var i = 0, len = array.length; i < len; ++i) {
+    byteOffset = this.writeBigInt64(byteOffset, array[i]);
+  }
+  return byteOffset;
+};
+
+/**
+ * Write BigUint64 array.
+ *
+ * @param {number} byteOffset The offset to start writing from.
+ * @param {Array} array The array to write.
+ * @returns {number} The new offset position.
+ */
+dwv.dicom.DataWriter.prototype.writeBigUint64Array = function (
+  byteOffset, array) {
+  for (var i = 0, len = array.length; i < len; ++i) {
+    byteOffset = this.writeBigUint64(byteOffset, array[i]);
+  }
+  return byteOffset;
+};
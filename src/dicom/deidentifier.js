@@ -0,0 +1,773 @@
+// namespaces
+var dwv = dwv || {};
+dwv.dicom = dwv.dicom || {};
+
+/**
+ * Basic Application Level Confidentiality Profile attributes.
+ * Ref: [Table E.1-1]{@link https://dicom.nema.org/medical/dicom/2022a/output/chtml/part15/chapter_E.html#table_E.1-1}.
+ * Indexed by keyword, the values are the actions of the basic profile
+ *   and of the retain UIDs, retain device identity, retain longitudinal
+ *   temporal information with modified dates and clean descriptors
+ *   options (empty if the option does not apply).
+ * Actions: D (dummy value), Z (zero length), X (remove), K (keep),
+ *   C (clean), U (replace UID), composite ones as 'X/Z'.
+ * Attributes not listed are kept if their value cannot carry free text,
+ *   see dwv.dicom.deidentificationTextVrs.
+ *
+ * @type {object}
+ */
+dwv.dicom.deidentificationTable = {
+  AccessionNumber: ['Z', '', '', '', ''],
+  AcquisitionComments: ['X', '', '', '', 'C'],
+  AcquisitionContextSequence: ['X', '', '', '', ''],
+  AcquisitionDate: ['X/Z', '', '', 'C', ''],
+  AcquisitionDateTime: ['X/D', '', '', 'C', ''],
+  AcquisitionDeviceProcessingDescription: ['X/D', '', 'C', '', 'C'],
+  AcquisitionProtocolDescription: ['X', '', '', '', 'C'],
+  AcquisitionProtocolName: ['X/D', '', '', '', 'C'],
+  AcquisitionTime: ['X/Z', '', '', 'C', ''],
+  AdditionalPatientHistory: ['X', '', '', '', 'C'],
+  AdmissionID: ['X', '', '', '', ''],
+  AdmittingDate: ['X', '', '', 'C', ''],
+  AdmittingDiagnosesCodeSequence: ['X', '', '', '', ''],
+  AdmittingDiagnosesDescription: ['X', '', '', '', 'C'],
+  AdmittingTime: ['X', '', '', 'C', ''],
+  Allergies: ['X', '', '', '', 'C'],
+  Arbitrary: ['X', '', '', '', ''],
+  AuthorObserverSequence: ['X', '', '', '', ''],
+  BranchOfService: ['X', '', '', '', ''],
+  CassetteID: ['X', '', 'K', '', ''],
+  ConcatenationUID: ['U', 'K', '', '', ''],
+  ConsultingPhysicianIdentificationSequence: ['X', '', '', '', ''],
+  ConsultingPhysicianName: ['X', '', '', '', ''],
+  ContentCreatorName: ['Z', '', '', '', ''],
+  ContentDate: ['X/D', '', '', 'C', ''],
+  ContentSequence: ['X', '', '', '', ''],
+  ContentTime: ['X/D', '', '', 'C', ''],
+  ContextGroupExtensionCreatorUID: ['U', 'K', '', '', ''],
+  ContrastBolusAgent: ['D', '', '', '', 'C'],
+  CountryOfResidence: ['X', '', '', '', ''],
+  CreatorVersionUID: ['U', 'K', '', '', ''],
+  CurrentPatientLocation: ['X', '', '', '', ''],
+  CurveDate: ['X', '', '', 'C', ''],
+  CurveTime: ['X', '', '', 'C', ''],
+  CustodialOrganizationSequence: ['X', '', '', '', ''],
+  DataSetTrailingPadding: ['X', '', '', '', ''],
+  DateOfSecondaryCapture: ['X', '', '', 'C', ''],
+  DerivationDescription: ['X', '', '', '', 'C'],
+  DetectorID: ['X', '', 'K', '', ''],
+  DeviceSerialNumber: ['X/Z/D', '', 'K', '', ''],
+  DeviceUID: ['U', 'K', 'K', '', ''],
+  DigitalSignaturesSequence: ['X', '', '', '', ''],
+  DimensionOrganizationUID: ['U', 'K', '', '', ''],
+  DischargeDiagnosisDescription: ['X', '', '', '', 'C'],
+  DistributionAddress: ['X', '', '', '', ''],
+  DistributionName: ['X', '', '', '', ''],
+  DoseReferenceUID: ['U', 'K', '', '', ''],
+  EthnicGroup: ['X', '', '', '', ''],
+  FailedSOPInstanceUIDList: ['U', 'K', '', '', ''],
+  FiducialUID: ['U', 'K', '', '', ''],
+  FillerOrderNumberImagingServiceRequest: ['Z', '', '', '', ''],
+  FrameComments: ['X', '', '', '', 'C'],
+  FrameOfReferenceUID: ['U', 'K', '', '', ''],
+  GantryID: ['X', '', 'K', '', ''],
+  GeneratorID: ['X', '', 'K', '', ''],
+  GraphicAnnotationSequence: ['D', '', '', '', 'C'],
+  HumanPerformerName: ['X', '', '', '', ''],
+  HumanPerformerOrganization: ['X', '', '', '', ''],
+  IconImageSequence: ['X', '', '', '', ''],
+  IdentifyingComments: ['X', '', '', '', 'C'],
+  ImageComments: ['X', '', '', '', 'C'],
+  ImagePresentationComments: ['X', '', '', '', 'C'],
+  ImagingServiceRequestComments: ['X', '', '', '', 'C'],
+  Impressions: ['X', '', '', '', 'C'],
+  InstanceCreationDate: ['X/D', '', '', 'C', ''],
+  InstanceCreationTime: ['X/Z/D', '', '', 'C', ''],
+  InstanceCreatorUID: ['U', 'K', '', '', ''],
+  InstitutionAddress: ['X', '', '', '', ''],
+  InstitutionCodeSequence: ['X/Z/D', '', '', '', ''],
+  InstitutionName: ['X/Z/D', '', '', '', ''],
+  InstitutionalDepartmentName: ['X', '', '', '', ''],
+  InsurancePlanIdentification: ['X', '', '', '', ''],
+  IntendedRecipientsOfResultsIdentificationSequence: ['X', '', '', '', ''],
+  InterpretationApproverSequence: ['X', '', '', '', ''],
+  InterpretationAuthor: ['X', '', '', '', ''],
+  InterpretationDiagnosisDescription: ['X', '', '', '', 'C'],
+  InterpretationIDIssuer: ['X', '', '', '', ''],
+  InterpretationRecorder: ['X', '', '', '', ''],
+  InterpretationText: ['X', '', '', '', 'C'],
+  InterpretationTranscriber: ['X', '', '', '', ''],
+  IrradiationEventUID: ['U', 'K', '', '', ''],
+  IssuerOfAdmissionID: ['X', '', '', '', ''],
+  IssuerOfPatientID: ['X', '', '', '', ''],
+  IssuerOfServiceEpisodeID: ['X', '', '', '', ''],
+  LargePaletteColorLookupTableUID: ['U', 'K', '', '', ''],
+  LastMenstrualDate: ['X', '', '', 'C', ''],
+  MAC: ['X', '', '', '', ''],
+  MediaStorageSOPInstanceUID: ['U', 'K', '', '', ''],
+  MedicalAlerts: ['X', '', '', '', 'C'],
+  MedicalRecordLocator: ['X', '', '', '', ''],
+  MilitaryRank: ['X', '', '', '', ''],
+  ModifiedAttributesSequence: ['X', '', '', '', ''],
+  ModifiedImageDescription: ['X', '', '', '', 'C'],
+  ModifyingDeviceID: ['X', '', 'K', '', ''],
+  NameOfPhysiciansReadingStudy: ['X', '', '', '', ''],
+  NamesOfIntendedRecipientsOfResults: ['X', '', '', '', ''],
+  Occupation: ['X', '', '', '', 'C'],
+  OperatorIdentificationSequence: ['X', '', '', '', ''],
+  OperatorsName: ['X/Z/D', '', '', '', ''],
+  OrderCallbackPhoneNumber: ['X', '', '', '', ''],
+  OrderEnteredBy: ['X', '', '', '', ''],
+  OrderEntererLocation: ['X', '', '', '', ''],
+  OriginalAttributesSequence: ['X', '', '', '', ''],
+  OtherPatientIDs: ['X', '', '', '', ''],
+  OtherPatientIDsSequence: ['X', '', '', '', ''],
+  OtherPatientNames: ['X', '', '', '', ''],
+  OverlayDate: ['X', '', '', 'C', ''],
+  OverlayTime: ['X', '', '', 'C', ''],
+  ParticipantSequence: ['X', '', '', '', ''],
+  PatientAddress: ['X', '', '', '', ''],
+  PatientAge: ['X', '', '', '', ''],
+  PatientBirthDate: ['Z', '', '', '', ''],
+  PatientBirthName: ['X', '', '', '', ''],
+  PatientBirthTime: ['X', '', '', '', ''],
+  PatientComments: ['X', '', '', '', 'C'],
+  PatientID: ['Z', '', '', '', ''],
+  PatientInstitutionResidence: ['X', '', '', '', ''],
+  PatientInsurancePlanCodeSequence: ['X', '', '', '', ''],
+  PatientMotherBirthName: ['X', '', '', '', ''],
+  PatientName: ['Z', '', '', '', ''],
+  PatientPrimaryLanguageCodeSequence: ['X', '', '', '', ''],
+  PatientReligiousPreference: ['X', '', '', '', ''],
+  PatientSex: ['Z', '', '', '', ''],
+  PatientSexNeutered: ['X/Z', '', '', '', ''],
+  PatientSize: ['X', '', '', '', ''],
+  PatientState: ['X', '', '', '', 'C'],
+  PatientTelephoneNumbers: ['X', '', '', '', ''],
+  PatientTransportArrangements: ['X', '', '', '', ''],
+  PatientWeight: ['X', '', '', '', ''],
+  PerformedLocation: ['X', '', '', '', ''],
+  PerformedProcedureStepDescription: ['X', '', '', '', 'C'],
+  PerformedProcedureStepEndDate: ['X', '', '', 'C', ''],
+  PerformedProcedureStepEndTime: ['X', '', '', 'C', ''],
+  PerformedProcedureStepID: ['X', '', '', '', ''],
+  PerformedProcedureStepStartDate: ['X', '', '', 'C', ''],
+  PerformedProcedureStepStartTime: ['X', '', '', 'C', ''],
+  PerformedStationAETitle: ['X', '', 'K', '', ''],
+  PerformedStationName: ['X/Z', '', 'K', '', ''],
+  PerformingPhysicianIdentificationSequence: ['X', '', '', '', ''],
+  PerformingPhysicianName: ['X', '', '', '', ''],
+  PersonAddress: ['X', '', '', '', ''],
+  PersonIdentificationCodeSequence: ['D', '', '', '', ''],
+  PersonName: ['D', '', '', '', ''],
+  PersonTelephoneNumbers: ['X', '', '', '', ''],
+  PhysicianApprovingInterpretation: ['X', '', '', '', ''],
+  PhysiciansOfRecord: ['X', '', '', '', ''],
+  PhysiciansOfRecordIdentificationSequence: ['X', '', '', '', ''],
+  PhysiciansReadingStudyIdentificationSequence: ['X', '', '', '', ''],
+  PlateID: ['X', '', 'K', '', ''],
+  PreMedication: ['X', '', '', '', 'C'],
+  PregnancyStatus: ['X', '', '', '', ''],
+  ProtocolName: ['X/D', '', '', '', 'C'],
+  ReasonForStudy: ['X', '', '', '', 'C'],
+  ReasonForTheImagingServiceRequest: ['X', '', '', '', 'C'],
+  ReferencedDigitalSignatureSequence: ['X', '', '', '', ''],
+  ReferencedFrameOfReferenceUID: ['U', 'K', '', '', ''],
+  ReferencedImageSequence: ['X/Z/U*', 'K', '', '', ''],
+  ReferencedPatientAliasSequence: ['X', '', '', '', ''],
+  ReferencedPatientPhotoSequence: ['X', '', '', '', ''],
+  ReferencedPatientSequence: ['X', '', '', '', ''],
+  ReferencedPerformedProcedureStepSequence: ['X/Z/D', 'K', '', '', ''],
+  ReferencedSOPInstanceMACSequence: ['X', '', '', '', ''],
+  ReferencedSOPInstanceUID: ['U', 'K', '', '', ''],
+  ReferencedSOPInstanceUIDInFile: ['U', 'K', '', '', ''],
+  ReferencedStudySequence: ['X/Z', 'K', '', '', ''],
+  ReferringPhysicianAddress: ['X', '', '', '', ''],
+  ReferringPhysicianIdentificationSequence: ['X', '', '', '', ''],
+  ReferringPhysicianName: ['Z', '', '', '', ''],
+  ReferringPhysicianTelephoneNumbers: ['X', '', '', '', ''],
+  RegionOfResidence: ['X', '', '', '', ''],
+  RelatedFrameOfReferenceUID: ['U', 'K', '', '', ''],
+  RequestAttributesSequence: ['X', '', '', '', ''],
+  RequestedContrastAgent: ['X', '', '', '', 'C'],
+  RequestedProcedureComments: ['X', '', '', '', 'C'],
+  RequestedProcedureDescription: ['X/Z', '', '', '', 'C'],
+  RequestedProcedureID: ['X', '', '', '', ''],
+  RequestedProcedureLocation: ['X', '', '', '', ''],
+  RequestedSOPInstanceUID: ['U', 'K', '', '', ''],
+  RequestingPhysician: ['X', '', '', '', ''],
+  RequestingService: ['X', '', '', '', ''],
+  ResponsibleOrganization: ['X', '', '', '', ''],
+  ResponsiblePerson: ['X', '', '', '', ''],
+  ResultsComments: ['X', '', '', '', 'C'],
+  ResultsDistributionListSequence: ['X', '', '', '', ''],
+  ResultsIDIssuer: ['X', '', '', '', ''],
+  ReviewerName: ['X/Z', '', '', '', ''],
+  ScheduledHumanPerformersSequence: ['X', '', '', '', ''],
+  ScheduledPatientInstitutionResidence: ['X', '', '', '', ''],
+  ScheduledPerformingPhysicianIdentificationSequence: ['X', '', '', '', ''],
+  ScheduledPerformingPhysicianName: ['X', '', '', '', ''],
+  ScheduledProcedureStepDescription: ['X', '', '', '', 'C'],
+  ScheduledProcedureStepEndDate: ['X', '', '', 'C', ''],
+  ScheduledProcedureStepEndTime: ['X', '', '', 'C', ''],
+  ScheduledProcedureStepLocation: ['X', '', '', '', ''],
+  ScheduledProcedureStepStartDate: ['X', '', '', 'C', ''],
+  ScheduledProcedureStepStartTime: ['X', '', '', 'C', ''],
+  ScheduledStationAETitle: ['X', '', 'K', '', ''],
+  ScheduledStationName: ['X', '', 'K', '', ''],
+  SeriesDate: ['X/D', '', '', 'C', ''],
+  SeriesDescription: ['X', '', '', '', 'C'],
+  SeriesInstanceUID: ['U', 'K', '', '', ''],
+  SeriesTime: ['X/D', '', '', 'C', ''],
+  ServiceEpisodeDescription: ['X', '', '', '', 'C'],
+  ServiceEpisodeID: ['X', '', '', '', ''],
+  SmokingStatus: ['X', '', '', '', ''],
+  SOPInstanceUID: ['U', 'K', '', '', ''],
+  SourceImageSequence: ['X/Z/U*', 'K', '', '', ''],
+  SpecialNeeds: ['X', '', '', '', 'C'],
+  StationName: ['X/Z/D', '', 'K', '', ''],
+  StorageMediaFileSetUID: ['U', 'K', '', '', ''],
+  StructureSetLabel: ['D', '', '', '', 'C'],
+  StudyComments: ['X', '', '', '', 'C'],
+  StudyDate: ['Z', '', '', 'C', ''],
+  StudyDescription: ['X', '', '', '', 'C'],
+  StudyID: ['Z', '', '', '', ''],
+  StudyIDIssuer: ['X', '', '', '', ''],
+  StudyInstanceUID: ['U', 'K', '', '', ''],
+  StudyTime: ['Z', '', '', 'C', ''],
+  SynchronizationFrameOfReferenceUID: ['U', 'K', '', '', ''],
+  TemplateExtensionCreatorUID: ['U', 'K', '', '', ''],
+  TemplateExtensionOrganizationUID: ['U', 'K', '', '', ''],
+  TextComments: ['X', '', '', '', 'C'],
+  TextString: ['X', '', '', '', 'C'],
+  TextValue: ['X', '', '', '', 'C'],
+  TimeOfSecondaryCapture: ['X', '', '', 'C', ''],
+  TimezoneOffsetFromUTC: ['X', '', '', '', ''],
+  TopicAuthor: ['X', '', '', '', ''],
+  TopicKeywords: ['X', '', '', '', ''],
+  TopicSubject: ['X', '', '', '', ''],
+  TopicTitle: ['X', '', '', '', ''],
+  TransactionUID: ['U', 'K', '', '', ''],
+  UID: ['U', 'K', '', '', ''],
+  VerifyingObserverIdentificationCodeSequence: ['Z', '', '', '', ''],
+  VerifyingObserverName: ['D', '', '', '', ''],
+  VerifyingObserverSequence: ['D', '', '', '', ''],
+  VerifyingOrganization: ['X', '', '', '', ''],
+  VisitComments: ['X', '', '', '', 'C']
+};
+
+/**
+ * VRs of values that can carry free text, dates or names: attributes
+ *   with these VRs that are not listed in dwv.dicom.deidentificationTable are
+ *   removed unless they are in dwv.dicom.deidentificationSafeAttributes.
+ *
+ * @type {Array}
+ */
+dwv.dicom.deidentificationTextVrs = [
+  'AE',
+  'AS',
+  'DA',
+  'DT',
+  'LO',
+  'LT',
+  'PN',
+  'SH',
+  'ST',
+  'TM',
+  'UC',
+  'UN',
+  'UR',
+  'UT'
+];
+
+/**
+ * Not listed attributes with a text VR that are kept: codes, device
+ *   models and display or segment labels.
+ *
+ * @type {Array}
+ */
+dwv.dicom.deidentificationSafeAttributes = [
+  'CodeMeaning',
+  'CodeValue',
+  'CodingSchemeDesignator',
+  'CodingSchemeVersion',
+  'ConvolutionKernel',
+  'ImplementationVersionName',
+  'LUTExplanation',
+  'Manufacturer',
+  'ManufacturerModelName',
+  'RescaleType',
+  'ROIName',
+  'SegmentLabel',
+  'SoftwareVersions',
+  'WindowCenterWidthExplanation'
+];
+
+/**
+ * De-identification method codes (CID 7050), indexed by
+ *   profile or option name.
+ *
+ * @type {object}
+ */
+dwv.dicom.deidentificationCodes = {
+  basic: ['113100', 'Basic Application Confidentiality Profile'],
+  retainUids: ['113110', 'Retain UIDs Option'],
+  retainDeviceIdentity: ['113109', 'Retain Device Identity Option'],
+  retainLongitudinalDates: [
+    '113107',
+    'Retain Longitudinal Temporal Information Modified Dates Option'
+  ],
+  cleanDescriptors: ['113105', 'Clean Descriptors Option']
+};
+
+/**
+ * Dummy values used for the 'D' action, indexed by VR.
+ *
+ * @type {object}
+ */
+dwv.dicom.deidentificationDummyValues = {
+  AS: '000Y',
+  DA: '19000101',
+  DS: '0',
+  DT: '19000101000000',
+  IS: '0',
+  TM: '000000'
+};
+
+/**
+ * DICOM de-identifier: implements the Basic Application Level
+ *   Confidentiality Profile.
+ * Ref: [Attribute Confidentiality Profiles]{@link https://dicom.nema.org/medical/dicom/2022a/output/chtml/part15/chapter_E.html}.
+ * UIDs are replaced by salted hashes of the original ones: the same UID
+ *   always gives the same new one for the same salt, the references
+ *   between the files of a study are thus preserved. The default salt is
+ *   random and generated once per de-identifier so that the new UIDs
+ *   cannot be computed from candidate original ones: process all the
+ *   files of a study with the same de-identifier and, to keep the
+ *   references across sessions, pass the same (secret) uidSalt, for
+ *   example the one given by getUidSalt.
+ *
+ * Example usage:
+ *   var deidentifier = new dwv.dicom.Deidentifier({
+ *     retainLongitudinalDates: true,
+ *     dateOffset: -365
+ *   });
+ *   var writer = new dwv.dicom.DicomWriter();
+ *   var buffer = writer.getBuffer(
+ *     deidentifier.deidentify(parser.getRawDicomElements()));
+ *
+ * @class
+ * @param {object} options Optional profile options as:
+ *   - retainUids: keep the UIDs,
+ *   - retainDeviceIdentity: keep the device identifiers,
+ *   - retainLongitudinalDates: keep the dates shifted by dateOffset,
+ *   - dateOffset: the date shift in days (defaults to 0),
+ *   - cleanDescriptors: keep the descriptions and comments after
+ *     removing the patient identifiers found in them,
+ *   - uidSalt: a secret string mixed in the UID hashes (defaults
+ *     to a random one).
+ */
+dwv.dicom.Deidentifier = function (options) {
+  // closure to self
+  var self = this;
+
+  if (typeof options === 'undefined') {
+    options = {};
+  }
+  var dateOffset = options.dateOffset;
+  if (typeof dateOffset === 'undefined') {
+    dateOffset = 0;
+  }
+  var uidSalt = options.uidSalt;
+  if (typeof uidSalt === 'undefined') {
+    uidSalt = dwv.dicom.getRandomUidSalt();
+  }
+
+  // option names in table order
+  var optionNames = [
+    'retainUids',
+    'retainDeviceIdentity',
+    'retainLongitudinalDates',
+    'cleanDescriptors'
+  ];
+
+  /**
+   * Get the action to apply to an attribute.
+   * Options take precedence over the basic profile. For composite
+   *   actions, the last one is used: it keeps the attribute and
+   *   hence the data set valid whatever the attribute type.
+   * Not listed attributes are removed if their VR is a text one and
+   *   they are not known to be safe.
+   *
+   * @param {string} keyword The attribute keyword, null if not
+   *   in the dictionary.
+   * @param {string} vr Optional attribute VR.
+   * @returns {string} The action or null to keep the attribute.
+   */
+  this.getAction = function (keyword, vr) {
+    var actions;
+    if (keyword !== null) {
+      actions = dwv.dicom.deidentificationTable[keyword];
+    }
+    if (typeof actions === 'undefined') {
+      if (dwv.dicom.deidentificationTextVrs.includes(vr) &&
+        !dwv.dicom.deidentificationSafeAttributes.includes(keyword)) {
+        return 'X';
+      }
+      return null;
+    }
+    var action = actions[0];
+    for (var i = 0; i < optionNames.length; ++i) {
+      if (options[optionNames[i]] && actions[i + 1] !== '') {
+        action = actions[i + 1];
+        break;
+      }
+    }
+    var parts = action.split('/');
+    return parts[parts.length - 1].replace('*', '');
+  };
+
+  /**
+   * Get the UID salt: the secret string mixed in the UID hashes.
+   *
+   * @returns {string} The salt.
+   */
+  this.getUidSalt = function () {
+    return uidSalt;
+  };
+
+  /**
+   * Get the de-identified UID of an input one.
+   *
+   * @param {string} uid The UID.
+   * @returns {string} The new UID.
+   */
+  this.getUid = function (uid) {
+    return dwv.dicom.getHashedUid(uidSalt + uid);
+  };
+
+  /**
+   * Get a de-identified copy of DICOM elements.
+   * The input elements are not modified.
+   *
+   * @param {object} dicomElements The DICOM elements, as returned by
+   *   the DicomParser getRawDicomElements.
+   * @returns {object} The de-identified elements.
+   */
+  this.deidentify = function (dicomElements) {
+    var syntax = dwv.dicom.cleanString(dicomElements.x00020010.value[0]);
+    var context = {
+      isImplicit: dwv.dicom.isImplicitTransferSyntax(syntax),
+      identifiers: dwv.dicom.getPatientIdentifiers(dicomElements)
+    };
+    var elements = deidentifyElements(dicomElements, context);
+
+    // de-identification attributes
+    var codes = [dwv.dicom.deidentificationCodes.basic];
+    var methods = [dwv.dicom.deidentificationCodes.basic[1]];
+    for (var i = 0; i < optionNames.length; ++i) {
+      if (options[optionNames[i]]) {
+        codes.push(dwv.dicom.deidentificationCodes[optionNames[i]]);
+        methods.push(dwv.dicom.deidentificationCodes[optionNames[i]][1]);
+      }
+    }
+    var codeItems = {};
+    for (var j = 0; j < codes.length; ++j) {
+      codeItems[j] = {
+        CodeValue: codes[j][0],
+        CodingSchemeDesignator: 'DCM',
+        CodeMeaning: codes[j][1]
+      };
+    }
+    var temporalInfo = 'REMOVED';
+    if (options.retainLongitudinalDates) {
+      temporalInfo = dateOffset === 0 ? 'UNMODIFIED' : 'MODIFIED';
+    }
+    var newValues = {
+      PatientIdentityRemoved: 'YES',
+      DeidentificationMethod: methods.join('\\'),
+      DeidentificationMethodCodeSequence: codeItems,
+      LongitudinalTemporalInformationModified: temporalInfo
+    };
+    var keys = Object.keys(newValues);
+    for (var k = 0; k < keys.length; ++k) {
+      var element = dwv.dicom.getDicomElement(keys[k]);
+      element.tag.name = new dwv.dicom.Tag(
+        element.tag.group, element.tag.element).getKey();
+      element.startOffset = 0;
+      element.endOffset = dwv.dicom.setElementValue(
+        element, newValues[keys[k]], context.isImplicit);
+      elements[element.tag.name] = element;
+    }
+    // keep the tag order
+    var result = {};
+    var sortedKeys = Object.keys(elements).sort();
+    for (var m = 0; m < sortedKeys.length; ++m) {
+      result[sortedKeys[m]] = elements[sortedKeys[m]];
+    }
+    return result;
+  };
+
+  /**
+   * De-identify a list of elements (data set or sequence item).
+   *
+   * @param {object} dicomElements The DICOM elements.
+   * @param {object} context The de-identification context.
+   * @returns {object} The de-identified elements.
+   */
+  var deidentifyElements = function (dicomElements, context) {
+    var elements = {};
+    var keys = Object.keys(dicomElements);
+    for (var i = 0; i < keys.length; ++i) {
+      var element = deidentifyElement(dicomElements[keys[i]], context);
+      if (element !== null) {
+        elements[keys[i]] = element;
+      }
+    }
+    return elements;
+  };
+
+  /**
+   * De-identify an element.
+   *
+   * @param {object} element The DICOM element.
+   * @param {object} context The de-identification context.
+   * @returns {object} The de-identified element, null if removed.
+   */
+  var deidentifyElement = function (element, context) {
+    var tag = new dwv.dicom.Tag(element.tag.group, element.tag.element);
+    var group = parseInt(tag.getGroup(), 16);
+    var elementNumber = parseInt(tag.getElement(), 16);
+    // private attributes, curves and overlay data or comments
+    if (tag.isPrivate() ||
+      (group & 0xff00) === 0x5000 ||
+      ((group & 0xff00) === 0x6000 &&
+      (elementNumber === 0x3000 || elementNumber === 0x4000))) {
+      return null;
+    }
+    // item and delimitation elements
+    if (group === 0xfffe) {
+      return element;
+    }
+    var action = self.getAction(tag.getNameFromDictionary(), element.vr);
+
+    if (action === 'X') {
+      return null;
+    }
+    if (element.vr === 'SQ') {
+      var items = [];
+      // dummy sequences are emptied: their items could identify
+      if (action !== 'Z' && action !== 'D' &&
+        typeof element.value !== 'undefined') {
+        for (var j = 0; j < element.value.length; ++j) {
+          items.push(deidentifyElements(element.value[j], context));
+        }
+      }
+      var sequence = getElementWithValue(element, items);
+      return dwv.dicom.getElementForSyntax(sequence, context.isImplicit);
+    }
+
+    var value = null;
+    if (action === 'Z') {
+      value = dwv.dicom.isStringVr(element.vr) ? '' : new Uint8Array(0);
+    } else if (action === 'D') {
+      value = dwv.dicom.deidentificationDummyValues[element.vr];
+      if (typeof value === 'undefined') {
+        value = dwv.dicom.isStringVr(element.vr)
+          ? 'ANONYMIZED' : new Uint8Array(0);
+      }
+    } else if (action === 'U') {
+      value = [];
+      for (var k = 0; k < element.value.length; ++k) {
+        value.push(self.getUid(dwv.dicom.cleanString(element.value[k])));
+      }
+    } else if (action === 'C') {
+      value = cleanValue(element, context);
+    }
+    if (value === null) {
+      return element;
+    }
+    return getElementWithValue(element, value, context.isImplicit);
+  };
+
+  /**
+   * Clean an element value: shift dates or remove the patient
+   *   identifiers from texts.
+   *
+   * @param {object} element The DICOM element.
+   * @param {object} context The de-identification context.
+   * @returns {Array} The cleaned value, null to keep the current one.
+   */
+  var cleanValue = function (element, context) {
+    var value = [];
+    for (var i = 0; i < element.value.length; ++i) {
+      var str = element.value[i];
+      if (element.vr === 'DA' || element.vr === 'DT') {
+        str = dwv.dicom.shiftDicomDate(
+          dwv.dicom.cleanString(str), dateOffset);
+      } else if (element.vr === 'TM') {
+        return null;
+      } else {
+        str = dwv.dicom.removeIdentifiers(str, context.identifiers);
+      }
+      value.push(str);
+    }
+    return value;
+  };
+
+  /**
+   * Get a copy of an element with a new value.
+   *
+   * @param {object} element The DICOM element.
+   * @param {object} value The new value.
+   * @param {boolean} isImplicit Is the data implicit?
+   * @returns {object} The new element.
+   */
+  var getElementWithValue = function (element, value, isImplicit) {
+    var copy = {
+      tag: element.tag,
+      vr: element.vr,
+      startOffset: 0
+    };
+    if (element.vr === 'SQ') {
+      copy.value = value;
+      copy.vl = 'u/l';
+    } else {
+      // multiple string values as one to get the padding right
+      if (value instanceof Array) {
+        value = value.join('\\');
+      }
+      copy.endOffset = dwv.dicom.setElementValue(copy, value, isImplicit);
+    }
+    return copy;
+  };
+};
+
+/**
+ * Get a random UID salt: 128 random bits as an hexadecimal string,
+ *   using the crypto API if available.
+ *
+ * @returns {string} The salt.
+ */
+dwv.dicom.getRandomUidSalt = function () {
+  var values = new Uint32Array(4);
+  if (typeof crypto !== 'undefined' &&
+    typeof crypto.getRandomValues !== 'undefined') {
+    crypto.getRandomValues(values);
+  } else {
+    for (var i = 0; i < values.length; ++i) {
+      values[i] = Math.floor(Math.random() * 0x100000000);
+    }
+  }
+  var salt = '';
+  for (var j = 0; j < values.length; ++j) {
+    salt += ('0000000' + values[j].toString(16)).slice(-8);
+  }
+  return salt;
+};
+
+/**
+ * Get a UID from the hash of an input string.
+ * The result is made of the dwv prefix and three 32 bits hashes.
+ *
+ * @param {string} str The input string.
+ * @returns {string} The UID.
+ */
+dwv.dicom.getHashedUid = function (str) {
+  var uid = dwv.dicom.getDwvUIDPrefix();
+  var seeds = [0x811c9dc5, 0x050c5d1f, 0x1b873593];
+  for (var i = 0; i < seeds.length; ++i) {
+    uid += '.' + dwv.dicom.getStringHash(str, seeds[i]);
+  }
+  return uid;
+};
+
+/**
+ * Get the 32 bits FNV-1a hash of a string.
+ *
+ * @param {string} str The input string.
+ * @param {number} seed The hash seed (offset basis).
+ * @returns {number} The hash as an unsigned integer.
+ */
+dwv.dicom.getStringHash = function (str, seed) {
+  var hash = seed;
+  for (var i = 0; i < str.length; ++i) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Shift a DICOM date (DA) or date time (DT) by a number of days.
+ * Incomplete dates are returned as is.
+ *
+ * @param {string} value The date as 'YYYYMMDD[...]'.
+ * @param {number} days The number of days to shift by.
+ * @returns {string} The shifted date.
+ */
+dwv.dicom.shiftDicomDate = function (value, days) {
+  if (value.length < 8 || days === 0) {
+    return value;
+  }
+  var date = new Date(Date.UTC(
+    parseInt(value.substring(0, 4), 10),
+    parseInt(value.substring(4, 6), 10) - 1,
+    parseInt(value.substring(6, 8), 10) + days));
+  var pad = function (number, length) {
+    var str = number.toString();
+    while (str.length < length) {
+      str = '0' + str;
+    }
+    return str;
+  };
+  return pad(date.getUTCFullYear(), 4) +
+    pad(date.getUTCMonth() + 1, 2) +
+    pad(date.getUTCDate(), 2) +
+    value.substring(8);
+};
+
+/**
+ * Get the patient identifiers of a data set: the patient name parts,
+ *   IDs and birth date.
+ *
+ * @param {object} dicomElements The DICOM elements.
+ * @returns {Array} The list of identifiers.
+ */
+dwv.dicom.getPatientIdentifiers = function (dicomElements) {
+  var identifiers = [];
+  var keys = ['x00100010', 'x00100020', 'x00101000', 'x00100030'];
+  for (var i = 0; i < keys.length; ++i) {
+    var element = dicomElements[keys[i]];
+    if (typeof element === 'undefined') {
+      continue;
+    }
+    for (var j = 0; j < element.value.length; ++j) {
+      var parts = dwv.dicom.cleanString(element.value[j]).split(/[\^=]/);
+      for (var k = 0; k < parts.length; ++k) {
+        var part = parts[k].trim();
+        // skip initials
+        if (part.length > 1) {
+          identifiers.push(part);
+        }
+      }
+    }
+  }
+  return identifiers;
+};
+
+/**
+ * Remove identifiers from a text, the search is case insensitive.
+ *
+ * @param {string} text The input text.
+ * @param {Array} identifiers The identifiers to remove.
+ * @returns {string} The cleaned text.
+ */
+dwv.dicom.removeIdentifiers = function (text, identifiers) {
+  var result = text;
+  for (var i = 0; i < identifiers.length; ++i) {
+    var escaped = identifiers[i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    result = result.replace(new RegExp(escaped, 'gi'), '');
+  }
+  return result;
+};
@@ -0,0 +1,246 @@
+// namespaces
+var dwv = dwv || {};
+dwv.dicom = dwv.dicom || {};
+
+/**
+ * Elements copied from the data to the directory records, per record type.
+ * Ref: [Basic Directory IOD]{@link https://dicom.nema.org/medical/dicom/2022a/output/chtml/part03/sect_F.5.html}.
+ *
+ * @type {object}
+ */
+dwv.dicom.dicomDirRecordKeys = {
+  PATIENT: ['PatientName', 'PatientID', 'PatientBirthDate', 'PatientSex'],
+  STUDY: [
+    'StudyDate',
+    'StudyTime',
+    'AccessionNumber',
+    'StudyDescription',
+    'StudyInstanceUID',
+    'StudyID'
+  ],
+  SERIES: ['Modality', 'SeriesInstanceUID', 'SeriesNumber'],
+  INSTANCE: ['InstanceNumber']
+};
+
+/**
+ * Directory record types of non image SOP classes, as a list of
+ *   [SOP class UID prefix, record type].
+ *
+ * @type {Array}
+ */
+dwv.dicom.dicomDirRecordTypes = [
+  ['1.2.840.10008.5.1.4.1.1.88.', 'SR DOCUMENT'],
+  ['1.2.840.10008.5.1.4.1.1.11.', 'PRESENTATION'],
+  ['1.2.840.10008.5.1.4.1.1.481.2', 'RT DOSE'],
+  ['1.2.840.10008.5.1.4.1.1.481.3', 'RT STRUCTURE'],
+  ['1.2.840.10008.5.1.4.1.1.481.5', 'RT PLAN']
+];
+
+/**
+ * Get the directory record type of a SOP class.
+ *
+ * @param {string} sopClassUid The SOP class UID.
+ * @returns {string} The record type, defaults to 'IMAGE'.
+ */
+dwv.dicom.getDicomDirRecordType = function (sopClassUid) {
+  for (var i = 0; i < dwv.dicom.dicomDirRecordTypes.length; ++i) {
+    if (sopClassUid.indexOf(dwv.dicom.dicomDirRecordTypes[i][0]) === 0) {
+      return dwv.dicom.dicomDirRecordTypes[i][1];
+    }
+  }
+  return 'IMAGE';
+};
+
+/**
+ * Get a DICOMDIR tree from a list of DICOM elements, the reverse
+ *   of dwv.dicom.getDicomDirTree.
+ *
+ * @param {Array} files The list of files as {fileId, elements} with
+ *   fileId the DICOMDIR file id (for ex 'DICOM/IM000000') and
+ *   elements the raw DICOM elements.
+ * @returns {Array} The list of patient nodes.
+ */
+dwv.dicom.getDicomDirTreeFromElements = function (files) {
+  var getValue = function (elements, name) {
+    var key = dwv.dicom.getTagFromDictionary(name).getKey();
+    var value = '';
+    if (typeof elements[key] !== 'undefined' &&
+      typeof elements[key].value !== 'undefined' &&
+      elements[key].value.length !== 0) {
+      value = elements[key].value[0];
+      if (typeof value === 'string') {
+        value = dwv.dicom.cleanString(value);
+      }
+    }
+    return value;
+  };
+  var getNode = function (type, elements) {
+    var attributes = {};
+    var charset = getValue(elements, 'SpecificCharacterSet');
+    if (charset !== '') {
+      attributes.SpecificCharacterSet = charset;
+    }
+    var keys = dwv.dicom.dicomDirRecordKeys[type];
+    for (var i = 0; i < keys.length; ++i) {
+      attributes[keys[i]] = getValue(elements, keys[i]);
+    }
+    return {
+      type: type,
+      attributes: attributes,
+      children: []
+    };
+  };
+  var getChild = function (node, type, elements, idName) {
+    var id = getValue(elements, idName);
+    for (var i = 0; i < node.children.length; ++i) {
+      if (node.children[i].attributes[idName] === id) {
+        return node.children[i];
+      }
+    }
+    var child = getNode(type, elements);
+    node.children.push(child);
+    return child;
+  };
+
+  var root = {children: []};
+  for (var i = 0; i < files.length; ++i) {
+    var elements = files[i].elements;
+    var patient = getChild(root, 'PATIENT', elements, 'PatientID');
+    var study = getChild(patient, 'STUDY', elements, 'StudyInstanceUID');
+    var series = getChild(study, 'SERIES', elements, 'SeriesInstanceUID');
+    // instance
+    var instance = getNode('INSTANCE', elements);
+    var sopClassUid = getValue(elements, 'SOPClassUID');
+    instance.type = dwv.dicom.getDicomDirRecordType(sopClassUid);
+    instance.attributes.ReferencedSOPClassUIDInFile = sopClassUid;
+    instance.attributes.ReferencedSOPInstanceUIDInFile =
+      getValue(elements, 'SOPInstanceUID');
+    instance.attributes.ReferencedTransferSyntaxUIDInFile =
+      getValue(elements, 'TransferSyntaxUID');
+    instance.fileId = files[i].fileId;
+    delete instance.children;
+    series.children.push(instance);
+  }
+  return root.children;
+};
+
+/**
+ * Get the DICOM tags of a directory record, in tag order.
+ *
+ * @param {object} node The tree node.
+ * @returns {object} The record tags as a name-value object.
+ */
+dwv.dicom.getDicomDirRecordTags = function (node) {
+  var values = {
+    // offsets are set once the record position is known
+    OffsetOfTheNextDirectoryRecord: 0,
+    RecordInUseFlag: 0xffff,
+    OffsetOfReferencedLowerLevelDirectoryEntity: 0,
+    DirectoryRecordType: node.type
+  };
+  if (typeof node.fileId !== 'undefined') {
+    values.ReferencedFileID = node.fileId.split('/');
+  }
+  var names = Object.keys(values).concat(Object.keys(node.attributes));
+  var keys = {};
+  for (var i = 0; i < names.length; ++i) {
+    keys[names[i]] = dwv.dicom.getTagFromDictionary(names[i]).getKey();
+  }
+  names.sort(function (a, b) {
+    return keys[a] < keys[b] ? -1 : 1;
+  });
+
+  var tags = {};
+  for (var j = 0; j < names.length; ++j) {
+    var value = values[names[j]];
+    if (typeof value === 'undefined') {
+      value = node.attributes[names[j]];
+    }
+    // multiple string values are set as a single one
+    // since they are padded as a whole
+    if (Array.isArray(value) && typeof value[0] === 'string') {
+      value = value.join('\\');
+    }
+    tags[names[j]] = value;
+  }
+  return tags;
+};
+
+/**
+ * Get a DICOMDIR buffer from a DICOMDIR tree.
+ * Records are written depth first with their next and lower level
+ *   offsets.
+ *
+ * @param {Array} tree The list of patient nodes as returned by
+ *   dwv.dicom.getDicomDirTree.
+ * @returns {ArrayBuffer} The DICOMDIR buffer.
+ */
+dwv.dicom.getDicomDirBuffer = function (tree) {
+  // flatten tree: nodes in record order
+  var nodes = [];
+  var addNodes = function (list) {
+    for (var i = 0; i < list.length; ++i) {
+      nodes.push(list[i]);
+      if (typeof list[i].children !== 'undefined') {
+        addNodes(list[i].children);
+      }
+    }
+  };
+  addNodes(tree);
+
+  var items = [];
+  for (var i = 0; i < nodes.length; ++i) {
+    items.push(dwv.dicom.getDicomDirRecordTags(nodes[i]));
+  }
+  var tags = {
+    FileMetaInformationVersion: new Uint8Array([0, 1]),
+    MediaStorageSOPClassUID: '1.2.840.10008.1.3.10',
+    MediaStorageSOPInstanceUID:
+      dwv.dicom.getUID('MediaStorageSOPInstanceUID'),
+    TransferSyntaxUID: '1.2.840.10008.1.2.1',
+    FileSetID: '',
+    OffsetOfTheFirstDirectoryRecordOfTheRootDirectoryEntity: 0,
+    OffsetOfTheLastDirectoryRecordOfTheRootDirectoryEntity: 0,
+    FileSetConsistencyFlag: 0,
+    DirectoryRecordSequence: items
+  };
+  var elements = dwv.dicom.getElementsFromJSONTags(tags).elements;
+
+  // first write to get the record positions: offset values have
+  // a fixed size and the record sequence is the last element
+  var writer = new dwv.dicom.DicomWriter();
+  var buffer = writer.getBuffer(elements);
+  var sequence = elements.x00041220;
+  var offset = buffer.byteLength - sequence.vl;
+  var offsets = [];
+  for (var j = 0; j < sequence.value.length; ++j) {
+    offsets.push(offset);
+    // item prefix and content
+    offset += 8 + sequence.value[j].xFFFEE000.vl;
+  }
+  var getOffset = function (node) {
+    return offsets[nodes.indexOf(node)];
+  };
+
+  // set offsets
+  var setOffsets = function (list) {
+    for (var k = 0; k < list.length; ++k) {
+      var record = sequence.value[nodes.indexOf(list[k])];
+      if (k !== list.length - 1) {
+        record.x00041400.value = [getOffset(list[k + 1])];
+      }
+      var children = list[k].children;
+      if (typeof children !== 'undefined' && children.length !== 0) {
+        record.x00041420.value = [getOffset(children[0])];
+        setOffsets(children);
+      }
+    }
+  };
+  setOffsets(tree);
+  if (tree.length !== 0) {
+    elements.x00041200.value = [getOffset(tree[0])];
+    elements.x00041202.value = [getOffset(tree[tree.length - 1])];
+  }
+
+  return writer.getBuffer(elements);
+};
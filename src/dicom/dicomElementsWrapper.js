@@ -69,7 +69,8 @@ dwv.dicom.DicomElementsWrapper = function (dicomElements) {
    * @returns {string} The tag name.
    */
   this.getTagName = function (tag) {
-    var tagObj = new dwv.dicom.Tag(tag.group, tag.element);
+    var tagObj = new dwv.dicom.Tag(
+      tag.group, tag.element, tag.privateCreator);
     var name = tagObj.getNameFromDictionary();
     if (name === null) {
       name = tagObj.getKey2();
@@ -130,7 +131,8 @@ dwv.dicom.DicomElementsWrapper = function (dicomElements) {
    * @returns {string} The dumped file.
    */
   this.dump = function () {
-    var keys = Object.keys(dicomElements);
+    var elements = dwv.dicom.getReadPixelDataElements(dicomElements);
+    var keys = Object.keys(elements);
     var result = '\n';
     result += '# Dicom-File-Format\n';
     result += '\n';
@@ -144,12 +146,12 @@ dwv.dicom.DicomElementsWrapper = function (dicomElements) {
     var dicomElement = null;
     var checkHeader = true;
     for (var i = 0, leni = keys.length; i < leni; ++i) {
-      dicomElement = dicomElements[keys[i]];
+      dicomElement = elements[keys[i]];
       if (checkHeader && dicomElement.tag.group !== '0x0002') {
         result += '\n';
         result += '# Dicom-Data-Set\n';
         result += '# Used TransferSyntax: ';
-        var syntax = dwv.dicom.cleanString(dicomElements.x00020010.value[0]);
+        var syntax = dwv.dicom.cleanString(elements.x00020010.value[0]);
         result += dwv.dicom.getTransferSyntaxName(syntax);
         result += '\n';
         checkHeader = false;
@@ -159,6 +161,17 @@ dwv.dicom.DicomElementsWrapper = function (dicomElements) {
     return result;
   };
 
+  /**
+   * Dump the DICOM tags to a Native DICOM Model (PS3.19) XML string.
+   *
+   * @param {Function} getBulkDataUri Optional bulk data URI callback,
+   *   see dwv.dicom.toNativeDicomXml.
+   * @returns {string} The XML string.
+   */
+  this.dumpToXml = function (getBulkDataUri) {
+    return dwv.dicom.toNativeDicomXml(dicomElements, getBulkDataUri);
+  };
+
 };
 
 /**
@@ -296,8 +309,8 @@ dwv.dicom.DicomElementsWrapper.prototype.getElementAsString = function (
   prefix = prefix || '';
 
   // get tag anme from dictionary
-  var tag = new dwv.dicom.Tag(
-    dicomElement.tag.group, dicomElement.tag.element);
+  var tag = new dwv.dicom.Tag(dicomElement.tag.group,
+    dicomElement.tag.element, dicomElement.tag.privateCreator);
   var tagName = tag.getNameFromDictionary();
 
   var deSize = dicomElement.value.length;
@@ -572,13 +585,32 @@ dwv.dicom.DicomElementsWrapper.prototype.getPixelSpacing = function () {
 };
 
 /**
- * Get the file list from a DICOMDIR
+ * DICOMDIR directory record elements that describe the record structure
+ *   and are not copied to the record node attributes.
  *
- * @param {object} data The buffer data of the DICOMDIR
- * @returns {Array} The file list as an array ordered by
- *   STUDY > SERIES > IMAGES.
+ * @type {Array}
  */
-dwv.dicom.getFileListFromDicomDir = function (data) {
+dwv.dicom.dicomDirStructureKeys = [
+  'x00041400', // OffsetOfTheNextDirectoryRecord
+  'x00041410', // RecordInUseFlag
+  'x00041420', // OffsetOfReferencedLowerLevelDirectoryEntity
+  'x00041430', // DirectoryRecordType
+  'x00041500' // ReferencedFileID
+];
+
+/**
+ * Get the patient/study/series/instance tree from a DICOMDIR.
+ * Each node is an object as {type, attributes, children} where
+ *   type is the directory record type ('PATIENT', 'STUDY', 'SERIES'...)
+ *   and attributes the record elements as a name-value object.
+ *   Instance nodes (IMAGE and other leaf records) have a fileId
+ *   (for ex 'IMAGES/IM0') instead of children.
+ * Studies without a PATIENT record are attached to an empty patient node.
+ *
+ * @param {object} data The buffer data of the DICOMDIR.
+ * @returns {Array} The list of patient nodes.
+ */
+dwv.dicom.getDicomDirTree = function (data) {
   // parse file
   var parser = new dwv.dicom.DicomParser();
   parser.parse(data);
@@ -597,9 +629,18 @@ dwv.dicom.getFileListFromDicomDir = function (data) {
     return;
   }
 
-  var records = [];
-  var series = null;
+  var getNode = function (type, record) {
+    return {
+      type: type,
+      attributes: dwv.dicom.getDicomDirRecordAttributes(record),
+      children: []
+    };
+  };
+
+  var patients = [];
+  var patient = null;
   var study = null;
+  var series = null;
   for (var i = 0; i < dirSeq.length; ++i) {
     // Directory Record Type
     if (typeof dirSeq[i].x00041430 === 'undefined' ||
@@ -609,18 +650,37 @@ dwv.dicom.getFileListFromDicomDir = function (data) {
     var recType = dwv.dicom.cleanString(dirSeq[i].x00041430.value[0]);
 
     // supposed to come in order...
-    if (recType === 'STUDY') {
-      study = [];
-      records.push(study);
+    if (recType === 'PATIENT') {
+      patient = getNode(recType, dirSeq[i]);
+      patients.push(patient);
+      study = null;
+      series = null;
+    } else if (recType === 'STUDY') {
+      if (patient === null) {
+        patient = getNode('PATIENT', {});
+        patients.push(patient);
+      }
+      study = getNode(recType, dirSeq[i]);
+      patient.children.push(study);
+      series = null;
     } else if (recType === 'SERIES') {
-      series = [];
-      study.push(series);
-    } else if (recType === 'IMAGE') {
+      if (study === null) {
+        dwv.logger.warn('Ignoring DICOMDIR series record without study.');
+        continue;
+      }
+      series = getNode(recType, dirSeq[i]);
+      study.children.push(series);
+    } else {
       // Referenced File ID
       if (typeof dirSeq[i].x00041500 === 'undefined' ||
         typeof dirSeq[i].x00041500.value === 'undefined') {
         continue;
       }
+      if (series === null) {
+        dwv.logger.warn('Ignoring DICOMDIR ' + recType +
+          ' record without series.');
+        continue;
+      }
       var refFileIds = dirSeq[i].x00041500.value;
       // clean and join ids
       var refFileId = '';
@@ -630,7 +690,133 @@ dwv.dicom.getFileListFromDicomDir = function (data) {
         }
         refFileId += dwv.dicom.cleanString(refFileIds[j]);
       }
-      series.push(refFileId);
+      series.children.push({
+        type: recType,
+        attributes: dwv.dicom.getDicomDirRecordAttributes(dirSeq[i]),
+        fileId: refFileId
+      });
+    }
+  }
+  return patients;
+};
+
+/**
+ * Get the attributes of a DICOMDIR directory record.
+ *
+ * @param {object} record The raw directory record elements.
+ * @returns {object} The attributes as a name-value object, values
+ *   are cleaned strings or numbers, arrays for multiple values.
+ */
+dwv.dicom.getDicomDirRecordAttributes = function (record) {
+  var attributes = {};
+  var keys = Object.keys(record);
+  for (var i = 0; i < keys.length; ++i) {
+    var key = keys[i];
+    var element = record[key];
+    if (dwv.dicom.dicomDirStructureKeys.includes(key) ||
+      key.substring(0, 5) === 'xFFFE' ||
+      element.vr === 'SQ' ||
+      typeof element.value === 'undefined') {
+      continue;
+    }
+    var tag = new dwv.dicom.Tag(element.tag.group, element.tag.element);
+    var name = tag.getNameFromDictionary();
+    if (name === null) {
+      name = key;
+    }
+    var values = [];
+    for (var j = 0; j < element.value.length; ++j) {
+      var value = element.value[j];
+      if (typeof value === 'string') {
+        value = dwv.dicom.cleanString(value);
+      }
+      values.push(value);
+    }
+    attributes[name] = values.length === 1 ? values[0] : values;
+  }
+  return attributes;
+};
+
+/**
+ * Get the referenced file ids of a series of a DICOMDIR tree.
+ *
+ * @param {Array} tree The DICOMDIR tree as returned by
+ *   dwv.dicom.getDicomDirTree.
+ * @param {string} seriesInstanceUID Optional SeriesInstanceUID of the
+ *   series, defaults to the first series of the tree.
+ * @returns {Array} The list of file ids, undefined if
+ *   the series is not found.
+ */
+dwv.dicom.getDicomDirSeriesFileIds = function (tree, seriesInstanceUID) {
+  for (var i = 0; i < tree.length; ++i) {
+    var studies = tree[i].children;
+    for (var j = 0; j < studies.length; ++j) {
+      var seriesList = studies[j].children;
+      for (var k = 0; k < seriesList.length; ++k) {
+        var series = seriesList[k];
+        if (typeof seriesInstanceUID === 'undefined' ||
+          series.attributes.SeriesInstanceUID === seriesInstanceUID) {
+          var fileIds = [];
+          for (var l = 0; l < series.children.length; ++l) {
+            fileIds.push(series.children[l].fileId);
+          }
+          return fileIds;
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Get the SeriesInstanceUIDs of the series of a DICOMDIR tree.
+ *
+ * @param {Array} tree The DICOMDIR tree as returned by
+ *   dwv.dicom.getDicomDirTree.
+ * @returns {Array} The list of UIDs, in tree order.
+ */
+dwv.dicom.getDicomDirSeriesUids = function (tree) {
+  var uids = [];
+  for (var i = 0; i < tree.length; ++i) {
+    var studies = tree[i].children;
+    for (var j = 0; j < studies.length; ++j) {
+      var seriesList = studies[j].children;
+      for (var k = 0; k < seriesList.length; ++k) {
+        uids.push(seriesList[k].attributes.SeriesInstanceUID);
+      }
+    }
+  }
+  return uids;
+};
+
+/**
+ * Get the file list from a DICOMDIR
+ *
+ * @param {object} data The buffer data of the DICOMDIR
+ * @returns {Array} The file list as an array ordered by
+ *   STUDY > SERIES > IMAGES.
+ */
+dwv.dicom.getFileListFromDicomDir = function (data) {
+  var tree = dwv.dicom.getDicomDirTree(data);
+  if (typeof tree === 'undefined') {
+    return;
+  }
+  var records = [];
+  for (var i = 0; i < tree.length; ++i) {
+    var studies = tree[i].children;
+    for (var j = 0; j < studies.length; ++j) {
+      var study = [];
+      var seriesList = studies[j].children;
+      for (var k = 0; k < seriesList.length; ++k) {
+        var series = [];
+        var instances = seriesList[k].children;
+        for (var l = 0; l < instances.length; ++l) {
+          if (instances[l].type === 'IMAGE') {
+            series.push(instances[l].fileId);
+          }
+        }
+        study.push(series);
+      }
+      records.push(study);
     }
   }
   return records;
@@ -0,0 +1,573 @@
+// namespaces
+var dwv = dwv || {};
+dwv.dicom = dwv.dicom || {};
+/* global BigInt, BigInt64Array, BigUint64Array */
+
+/**
+ * Is the input VR a single valued string VR (the backslash is not
+ *   a value separator)?
+ *
+ * @param {string} vr The element VR.
+ * @returns {boolean} True if the VR is a single valued string one.
+ */
+dwv.dicom.isSingleValuedStringVr = function (vr) {
+  return vr === 'ST' || vr === 'LT' || vr === 'UT' || vr === 'UR';
+};
+
+/**
+ * Is the input VR a binary VR: its JSON value is given as
+ *   InlineBinary or BulkDataURI.
+ *
+ * @param {string} vr The element VR.
+ * @returns {boolean} True if the VR is a binary one.
+ */
+dwv.dicom.isBinaryVr = function (vr) {
+  return vr === 'OB' || vr === 'OD' || vr === 'OF' || vr === 'OL' ||
+    vr === 'OV' || vr === 'OW' || vr === 'UN';
+};
+
+/**
+ * Get the bytes of a typed array.
+ *
+ * @param {object} array The typed array.
+ * @returns {Uint8Array} The bytes (not a copy).
+ */
+dwv.dicom.getBytes = function (array) {
+  if (array instanceof ArrayBuffer) {
+    return new Uint8Array(array);
+  }
+  return new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+};
+
+/**
+ * Encode bytes as a base64 string.
+ *
+ * @param {Uint8Array} bytes The bytes to encode.
+ * @returns {string} The base64 string.
+ */
+dwv.dicom.bytesToBase64 = function (bytes) {
+  // build the binary string in chunks to limit the arguments size
+  var str = '';
+  var chunkSize = 0x8000;
+  for (var i = 0; i < bytes.length; i += chunkSize) {
+    str += String.fromCharCode.apply(
+      null, bytes.subarray(i, i + chunkSize));
+  }
+  return window.btoa(str);
+};
+
+/**
+ * Decode a base64 string as bytes.
+ *
+ * @param {string} str The base64 string.
+ * @returns {Uint8Array} The decoded bytes.
+ */
+dwv.dicom.base64ToBytes = function (str) {
+  var binary = window.atob(str);
+  var bytes = new Uint8Array(binary.length);
+  for (var i = 0; i < binary.length; ++i) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * Encode encapsulated pixel data fragments as an item stream:
+ *   an empty basic offset table, the fragment items and
+ *   the sequence delimitation item.
+ *
+ * @param {Array} fragments The list of fragments as typed arrays.
+ * @returns {Uint8Array} The item stream bytes.
+ */
+dwv.dicom.fragmentsToItemStream = function (fragments) {
+  var size = 16;
+  var i;
+  for (i = 0; i < fragments.length; ++i) {
+    size += 8 + dwv.dicom.getBytes(fragments[i]).length;
+  }
+  var bytes = new Uint8Array(size);
+  var view = new DataView(bytes.buffer);
+  var offset = 0;
+  var writeItemHeader = function (element, length) {
+    view.setUint16(offset, 0xfffe, true);
+    view.setUint16(offset + 2, element, true);
+    view.setUint32(offset + 4, length, true);
+    offset += 8;
+  };
+  // empty basic offset table
+  writeItemHeader(0xe000, 0);
+  // fragments
+  for (i = 0; i < fragments.length; ++i) {
+    var fragment = dwv.dicom.getBytes(fragments[i]);
+    writeItemHeader(0xe000, fragment.length);
+    bytes.set(fragment, offset);
+    offset += fragment.length;
+  }
+  // sequence delimitation
+  writeItemHeader(0xe0dd, 0);
+  return bytes;
+};
+
+/**
+ * Decode an encapsulated pixel data item stream as a list of
+ *   fragments. The basic offset table is not returned.
+ *
+ * @param {Uint8Array} bytes The item stream bytes.
+ * @returns {Array} The list of fragments as Uint8Array.
+ */
+dwv.dicom.itemStreamToFragments = function (bytes) {
+  var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  var fragments = [];
+  var offset = 0;
+  var isFirst = true;
+  while (offset + 8 <= bytes.length) {
+    var group = view.getUint16(offset, true);
+    var element = view.getUint16(offset + 2, true);
+    var length = view.getUint32(offset + 4, true);
+    offset += 8;
+    if (group !== 0xfffe || element === 0xe0dd) {
+      break;
+    }
+    if (element !== 0xe000) {
+      throw new Error('Unexpected item in encapsulated pixel data: ' +
+        element.toString(16));
+    }
+    // skip the basic offset table
+    if (!isFirst) {
+      fragments.push(bytes.slice(offset, offset + length));
+    }
+    isFirst = false;
+    offset += length;
+  }
+  return fragments;
+};
+
+/**
+ * Convert DICOM elements to the DICOM JSON model.
+ * Ref: [DICOM JSON Model]{@link https://dicom.nema.org/medical/dicom/2022a/output/chtml/part18/chapter_F.html}.
+ * Binary values are written as InlineBinary (base64), except if
+ *   the bulk data URI callback returns a URI for them. Encapsulated pixel
+ *   data is written as its item stream.
+ *
+ * @param {object} dicomElements The DICOM elements, as returned by
+ *   the DicomParser getRawDicomElements.
+ * @param {Function} getBulkDataUri Optional function called with the tag
+ *   key (as '########') and the element of binary elements, returns
+ *   the BulkDataURI to use or undefined to inline the data.
+ * @returns {object} The DICOM JSON object.
+ */
+dwv.dicom.toDicomJson = function (dicomElements, getBulkDataUri) {
+  var json = {};
+  var keys = Object.keys(dicomElements).sort();
+  for (var i = 0; i < keys.length; ++i) {
+    var element = dicomElements[keys[i]];
+    var tag = new dwv.dicom.Tag(element.tag.group, element.tag.element);
+    // skip items and delimitations
+    if (!tag.isWithVR()) {
+      continue;
+    }
+    var key = tag.getKey2();
+    json[key] = dwv.dicom.getDicomJsonAttribute(key, element, getBulkDataUri);
+  }
+  return json;
+};
+
+/**
+ * Get the DICOM JSON attribute of a DICOM element.
+ *
+ * @param {string} key The tag key as '########'.
+ * @param {object} element The DICOM element.
+ * @param {Function} getBulkDataUri Optional bulk data URI callback.
+ * @returns {object} The attribute as {vr, Value|InlineBinary|BulkDataURI}.
+ */
+dwv.dicom.getDicomJsonAttribute = function (key, element, getBulkDataUri) {
+  var value = element.value;
+  if (typeof value === 'undefined') {
+    value = [];
+  } else if (value instanceof dwv.dicom.LazyPixelData) {
+    value = value.read();
+  }
+  var isPixelData = key === '7FE00010';
+  // resolve the parser local VRs
+  var vr = dwv.dicom.getResolvedVr(element.vr, value, isPixelData);
+
+  var attribute = {vr: vr};
+  var values = [];
+  var j;
+  if (dwv.dicom.isBinaryVr(vr)) {
+    // bulk data
+    var uri;
+    if (typeof getBulkDataUri !== 'undefined') {
+      uri = getBulkDataUri(key, element);
+    }
+    if (typeof uri !== 'undefined') {
+      attribute.BulkDataURI = uri;
+    } else {
+      var bytes;
+      if (isPixelData && element.vl === 'u/l') {
+        bytes = dwv.dicom.fragmentsToItemStream(value);
+      } else if (isPixelData) {
+        bytes = dwv.dicom.getBytes(
+          dwv.dicom.flattenArrayOfTypedArrays(value));
+      } else {
+        bytes = dwv.dicom.getBytes(value);
+      }
+      if (bytes.length !== 0) {
+        attribute.InlineBinary = dwv.dicom.bytesToBase64(bytes);
+      }
+    }
+    return attribute;
+  } else if (vr === 'SQ') {
+    for (j = 0; j < value.length; ++j) {
+      values.push(dwv.dicom.toDicomJson(value[j], getBulkDataUri));
+    }
+  } else if (vr === 'AT') {
+    // '(gggg,eeee)' to 'ggggeeee'
+    for (j = 0; j < value.length; ++j) {
+      values.push(value[j].substring(1, 5) + value[j].substring(6, 10));
+    }
+  } else if (vr === 'SV' || vr === 'UV') {
+    // numbers, strings for values out of the safe integer range
+    for (j = 0; j < value.length; ++j) {
+      var number = Number(value[j]);
+      values.push(Number.isSafeInteger(number) ? number : String(value[j]));
+    }
+  } else if (dwv.dicom.isTypedArrayVr(vr)) {
+    for (j = 0; j < value.length; ++j) {
+      values.push(value[j]);
+    }
+  } else {
+    // strings
+    if (dwv.dicom.isSingleValuedStringVr(vr)) {
+      value = [value.join('\\')];
+    }
+    for (j = 0; j < value.length; ++j) {
+      // remove padding
+      var str = dwv.dicom.cleanString(String(value[j]).replace(/\0+$/, ''));
+      if (str === '') {
+        values.push(null);
+      } else if (vr === 'PN') {
+        values.push(dwv.dicom.getDicomJsonPersonName(str));
+      } else if (vr === 'IS') {
+        values.push(parseInt(str, 10));
+      } else if (vr === 'DS') {
+        values.push(parseFloat(str));
+      } else {
+        values.push(str);
+      }
+    }
+    // no value
+    if (values.length === 1 && values[0] === null) {
+      values = [];
+    }
+  }
+  if (values.length !== 0) {
+    attribute.Value = values;
+  }
+  return attribute;
+};
+
+/**
+ * Get the DICOM JSON person name object from a PN string.
+ *
+ * @param {string} str The PN string, as 'alphabetic=ideographic=phonetic'.
+ * @returns {object} The person name object.
+ */
+dwv.dicom.getDicomJsonPersonName = function (str) {
+  var groups = str.split('=');
+  var names = ['Alphabetic', 'Ideographic', 'Phonetic'];
+  var res = {};
+  for (var i = 0; i < groups.length && i < names.length; ++i) {
+    if (groups[i] !== '') {
+      res[names[i]] = groups[i];
+    }
+  }
+  return res;
+};
+
+/**
+ * Get the PN string from a DICOM JSON person name object.
+ *
+ * @param {object} name The person name object.
+ * @returns {string} The PN string.
+ */
+dwv.dicom.getPersonNameFromDicomJson = function (name) {
+  var groups = [
+    name.Alphabetic || '',
+    name.Ideographic || '',
+    name.Phonetic || ''
+  ];
+  // remove trailing empty groups
+  while (groups.length > 1 && groups[groups.length - 1] === '') {
+    groups.pop();
+  }
+  return groups.join('=');
+};
+
+/**
+ * Get the DICOM elements from a DICOM JSON model object.
+ * The result can be written with the DicomWriter getBuffer. Missing
+ *   file meta information elements are created from the data set
+ *   (TransferSyntaxUID defaults to Explicit VR Little Endian).
+ *
+ * @param {object} json The DICOM JSON object.
+ * @param {object} bulkData Optional bulk data indexed by BulkDataURI as
+ *   ArrayBuffer or typed array. For encapsulated pixel data, it can be
+ *   a list of fragments or the item stream.
+ * @returns {object} The DICOM elements.
+ */
+dwv.dicom.getElementsFromDicomJson = function (json, bulkData) {
+  // complete the meta
+  var fullJson = {};
+  var keys = Object.keys(json);
+  for (var i = 0; i < keys.length; ++i) {
+    fullJson[keys[i]] = json[keys[i]];
+  }
+  if (typeof fullJson['00020001'] === 'undefined') {
+    fullJson['00020001'] = {
+      vr: 'OB',
+      InlineBinary: dwv.dicom.bytesToBase64(new Uint8Array([0, 1]))
+    };
+  }
+  if (typeof fullJson['00020002'] === 'undefined' &&
+    typeof fullJson['00080016'] !== 'undefined') {
+    fullJson['00020002'] = {vr: 'UI', Value: fullJson['00080016'].Value};
+  }
+  if (typeof fullJson['00020003'] === 'undefined' &&
+    typeof fullJson['00080018'] !== 'undefined') {
+    fullJson['00020003'] = {vr: 'UI', Value: fullJson['00080018'].Value};
+  }
+  if (typeof fullJson['00020010'] === 'undefined') {
+    fullJson['00020010'] = {vr: 'UI', Value: ['1.2.840.10008.1.2.1']};
+  }
+  var syntax = fullJson['00020010'].Value[0];
+  var context = {
+    isImplicit: dwv.dicom.isImplicitTransferSyntax(syntax),
+    isEncapsulated: dwv.dicom.getSyntaxDecompressionName(syntax) !== null,
+    bulkData: typeof bulkData === 'undefined' ? {} : bulkData,
+    charSetTerms: null
+  };
+  // character set with code extensions
+  if (typeof fullJson['00080005'] !== 'undefined' &&
+    typeof fullJson['00080005'].Value !== 'undefined') {
+    var terms = dwv.dicom.getCharacterSetTerms(fullJson['00080005'].Value);
+    if (dwv.dicom.isCodeExtensionCharacterSet(terms)) {
+      context.charSetTerms = terms;
+    }
+  }
+  return dwv.dicom.getElementsFromDicomJsonItem(fullJson, context).elements;
+};
+
+/**
+ * Get the DICOM elements from a DICOM JSON model item.
+ *
+ * @param {object} json The DICOM JSON object.
+ * @param {object} context The conversion context.
+ * @returns {object} The elements and their written size as {elements, size}.
+ */
+dwv.dicom.getElementsFromDicomJsonItem = function (json, context) {
+  var elements = {};
+  var size = 0;
+  var keys = Object.keys(json).sort();
+  for (var i = 0; i < keys.length; ++i) {
+    var key = keys[i].toUpperCase();
+    var tag = new dwv.dicom.Tag(
+      '0x' + key.substring(0, 4), '0x' + key.substring(4, 8));
+    var element = dwv.dicom.getElementFromDicomJsonAttribute(
+      tag, json[keys[i]], context);
+    elements[tag.getKey()] = element;
+    // meta elements are always explicit
+    var isImplicit = tag.getGroup() === '0x0002' ? false : context.isImplicit;
+    size += dwv.dicom.getDataElementPrefixByteSize(element.vr, isImplicit) +
+      element.endOffset - element.startOffset;
+  }
+  return {elements: elements, size: size};
+};
+
+/**
+ * Get a DICOM element from a DICOM JSON model attribute.
+ *
+ * @param {dwv.dicom.Tag} tag The element tag.
+ * @param {object} attribute The DICOM JSON attribute.
+ * @param {object} context The conversion context.
+ * @returns {object} The DICOM element.
+ */
+dwv.dicom.getElementFromDicomJsonAttribute = function (
+  tag, attribute, context) {
+  var vr = attribute.vr;
+  if (typeof vr === 'undefined') {
+    vr = tag.getVrFromDictionary();
+    if (vr === null) {
+      vr = 'UN';
+    }
+  }
+  var element = {
+    tag: {
+      group: tag.getGroup(),
+      element: tag.getElement(),
+      name: tag.getKey()
+    },
+    vr: vr
+  };
+  var values = attribute.Value;
+  if (typeof values === 'undefined') {
+    values = [];
+  }
+
+  var size = 0;
+  var j;
+  if (dwv.dicom.isBinaryVr(vr)) {
+    var bytes = null;
+    var fragments = null;
+    if (typeof attribute.InlineBinary !== 'undefined') {
+      bytes = dwv.dicom.base64ToBytes(attribute.InlineBinary);
+    } else if (typeof attribute.BulkDataURI !== 'undefined') {
+      var data = context.bulkData[attribute.BulkDataURI];
+      if (typeof data === 'undefined') {
+        throw new Error('Missing bulk data: ' + attribute.BulkDataURI);
+      }
+      if (Array.isArray(data)) {
+        fragments = [];
+        for (j = 0; j < data.length; ++j) {
+          fragments.push(dwv.dicom.getBytes(data[j]));
+        }
+      } else {
+        bytes = dwv.dicom.getBytes(data);
+      }
+    } else {
+      bytes = new Uint8Array(0);
+    }
+    var isPixelData = tag.getKey() === 'x7FE00010';
+    if (isPixelData && context.isEncapsulated) {
+      if (fragments === null) {
+        fragments = dwv.dicom.itemStreamToFragments(bytes);
+      }
+      // pad to even length
+      size = 16;
+      for (j = 0; j < fragments.length; ++j) {
+        if (!dwv.dicom.isEven(fragments[j].length)) {
+          var padded = new Uint8Array(fragments[j].length + 1);
+          padded.set(fragments[j]);
+          fragments[j] = padded;
+        }
+        size += 8 + fragments[j].length;
+      }
+      element.vr = 'OB';
+      element.vl = 'u/l';
+      element.value = fragments;
+    } else {
+      if (fragments !== null) {
+        bytes = dwv.dicom.flattenArrayOfTypedArrays(fragments);
+      }
+      // pad to even length
+      if (!dwv.dicom.isEven(bytes.length)) {
+        var paddedBytes = new Uint8Array(bytes.length + 1);
+        paddedBytes.set(bytes);
+        bytes = paddedBytes;
+      }
+      var buffer = bytes.slice().buffer;
+      var value;
+      if (vr === 'OW') {
+        value = new Uint16Array(buffer);
+      } else if (vr === 'OF') {
+        value = new Float32Array(buffer);
+      } else if (vr === 'OD') {
+        value = new Float64Array(buffer);
+      } else if (vr === 'OL') {
+        value = new Uint32Array(buffer);
+      } else {
+        value = new Uint8Array(buffer);
+      }
+      size = bytes.length;
+      element.vl = size;
+      element.value = isPixelData ? [value] : value;
+    }
+  } else if (vr === 'SQ') {
+    var items = [];
+    for (j = 0; j < values.length; ++j) {
+      var item = dwv.dicom.getElementsFromDicomJsonItem(values[j], context);
+      item.elements.xFFFEE000 = {
+        tag: {group: '0xFFFE', element: '0xE000', name: 'xFFFEE000'},
+        vr: 'NONE',
+        vl: item.size,
+        value: []
+      };
+      items.push(item.elements);
+      size += dwv.dicom.getDataElementPrefixByteSize('NONE', true) +
+        item.size;
+    }
+    element.vl = size;
+    element.value = items;
+  } else if (vr === 'AT') {
+    // 'ggggeeee' to '(gggg,eeee)'
+    element.value = [];
+    for (j = 0; j < values.length; ++j) {
+      var at = values[j].toUpperCase();
+      element.value.push(
+        '(' + at.substring(0, 4) + ',' + at.substring(4, 8) + ')');
+    }
+    size = 4 * values.length;
+    element.vl = size;
+  } else if (dwv.dicom.isTypedArrayVr(vr)) {
+    var arrayClass = {
+      US: Uint16Array,
+      SS: Int16Array,
+      UL: Uint32Array,
+      SL: Int32Array,
+      FL: Float32Array,
+      FD: Float64Array
+    }[vr];
+    if (vr === 'SV' || vr === 'UV') {
+      // not available in all browsers
+      if (typeof BigInt === 'undefined' ||
+        typeof BigInt64Array === 'undefined') {
+        throw new Error('Cannot read ' + vr +
+          ' values without BigInt support.');
+      }
+      arrayClass = vr === 'SV' ? BigInt64Array : BigUint64Array;
+      // numbers or strings for values out of the safe integer range
+      values = values.map(function (item) {
+        return BigInt(item);
+      });
+    }
+    element.value = new arrayClass(values);
+    size = element.value.byteLength;
+    element.vl = size;
+  } else {
+    // strings
+    var strings = [];
+    for (j = 0; j < values.length; ++j) {
+      var str = values[j];
+      if (str === null) {
+        str = '';
+      } else if (vr === 'PN') {
+        str = dwv.dicom.getPersonNameFromDicomJson(str);
+      } else {
+        str = str.toString();
+      }
+      strings.push(str);
+    }
+    // byte size as written by the DicomWriter
+    var joined = strings.join('\\');
+    var writer = new dwv.dicom.DataWriter(new ArrayBuffer(8 * joined.length));
+    if (context.charSetTerms !== null) {
+      writer.setCharacterSetTerms(context.charSetTerms);
+    }
+    if (vr === 'SH' || vr === 'LO' || vr === 'ST' ||
+      vr === 'PN' || vr === 'LT' || vr === 'UT') {
+      size = writer.writeSpecialString(0, joined, vr === 'PN');
+    } else {
+      size = writer.writeString(0, joined);
+    }
+    // pad to even length
+    if (!dwv.dicom.isEven(size)) {
+      strings[strings.length - 1] += dwv.dicom.getVrPad(vr);
+      size += 1;
+    }
+    element.vl = size;
+    element.value = strings;
+  }
+  element.startOffset = 0;
+  element.endOffset = size;
+  return element;
+};
@@ -153,6 +153,16 @@ dwv.dicom.isBigEndianTransferSyntax = function (syntax) {
   return syntax === '1.2.840.10008.1.2.2';
 };
 
+/**
+ * Tell if a given syntax is the deflated explicit VR little endian one.
+ *
+ * @param {string} syntax The transfer syntax to test.
+ * @returns {boolean} True if the deflated syntax.
+ */
+dwv.dicom.isDeflatedTransferSyntax = function (syntax) {
+  return syntax === '1.2.840.10008.1.2.1.99';
+};
+
 /**
  * Tell if a given syntax is a JPEG baseline one.
  *
@@ -172,11 +182,25 @@ dwv.dicom.isJpegBaselineTransferSyntax = function (syntax) {
  */
 dwv.dicom.isJpegRetiredTransferSyntax = function (syntax) {
   return (syntax.match(/1.2.840.10008.1.2.4.5/) !== null &&
-    !dwv.dicom.isJpegBaselineTransferSyntax() &&
-    !dwv.dicom.isJpegLosslessTransferSyntax()) ||
+    !dwv.dicom.isJpegBaselineTransferSyntax(syntax) &&
+    !dwv.dicom.isJpegLosslessTransferSyntax(syntax)) ||
     syntax.match(/1.2.840.10008.1.2.4.6/) !== null;
 };
 
+/**
+ * Tell if a given syntax is a retired JPEG one that can be decoded
+ *   with the JPEG baseline decoder, ie a non-hierarchical Huffman one:
+ *   spectral selection (processes 6 & 8) or full progression
+ *   (processes 10 & 12).
+ *
+ * @param {string} syntax The transfer syntax to test.
+ * @returns {boolean} True if a decodable retired jpeg syntax.
+ */
+dwv.dicom.isJpegRetiredHuffmanTransferSyntax = function (syntax) {
+  return syntax === '1.2.840.10008.1.2.4.53' ||
+    syntax === '1.2.840.10008.1.2.4.55';
+};
+
 /**
  * Tell if a given syntax is a JPEG Lossless one.
  *
@@ -228,10 +252,13 @@ dwv.dicom.getSyntaxDecompressionName = function (syntax) {
   var algo = null;
   if (dwv.dicom.isJpeg2000TransferSyntax(syntax)) {
     algo = 'jpeg2000';
-  } else if (dwv.dicom.isJpegBaselineTransferSyntax(syntax)) {
+  } else if (dwv.dicom.isJpegBaselineTransferSyntax(syntax) ||
+    dwv.dicom.isJpegRetiredHuffmanTransferSyntax(syntax)) {
     algo = 'jpeg-baseline';
   } else if (dwv.dicom.isJpegLosslessTransferSyntax(syntax)) {
     algo = 'jpeg-lossless';
+  } else if (dwv.dicom.isJpeglsTransferSyntax(syntax)) {
+    algo = 'jpeg-ls';
   } else if (dwv.dicom.isRleTransferSyntax(syntax)) {
     algo = 'rle';
   }
@@ -247,16 +274,18 @@ dwv.dicom.getSyntaxDecompressionName = function (syntax) {
 dwv.dicom.isReadSupportedTransferSyntax = function (syntax) {
 
   // Unsupported:
-  // "1.2.840.10008.1.2.1.99": Deflated Explicit VR - Little Endian
   // "1.2.840.10008.1.2.4.100": MPEG2 Image Compression
   // dwv.dicom.isJpegRetiredTransferSyntax(syntax): non supported JPEG
-  // dwv.dicom.isJpeglsTransferSyntax(syntax): JPEG-LS
+  //   (apart from dwv.dicom.isJpegRetiredHuffmanTransferSyntax)
 
   return (syntax === '1.2.840.10008.1.2' || // Implicit VR - Little Endian
     syntax === '1.2.840.10008.1.2.1' || // Explicit VR - Little Endian
+    syntax === '1.2.840.10008.1.2.1.99' || // Deflated Explicit VR - LE
     syntax === '1.2.840.10008.1.2.2' || // Explicit VR - Big Endian
     dwv.dicom.isJpegBaselineTransferSyntax(syntax) || // JPEG baseline
+    dwv.dicom.isJpegRetiredHuffmanTransferSyntax(syntax) || // Retired JPEG
     dwv.dicom.isJpegLosslessTransferSyntax(syntax) || // JPEG Lossless
+    dwv.dicom.isJpeglsTransferSyntax(syntax) || // JPEG-LS
     dwv.dicom.isJpeg2000TransferSyntax(syntax) || // JPEG 2000
     dwv.dicom.isRleTransferSyntax(syntax)); // RLE
 };
@@ -276,7 +305,7 @@ dwv.dicom.getTransferSyntaxName = function (syntax) {
   } else if (syntax === '1.2.840.10008.1.2.1') {
     // Explicit VR - Little Endian
     name = 'Little Endian Explicit';
-  } else if (syntax === '1.2.840.10008.1.2.1.99') {
+  } else if (dwv.dicom.isDeflatedTransferSyntax(syntax)) {
     // Deflated Explicit VR - Little Endian
     name = 'Little Endian Deflated Explicit';
   } else if (syntax === '1.2.840.10008.1.2.2') {
@@ -446,6 +475,77 @@ dwv.dicom.is32bitVLVR = function (vr) {
     vr === 'UN');
 };
 
+/**
+ * Size in bytes of one value of the known Value Representations (VR),
+ *   1 for string and byte VRs.
+ * Ref: [DICOM VRs]{@link http://dicom.nema.org/dicom/2013/output/chtml/part05/sect_6.2.html#table_6.2-1}.
+ *
+ * @type {object}
+ */
+dwv.dicom.vrValueByteSizes = {
+  AE: 1,
+  AS: 1,
+  AT: 4,
+  CS: 1,
+  DA: 1,
+  DS: 1,
+  DT: 1,
+  FD: 8,
+  FL: 4,
+  IS: 1,
+  LO: 1,
+  LT: 1,
+  OB: 1,
+  OD: 8,
+  OF: 4,
+  OL: 4,
+  OV: 8,
+  OW: 2,
+  PN: 1,
+  SH: 1,
+  SL: 4,
+  SQ: 1,
+  SS: 2,
+  ST: 1,
+  SV: 8,
+  TM: 1,
+  UC: 1,
+  UI: 1,
+  UL: 4,
+  UN: 1,
+  UR: 1,
+  US: 2,
+  UT: 1,
+  UV: 8
+};
+
+/**
+ * Is the input VR a known Value Representation?
+ *
+ * @param {string} vr The VR to check.
+ * @returns {boolean} True if known.
+ */
+dwv.dicom.isKnownVr = function (vr) {
+  return typeof dwv.dicom.vrValueByteSizes[vr] !== 'undefined';
+};
+
+/**
+ * Get the size in bytes of one value of a Value Representation (VR),
+ *   1 for string, byte and unknown VRs.
+ *
+ * @param {string} vr The data Value Representation (VR).
+ * @returns {number} The size of one value.
+ */
+dwv.dicom.getVrValueByteSize = function (vr) {
+  var size = 1;
+  if (vr === 'xs') {
+    size = 2;
+  } else if (dwv.dicom.isKnownVr(vr)) {
+    size = dwv.dicom.vrValueByteSizes[vr];
+  }
+  return size;
+};
+
 /**
  * Get the number of bytes occupied by a data element prefix,
  *   i.e. without its value.
@@ -473,6 +573,57 @@ dwv.dicom.getDataElementPrefixByteSize = function (vr, isImplicit) {
   return isImplicit ? 8 : dwv.dicom.is32bitVLVR(vr) ? 12 : 8;
 };
 
+/**
+ * Inflate the data set part of a deflated DICOM buffer.
+ * The data set is encoded with the raw DEFLATE algorithm (without
+ *   zlib header), some writers add one anyway: if the raw inflate fails
+ *   and the data starts with a valid zlib header, the data is inflated
+ *   after the header. A zlib header is not always an invalid raw DEFLATE
+ *   start so it is only checked as a fallback.
+ * Ref: [Deflated Explicit VR Little Endian]{@link https://dicom.nema.org/medical/dicom/2022a/output/chtml/part05/sect_A.5.html}.
+ *
+ * @param {ArrayBuffer} buffer The input buffer.
+ * @param {number} offset The offset of the start of the data set.
+ * @returns {ArrayBuffer} A new buffer with the inflated data set.
+ */
+dwv.dicom.inflateDataSet = function (buffer, offset) {
+  var deflated = new Uint8Array(buffer, offset);
+  var inflated;
+  try {
+    inflated = dwv.utils.inflateRaw(deflated);
+  } catch (error) {
+    // zlib header: CM=8 (deflate), CINFO<=7 and header checksum
+    if (deflated.length > 2 &&
+      (deflated[0] & 0x0f) === 8 &&
+      (deflated[0] >> 4) <= 7 &&
+      ((deflated[0] << 8) | deflated[1]) % 31 === 0) {
+      dwv.logger.warn('Skipping zlib header in deflated data set.');
+      inflated = dwv.utils.inflateRaw(deflated.subarray(2));
+    } else {
+      throw error;
+    }
+  }
+  var result = new Uint8Array(offset + inflated.length);
+  result.set(new Uint8Array(buffer, 0, offset));
+  result.set(inflated, offset);
+  return result.buffer;
+};
+
+/**
+ * Deflate the data set part of a DICOM buffer.
+ *
+ * @param {ArrayBuffer} buffer The input buffer.
+ * @param {number} offset The offset of the start of the data set.
+ * @returns {ArrayBuffer} A new buffer with the deflated data set.
+ */
+dwv.dicom.deflateDataSet = function (buffer, offset) {
+  var deflated = dwv.utils.deflateRaw(new Uint8Array(buffer, offset));
+  var result = new Uint8Array(offset + deflated.length);
+  result.set(new Uint8Array(buffer, 0, offset));
+  result.set(deflated, offset);
+  return result.buffer;
+};
+
 /**
  * DicomParser class.
  *
@@ -510,6 +661,195 @@ dwv.dicom.DicomParser = function () {
   this.setDefaultCharacterSet = function (characterSet) {
     defaultCharacterSet = characterSet;
   };
+
+  /**
+   * Tag key at which to stop parsing (optional).
+   *
+   * @private
+   * @type {string}
+   */
+  var stopTagKey;
+  /**
+   * Get the tag key at which parsing stops.
+   *
+   * @returns {string} The tag key as 'x########'.
+   */
+  this.getStopTagKey = function () {
+    return stopTagKey;
+  };
+  /**
+   * Set the tag key at which parsing stops: top level elements
+   *   with this tag or following it are not read.
+   * For example 'x7FE00010' to only read the header.
+   *
+   * @param {string} key The tag key as 'x########'.
+   */
+  this.setStopTagKey = function (key) {
+    stopTagKey = key.toUpperCase().replace('X', 'x');
+  };
+
+  /**
+   * Lazy pixel data flag, defaults to false.
+   *
+   * @private
+   * @type {boolean}
+   */
+  var lazyPixelData = false;
+  /**
+   * Get the lazy pixel data flag.
+   *
+   * @returns {boolean} True if the pixel data is parsed lazily.
+   */
+  this.isLazyPixelData = function () {
+    return lazyPixelData;
+  };
+  /**
+   * Set the lazy pixel data flag. If true, the pixel data element
+   *   value is a dwv.dicom.LazyPixelData that reads the pixels on demand.
+   *
+   * @param {boolean} flag The lazy flag.
+   */
+  this.setLazyPixelData = function (flag) {
+    lazyPixelData = flag;
+  };
+
+  /**
+   * Lenient parsing flag, defaults to false.
+   *
+   * @private
+   * @type {boolean}
+   */
+  var lenient = false;
+  /**
+   * Get the lenient parsing flag.
+   *
+   * @returns {boolean} True if the parsing is lenient.
+   */
+  this.isLenient = function () {
+    return lenient;
+  };
+  /**
+   * Set the lenient parsing flag. If true, the parser recovers from
+   *   malformed data where it can and stores warnings about it.
+   *
+   * @param {boolean} flag The lenient flag.
+   */
+  this.setLenient = function (flag) {
+    lenient = flag;
+  };
+
+  /**
+   * List of parsing warnings (lenient mode only).
+   *
+   * @private
+   * @type {Array}
+   */
+  var warnings = [];
+  /**
+   * Get the parsing warnings (lenient mode only).
+   *
+   * @returns {Array} The list of warnings as {tag, offset, kind, message}.
+   */
+  this.getWarnings = function () {
+    return warnings;
+  };
+  /**
+   * Add a parsing warning, also sent to the logger.
+   * Kinds: 'truncated', 'missing-delimiter', 'vr-mismatch',
+   *   'odd-length' and 'extra-data'.
+   *
+   * @param {string} kind The kind of problem.
+   * @param {string} tagKey The key of the element tag as 'x########'.
+   * @param {number} offset The offset of the problem in the buffer.
+   * @param {string} message The warning message.
+   */
+  this.addWarning = function (kind, tagKey, offset, message) {
+    dwv.logger.warn(message + ' (' + tagKey + ', offset ' + offset + ')');
+    warnings.push({
+      tag: tagKey,
+      offset: offset,
+      kind: kind,
+      message: message
+    });
+  };
+  /**
+   * Clear the parsing warnings.
+   */
+  this.clearWarnings = function () {
+    warnings = [];
+  };
+
+  /**
+   * Private creators indexed by the key of their
+   *   (gggg,00xx) reservation element.
+   *
+   * @private
+   * @type {object}
+   */
+  var privateCreators = {};
+  /**
+   * Get the private creator reserving a private data element block.
+   *
+   * @param {string} key The reservation element key as 'x########'.
+   * @returns {string} The private creator, can be undefined.
+   */
+  this.getPrivateCreator = function (key) {
+    return privateCreators[key];
+  };
+  /**
+   * Set the private creator of a private data element block.
+   *
+   * @param {string} key The reservation element key as 'x########'.
+   * @param {string} creator The private creator.
+   */
+  this.setPrivateCreator = function (key, creator) {
+    privateCreators[key] = creator;
+  };
+  /**
+   * Clear the private creators.
+   */
+  this.clearPrivateCreators = function () {
+    privateCreators = {};
+  };
+  /**
+   * Get the private creators of the data set being read.
+   *
+   * @returns {object} The private creators indexed by reservation key.
+   */
+  this.getPrivateCreators = function () {
+    return privateCreators;
+  };
+  /**
+   * Set the private creators of the data set being read.
+   *
+   * @param {object} creators The private creators indexed by
+   *   reservation key.
+   */
+  this.setPrivateCreators = function (creators) {
+    privateCreators = creators;
+  };
+};
+
+/**
+ * Is the read VR compatible with the dictionary one?
+ * 'UN' is always compatible, dictionary 'ox' means 'OB' or 'OW'
+ *   and 'xs' 'US' or 'SS'.
+ *
+ * @param {string} vr The read VR.
+ * @param {string} dictVr The dictionary VR.
+ * @returns {boolean} True if compatible.
+ */
+dwv.dicom.isCompatibleVr = function (vr, dictVr) {
+  var res = vr === dictVr || vr === 'UN';
+  if (dictVr === 'ox') {
+    res = res || vr === 'OB' || vr === 'OW';
+  } else if (dictVr === 'xs') {
+    res = res || vr === 'US' || vr === 'SS';
+  } else if (!dwv.dicom.isKnownVr(dictVr)) {
+    // for example 'NONE'
+    res = true;
+  }
+  return res;
 };
 
 /**
@@ -536,7 +876,8 @@ dwv.dicom.DicomParser.prototype.getDicomElements = function () {
  * @param {dwv.dicom.DataReader} reader The raw data reader.
  * @param {number} offset The offset where to start to read.
  * @returns {object} An object containing the tags 'group',
- *   'element' and 'name'.
+ *   'element' and 'name', plus 'privateCreator' for private data
+ *   elements with a known private creator.
  */
 dwv.dicom.DicomParser.prototype.readTag = function (reader, offset) {
   // group
@@ -546,14 +887,51 @@ dwv.dicom.DicomParser.prototype.readTag = function (reader, offset) {
   var element = reader.readHex(offset);
   offset += Uint16Array.BYTES_PER_ELEMENT;
   // name
-  var name = new dwv.dicom.Tag(group, element).getKey();
+  var tag = new dwv.dicom.Tag(group, element);
+  var name = tag.getKey();
   // return
-  return {
+  var tagData = {
     group: group,
     element: element,
     name: name,
     endOffset: offset
   };
+  // private creator
+  var creatorKey = tag.getPrivateCreatorKey();
+  if (creatorKey !== null) {
+    var creator = this.getPrivateCreator(creatorKey);
+    if (typeof creator !== 'undefined') {
+      tagData.privateCreator = creator;
+    }
+  }
+  return tagData;
+};
+
+/**
+ * Add a truncated data element header warning (lenient mode).
+ *
+ * @param {dwv.dicom.DataReader} reader The raw data reader.
+ * @param {number} offset The offset of the data element.
+ */
+dwv.dicom.DicomParser.prototype.addTruncatedHeaderWarning = function (
+  reader, offset) {
+  var tagKey = offset + 4 <= reader.getByteLength()
+    ? this.readTag(reader, offset).name : '';
+  this.addWarning('truncated', tagKey, offset,
+    'Truncated data element header');
+};
+
+/**
+ * Is there an item or delimitation item at the given offset?
+ * Used in lenient mode to detect missing delimiters.
+ *
+ * @param {dwv.dicom.DataReader} reader The raw data reader.
+ * @param {number} offset The offset where to look.
+ * @returns {boolean} True if an item tag can be read at the offset.
+ */
+dwv.dicom.DicomParser.prototype.isItemAt = function (reader, offset) {
+  return offset + 8 <= reader.getByteLength() &&
+    reader.readHex(offset) === '0xFFFE';
 };
 
 /**
@@ -562,7 +940,8 @@ dwv.dicom.DicomParser.prototype.readTag = function (reader, offset) {
  * @param {dwv.dicom.DataReader} reader The raw data reader.
  * @param {number} offset The offset where to start to read.
  * @param {boolean} implicit Is the DICOM VR implicit?
- * @returns {object} The item data as a list of data elements.
+ * @returns {object} The item data as a list of data elements,
+ *   null if the item header is truncated (lenient mode).
  */
 dwv.dicom.DicomParser.prototype.readExplicitItemDataElement = function (
   reader, offset, implicit) {
@@ -570,6 +949,9 @@ dwv.dicom.DicomParser.prototype.readExplicitItemDataElement = function (
 
   // read the first item
   var item = this.readDataElement(reader, offset, implicit);
+  if (item === null) {
+    return null;
+  }
   offset = item.endOffset;
   itemData[item.tag.name] = item;
 
@@ -578,6 +960,11 @@ dwv.dicom.DicomParser.prototype.readExplicitItemDataElement = function (
   offset -= item.vl;
   while (offset < endOffset) {
     item = this.readDataElement(reader, offset, implicit);
+    // lenient: truncated element header
+    if (item === null) {
+      offset = reader.getByteLength();
+      break;
+    }
     offset = item.endOffset;
     itemData[item.tag.name] = item;
   }
@@ -595,7 +982,8 @@ dwv.dicom.DicomParser.prototype.readExplicitItemDataElement = function (
  * @param {dwv.dicom.DataReader} reader The raw data reader.
  * @param {number} offset The offset where to start to read.
  * @param {boolean} implicit Is the DICOM VR implicit?
- * @returns {object} The item data as a list of data elements.
+ * @returns {object} The item data as a list of data elements,
+ *   null if the item header is truncated (lenient mode).
  */
 dwv.dicom.DicomParser.prototype.readImplicitItemDataElement = function (
   reader, offset, implicit) {
@@ -603,6 +991,9 @@ dwv.dicom.DicomParser.prototype.readImplicitItemDataElement = function (
 
   // read the first item
   var item = this.readDataElement(reader, offset, implicit);
+  if (item === null) {
+    return null;
+  }
   offset = item.endOffset;
 
   // exit if it is a sequence delimitation item
@@ -620,7 +1011,21 @@ dwv.dicom.DicomParser.prototype.readImplicitItemDataElement = function (
   // read until the item delimitation item
   var isItemDelim = false;
   while (!isItemDelim) {
+    // lenient: stop at the next item or at the end of the buffer
+    if (this.isLenient() &&
+      (offset + 8 > reader.getByteLength() ||
+      (this.isItemAt(reader, offset) &&
+      this.readTag(reader, offset).name !== 'xFFFEE00D'))) {
+      this.addWarning('missing-delimiter', 'xFFFEE00D', offset,
+        'Missing item delimitation item');
+      break;
+    }
     item = this.readDataElement(reader, offset, implicit);
+    // lenient: truncated element header
+    if (item === null) {
+      offset = reader.getByteLength();
+      break;
+    }
     offset = item.endOffset;
     isItemDelim = item.tag.name === 'xFFFEE00D';
     if (!isItemDelim) {
@@ -635,6 +1040,41 @@ dwv.dicom.DicomParser.prototype.readImplicitItemDataElement = function (
   };
 };
 
+/**
+ * Read a sequence item data element.
+ * Private creators are local to the data set of an item: the item starts
+ *   with the ones of its parent and the parent ones are restored after it.
+ *
+ * @param {dwv.dicom.DataReader} reader The raw data reader.
+ * @param {number} offset The offset where to start to read.
+ * @param {boolean} implicit Is the DICOM VR implicit?
+ * @param {boolean} isExplicitLength Is the item in a sequence with
+ *   an explicit length?
+ * @returns {object} The item data as a list of data elements,
+ *   null if the item header is truncated (lenient mode).
+ */
+dwv.dicom.DicomParser.prototype.readItemDataElement = function (
+  reader, offset, implicit, isExplicitLength) {
+  var parentCreators = this.getPrivateCreators();
+  var itemCreators = {};
+  var keys = Object.keys(parentCreators);
+  for (var i = 0; i < keys.length; ++i) {
+    itemCreators[keys[i]] = parentCreators[keys[i]];
+  }
+  this.setPrivateCreators(itemCreators);
+  var itemData;
+  try {
+    if (isExplicitLength) {
+      itemData = this.readExplicitItemDataElement(reader, offset, implicit);
+    } else {
+      itemData = this.readImplicitItemDataElement(reader, offset, implicit);
+    }
+  } finally {
+    this.setPrivateCreators(parentCreators);
+  }
+  return itemData;
+};
+
 /**
  * Read the pixel item data element.
  * Ref: [Single frame fragments]{@link http://dicom.nema.org/dicom/2013/output/chtml/part05/sect_A.4.html#table_A.4-1}.
@@ -650,13 +1090,32 @@ dwv.dicom.DicomParser.prototype.readPixelItemDataElement = function (
 
   // first item: basic offset table
   var item = this.readDataElement(reader, offset, implicit);
+  // lenient: truncated item header
+  if (item === null) {
+    return {
+      data: itemData,
+      endOffset: reader.getByteLength(),
+      offsetTableVl: 0
+    };
+  }
   var offsetTableVl = item.vl;
   offset = item.endOffset;
 
   // read until the sequence delimitation item
   var isSeqDelim = false;
   while (!isSeqDelim) {
+    // lenient: stop if there is no item
+    if (this.isLenient() && !this.isItemAt(reader, offset)) {
+      this.addWarning('missing-delimiter', 'x7FE00010', offset,
+        'Missing pixel data sequence delimitation item');
+      break;
+    }
     item = this.readDataElement(reader, offset, implicit);
+    // lenient: truncated item header
+    if (item === null) {
+      offset = reader.getByteLength();
+      break;
+    }
     offset = item.endOffset;
     isSeqDelim = item.tag.name === 'xFFFEE0DD';
     if (!isSeqDelim) {
@@ -679,30 +1138,63 @@ dwv.dicom.DicomParser.prototype.readPixelItemDataElement = function (
  * @param {number} offset The offset where to start to read.
  * @param {boolean} implicit Is the DICOM VR implicit?
  * @returns {object} An object containing the element
- *   'tag', 'vl', 'vr', 'data' and 'endOffset'.
+ *   'tag', 'vl', 'vr', 'data' and 'endOffset', null if the element
+ *   header is truncated (lenient mode).
  */
 dwv.dicom.DicomParser.prototype.readDataElement = function (
   reader, offset, implicit) {
+  var lenient = this.isLenient();
+  var elementOffset = offset;
+  // lenient: the smallest header (tag, VR and 16 bit VL or tag and
+  // 32 bit VL) is 8 bytes long
+  if (lenient && offset + 8 > reader.getByteLength()) {
+    this.addTruncatedHeaderWarning(reader, elementOffset);
+    return null;
+  }
   // Tag: group, element
   var tagData = this.readTag(reader, offset);
-  var tag = new dwv.dicom.Tag(tagData.group, tagData.element);
+  var tag = new dwv.dicom.Tag(
+    tagData.group, tagData.element, tagData.privateCreator);
   offset = tagData.endOffset;
 
   // Value Representation (VR)
   var vr = null;
   var is32bitVLVR = false;
   if (tag.isWithVR()) {
+    var readVr = implicit ? null : reader.readString(offset, 2);
+    var dictVr = null;
+    if (lenient) {
+      dictVr = tag.getVrFromDictionary();
+      // lenient: an unknown VR means the element is implicit
+      if (readVr !== null && !dwv.dicom.isKnownVr(readVr)) {
+        this.addWarning('vr-mismatch', tagData.name, elementOffset,
+          'Unknown VR \'' + readVr + '\', reading it as implicit');
+        readVr = null;
+      } else if (readVr !== null && dictVr !== null &&
+        !dwv.dicom.isCompatibleVr(readVr, dictVr)) {
+        this.addWarning('vr-mismatch', tagData.name, elementOffset,
+          'VR \'' + readVr + '\' does not match the dictionary one \'' +
+          dictVr + '\'');
+      }
+    }
     // implicit VR
-    if (implicit) {
-      vr = tag.getVrFromDictionary();
+    if (readVr === null) {
+      vr = lenient ? dictVr : tag.getVrFromDictionary();
       if (vr === null) {
         vr = 'UN';
       }
       is32bitVLVR = true;
     } else {
-      vr = reader.readString(offset, 2);
+      vr = readVr;
       offset += 2 * Uint8Array.BYTES_PER_ELEMENT;
       is32bitVLVR = dwv.dicom.is32bitVLVR(vr);
+      // lenient: explicit 32 bit VL header
+      if (lenient && elementOffset +
+        dwv.dicom.getDataElementPrefixByteSize(vr, false) >
+        reader.getByteLength()) {
+        this.addTruncatedHeaderWarning(reader, elementOffset);
+        return null;
+      }
       // reserved 2 bytes
       if (is32bitVLVR) {
         offset += 2 * Uint8Array.BYTES_PER_ELEMENT;
@@ -730,6 +1222,24 @@ dwv.dicom.DicomParser.prototype.readDataElement = function (
     vl = 0;
   }
 
+  // lenient: odd and truncated lengths
+  if (lenient && vlString !== 'u/l') {
+    if (!dwv.dicom.isEven(vl)) {
+      this.addWarning('odd-length', tagData.name, elementOffset,
+        'Odd value length: ' + vl);
+    }
+    if (offset + vl > reader.getByteLength()) {
+      // keep full values: pixel data can hold up to 64 bit values
+      var valueSize = dwv.dicom.isPixelDataTag(tag)
+        ? 8 : dwv.dicom.getVrValueByteSize(vr);
+      vl = reader.getByteLength() - offset;
+      vl -= vl % valueSize;
+      vlString = vl;
+      this.addWarning('truncated', tagData.name, elementOffset,
+        'Truncated element, value length reduced to ' + vl);
+    }
+  }
+
   // treat private tag with unknown VR and zero VL as a sequence (see #799)
   //if (dwv.dicom.isPrivateGroup(tag.group) && vr === 'UN' && vl === 0) {
   if (tag.isPrivate() && vr === 'UN' && vl === 0) {
@@ -739,6 +1249,12 @@ dwv.dicom.DicomParser.prototype.readDataElement = function (
   var startOffset = offset;
   var endOffset = startOffset + vl;
 
+  // store private creators for the lookup of their block elements
+  if (tag.isPrivateCreator() && vlString !== 'u/l') {
+    this.setPrivateCreator(tagData.name,
+      dwv.dicom.cleanString(reader.readString(startOffset, vl)));
+  }
+
   // read sequence elements
   var data = null;
   if (dwv.dicom.isPixelDataTag(tag) && vlString === 'u/l') {
@@ -758,7 +1274,13 @@ dwv.dicom.DicomParser.prototype.readDataElement = function (
         // read until the end offset
         var sqEndOffset = offset + vl;
         while (offset < sqEndOffset) {
-          itemData = this.readExplicitItemDataElement(reader, offset, implicit);
+          itemData = this.readItemDataElement(
+            reader, offset, implicit, true);
+          // lenient: truncated item header
+          if (itemData === null) {
+            offset = reader.getByteLength();
+            break;
+          }
           data.push(itemData.data);
           offset = itemData.endOffset;
         }
@@ -769,7 +1291,19 @@ dwv.dicom.DicomParser.prototype.readDataElement = function (
       // read until the sequence delimitation item
       var isSeqDelim = false;
       while (!isSeqDelim) {
-        itemData = this.readImplicitItemDataElement(reader, offset, implicit);
+        // lenient: stop if there is no item
+        if (lenient && !this.isItemAt(reader, offset)) {
+          this.addWarning('missing-delimiter', tagData.name, offset,
+            'Missing sequence delimitation item');
+          break;
+        }
+        itemData = this.readItemDataElement(
+          reader, offset, implicit, false);
+        // lenient: truncated item header
+        if (itemData === null) {
+          offset = reader.getByteLength();
+          break;
+        }
         isSeqDelim = itemData.isSeqDelim;
         offset = itemData.endOffset;
         // do not store the delimitation item
@@ -876,9 +1410,9 @@ dwv.dicom.DicomParser.prototype.interpretElement = function (
   } else if (vr === 'OW') {
     data = reader.readUint16Array(offset, vl);
   } else if (vr === 'OF') {
-    data = reader.readUint32Array(offset, vl);
+    data = reader.readFloat32Array(offset, vl);
   } else if (vr === 'OD') {
-    data = reader.readUint64Array(offset, vl);
+    data = reader.readFloat64Array(offset, vl);
   } else if (vr === 'US') {
     data = reader.readUint16Array(offset, vl);
   } else if (vr === 'UL') {
@@ -891,6 +1425,10 @@ dwv.dicom.DicomParser.prototype.interpretElement = function (
     data = reader.readFloat32Array(offset, vl);
   } else if (vr === 'FD') {
     data = reader.readFloat64Array(offset, vl);
+  } else if (vr === 'SV') {
+    data = reader.readBigInt64Array(offset, vl);
+  } else if (vr === 'UV') {
+    data = reader.readBigUint64Array(offset, vl);
   } else if (vr === 'xs') {
     if (pixelRepresentation === 0) {
       data = reader.readUint16Array(offset, vl);
@@ -934,7 +1472,7 @@ dwv.dicom.DicomParser.prototype.interpretElement = function (
     // raw
     if (vr === 'SH' || vr === 'LO' || vr === 'ST' ||
       vr === 'PN' || vr === 'LT' || vr === 'UT') {
-      data = reader.readSpecialString(offset, vl);
+      data = reader.readSpecialString(offset, vl, vr === 'PN');
     } else {
       data = reader.readString(offset, vl);
     }
@@ -974,6 +1512,8 @@ dwv.dicom.DicomParser.prototype.interpret = function (
  * @param {object} buffer The input array buffer.
  */
 dwv.dicom.DicomParser.prototype.parse = function (buffer) {
+  this.clearWarnings();
+  this.clearPrivateCreators();
   var offset = 0;
   var syntax = '';
   var dataElement = null;
@@ -988,19 +1528,27 @@ dwv.dicom.DicomParser.prototype.parse = function (buffer) {
   if (magicword === 'DICM') {
     // 0x0002, 0x0000: FileMetaInformationGroupLength
     dataElement = this.readDataElement(metaReader, offset, false);
-    dataElement.value = this.interpretElement(dataElement, metaReader);
-    // increment offset
-    offset = dataElement.endOffset;
-    // store the data element
-    this.dicomElements[dataElement.tag.name] = dataElement;
-    // get meta length
-    var metaLength = parseInt(dataElement.value[0], 10);
+    // lenient: truncated meta header
+    var metaLength = NaN;
+    if (dataElement !== null) {
+      dataElement.value = this.interpretElement(dataElement, metaReader);
+      // increment offset
+      offset = dataElement.endOffset;
+      // store the data element
+      this.dicomElements[dataElement.tag.name] = dataElement;
+      // get meta length
+      metaLength = parseInt(dataElement.value[0], 10);
+    }
 
     // meta elements
     var metaEnd = offset + metaLength;
     while (offset < metaEnd) {
       // get the data element
       dataElement = this.readDataElement(metaReader, offset, false);
+      // lenient: truncated meta header
+      if (dataElement === null) {
+        break;
+      }
       offset = dataElement.endOffset;
       // store the data element
       this.dicomElements[dataElement.tag.name] = dataElement;
@@ -1008,11 +1556,21 @@ dwv.dicom.DicomParser.prototype.parse = function (buffer) {
 
     // check the TransferSyntaxUID (has to be there!)
     dataElement = this.dicomElements.x00020010;
-    if (typeof dataElement === 'undefined') {
-      throw new Error('Not a valid DICOM file (no TransferSyntaxUID found)');
+    // lenient: truncated file meta information (the group length can
+    // be unknown), there is no data set to read
+    if (this.isLenient() && !(metaEnd <= buffer.byteLength)) {
+      this.addWarning('truncated', 'x00020000', 132,
+        'Truncated file meta information, no data set to read');
+      offset = buffer.byteLength;
+      syntax = '1.2.840.10008.1.2.1';
+    } else {
+      if (typeof dataElement === 'undefined') {
+        throw new Error(
+          'Not a valid DICOM file (no TransferSyntaxUID found)');
+      }
+      dataElement.value = this.interpretElement(dataElement, metaReader);
+      syntax = dwv.dicom.cleanString(dataElement.value[0]);
     }
-    dataElement.value = this.interpretElement(dataElement, metaReader);
-    syntax = dwv.dicom.cleanString(dataElement.value[0]);
 
   } else {
     // read first element
@@ -1043,15 +1601,35 @@ dwv.dicom.DicomParser.prototype.parse = function (buffer) {
     dataReader = new dwv.dicom.DataReader(buffer, false);
   }
 
+  // Deflated: inflate the data set and continue as explicit little endian
+  if (dwv.dicom.isDeflatedTransferSyntax(syntax)) {
+    buffer = dwv.dicom.inflateDataSet(buffer, offset);
+    dataReader = new dwv.dicom.DataReader(buffer);
+  }
+
   // default character set
   if (typeof this.getDefaultCharacterSet() !== 'undefined') {
     dataReader.setUtfLabel(this.getDefaultCharacterSet());
   }
 
   // DICOM data elements
+  var stopTagKey = this.getStopTagKey();
+  var isStopped = false;
   while (offset < buffer.byteLength) {
+    // stop before the stop tag (keys are fixed length upper case)
+    if (typeof stopTagKey !== 'undefined' &&
+      offset + 4 <= buffer.byteLength &&
+      this.readTag(dataReader, offset).name >= stopTagKey) {
+      isStopped = true;
+      break;
+    }
     // get the data element
     dataElement = this.readDataElement(dataReader, offset, implicit);
+    // lenient: truncated element header
+    if (dataElement === null) {
+      offset = buffer.byteLength;
+      break;
+    }
     // increment offset
     offset = dataElement.endOffset;
     // store the data element
@@ -1066,9 +1644,14 @@ dwv.dicom.DicomParser.prototype.parse = function (buffer) {
   if (isNaN(offset)) {
     throw new Error('Problem while parsing, bad offset');
   }
-  if (buffer.byteLength !== offset) {
-    dwv.logger.warn('Did not reach the end of the buffer: ' +
-      offset + ' != ' + buffer.byteLength);
+  if (!isStopped && buffer.byteLength !== offset) {
+    if (this.isLenient()) {
+      this.addWarning('extra-data', '', offset,
+        'Did not reach the end of the buffer');
+    } else {
+      dwv.logger.warn('Did not reach the end of the buffer: ' +
+        offset + ' != ' + buffer.byteLength);
+    }
   }
 
   //-------------------------------------------------
@@ -1099,15 +1682,34 @@ dwv.dicom.DicomParser.prototype.parse = function (buffer) {
   dataElement = this.dicomElements.x00080005;
   if (typeof dataElement !== 'undefined') {
     dataElement.value = this.interpretElement(dataElement, dataReader);
-    var charSetTerm;
-    if (dataElement.value.length === 1) {
-      charSetTerm = dwv.dicom.cleanString(dataElement.value[0]);
+    var charSetTerms = dwv.dicom.getCharacterSetTerms(dataElement.value);
+    if (dwv.dicom.isCodeExtensionCharacterSet(charSetTerms)) {
+      dataReader.setCharacterSetTerms(charSetTerms);
     } else {
-      charSetTerm = dwv.dicom.cleanString(dataElement.value[1]);
-      dwv.logger.warn('Unsupported character set with code extensions: \'' +
-        charSetTerm + '\'.');
+      var charSetTerm = charSetTerms[0];
+      if (charSetTerms.length !== 1) {
+        charSetTerm = charSetTerms[1];
+        dwv.logger.warn('Unsupported character set with code extensions: \'' +
+          charSetTerms.join('\\') + '\'.');
+      }
+      dataReader.setUtfLabel(dwv.dicom.getUtfLabel(charSetTerm));
     }
-    dataReader.setUtfLabel(dwv.dicom.getUtfLabel(charSetTerm));
+  }
+
+  // NumberOfFrames
+  var numberOfFrames = 1;
+  dataElement = this.dicomElements.x00280008;
+  if (typeof dataElement !== 'undefined') {
+    dataElement.value = this.interpretElement(dataElement, dataReader);
+    numberOfFrames = parseInt(dwv.dicom.cleanString(dataElement.value[0]), 10);
+  }
+
+  // lazy pixel data: only record its position
+  dataElement = this.dicomElements.x7FE00010;
+  if (this.isLazyPixelData() && typeof dataElement !== 'undefined') {
+    dataElement.value = new dwv.dicom.LazyPixelData(
+      this, dataElement, dataReader,
+      pixelRepresentation, bitsAllocated, numberOfFrames);
   }
 
   // interpret the dicom elements
@@ -1117,45 +1719,229 @@ dwv.dicom.DicomParser.prototype.parse = function (buffer) {
   );
 
   // handle fragmented pixel buffer
-  // Reference: http://dicom.nema.org/dicom/2013/output/chtml/part05/sect_8.2.html
-  // (third note, "Depending on the transfer syntax...")
-  dataElement = this.dicomElements.x7FE00010;
-  if (typeof dataElement !== 'undefined') {
-    if (dataElement.vl === 'u/l') {
-      var numberOfFrames = 1;
-      if (typeof this.dicomElements.x00280008 !== 'undefined') {
-        numberOfFrames = dwv.dicom.cleanString(
-          this.dicomElements.x00280008.value[0]);
-      }
-      var pixItems = dataElement.value;
-      if (pixItems.length > 1 && pixItems.length > numberOfFrames) {
-        // concatenate pixel data items
-        // concat does not work on typed arrays
-        //this.pixelBuffer = this.pixelBuffer.concat( dataElement.data );
-        // manual concat...
-        var nItemPerFrame = pixItems.length / numberOfFrames;
-        var newPixItems = [];
-        var index = 0;
-        for (var f = 0; f < numberOfFrames; ++f) {
-          index = f * nItemPerFrame;
-          // calculate the size of a frame
-          var size = 0;
-          for (var i = 0; i < nItemPerFrame; ++i) {
-            size += pixItems[index + i].length;
-          }
-          // create new buffer
-          var newBuffer = new pixItems[0].constructor(size);
-          // fill new buffer
-          var fragOffset = 0;
-          for (var j = 0; j < nItemPerFrame; ++j) {
-            newBuffer.set(pixItems[index + j], fragOffset);
-            fragOffset += pixItems[index + j].length;
-          }
-          newPixItems[f] = newBuffer;
-        }
-        // store as pixel data
-        dataElement.value = newPixItems;
+  if (typeof dataElement !== 'undefined' &&
+    !this.isLazyPixelData() &&
+    dataElement.vl === 'u/l') {
+    dataElement.value = dwv.dicom.concatenatePixelItems(
+      dataElement.value, numberOfFrames);
+  }
+};
+
+/**
+ * Concatenate the fragments of an encapsulated pixel data
+ *   to get one item per frame.
+ * Reference: http://dicom.nema.org/dicom/2013/output/chtml/part05/sect_8.2.html
+ * (third note, "Depending on the transfer syntax...")
+ *
+ * @param {Array} pixItems The list of fragments.
+ * @param {number} numberOfFrames The number of frames.
+ * @returns {Array} The list of frames, the input if nothing to do.
+ */
+dwv.dicom.concatenatePixelItems = function (pixItems, numberOfFrames) {
+  if (pixItems.length <= 1 || pixItems.length <= numberOfFrames) {
+    return pixItems;
+  }
+  // concatenate pixel data items
+  // concat does not work on typed arrays
+  //this.pixelBuffer = this.pixelBuffer.concat( dataElement.data );
+  // manual concat...
+  var nItemPerFrame = pixItems.length / numberOfFrames;
+  var newPixItems = [];
+  var index = 0;
+  for (var f = 0; f < numberOfFrames; ++f) {
+    index = f * nItemPerFrame;
+    // calculate the size of a frame
+    var size = 0;
+    for (var i = 0; i < nItemPerFrame; ++i) {
+      size += pixItems[index + i].length;
+    }
+    // create new buffer
+    var newBuffer = new pixItems[0].constructor(size);
+    // fill new buffer
+    var fragOffset = 0;
+    for (var j = 0; j < nItemPerFrame; ++j) {
+      newBuffer.set(pixItems[index + j], fragOffset);
+      fragOffset += pixItems[index + j].length;
+    }
+    newPixItems[f] = newBuffer;
+  }
+  return newPixItems;
+};
+
+/**
+ * Lazy pixel data: the position of the pixel data in the parsed buffer,
+ *   the pixels are only read on demand.
+ *
+ * @class
+ * @param {dwv.dicom.DicomParser} parser The parser that created it.
+ * @param {object} element The pixel data element.
+ * @param {dwv.dicom.DataReader} reader The data reader of the parsed buffer.
+ * @param {number} pixelRepresentation PixelRepresentation 0->unsigned,
+ *   1->signed.
+ * @param {number} bitsAllocated Bits allocated.
+ * @param {number} numberOfFrames The number of frames.
+ */
+dwv.dicom.LazyPixelData = function (parser, element, reader,
+  pixelRepresentation, bitsAllocated, numberOfFrames) {
+  // the encapsulated data fragments
+  var fragments = element.elements;
+  // number of fragments per item
+  var nFragmentPerItem = 1;
+  if (typeof fragments !== 'undefined' &&
+    fragments.length > 1 && fragments.length > numberOfFrames) {
+    nFragmentPerItem = fragments.length / numberOfFrames;
+  }
+
+  /**
+   * Is the pixel data encapsulated (compressed)?
+   *
+   * @returns {boolean} True if encapsulated.
+   */
+  this.isEncapsulated = function () {
+    return typeof fragments !== 'undefined';
+  };
+
+  /**
+   * Get the byte ranges of the pixel data in the parsed buffer:
+   *   one range for native data, one per fragment for encapsulated data.
+   *
+   * @returns {Array} The list of ranges as {offset, length}.
+   */
+  this.getRanges = function () {
+    var ranges = [];
+    if (this.isEncapsulated()) {
+      for (var i = 0; i < fragments.length; ++i) {
+        ranges.push({
+          offset: fragments[i].startOffset,
+          length: fragments[i].vl
+        });
       }
+    } else {
+      ranges.push({offset: element.startOffset, length: element.vl});
+    }
+    return ranges;
+  };
+
+  /**
+   * Get the number of items: one for native data,
+   *   one per frame for encapsulated data.
+   *
+   * @returns {number} The number of items.
+   */
+  this.getNumberOfItems = function () {
+    var res = 1;
+    if (this.isEncapsulated()) {
+      res = fragments.length / nFragmentPerItem;
+    }
+    return res;
+  };
+
+  /**
+   * Read an item, as found in the non lazy pixel data element value.
+   *
+   * @param {number} index The item index.
+   * @returns {object} The item typed array.
+   */
+  this.getItem = function (index) {
+    if (index < 0 || index >= this.getNumberOfItems()) {
+      throw new Error('Lazy pixel data item index out of range: ' + index);
+    }
+    if (!this.isEncapsulated()) {
+      // interpret a copy not to modify the element
+      var nativeElement = {
+        tag: element.tag,
+        vr: element.vr,
+        vl: element.vl,
+        startOffset: element.startOffset
+      };
+      return parser.interpretElement(
+        nativeElement, reader, pixelRepresentation, bitsAllocated)[0];
     }
+    var items = [];
+    var start = index * nFragmentPerItem;
+    for (var i = start; i < start + nFragmentPerItem; ++i) {
+      items.push(parser.interpretElement(
+        fragments[i], reader, pixelRepresentation, bitsAllocated));
+    }
+    return dwv.dicom.concatenatePixelItems(items, 1)[0];
+  };
+
+  /**
+   * Read all items, as found in the non lazy pixel data element value.
+   *
+   * @returns {Array} The list of items.
+   */
+  this.read = function () {
+    var items = [];
+    for (var i = 0; i < this.getNumberOfItems(); ++i) {
+      items.push(this.getItem(i));
+    }
+    return items;
+  };
+};
+
+/**
+ * Get DICOM elements with a read pixel data: a lazy pixel data value
+ *   is replaced by its items in a copy of the pixel data element, the
+ *   input elements are not modified.
+ *
+ * @param {object} dicomElements The DICOM elements.
+ * @returns {object} The DICOM elements, the input ones if their pixel
+ *   data is not lazy.
+ */
+dwv.dicom.getReadPixelDataElements = function (dicomElements) {
+  var pixelElement = dicomElements.x7FE00010;
+  if (typeof pixelElement === 'undefined' ||
+    !(pixelElement.value instanceof dwv.dicom.LazyPixelData)) {
+    return dicomElements;
+  }
+  var elements = {};
+  var keys = Object.keys(dicomElements);
+  for (var i = 0; i < keys.length; ++i) {
+    elements[keys[i]] = dicomElements[keys[i]];
+  }
+  var readElement = {};
+  var elementKeys = Object.keys(pixelElement);
+  for (var j = 0; j < elementKeys.length; ++j) {
+    readElement[elementKeys[j]] = pixelElement[elementKeys[j]];
+  }
+  readElement.value = pixelElement.value.read();
+  elements.x7FE00010 = readElement;
+  return elements;
+};
+
+/**
+ * Get the values of a raw DICOM element, strings are cleaned.
+ *
+ * @param {object} elements The raw DICOM elements.
+ * @param {string} key The element key (for ex 'x00080018').
+ * @returns {Array} The element values, empty if not present.
+ */
+dwv.dicom.getElementValues = function (elements, key) {
+  var element = elements[key];
+  if (typeof element === 'undefined' ||
+    typeof element.value === 'undefined') {
+    return [];
   }
+  var values = [];
+  for (var i = 0; i < element.value.length; ++i) {
+    var value = element.value[i];
+    if (typeof value === 'string') {
+      value = dwv.dicom.cleanString(value);
+    }
+    values.push(value);
+  }
+  return values;
+};
+
+/**
+ * Get the value of a raw DICOM element as a string, strings are cleaned.
+ *
+ * @param {object} elements The raw DICOM elements.
+ * @param {string} key The element key (for ex 'x00080018').
+ * @returns {string} The value, multiple values are joined with
+ *   a backslash, empty if not present.
+ */
+dwv.dicom.getElementString = function (elements, key) {
+  return dwv.dicom.getElementValues(elements, key).join('\\');
 };
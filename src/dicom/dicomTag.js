@@ -8,8 +8,10 @@ dwv.dicom = dwv.dicom || {};
  * @class
  * @param {string} group The tag group as '0x####'.
  * @param {string} element The tag element as '0x####'.
+ * @param {string} privateCreator Optional private creator of
+ *   private data elements, used for private dictionary lookup.
  */
-dwv.dicom.Tag = function (group, element) {
+dwv.dicom.Tag = function (group, element, privateCreator) {
   /**
    * Get the tag group.
    *
@@ -26,6 +28,14 @@ dwv.dicom.Tag = function (group, element) {
   this.getElement = function () {
     return element;
   };
+  /**
+   * Get the tag private creator.
+   *
+   * @returns {string} The private creator, can be undefined.
+   */
+  this.getPrivateCreator = function () {
+    return privateCreator;
+  };
 }; // Tag class
 
 /**
@@ -119,12 +129,115 @@ dwv.dicom.Tag.prototype.isWithVR = function () {
  */
 dwv.dicom.Tag.prototype.isPrivate = function () {
   // group is in the '0x####' form
-  var groupNumber = parseInt(this.getGroup().substring(2), 10);
+  var groupNumber = parseInt(this.getGroup().substring(2), 16);
   return groupNumber % 2 === 1;
 };
 
+/**
+ * Is the tag a private creator data element: a private tag
+ *   with an element in the [0x0010, 0x00FF] range.
+ *
+ * @returns {boolean} True if the tag is a private creator.
+ */
+dwv.dicom.Tag.prototype.isPrivateCreator = function () {
+  // element is in the '0x####' form
+  var elementNumber = parseInt(this.getElement().substring(2), 16);
+  return this.isPrivate() && elementNumber >= 0x0010 &&
+    elementNumber <= 0x00FF;
+};
+
+/**
+ * Get the key of the private creator data element that reserves the
+ *   block of this private data element: (gggg,xxyy) is reserved
+ *   by (gggg,00xx).
+ *
+ * @returns {string} The key as 'x########' or null if the tag is not
+ *   a private data element.
+ */
+dwv.dicom.Tag.prototype.getPrivateCreatorKey = function () {
+  // element is in the '0x####' form
+  var elementNumber = parseInt(this.getElement().substring(2), 16);
+  if (!this.isPrivate() || elementNumber < 0x1000) {
+    return null;
+  }
+  return 'x' + this.getGroup().substring(2) + '00' +
+    this.getElement().substring(2, 4);
+};
+
+/**
+ * Private dictionaries indexed by private creator.
+ * A private dictionary follows the dwv.dicom.dictionary format but
+ *   uses element keys without the block number, for example
+ *   {'0x0029': {'0xxx10': ['OB', '1', 'CSAImageHeaderInfo']}}
+ *   for the (0029,xx10) element.
+ *
+ * @type {object}
+ */
+dwv.dicom.privateDictionaries = {};
+
+/**
+ * Register a private dictionary. Elements of an already registered
+ *   private creator are merged, new definitions win.
+ *
+ * @param {string} privateCreator The private creator,
+ *   for example 'SIEMENS CSA HEADER'.
+ * @param {object} dictionary The private dictionary, see
+ *   dwv.dicom.privateDictionaries for the format.
+ */
+dwv.dicom.registerPrivateDictionary = function (privateCreator, dictionary) {
+  var creator = privateCreator.trim();
+  if (typeof dwv.dicom.privateDictionaries[creator] === 'undefined') {
+    dwv.dicom.privateDictionaries[creator] = {};
+  }
+  var privateDict = dwv.dicom.privateDictionaries[creator];
+  var groups = Object.keys(dictionary);
+  for (var i = 0; i < groups.length; ++i) {
+    var group = groups[i];
+    if (typeof privateDict[group] === 'undefined') {
+      privateDict[group] = {};
+    }
+    var elements = Object.keys(dictionary[group]);
+    for (var j = 0; j < elements.length; ++j) {
+      privateDict[group][elements[j]] = dictionary[group][elements[j]];
+    }
+  }
+};
+
+/**
+ * Get the info of a private tag from the private dictionaries.
+ *
+ * @param {dwv.dicom.Tag} tag The private tag.
+ * @returns {Array} The info as [vr, multiplicity, name] or null if
+ *   not found.
+ * @private
+ */
+dwv.dicom.getInfoFromPrivateDictionary = function (tag) {
+  if (tag.isPrivateCreator()) {
+    return ['LO', '1', 'PrivateCreator'];
+  }
+  var creator = tag.getPrivateCreator();
+  if (typeof creator === 'undefined' || creator === null ||
+    tag.getPrivateCreatorKey() === null) {
+    return null;
+  }
+  var privateDict = dwv.dicom.privateDictionaries[creator.trim()];
+  if (typeof privateDict === 'undefined' ||
+    typeof privateDict[tag.getGroup()] === 'undefined') {
+    return null;
+  }
+  // element is in the '0x####' form, remove the block number
+  var element = '0xxx' + tag.getElement().substring(4);
+  var info = privateDict[tag.getGroup()][element];
+  if (typeof info === 'undefined') {
+    return null;
+  }
+  return info;
+};
+
 /**
  * Get the tag info from the dicom dictionary.
+ * Private tags not found in it are resolved through the private
+ *   dictionaries using the tag private creator.
  *
  * @returns {Array} The info as [vr, multiplicity, name].
  */
@@ -135,6 +248,9 @@ dwv.dicom.Tag.prototype.getInfoFromDictionary = function () {
       'undefined') {
     info = dwv.dicom.dictionary[this.getGroup()][this.getElement()];
   }
+  if (info === null && this.isPrivate()) {
+    info = dwv.dicom.getInfoFromPrivateDictionary(this);
+  }
   return info;
 };
 
@@ -274,7 +390,7 @@ dwv.dicom.isPixelDataTag = function (tag) {
  * Get a tag from the dictionary using a tag string name.
  *
  * @param {string} tagName The tag string name.
- * @returns {object} The tag object.
+ * @returns {object} The tag object, null if not found.
  */
 dwv.dicom.getTagFromDictionary = function (tagName) {
   var group = null;
@@ -296,7 +412,8 @@ dwv.dicom.getTagFromDictionary = function (tagName) {
     }
   }
   var tag = null;
-  if (group !== null && element !== null) {
+  if (group !== null && element !== null &&
+    dict[group][element][2] === tagName) {
     tag = new dwv.dicom.Tag(group, element);
   }
   return tag;
@@ -0,0 +1,353 @@
+// namespaces
+var dwv = dwv || {};
+dwv.dicom = dwv.dicom || {};
+
+/**
+ * Maximum value lengths, indexed by VR.
+ * Ref: [Value Representations]{@link https://dicom.nema.org/medical/dicom/2022a/output/chtml/part05/sect_6.2.html}.
+ * The PN length applies to each component group.
+ *
+ * @type {object}
+ */
+dwv.dicom.vrMaxLengths = {
+  AE: 16,
+  AS: 4,
+  CS: 16,
+  DA: 8,
+  DS: 16,
+  DT: 26,
+  IS: 12,
+  LO: 64,
+  LT: 10240,
+  PN: 64,
+  SH: 16,
+  ST: 1024,
+  TM: 14,
+  UI: 64
+};
+
+/**
+ * Value formats, indexed by VR.
+ *
+ * @type {object}
+ */
+dwv.dicom.vrFormats = {
+  AS: /^\d{3}[DWMY]$/,
+  DA: /^\d{4}(0[1-9]|1[0-2])(0[1-9]|[12]\d|3[01])$/,
+  DS: /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/,
+  DT: /^\d{4}((0[1-9]|1[0-2])((0[1-9]|[12]\d|3[01])(([01]\d|2[0-3])([0-5]\d([0-5]\d(\.\d{1,6})?)?)?)?)?)?([+-]\d{4})?$/,
+  IS: /^[+-]?\d+$/,
+  TM: /^([01]\d|2[0-3])([0-5]\d([0-5]\d(\.\d{1,6})?)?)?$/,
+  UI: /^(0|[1-9]\d*)(\.(0|[1-9]\d*))*$/
+};
+
+/**
+ * VRs with a single value that can contain a backslash.
+ *
+ * @type {Array}
+ */
+dwv.dicom.singleValueVrs = ['LT', 'ST', 'UR', 'UT'];
+
+/**
+ * Required file meta information elements (type 1).
+ *
+ * @type {Array}
+ */
+dwv.dicom.requiredMetaElements = [
+  'FileMetaInformationVersion',
+  'MediaStorageSOPClassUID',
+  'MediaStorageSOPInstanceUID',
+  'TransferSyntaxUID'
+];
+
+/**
+ * Validate DICOM elements against the dictionary and the VR rules:
+ *   VR consistency, value multiplicity, value length, date, time and
+ *   UID formats, character repertoire and required file meta elements.
+ * Ref: [Data Structures and Encoding]{@link https://dicom.nema.org/medical/dicom/2022a/output/chtml/part05/PS3.5.html}.
+ * Each issue is an object as {tag, kind, message} where tag is the
+ *   element key as 'x########' (prefixed with the sequence keys
+ *   for sequence items, as 'x########.x########') and kind one of:
+ *   'vr', 'vm', 'length', 'format', 'repertoire' or 'meta'.
+ *
+ * @param {object} dicomElements The DICOM elements, as returned by
+ *   the DicomParser getRawDicomElements.
+ * @returns {object} The validation report as {isValid, issues}.
+ */
+dwv.dicom.validateDicomElements = function (dicomElements) {
+  var issues = [];
+  var addIssue = function (tagKey, kind, message) {
+    issues.push({
+      tag: tagKey,
+      kind: kind,
+      message: message
+    });
+  };
+
+  // required file meta elements
+  for (var i = 0; i < dwv.dicom.requiredMetaElements.length; ++i) {
+    var keyword = dwv.dicom.requiredMetaElements[i];
+    var tag = dwv.dicom.getTagFromDictionary(keyword);
+    var element = dicomElements[tag.getKey()];
+    if (typeof element === 'undefined' ||
+      dwv.dicom.getValidationValues(element).length === 0) {
+      addIssue(tag.getKey(), 'meta',
+        'Missing required file meta element ' + keyword);
+    }
+  }
+  // consistent instance UIDs
+  if (typeof dicomElements.x00020003 !== 'undefined' &&
+    typeof dicomElements.x00080018 !== 'undefined' &&
+    dwv.dicom.cleanString(dicomElements.x00020003.value[0]) !==
+    dwv.dicom.cleanString(dicomElements.x00080018.value[0])) {
+    addIssue('x00020003', 'meta',
+      'MediaStorageSOPInstanceUID does not match SOPInstanceUID');
+  }
+
+  var syntax = '';
+  if (typeof dicomElements.x00020010 !== 'undefined') {
+    syntax = dwv.dicom.cleanString(dicomElements.x00020010.value[0]);
+  }
+  dwv.dicom.validateDicomElementList(dicomElements, {
+    isImplicit: dwv.dicom.isImplicitTransferSyntax(syntax),
+    isDefaultCharacterSet: true,
+    prefix: '',
+    addIssue: addIssue
+  });
+
+  return {
+    isValid: issues.length === 0,
+    issues: issues
+  };
+};
+
+/**
+ * Validate a list of DICOM elements (data set or sequence item).
+ *
+ * @param {object} dicomElements The DICOM elements.
+ * @param {object} context The validation context as {isImplicit,
+ *   isDefaultCharacterSet, prefix, addIssue}.
+ */
+dwv.dicom.validateDicomElementList = function (dicomElements, context) {
+  // item character set
+  var charSetElement = dicomElements.x00080005;
+  if (typeof charSetElement !== 'undefined') {
+    var terms = dwv.dicom.getCharacterSetTerms(charSetElement.value);
+    context.isDefaultCharacterSet = terms.length === 0 ||
+      (terms.length === 1 && (terms[0] === '' || terms[0] === 'ISO_IR 6'));
+  }
+
+  var keys = Object.keys(dicomElements);
+  for (var i = 0; i < keys.length; ++i) {
+    var element = dicomElements[keys[i]];
+    var tag = new dwv.dicom.Tag(element.tag.group, element.tag.element,
+      element.tag.privateCreator);
+    // items and delimiters
+    if (!tag.isWithVR()) {
+      continue;
+    }
+    var tagKey = context.prefix + tag.getKey();
+    dwv.dicom.validateDicomElement(element, tag, tagKey, context);
+
+    // sequence items
+    if (element.vr === 'SQ' && typeof element.value !== 'undefined') {
+      for (var j = 0; j < element.value.length; ++j) {
+        dwv.dicom.validateDicomElementList(element.value[j], {
+          isImplicit: context.isImplicit,
+          isDefaultCharacterSet: context.isDefaultCharacterSet,
+          prefix: tagKey + '.',
+          addIssue: context.addIssue
+        });
+      }
+    }
+  }
+};
+
+/**
+ * Validate a DICOM element.
+ *
+ * @param {object} element The DICOM element.
+ * @param {dwv.dicom.Tag} tag The element tag.
+ * @param {string} tagKey The key used in the issues.
+ * @param {object} context The validation context.
+ */
+dwv.dicom.validateDicomElement = function (element, tag, tagKey, context) {
+  var vr = element.vr;
+  var info = tag.getInfoFromDictionary();
+  var name = info !== null ? info[2] : tagKey;
+
+  // VR
+  if (!dwv.dicom.isKnownVr(vr)) {
+    // parser local VRs are only allowed for implicit data
+    if (!(context.isImplicit && (vr === 'ox' || vr === 'xs'))) {
+      context.addIssue(tagKey, 'vr', 'Unknown VR \'' + vr + '\' for ' + name);
+    }
+    return;
+  } else if (info !== null && !dwv.dicom.isCompatibleVr(vr, info[0])) {
+    context.addIssue(tagKey, 'vr', 'VR \'' + vr + '\' of ' + name +
+      ' does not match the dictionary one \'' + info[0] + '\'');
+  }
+  if (vr === 'SQ' || vr === 'UN' || !dwv.dicom.isStringVr(vr)) {
+    // binary values: only check the multiplicity of numbers
+    if (info !== null && dwv.dicom.isTypedArrayVr(vr) &&
+      vr !== 'OB' && vr !== 'OW' && vr !== 'OF' && vr !== 'OD' &&
+      typeof element.value !== 'undefined') {
+      dwv.dicom.validateMultiplicity(
+        element.value.length, info[1], tagKey, name, context);
+    }
+    return;
+  }
+
+  var values = dwv.dicom.getValidationValues(element);
+  // VM
+  if (info !== null && dwv.dicom.singleValueVrs.indexOf(vr) === -1) {
+    dwv.dicom.validateMultiplicity(
+      values.length, info[1], tagKey, name, context);
+  }
+  for (var i = 0; i < values.length; ++i) {
+    var value = values[i];
+    if (value === '') {
+      continue;
+    }
+    // format
+    var format = dwv.dicom.vrFormats[vr];
+    if (typeof format !== 'undefined' && !format.test(value)) {
+      context.addIssue(tagKey, 'format', 'Invalid ' + vr + ' value for ' +
+        name + ': \'' + value + '\'');
+    } else {
+      // length (implied by the format if any)
+      var maxLength = dwv.dicom.vrMaxLengths[vr];
+      var parts = vr === 'PN' ? value.split('=') : [value];
+      for (var j = 0; j < parts.length; ++j) {
+        if (typeof maxLength !== 'undefined' && parts[j].length > maxLength) {
+          context.addIssue(tagKey, 'length', 'Value of ' + name +
+            ' is longer than ' + maxLength + ' characters: \'' +
+            value + '\'');
+          break;
+        }
+      }
+    }
+    // repertoire
+    if (!dwv.dicom.isInVrRepertoire(
+      value, vr, context.isDefaultCharacterSet)) {
+      context.addIssue(tagKey, 'repertoire', 'Value of ' + name +
+        ' has characters not allowed for ' + vr + ': \'' + value + '\'');
+    }
+  }
+};
+
+/**
+ * Check a value multiplicity against the dictionary one.
+ *
+ * @param {number} count The number of values.
+ * @param {string} vm The dictionary multiplicity as '1', '1-3', '1-n'
+ *   or '2-2n'.
+ * @param {string} tagKey The key used in the issues.
+ * @param {string} name The element name.
+ * @param {object} context The validation context.
+ */
+dwv.dicom.validateMultiplicity = function (count, vm, tagKey, name, context) {
+  // empty values are allowed for type 2 elements
+  if (count === 0) {
+    return;
+  }
+  var bounds = vm.split('-');
+  var min = parseInt(bounds[0], 10);
+  var max = min;
+  var step = 1;
+  if (bounds.length === 2) {
+    if (bounds[1].indexOf('n') !== -1) {
+      max = Infinity;
+      // '2-2n': multiple of 2
+      if (bounds[1] !== 'n') {
+        step = parseInt(bounds[1], 10);
+      }
+    } else {
+      max = parseInt(bounds[1], 10);
+    }
+  }
+  if (isNaN(min)) {
+    return;
+  }
+  if (count < min || count > max || count % step !== 0) {
+    context.addIssue(tagKey, 'vm', 'Value multiplicity of ' + name +
+      ' is ' + count + ', expected ' + vm);
+  }
+};
+
+/**
+ * Get the string values of an element to validate: values containing
+ *   the separator are split and the padding is removed.
+ *
+ * @param {object} element The DICOM element.
+ * @returns {Array} The list of values.
+ */
+dwv.dicom.getValidationValues = function (element) {
+  var value = element.value;
+  if (typeof value === 'undefined' || value === null) {
+    return [];
+  }
+  if (!(value instanceof Array)) {
+    value = [value];
+  }
+  var str = '';
+  for (var i = 0; i < value.length; ++i) {
+    if (i !== 0) {
+      str += '\\';
+    }
+    str += value[i].toString();
+  }
+  // remove padding
+  str = str.replace(/[ \0]+$/, '');
+  if (str === '') {
+    return [];
+  }
+  if (dwv.dicom.singleValueVrs.indexOf(element.vr) !== -1) {
+    return [str];
+  }
+  var values = str.split('\\');
+  for (var j = 0; j < values.length; ++j) {
+    // leading and trailing spaces are not significant
+    if (element.vr !== 'PN') {
+      values[j] = values[j].trim();
+    }
+  }
+  return values;
+};
+
+/**
+ * Is a string value in the character repertoire of its VR?
+ * With a character set other than the default one, only the
+ *   control characters are checked.
+ *
+ * @param {string} value The value.
+ * @param {string} vr The value VR.
+ * @param {boolean} isDefaultCharacterSet True for the default
+ *   character repertoire (ISO-IR 6).
+ * @returns {boolean} True if all characters are allowed.
+ */
+dwv.dicom.isInVrRepertoire = function (value, vr, isDefaultCharacterSet) {
+  if (vr === 'CS') {
+    return /^[A-Z0-9 _]*$/.test(value);
+  }
+  if (vr === 'AE') {
+    return /^[\x20-\x5B\x5D-\x7E]*$/.test(value);
+  }
+  // allowed control characters: format effectors for texts and
+  //   escape for the code extensions
+  var controls = dwv.dicom.singleValueVrs.indexOf(vr) !== -1 ? '\t\n\f\r' : '';
+  if (!isDefaultCharacterSet) {
+    controls += '\x1B';
+  }
+  for (var i = 0; i < value.length; ++i) {
+    var code = value.charCodeAt(i);
+    if (code < 0x20 || code === 0x7F) {
+      if (controls.indexOf(value[i]) === -1) {
+        return false;
+      }
+    } else if (isDefaultCharacterSet && code > 0x7E) {
+      return false;
+    }
+  }
+  return true;
+};
@@ -1,6 +1,7 @@
 // namespaces
 var dwv = dwv || {};
 dwv.dicom = dwv.dicom || {};
+/* global BigInt64Array, BigUint64Array */
 
 /**
  * Get the dwv UID prefix.
@@ -30,7 +31,8 @@ dwv.dicom.getUID = function (tagName) {
   var prefix = dwv.dicom.getDwvUIDPrefix() + '.';
   var uid = '';
   if (tagName === 'ImplementationClassUID') {
-    uid = prefix + dwv.getVersion();
+    // numeric part of the version (a UID only contains digits and dots)
+    uid = prefix + dwv.getVersion().split('-')[0];
   } else {
     // date (only numbers), do not keep milliseconds
     var date = (new Date()).toISOString().replace(/\D/g, '');
@@ -93,7 +95,8 @@ dwv.dicom.isTypedArrayVr = function (vr) {
     vr === 'OF' || vr === 'OD' ||
     vr === 'US' || vr === 'SS' ||
     vr === 'UL' || vr === 'SL' ||
-    vr === 'FL' || vr === 'FD';
+    vr === 'FL' || vr === 'FD' ||
+    vr === 'SV' || vr === 'UV';
 };
 
 /**
@@ -230,6 +233,13 @@ dwv.dicom.flattenArrayOfTypedArrays = function (initialArray) {
  *   element.href = URL.createObjectURL(blob);
  *   element.download = "anonym.dcm";
  *
+ * The data is written using its TransferSyntaxUID, a rule can be used to
+ *   change it, for example to write it deflated:
+ *   writer.rules = {
+ *     default: {action: 'copy', value: null},
+ *     TransferSyntaxUID: {action: 'replace', value: '1.2.840.10008.1.2.1.99'}
+ *   };
+ *
  * @class
  */
 dwv.dicom.DicomWriter = function () {
@@ -238,6 +248,32 @@ dwv.dicom.DicomWriter = function () {
   // (mainly used in tests)
   this.useUnVrForPrivateSq = false;
 
+  /**
+   * Strict writing flag, defaults to false.
+   *
+   * @private
+   * @type {boolean}
+   */
+  var strict = false;
+  /**
+   * Get the strict writing flag.
+   *
+   * @returns {boolean} True if the writing is strict.
+   */
+  this.isStrict = function () {
+    return strict;
+  };
+  /**
+   * Set the strict writing flag. If true, getBuffer validates the
+   *   elements to write (see dwv.dicom.validateDicomElements) and
+   *   throws an error if they are not valid.
+   *
+   * @param {boolean} flag The strict flag.
+   */
+  this.setStrict = function (flag) {
+    strict = flag;
+  };
+
   // possible tag actions
   var actions = {
     copy: function (item) {
@@ -279,6 +315,8 @@ dwv.dicom.DicomWriter = function () {
 
   /**
    * Example anonymisation rules.
+   * See dwv.dicom.Deidentifier for the standard de-identification
+   *   profile that keeps the references between files.
    */
   this.anonymisationRules = {
     default: {action: 'remove', value: null},
@@ -410,6 +448,16 @@ dwv.dicom.DicomWriter.prototype.writeDataElementValue = function (
     byteOffset = writer.writeUint32Array(byteOffset, value);
   } else if (value instanceof Int32Array) {
     byteOffset = writer.writeInt32Array(byteOffset, value);
+  } else if (value instanceof Float32Array) {
+    byteOffset = writer.writeFloat32Array(byteOffset, value);
+  } else if (value instanceof Float64Array) {
+    byteOffset = writer.writeFloat64Array(byteOffset, value);
+  } else if (typeof BigInt64Array !== 'undefined' &&
+    value instanceof BigInt64Array) {
+    byteOffset = writer.writeBigInt64Array(byteOffset, value);
+  } else if (typeof BigUint64Array !== 'undefined' &&
+    value instanceof BigUint64Array) {
+    byteOffset = writer.writeBigUint64Array(byteOffset, value);
   } else {
     // switch according to VR if input type is undefined
     if (vr === 'UN') {
@@ -419,9 +467,9 @@ dwv.dicom.DicomWriter.prototype.writeDataElementValue = function (
     } else if (vr === 'OW') {
       byteOffset = writer.writeInt16Array(byteOffset, value);
     } else if (vr === 'OF') {
-      byteOffset = writer.writeInt32Array(byteOffset, value);
+      byteOffset = writer.writeFloat32Array(byteOffset, value);
     } else if (vr === 'OD') {
-      byteOffset = writer.writeInt64Array(byteOffset, value);
+      byteOffset = writer.writeFloat64Array(byteOffset, value);
     } else if (vr === 'US') {
       byteOffset = writer.writeUint16Array(byteOffset, value);
     } else if (vr === 'SS') {
@@ -434,6 +482,10 @@ dwv.dicom.DicomWriter.prototype.writeDataElementValue = function (
       byteOffset = writer.writeFloat32Array(byteOffset, value);
     } else if (vr === 'FD') {
       byteOffset = writer.writeFloat64Array(byteOffset, value);
+    } else if (vr === 'SV') {
+      byteOffset = writer.writeBigInt64Array(byteOffset, value);
+    } else if (vr === 'UV') {
+      byteOffset = writer.writeBigUint64Array(byteOffset, value);
     } else if (vr === 'SQ') {
       byteOffset = this.writeDataElementItems(
         writer, byteOffset, value, isImplicit);
@@ -455,7 +507,8 @@ dwv.dicom.DicomWriter.prototype.writeDataElementValue = function (
       // write
       if (vr === 'SH' || vr === 'LO' || vr === 'ST' ||
         vr === 'PN' || vr === 'LT' || vr === 'UT') {
-        byteOffset = writer.writeSpecialString(byteOffset, value);
+        byteOffset = writer.writeSpecialString(
+          byteOffset, value, vr === 'PN');
       } else {
         byteOffset = writer.writeString(byteOffset, value);
       }
@@ -474,10 +527,12 @@ dwv.dicom.DicomWriter.prototype.writeDataElementValue = function (
  * @param {number} byteOffset The offset to start writing from.
  * @param {Array} value The array to write.
  * @param {boolean} isImplicit Is the DICOM VR implicit?
+ * @param {Uint32Array} offsetTable Optional basic offset table of
+ *   encapsulated pixel data, empty if not provided.
  * @returns {number} The new offset position.
  */
 dwv.dicom.DicomWriter.prototype.writePixelDataElementValue = function (
-  writer, vr, vl, byteOffset, value, isImplicit) {
+  writer, vr, vl, byteOffset, value, isImplicit, offsetTable) {
   // explicit length
   if (vl !== 'u/l') {
     var finalValue = value[0];
@@ -490,34 +545,32 @@ dwv.dicom.DicomWriter.prototype.writePixelDataElementValue = function (
       writer, vr, vl, byteOffset, finalValue, isImplicit);
   } else {
     // pixel data as sequence
-    var item = {};
-    // first item: basic offset table
-    item.xFFFEE000 = {
-      tag: {
-        group: '0xFFFE',
-        element: '0xE000',
-        name: 'xFFFEE000'
-      },
-      vr: 'UN',
-      vl: 0,
-      value: []
+    var itemTag = {
+      group: '0xFFFE',
+      element: '0xE000',
+      name: 'xFFFEE000'
     };
+    // first item: basic offset table
+    var offsetTableBytes = new Uint8Array(0);
+    if (typeof offsetTable !== 'undefined') {
+      offsetTableBytes = new Uint8Array(offsetTable.buffer,
+        offsetTable.byteOffset, offsetTable.byteLength);
+    }
+    byteOffset = this.writeDataElement(writer, {
+      tag: itemTag,
+      vr: 'OB',
+      vl: offsetTableBytes.length,
+      value: offsetTableBytes
+    }, byteOffset, isImplicit);
     // data
     for (var i = 0; i < value.length; ++i) {
-      item[i] = {
-        tag: {
-          group: '0xFFFE',
-          element: '0xE000',
-          name: 'xFFFEE000'
-        },
+      byteOffset = this.writeDataElement(writer, {
+        tag: itemTag,
         vr: vr,
         vl: value[i].length,
         value: value[i]
-      };
+      }, byteOffset, isImplicit);
     }
-    // write
-    byteOffset = this.writeDataElementItems(
-      writer, byteOffset, [item], isImplicit);
   }
 
   // return new offset
@@ -582,8 +635,8 @@ dwv.dicom.DicomWriter.prototype.writeDataElement = function (
   }
   // write
   if (element.tag.name === 'x7FE00010') {
-    byteOffset = this.writePixelDataElementValue(
-      writer, element.vr, element.vl, byteOffset, value, isImplicit);
+    byteOffset = this.writePixelDataElementValue(writer, element.vr,
+      element.vl, byteOffset, value, isImplicit, element.basicOffsetTable);
   } else {
     byteOffset = this.writeDataElementValue(
       writer, element.vr, element.vl, byteOffset, value, isImplicit);
@@ -614,16 +667,35 @@ dwv.dicom.DicomWriter.prototype.writeDataElement = function (
  * Get the ArrayBuffer corresponding to input DICOM elements.
  *
  * @param {Array} dicomElements The wrapped elements to write.
+ * @param {string} transferSyntax Optional target transfer syntax UID,
+ *   see dwv.dicom.getElementsWithTransferSyntax for the supported ones.
+ * @param {dwv.image.Image} image Optional decoded image of the elements,
+ *   needed to transcode compressed pixel data.
  * @returns {ArrayBuffer} The elements as a buffer.
  */
-dwv.dicom.DicomWriter.prototype.getBuffer = function (dicomElements) {
+dwv.dicom.DicomWriter.prototype.getBuffer = function (
+  dicomElements, transferSyntax, image) {
+  // lazy pixel data
+  dicomElements = dwv.dicom.getReadPixelDataElements(dicomElements);
+  // target transfer syntax
+  if (typeof transferSyntax !== 'undefined') {
+    dicomElements = dwv.dicom.getElementsWithTransferSyntax(
+      dicomElements, transferSyntax, image);
+  }
+
   // array keys
   var keys = Object.keys(dicomElements);
 
-  // transfer syntax
-  var syntax = dwv.dicom.cleanString(dicomElements.x00020010.value[0]);
+  // transfer syntax: apply rules first to allow to change it
+  // (for example to request the deflated one)
+  var syntaxElement = this.getElementToWrite(dicomElements.x00020010);
+  if (syntaxElement === null) {
+    syntaxElement = dicomElements.x00020010;
+  }
+  var syntax = dwv.dicom.cleanString(syntaxElement.value[0]);
   var isImplicit = dwv.dicom.isImplicitTransferSyntax(syntax);
   var isBigEndian = dwv.dicom.isBigEndianTransferSyntax(syntax);
+  var isDeflated = dwv.dicom.isDeflatedTransferSyntax(syntax);
 
   // calculate buffer size and split elements (meta and non meta)
   var totalSize = 128 + 4; // DICM
@@ -638,6 +710,8 @@ dwv.dicom.DicomWriter.prototype.getBuffer = function (dicomElements) {
   var icUIDTag = new dwv.dicom.Tag('0x0002', '0x0012');
   // ImplementationVersionName
   var ivnTag = new dwv.dicom.Tag('0x0002', '0x0013');
+  // elements to write, for validation
+  var elementsToWrite = {};
   for (var i = 0, leni = keys.length; i < leni; ++i) {
     element = this.getElementToWrite(dicomElements[keys[i]]);
     if (element !== null &&
@@ -652,6 +726,7 @@ dwv.dicom.DicomWriter.prototype.getBuffer = function (dicomElements) {
       // otherwise there may be extra null bytes at the end of the file
       // (dcmdump may crash because of these bytes)
       dwv.dicom.checkUnknownVR(element);
+      elementsToWrite[keys[i]] = element;
 
       // tag group name (remove first 0)
       groupName = dwv.dicom.TagGroups[element.tag.group.substring(1)];
@@ -681,6 +756,18 @@ dwv.dicom.DicomWriter.prototype.getBuffer = function (dicomElements) {
     }
   }
 
+  // strict mode: refuse to write invalid data
+  if (this.isStrict()) {
+    var report = dwv.dicom.validateDicomElements(elementsToWrite);
+    if (!report.isValid) {
+      var messages = [];
+      for (var m = 0; m < report.issues.length; ++m) {
+        messages.push(report.issues[m].message);
+      }
+      throw new Error('Invalid DICOM data: ' + messages.join('; '));
+    }
+  }
+
   // ImplementationClassUID
   var icUID = dwv.dicom.getDicomElement('ImplementationClassUID');
   var icUIDSize = dwv.dicom.getDataElementPrefixByteSize(icUID.vr, isImplicit);
@@ -692,7 +779,8 @@ dwv.dicom.DicomWriter.prototype.getBuffer = function (dicomElements) {
   // ImplementationVersionName
   var ivn = dwv.dicom.getDicomElement('ImplementationVersionName');
   var ivnSize = dwv.dicom.getDataElementPrefixByteSize(ivn.vr, isImplicit);
-  var ivnValue = 'DWV_' + dwv.getVersion();
+  // (SH: 16 characters maximum)
+  var ivnValue = ('DWV_' + dwv.getVersion()).substring(0, 16);
   ivnSize += dwv.dicom.setElementValue(ivn, ivnValue, false);
   metaElements.push(ivn);
   metaLength += ivnSize;
@@ -712,8 +800,13 @@ dwv.dicom.DicomWriter.prototype.getBuffer = function (dicomElements) {
   var dataWriter = new dwv.dicom.DataWriter(buffer, !isBigEndian);
   // special character set
   if (typeof dicomElements.x00080005 !== 'undefined') {
-    var scs = dwv.dicom.cleanString(dicomElements.x00080005.value[0]);
-    dataWriter.setUtfLabel(dwv.dicom.getUtfLabel(scs));
+    var charSetTerms = dwv.dicom.getCharacterSetTerms(
+      dicomElements.x00080005.value);
+    if (dwv.dicom.isCodeExtensionCharacterSet(charSetTerms)) {
+      dataWriter.setCharacterSetTerms(charSetTerms);
+    } else {
+      dataWriter.setUtfLabel(dwv.dicom.getUtfLabel(charSetTerms[0]));
+    }
   }
 
   var offset = 128;
@@ -735,6 +828,9 @@ dwv.dicom.DicomWriter.prototype.getBuffer = function (dicomElements) {
       ' (diff:' + (offset - metaOffset) + ')');
   }
 
+  // data set start
+  var dataSetOffset = offset;
+
   // pass flag to writer
   dataWriter.useUnVrForPrivateSq = this.useUnVrForPrivateSq;
   // write non meta
@@ -749,10 +845,348 @@ dwv.dicom.DicomWriter.prototype.getBuffer = function (dicomElements) {
       ', calculated size:' + totalSize +
       ' (diff:' + (offset - totalSize) + ')');
   }
+  // deflate the data set (the meta group is never deflated)
+  if (isDeflated) {
+    buffer = dwv.dicom.deflateDataSet(buffer, dataSetOffset);
+  }
   // return
   return buffer;
 };
 
+/**
+ * Get the ArrayBuffer of input DICOM elements transcoded to
+ *   the Explicit VR Little Endian transfer syntax.
+ *
+ * @param {Array} dicomElements The wrapped elements to write.
+ * @param {dwv.image.Image} image Optional decoded image of the elements,
+ *   needed if their pixel data is compressed or was released after load.
+ * @returns {ArrayBuffer} The elements as a buffer.
+ */
+dwv.dicom.DicomWriter.prototype.getExplicitLittleEndianBuffer = function (
+  dicomElements, image) {
+  return this.getBuffer(dicomElements, '1.2.840.10008.1.2.1', image);
+};
+
+/**
+ * Get a copy of DICOM elements using another transfer syntax.
+ * The TransferSyntaxUID element is replaced, parser local VRs
+ *   are resolved and the pixel data is encoded if needed, the input
+ *   elements are not modified.
+ * Supported conversions: from any syntax to native (uncompressed) ones
+ *   and to RLE Lossless. Compressed pixel data is taken from the decoded
+ *   image, the photometric interpretation and planar configuration are
+ *   then updated to match the decoder output.
+ *
+ * @param {object} dicomElements The DICOM elements.
+ * @param {string} transferSyntax The target transfer syntax UID.
+ * @param {dwv.image.Image} image Optional decoded image of the elements.
+ * @returns {object} The DICOM elements using the target syntax.
+ */
+dwv.dicom.getElementsWithTransferSyntax = function (
+  dicomElements, transferSyntax, image) {
+  var syntax = dwv.dicom.cleanString(dicomElements.x00020010.value[0]);
+  var pixelElement = dicomElements.x7FE00010;
+  var hasPixels = typeof pixelElement !== 'undefined' &&
+    typeof pixelElement.value !== 'undefined' &&
+    pixelElement.value.length !== 0;
+  // same syntax: nothing to do if the pixel data is present
+  if (syntax === transferSyntax &&
+    (hasPixels || typeof pixelElement === 'undefined')) {
+    return dicomElements;
+  }
+  var isTargetRle = dwv.dicom.isRleTransferSyntax(transferSyntax);
+  if (dwv.dicom.getSyntaxDecompressionName(transferSyntax) !== null &&
+    !isTargetRle) {
+    throw new Error('Unsupported transfer syntax conversion: from ' +
+      syntax + ' to ' + transferSyntax);
+  }
+  var isCompressed = dwv.dicom.getSyntaxDecompressionName(syntax) !== null;
+  var useImage = typeof pixelElement !== 'undefined' &&
+    (isCompressed || !hasPixels);
+  if (useImage && typeof image === 'undefined') {
+    throw new Error('Unsupported transfer syntax conversion: from ' +
+      syntax + ' to ' + transferSyntax + ' without decoded image');
+  }
+
+  // copy with resolved VRs and sizes for the target syntax
+  var isImplicit = dwv.dicom.isImplicitTransferSyntax(transferSyntax);
+  var elements = {};
+  var keys = Object.keys(dicomElements);
+  for (var i = 0; i < keys.length; ++i) {
+    if (useImage && keys[i] === 'x7FE00010') {
+      continue;
+    }
+    elements[keys[i]] = dwv.dicom.getElementForSyntax(
+      dicomElements[keys[i]], isImplicit);
+  }
+  // pixel data from the decoded image
+  if (useImage) {
+    elements.x7FE00010 = dwv.dicom.getImagePixelDataElement(
+      dicomElements, image);
+    if (isCompressed) {
+      dwv.dicom.setDecodedImageAttributes(elements, image, syntax);
+    }
+  }
+  // transfer syntax
+  var syntaxElement = dwv.dicom.getDicomElement('TransferSyntaxUID');
+  syntaxElement.tag.name = 'x00020010';
+  syntaxElement.startOffset = 0;
+  syntaxElement.endOffset = dwv.dicom.setElementValue(
+    syntaxElement, transferSyntax, false);
+  elements.x00020010 = syntaxElement;
+  // pixel data
+  if (isTargetRle && typeof elements.x7FE00010 !== 'undefined') {
+    elements.x7FE00010 = dwv.dicom.getRlePixelDataElement(elements);
+  }
+  return elements;
+};
+
+/**
+ * Resolve the parser local VRs ('ox' and 'xs') from the element value.
+ *
+ * @param {string} vr The element VR.
+ * @param {object} value The element value.
+ * @param {boolean} isPixelData True if the element is the pixel data.
+ * @returns {string} The resolved VR.
+ */
+dwv.dicom.getResolvedVr = function (vr, value, isPixelData) {
+  if (vr === 'ox' || (isPixelData && !dwv.dicom.isBinaryVr(vr))) {
+    var first = isPixelData ? value[0] : value;
+    vr = (typeof first !== 'undefined' &&
+      first.BYTES_PER_ELEMENT === 1) ? 'OB' : 'OW';
+  } else if (vr === 'xs') {
+    vr = value instanceof Int16Array ? 'SS' : 'US';
+  }
+  return vr;
+};
+
+/**
+ * Get a copy of a DICOM element ready to be written with a transfer
+ *   syntax: the parser local VRs are resolved and sequences are given
+ *   an undefined length since their size depends on the syntax.
+ * The value of non sequence elements is not copied.
+ *
+ * @param {object} element The DICOM element.
+ * @param {boolean} isImplicit Is the target syntax implicit?
+ * @returns {object} The element copy.
+ */
+dwv.dicom.getElementForSyntax = function (element, isImplicit) {
+  var copy = {};
+  var keys = Object.keys(element);
+  for (var i = 0; i < keys.length; ++i) {
+    copy[keys[i]] = element[keys[i]];
+  }
+  var value = element.value;
+  if (typeof value === 'undefined') {
+    value = [];
+  }
+  copy.vr = dwv.dicom.getResolvedVr(
+    element.vr, value, element.tag.name === 'x7FE00010');
+
+  if (copy.vr === 'SQ') {
+    var size = 0;
+    var items = [];
+    for (var j = 0; j < value.length; ++j) {
+      var item = value[j];
+      var itemKeys = Object.keys(item);
+      var itemCopy = {};
+      if (itemKeys.length !== 0) {
+        // item with undefined length: header and delimitation
+        var itemSize = 8 + 8;
+        for (var k = 0; k < itemKeys.length; ++k) {
+          var key = itemKeys[k];
+          if (key === 'xFFFEE000') {
+            itemCopy[key] = dwv.dicom.getElementForSyntax(
+              item[key], isImplicit);
+            itemCopy[key].vl = 'u/l';
+          } else if (key !== 'xFFFEE00D') {
+            var subElement = dwv.dicom.getElementForSyntax(
+              item[key], isImplicit);
+            itemCopy[key] = subElement;
+            itemSize += dwv.dicom.getDataElementPrefixByteSize(
+              subElement.vr, isImplicit) +
+              dwv.dicom.getElementValueSize(subElement);
+          }
+        }
+        size += itemSize;
+      }
+      items.push(itemCopy);
+    }
+    copy.value = items;
+    copy.vl = 'u/l';
+    copy.startOffset = 0;
+    // sequence delimitation
+    copy.endOffset = size + 8;
+  }
+  return copy;
+};
+
+/**
+ * Get the size of the value of a DICOM element as written
+ *   (without prefix).
+ *
+ * @param {object} element The DICOM element.
+ * @returns {number} The size in bytes.
+ */
+dwv.dicom.getElementValueSize = function (element) {
+  if (typeof element.startOffset !== 'undefined') {
+    return element.endOffset - element.startOffset;
+  }
+  return element.vl;
+};
+
+/**
+ * Get a native pixel data element from a decoded image.
+ * The image can contain several slices, the one of the input
+ *   elements is then found with its SOPInstanceUID.
+ *
+ * @param {object} dicomElements The DICOM elements of the image,
+ *   null to get the whole image buffer.
+ * @param {dwv.image.Image} image The decoded image.
+ * @returns {object} The native pixel data element.
+ */
+dwv.dicom.getImagePixelDataElement = function (dicomElements, image) {
+  var buffer = image.getBuffer();
+  var size = image.getGeometry().getSize();
+  var sopInstanceUid = null;
+  if (dicomElements !== null) {
+    sopInstanceUid = dwv.dicom.cleanString(dicomElements.x00080018.value[0]);
+  }
+  if (sopInstanceUid !== null &&
+    (image.getImageUid() !== sopInstanceUid || size.get(2) !== 1)) {
+    // slice of a multi slice image
+    var sliceLength = size.getDimSize(2) * image.getNumberOfComponents();
+    var sliceIndex = null;
+    for (var k = 0; k < size.get(2); ++k) {
+      if (image.getImageUid(new dwv.math.Index([0, 0, k])) ===
+        sopInstanceUid) {
+        sliceIndex = k;
+        break;
+      }
+    }
+    if (sliceIndex === null) {
+      throw new Error('Cannot find the image slice with UID: ' +
+        sopInstanceUid);
+    }
+    buffer = buffer.subarray(
+      sliceIndex * sliceLength, (sliceIndex + 1) * sliceLength);
+  }
+  // pad to even length
+  if (buffer.byteLength % 2 !== 0) {
+    var padded = new Uint8Array(buffer.length + 1);
+    padded.set(buffer);
+    buffer = padded;
+  }
+  return {
+    tag: {
+      group: '0x7FE0',
+      element: '0x0010',
+      name: 'x7FE00010'
+    },
+    vr: buffer.BYTES_PER_ELEMENT === 1 ? 'OB' : 'OW',
+    vl: buffer.byteLength,
+    value: [buffer],
+    startOffset: 0,
+    endOffset: buffer.byteLength
+  };
+};
+
+/**
+ * Update the image pixel description of DICOM elements to match
+ *   the output of their decoder: JPEG and JPEG-LS decoders output
+ *   interleaved RGB data for colour images, the RLE decoder keeps
+ *   the planar configuration of the image.
+ *
+ * @param {object} dicomElements The DICOM elements to update.
+ * @param {dwv.image.Image} image The decoded image.
+ * @param {string} syntax The transfer syntax UID of the compressed data.
+ */
+dwv.dicom.setDecodedImageAttributes = function (
+  dicomElements, image, syntax) {
+  if (image.getNumberOfComponents() === 1) {
+    return;
+  }
+  var setValue = function (tagName, value) {
+    var element = dwv.dicom.getDicomElement(tagName);
+    var tag = new dwv.dicom.Tag(element.tag.group, element.tag.element);
+    element.tag.name = tag.getKey();
+    element.startOffset = 0;
+    element.endOffset = dwv.dicom.setElementValue(element, value, false);
+    dicomElements[element.tag.name] = element;
+  };
+  setValue('PhotometricInterpretation', image.getPhotometricInterpretation());
+  if (dwv.dicom.isJpeg2000TransferSyntax(syntax) ||
+    dwv.dicom.isJpegBaselineTransferSyntax(syntax) ||
+    dwv.dicom.isJpegRetiredHuffmanTransferSyntax(syntax) ||
+    dwv.dicom.isJpegLosslessTransferSyntax(syntax) ||
+    dwv.dicom.isJpeglsTransferSyntax(syntax)) {
+    setValue('PlanarConfiguration', 0);
+  } else if (dwv.dicom.isRleTransferSyntax(syntax)) {
+    setValue('PlanarConfiguration', image.getPlanarConfiguration());
+  }
+};
+
+/**
+ * Get a RLE encoded pixel data element from native DICOM elements.
+ * Each frame is encoded in its own fragment and the basic offset
+ *   table is filled.
+ *
+ * @param {object} dicomElements The DICOM elements with native pixel data.
+ * @returns {object} The encapsulated pixel data element.
+ */
+dwv.dicom.getRlePixelDataElement = function (dicomElements) {
+  var getValue = function (key, defaultValue) {
+    var element = dicomElements[key];
+    if (typeof element === 'undefined') {
+      return defaultValue;
+    }
+    return parseInt(element.value[0], 10);
+  };
+  var rows = getValue('x00280010');
+  var columns = getValue('x00280011');
+  var bitsAllocated = getValue('x00280100');
+  var samplesPerPixel = getValue('x00280002', 1);
+  var planarConfiguration = getValue('x00280006', 0);
+  var numberOfFrames = getValue('x00280008', 1);
+
+  var pixels = dicomElements.x7FE00010.value;
+  if (pixels.length === 1) {
+    pixels = pixels[0];
+  } else {
+    pixels = dwv.dicom.flattenArrayOfTypedArrays(pixels);
+  }
+  var frameLength = rows * columns * samplesPerPixel;
+
+  var encoder = new dwv.image.RleEncoder();
+  var fragments = [];
+  var offsetTable = new Uint32Array(numberOfFrames);
+  var offset = 0;
+  for (var f = 0; f < numberOfFrames; ++f) {
+    var frame = pixels.subarray(f * frameLength, (f + 1) * frameLength);
+    var fragment = encoder.encode(frame, bitsAllocated,
+      rows, columns, samplesPerPixel, planarConfiguration);
+    fragments.push(fragment);
+    offsetTable[f] = offset;
+    // item tag and length plus value
+    offset += 8 + fragment.length;
+  }
+
+  return {
+    tag: {
+      group: '0x7FE0',
+      element: '0x0010',
+      name: 'x7FE00010'
+    },
+    vr: 'OB',
+    vl: 'u/l',
+    value: fragments,
+    basicOffsetTable: offsetTable,
+    startOffset: 0,
+    // offset table item, fragment items and sequence delimitation item
+    endOffset: 8 + offsetTable.byteLength + offset + 8
+  };
+};
+
 /**
  * Fix for broken DICOM elements: Replace "UN" with correct VR if the
  * element exists in dictionary
@@ -911,10 +1345,15 @@ dwv.dicom.setElementValue = function (element, value, isImplicit) {
         size *= Uint32Array.BYTES_PER_ELEMENT;
       } else if (element.vr === 'SL') {
         size *= Int32Array.BYTES_PER_ELEMENT;
-      } else if (element.vr === 'FL') {
+      } else if (element.vr === 'FL' || element.vr === 'OF') {
         size *= Float32Array.BYTES_PER_ELEMENT;
-      } else if (element.vr === 'FD') {
+      } else if (element.vr === 'FD' || element.vr === 'OD') {
         size *= Float64Array.BYTES_PER_ELEMENT;
+      } else if (element.vr === 'SV' || element.vr === 'UV') {
+        // 64 bit values, read as raw bytes without BigInt64Array support
+        if (!(element.value instanceof Uint8Array)) {
+          size *= 8;
+        }
       }
     } else {
       if (value instanceof Array) {
@@ -982,3 +1421,53 @@ dwv.dicom.getElementsFromJSONTags = function (tags) {
   // return
   return {elements: dicomElements, offset: offset};
 };
+
+/**
+ * Get a copy of a DICOM tags object with its tags in tag order, as
+ *   expected by the writer.
+ *
+ * @param {object} tags The DICOM tags as a name-value object.
+ * @returns {object} The ordered DICOM tags.
+ */
+dwv.dicom.getTagsInOrder = function (tags) {
+  var keys = {};
+  var tagNames = Object.keys(tags);
+  for (var i = 0; i < tagNames.length; ++i) {
+    keys[tagNames[i]] = dwv.dicom.getTagFromDictionary(tagNames[i]).getKey();
+  }
+  tagNames.sort(function (a, b) {
+    return keys[a] < keys[b] ? -1 : 1;
+  });
+  var orderedTags = {};
+  for (var j = 0; j < tagNames.length; ++j) {
+    orderedTags[tagNames[j]] = tags[tagNames[j]];
+  }
+  return orderedTags;
+};
+
+/**
+ * Get a copy of a DICOM tags object overridden by user attributes,
+ *   in tag order.
+ *
+ * @param {object} tags The DICOM tags as a name-value object.
+ * @param {object} attributes Optional DICOM attributes as a name-value
+ *   object (for ex {PatientName: 'Doe^John'}).
+ * @returns {object} The ordered DICOM tags.
+ */
+dwv.dicom.getTagsWithAttributes = function (tags, attributes) {
+  var result = {};
+  var tagNames = Object.keys(tags);
+  for (var i = 0; i < tagNames.length; ++i) {
+    result[tagNames[i]] = tags[tagNames[i]];
+  }
+  if (typeof attributes !== 'undefined') {
+    var names = Object.keys(attributes);
+    for (var j = 0; j < names.length; ++j) {
+      if (dwv.dicom.getTagFromDictionary(names[j]) === null) {
+        throw new Error('Unknown DICOM attribute: ' + names[j]);
+      }
+      result[names[j]] = attributes[names[j]];
+    }
+  }
+  return dwv.dicom.getTagsInOrder(result);
+};
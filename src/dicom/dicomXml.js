@@ -0,0 +1,262 @@
+// namespaces
+var dwv = dwv || {};
+dwv.dicom = dwv.dicom || {};
+
+/**
+ * Person name component groups of the Native DICOM Model.
+ *
+ * @type {Array}
+ */
+dwv.dicom.pnGroupNames = ['Alphabetic', 'Ideographic', 'Phonetic'];
+
+/**
+ * Person name components of the Native DICOM Model.
+ *
+ * @type {Array}
+ */
+dwv.dicom.pnComponentNames = [
+  'FamilyName', 'GivenName', 'MiddleName', 'NamePrefix', 'NameSuffix'
+];
+
+/**
+ * Escape a string for use in XML text or attribute.
+ *
+ * @param {string} str The string to escape.
+ * @returns {string} The escaped string.
+ */
+dwv.dicom.escapeXml = function (str) {
+  return str.replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+/**
+ * Convert DICOM elements to the Native DICOM Model XML.
+ * Ref: [Native DICOM Model]{@link https://dicom.nema.org/medical/dicom/2022a/output/chtml/part19/chapter_A.html}.
+ * Binary values are written as InlineBinary (base64), except if
+ *   the bulk data URI callback returns a URI for them, in which case
+ *   a BulkData reference is written.
+ *
+ * @param {object} dicomElements The DICOM elements, as returned by
+ *   the DicomParser getRawDicomElements.
+ * @param {Function} getBulkDataUri Optional function called with the tag
+ *   key (as '########') and the element of binary elements, returns
+ *   the bulk data URI to use or undefined to inline the data.
+ * @returns {string} The XML string.
+ */
+dwv.dicom.toNativeDicomXml = function (dicomElements, getBulkDataUri) {
+  var json = dwv.dicom.toDicomJson(dicomElements, getBulkDataUri);
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<NativeDicomModel xml:space="preserve">\n' +
+    dwv.dicom.getNativeDicomXmlAttributes(json, '  ') +
+    '</NativeDicomModel>\n';
+};
+
+/**
+ * Get the Native DICOM Model XML of a DICOM JSON object.
+ *
+ * @param {object} json The DICOM JSON object.
+ * @param {string} indent The indentation.
+ * @returns {string} The list of DicomAttribute as XML.
+ */
+dwv.dicom.getNativeDicomXmlAttributes = function (json, indent) {
+  var result = '';
+  var keys = Object.keys(json);
+  for (var i = 0; i < keys.length; ++i) {
+    var attribute = json[keys[i]];
+    var tag = new dwv.dicom.Tag(
+      '0x' + keys[i].substring(0, 4), '0x' + keys[i].substring(4, 8));
+    result += indent + '<DicomAttribute tag="' + keys[i] +
+      '" vr="' + attribute.vr + '"';
+    var keyword = tag.getNameFromDictionary();
+    if (keyword !== null) {
+      result += ' keyword="' + keyword + '"';
+    }
+    result += '>\n';
+    var subIndent = indent + '  ';
+    if (typeof attribute.BulkDataURI !== 'undefined') {
+      result += subIndent + '<BulkData uri="' +
+        dwv.dicom.escapeXml(attribute.BulkDataURI) + '"/>\n';
+    } else if (typeof attribute.InlineBinary !== 'undefined') {
+      result += subIndent + '<InlineBinary>' + attribute.InlineBinary +
+        '</InlineBinary>\n';
+    } else if (typeof attribute.Value !== 'undefined') {
+      for (var j = 0; j < attribute.Value.length; ++j) {
+        var value = attribute.Value[j];
+        var number = ' number="' + (j + 1) + '"';
+        // empty values are omitted, the numbering keeps their position
+        if (value === null) {
+          continue;
+        }
+        if (attribute.vr === 'SQ') {
+          result += subIndent + '<Item' + number + '>\n' +
+            dwv.dicom.getNativeDicomXmlAttributes(value, subIndent + '  ') +
+            subIndent + '</Item>\n';
+        } else if (attribute.vr === 'PN') {
+          result += subIndent + '<PersonName' + number + '>\n' +
+            dwv.dicom.getNativeDicomXmlPersonName(value, subIndent + '  ') +
+            subIndent + '</PersonName>\n';
+        } else {
+          result += subIndent + '<Value' + number + '>' +
+            dwv.dicom.escapeXml(value.toString()) + '</Value>\n';
+        }
+      }
+    }
+    result += indent + '</DicomAttribute>\n';
+  }
+  return result;
+};
+
+/**
+ * Get the Native DICOM Model XML of a DICOM JSON person name.
+ *
+ * @param {object} name The DICOM JSON person name.
+ * @param {string} indent The indentation.
+ * @returns {string} The person name component groups as XML.
+ */
+dwv.dicom.getNativeDicomXmlPersonName = function (name, indent) {
+  var result = '';
+  for (var i = 0; i < dwv.dicom.pnGroupNames.length; ++i) {
+    var group = name[dwv.dicom.pnGroupNames[i]];
+    if (typeof group === 'undefined') {
+      continue;
+    }
+    result += indent + '<' + dwv.dicom.pnGroupNames[i] + '>';
+    var components = group.split('^');
+    var nComponents = Math.min(
+      components.length, dwv.dicom.pnComponentNames.length);
+    for (var j = 0; j < nComponents; ++j) {
+      if (components[j] !== '') {
+        result += '<' + dwv.dicom.pnComponentNames[j] + '>' +
+          dwv.dicom.escapeXml(components[j]) +
+          '</' + dwv.dicom.pnComponentNames[j] + '>';
+      }
+    }
+    result += '</' + dwv.dicom.pnGroupNames[i] + '>\n';
+  }
+  return result;
+};
+
+/**
+ * Get the DICOM elements from a Native DICOM Model XML string.
+ * The result can be written with the DicomWriter getBuffer, see
+ *   dwv.dicom.getElementsFromDicomJson for details.
+ *
+ * @param {string} xml The XML string.
+ * @param {object} bulkData Optional bulk data indexed by uri as
+ *   ArrayBuffer or typed array.
+ * @returns {object} The DICOM elements.
+ */
+dwv.dicom.getElementsFromNativeDicomXml = function (xml, bulkData) {
+  var doc = new DOMParser().parseFromString(xml, 'application/xml');
+  var root = doc.documentElement;
+  if (root === null || root.nodeName !== 'NativeDicomModel') {
+    throw new Error('Not a Native DICOM Model XML.');
+  }
+  var json = dwv.dicom.getDicomJsonFromNativeDicomXml(root);
+  return dwv.dicom.getElementsFromDicomJson(json, bulkData);
+};
+
+/**
+ * Get the child elements of a XML node with a given name.
+ *
+ * @param {object} node The XML node.
+ * @param {string} name The child node name.
+ * @returns {Array} The list of child elements.
+ */
+dwv.dicom.getXmlChildren = function (node, name) {
+  var res = [];
+  for (var child = node.firstChild; child !== null;
+    child = child.nextSibling) {
+    if (child.nodeType === 1 && child.nodeName === name) {
+      res.push(child);
+    }
+  }
+  return res;
+};
+
+/**
+ * Get the DICOM JSON object from a Native DICOM Model XML node
+ *   (NativeDicomModel or Item).
+ *
+ * @param {object} node The XML node.
+ * @returns {object} The DICOM JSON object.
+ */
+dwv.dicom.getDicomJsonFromNativeDicomXml = function (node) {
+  var json = {};
+  var attributes = dwv.dicom.getXmlChildren(node, 'DicomAttribute');
+  for (var i = 0; i < attributes.length; ++i) {
+    var xmlAttribute = attributes[i];
+    var attribute = {vr: xmlAttribute.getAttribute('vr')};
+    var bulkData = dwv.dicom.getXmlChildren(xmlAttribute, 'BulkData');
+    var inlineBinary = dwv.dicom.getXmlChildren(xmlAttribute, 'InlineBinary');
+    if (bulkData.length !== 0) {
+      attribute.BulkDataURI = bulkData[0].getAttribute('uri');
+    } else if (inlineBinary.length !== 0) {
+      attribute.InlineBinary = inlineBinary[0].textContent.trim();
+    } else {
+      var valueName = 'Value';
+      if (attribute.vr === 'SQ') {
+        valueName = 'Item';
+      } else if (attribute.vr === 'PN') {
+        valueName = 'PersonName';
+      }
+      var values = [];
+      var xmlValues = dwv.dicom.getXmlChildren(xmlAttribute, valueName);
+      for (var j = 0; j < xmlValues.length; ++j) {
+        var value;
+        if (attribute.vr === 'SQ') {
+          value = dwv.dicom.getDicomJsonFromNativeDicomXml(xmlValues[j]);
+        } else if (attribute.vr === 'PN') {
+          value = dwv.dicom.getDicomJsonPersonNameFromNativeDicomXml(
+            xmlValues[j]);
+        } else {
+          value = xmlValues[j].textContent;
+        }
+        // use number for position, missing ones are empty values
+        var number = parseInt(xmlValues[j].getAttribute('number'), 10);
+        var index = isNaN(number) ? values.length : number - 1;
+        while (values.length < index) {
+          values.push(null);
+        }
+        values[index] = value;
+      }
+      if (values.length !== 0) {
+        attribute.Value = values;
+      }
+    }
+    json[xmlAttribute.getAttribute('tag').toUpperCase()] = attribute;
+  }
+  return json;
+};
+
+/**
+ * Get the DICOM JSON person name from a Native DICOM Model
+ *   PersonName node.
+ *
+ * @param {object} node The PersonName node.
+ * @returns {object} The DICOM JSON person name.
+ */
+dwv.dicom.getDicomJsonPersonNameFromNativeDicomXml = function (node) {
+  var name = {};
+  for (var i = 0; i < dwv.dicom.pnGroupNames.length; ++i) {
+    var groups = dwv.dicom.getXmlChildren(node, dwv.dicom.pnGroupNames[i]);
+    if (groups.length === 0) {
+      continue;
+    }
+    var components = [];
+    for (var j = 0; j < dwv.dicom.pnComponentNames.length; ++j) {
+      var component =
+        dwv.dicom.getXmlChildren(groups[0], dwv.dicom.pnComponentNames[j]);
+      components.push(component.length !== 0 ? component[0].textContent : '');
+    }
+    // remove trailing empty components
+    while (components.length > 1 && components[components.length - 1] === '') {
+      components.pop();
+    }
+    name[dwv.dicom.pnGroupNames[i]] = components.join('^');
+  }
+  return name;
+};
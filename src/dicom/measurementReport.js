@@ -0,0 +1,686 @@
+// namespaces
+var dwv = dwv || {};
+dwv.dicom = dwv.dicom || {};
+
+/**
+ * Comprehensive 3D SR SOP class UID.
+ *
+ * @type {string}
+ */
+dwv.dicom.comprehensive3DSRSopClassUid = '1.2.840.10008.5.1.4.1.1.88.34';
+
+/**
+ * Codes of the measurement report structure as
+ *   [code value, coding scheme designator, code meaning].
+ * Ref: [TID 1500]{@link https://dicom.nema.org/medical/dicom/2022a/output/chtml/part16/chapter_A.html#sect_TID_1500}.
+ *
+ * @type {object}
+ */
+dwv.dicom.measurementReportCodes = {
+  report: ['126000', 'DCM', 'Imaging Measurement Report'],
+  language: ['121049', 'DCM', 'Language of Content Item and Descendants'],
+  english: ['en-US', 'RFC5646', 'English (United States)'],
+  procedureReported: ['121058', 'DCM', 'Procedure reported'],
+  imagingProcedure: ['363679005', 'SCT', 'Imaging procedure'],
+  imageLibrary: ['111028', 'DCM', 'Image Library'],
+  imageLibraryGroup: ['126200', 'DCM', 'Image Library Group'],
+  imagingMeasurements: ['126010', 'DCM', 'Imaging Measurements'],
+  measurementGroup: ['125007', 'DCM', 'Measurement Group'],
+  trackingIdentifier: ['112039', 'DCM', 'Tracking Identifier'],
+  trackingUid: ['112040', 'DCM', 'Tracking Unique Identifier'],
+  imageRegion: ['111030', 'DCM', 'Image Region']
+};
+
+/**
+ * Concept name and UCUM unit codes of the drawing quantification values.
+ * Pixel value statistics use the unit given by the image modality.
+ *
+ * @type {object}
+ */
+dwv.dicom.quantificationCodes = {
+  length: {
+    concept: ['410668003', 'SCT', 'Length'],
+    unit: ['mm', 'UCUM', 'millimeter']
+  },
+  surface: {
+    concept: ['42798000', 'SCT', 'Area'],
+    unit: ['cm2', 'UCUM', 'square centimeter']
+  },
+  angle: {
+    concept: ['1483009', 'SCT', 'Angle'],
+    unit: ['deg', 'UCUM', 'degree']
+  },
+  min: {concept: ['255605001', 'SCT', 'Minimum']},
+  max: {concept: ['56851009', 'SCT', 'Maximum']},
+  mean: {concept: ['373098007', 'SCT', 'Mean']},
+  stdDev: {concept: ['386136009', 'SCT', 'Standard Deviation']},
+  median: {concept: ['260528009', 'SCT', 'Median']}
+};
+
+/**
+ * Drawing types which graphic is an image region, the other
+ *   ones being the source of their measurement.
+ *
+ * @type {Array}
+ */
+dwv.dicom.imageRegionTypes = ['Rectangle', 'Ellipse', 'Circle'];
+
+/**
+ * Get a code sequence item.
+ *
+ * @param {Array} code The code as [value, scheme designator, meaning].
+ * @returns {object} The code tags.
+ */
+dwv.dicom.getCodeItem = function (code) {
+  return {
+    CodeValue: code[0],
+    CodingSchemeDesignator: code[1],
+    CodeMeaning: code[2]
+  };
+};
+
+/**
+ * Get a Decimal String (DS) value of a number: at most 16 characters.
+ *
+ * @param {number} value The number.
+ * @returns {string} The decimal string.
+ */
+dwv.dicom.getDecimalString = function (value) {
+  var str = parseFloat(value.toPrecision(8)).toString();
+  if (str.length > 16) {
+    str = value.toExponential(8);
+  }
+  return str;
+};
+
+/**
+ * Get a SR content item.
+ *
+ * @param {string} relationship The relationship type with its parent.
+ * @param {string} valueType The value type.
+ * @param {Array} conceptName The optional concept name code.
+ * @param {object} values The value type specific tags as
+ *   a name-value object.
+ * @returns {object} The content item tags, in tag order.
+ */
+dwv.dicom.getContentItem = function (
+  relationship, valueType, conceptName, values) {
+  var tags = {
+    RelationshipType: relationship,
+    ValueType: valueType
+  };
+  if (typeof conceptName !== 'undefined' && conceptName !== null) {
+    tags.ConceptNameCodeSequence = [dwv.dicom.getCodeItem(conceptName)];
+  }
+  var names = Object.keys(values);
+  for (var i = 0; i < names.length; ++i) {
+    tags[names[i]] = values[names[i]];
+  }
+  return dwv.dicom.getTagsInOrder(tags);
+};
+
+/**
+ * Get the IMAGE content items referencing a SOP instance.
+ *
+ * @param {string} relationship The relationship type.
+ * @param {object} elements The raw DICOM elements of the instance.
+ * @param {number} frameNumber The optional referenced frame number (one
+ *   based), only used for multi-frame instances.
+ * @returns {object} The content item tags.
+ */
+dwv.dicom.getImageContentItem = function (
+  relationship, elements, frameNumber) {
+  var reference = {
+    ReferencedSOPClassUID: dwv.dicom.getElementString(elements, 'x00080016'),
+    ReferencedSOPInstanceUID: dwv.dicom.getElementString(elements, 'x00080018')
+  };
+  var numberOfFrames = dwv.dicom.getElementString(elements, 'x00280008');
+  if (typeof frameNumber !== 'undefined' &&
+    numberOfFrames !== '' && parseInt(numberOfFrames, 10) > 1) {
+    reference.ReferencedFrameNumber = frameNumber.toString();
+  }
+  return dwv.dicom.getContentItem(relationship, 'IMAGE', null, {
+    ReferencedSOPSequence: [reference]
+  });
+};
+
+/**
+ * Get the spatial coordinates content item of a measurement:
+ *   SCOORD if it references an image, SCOORD3D otherwise.
+ *
+ * @param {string} relationship The relationship type.
+ * @param {Array} conceptName The optional concept name code.
+ * @param {object} measurement The measurement,
+ *   see dwv.dicom.getMeasurementReportTags.
+ * @param {Array} referencedElements The list of raw DICOM elements of
+ *   the source instances.
+ * @returns {object} The content item tags.
+ */
+dwv.dicom.getCoordinatesContentItem = function (
+  relationship, conceptName, measurement, referencedElements) {
+  var item;
+  if (typeof measurement.referencedSOPInstanceUID !== 'undefined') {
+    var elements = null;
+    for (var i = 0; i < referencedElements.length; ++i) {
+      if (dwv.dicom.getElementString(referencedElements[i], 'x00080018') ===
+        measurement.referencedSOPInstanceUID) {
+        elements = referencedElements[i];
+        break;
+      }
+    }
+    if (elements === null) {
+      throw new Error('Unknown referenced SOP instance: ' +
+        measurement.referencedSOPInstanceUID);
+    }
+    item = dwv.dicom.getContentItem(relationship, 'SCOORD', conceptName, {
+      ContentSequence: [
+        dwv.dicom.getImageContentItem(
+          'SELECTED FROM', elements, measurement.referencedFrameNumber)
+      ],
+      GraphicData: measurement.graphicData,
+      GraphicType: measurement.graphicType
+    });
+  } else {
+    item = dwv.dicom.getContentItem(relationship, 'SCOORD3D', conceptName, {
+      GraphicData: measurement.graphicData,
+      GraphicType: measurement.graphicType,
+      ReferencedFrameOfReferenceUID:
+        dwv.dicom.getElementString(referencedElements[0], 'x00200052')
+    });
+  }
+  return item;
+};
+
+/**
+ * Get the measurement group content item of a measurement.
+ *
+ * @param {object} measurement The measurement,
+ *   see dwv.dicom.getMeasurementReportTags.
+ * @param {Array} referencedElements The list of raw DICOM elements of
+ *   the source instances.
+ * @returns {object} The content item tags.
+ */
+dwv.dicom.getMeasurementGroupContentItem = function (
+  measurement, referencedElements) {
+  var codes = dwv.dicom.measurementReportCodes;
+  var isImageRegion =
+    dwv.dicom.imageRegionTypes.indexOf(measurement.type) !== -1;
+  // pixel values unit
+  var pixelUnit = ['1', 'UCUM', 'no units'];
+  if (dwv.dicom.getElementString(referencedElements[0], 'x00080060') === 'CT') {
+    pixelUnit = ['[hnsf\'U]', 'UCUM', 'Hounsfield unit'];
+  }
+
+  var trackingUid = measurement.trackingUid;
+  if (typeof trackingUid === 'undefined') {
+    trackingUid = dwv.dicom.getUID('TrackingUID');
+  }
+  var content = [
+    dwv.dicom.getContentItem(
+      'HAS OBS CONTEXT', 'TEXT', codes.trackingIdentifier, {
+        TextValue: measurement.trackingId
+      }),
+    dwv.dicom.getContentItem(
+      'HAS OBS CONTEXT', 'UIDREF', codes.trackingUid, {
+        UID: trackingUid
+      })
+  ];
+  if (isImageRegion) {
+    content.push(dwv.dicom.getCoordinatesContentItem(
+      'CONTAINS', codes.imageRegion, measurement, referencedElements));
+  }
+  var keys = Object.keys(measurement.quantification);
+  for (var i = 0; i < keys.length; ++i) {
+    var codesItem = dwv.dicom.quantificationCodes[keys[i]];
+    var quant = measurement.quantification[keys[i]];
+    // no code or not a number (for ex NaN stat of an empty region)
+    if (typeof codesItem === 'undefined' || !isFinite(quant.value)) {
+      continue;
+    }
+    var unit = codesItem.unit;
+    if (typeof unit === 'undefined') {
+      unit = pixelUnit;
+    }
+    var values = {
+      MeasuredValueSequence: [{
+        MeasurementUnitsCodeSequence: [dwv.dicom.getCodeItem(unit)],
+        NumericValue: dwv.dicom.getDecimalString(quant.value)
+      }]
+    };
+    if (!isImageRegion) {
+      values.ContentSequence = [
+        dwv.dicom.getCoordinatesContentItem(
+          'INFERRED FROM', null, measurement, referencedElements)
+      ];
+    }
+    content.push(dwv.dicom.getContentItem(
+      'CONTAINS', 'NUM', codesItem.concept, values));
+  }
+
+  return dwv.dicom.getContentItem(
+    'CONTAINS', 'CONTAINER', codes.measurementGroup, {
+      ContinuityOfContent: 'SEPARATE',
+      ContentSequence: content
+    });
+};
+
+/**
+ * Get the DICOM tags of an imaging measurement report: a Comprehensive 3D
+ *   SR following the TID 1500 template.
+ * The patient and study attributes are copied from the source instances.
+ *
+ * @param {Array} measurements The list of measurements as {trackingId,
+ *   trackingUid, type, graphicType, graphicData, referencedSOPInstanceUID,
+ *   referencedFrameNumber, quantification} with:
+ *  - trackingId: the measurement id, for ex the drawing id
+ *  - trackingUid: the optional measurement UID, generated if undefined
+ *  - type: the drawing type, for ex 'Ruler' or 'Rectangle'
+ *  - graphicType: the DICOM graphic type, for ex 'POLYLINE'
+ *  - graphicData: the flat list of coordinates, in pixels for image
+ *    coordinates or in millimeters for world coordinates
+ *  - referencedSOPInstanceUID: the SOP instance UID of the image of image
+ *    coordinates, undefined for world coordinates
+ *  - referencedFrameNumber: the optional one based frame number
+ *  - quantification: the drawing quantification as a name-{value, unit}
+ *    object, for ex {length: {value: 12, unit: 'mm'}}
+ * @param {Array} referencedElements The list of raw DICOM elements of
+ *   the source instances.
+ * @param {object} attributes Optional DICOM attributes as a name-value
+ *   object, they override the default ones.
+ * @returns {object} The DICOM tags as a name-value object, in tag order.
+ */
+dwv.dicom.getMeasurementReportTags = function (
+  measurements, referencedElements, attributes) {
+  if (referencedElements.length === 0) {
+    throw new Error('A measurement report needs source instances.');
+  }
+  var codes = dwv.dicom.measurementReportCodes;
+  var sopInstanceUid = dwv.dicom.getUID('SOPInstanceUID');
+  var now = dwv.dicom.getDicomDateTime(new Date());
+  var source = referencedElements[0];
+
+  // image library and evidence
+  var library = [];
+  var evidence = {};
+  for (var i = 0; i < referencedElements.length; ++i) {
+    var elements = referencedElements[i];
+    library.push(dwv.dicom.getImageContentItem('CONTAINS', elements));
+    // evidence: studies of series of instances
+    var studyUid = dwv.dicom.getElementString(elements, 'x0020000D');
+    var seriesUid = dwv.dicom.getElementString(elements, 'x0020000E');
+    if (typeof evidence[studyUid] === 'undefined') {
+      evidence[studyUid] = {};
+    }
+    if (typeof evidence[studyUid][seriesUid] === 'undefined') {
+      evidence[studyUid][seriesUid] = [];
+    }
+    evidence[studyUid][seriesUid].push({
+      ReferencedSOPClassUID: dwv.dicom.getElementString(elements, 'x00080016'),
+      ReferencedSOPInstanceUID:
+        dwv.dicom.getElementString(elements, 'x00080018')
+    });
+  }
+  var evidenceItems = [];
+  var studyUids = Object.keys(evidence);
+  for (var j = 0; j < studyUids.length; ++j) {
+    var seriesItems = [];
+    var seriesUids = Object.keys(evidence[studyUids[j]]);
+    for (var k = 0; k < seriesUids.length; ++k) {
+      seriesItems.push({
+        ReferencedSOPSequence: evidence[studyUids[j]][seriesUids[k]],
+        SeriesInstanceUID: seriesUids[k]
+      });
+    }
+    evidenceItems.push({
+      ReferencedSeriesSequence: seriesItems,
+      StudyInstanceUID: studyUids[j]
+    });
+  }
+
+  // measurement groups
+  var groups = [];
+  for (var m = 0; m < measurements.length; ++m) {
+    groups.push(dwv.dicom.getMeasurementGroupContentItem(
+      measurements[m], referencedElements));
+  }
+
+  var tags = {
+    // file meta
+    FileMetaInformationVersion: new Uint8Array([0, 1]),
+    MediaStorageSOPClassUID: dwv.dicom.comprehensive3DSRSopClassUid,
+    MediaStorageSOPInstanceUID: sopInstanceUid,
+    TransferSyntaxUID: '1.2.840.10008.1.2.1',
+    // SOP common
+    SOPClassUID: dwv.dicom.comprehensive3DSRSopClassUid,
+    SOPInstanceUID: sopInstanceUid,
+    // SR document series
+    Modality: 'SR',
+    SeriesInstanceUID: dwv.dicom.getUID('SeriesInstanceUID'),
+    SeriesNumber: '1',
+    ReferencedPerformedProcedureStepSequence: [],
+    // general equipment
+    Manufacturer: 'dwv',
+    // SR document general
+    InstanceNumber: '1',
+    ContentDate: now.date,
+    ContentTime: now.time,
+    CompletionFlag: 'PARTIAL',
+    VerificationFlag: 'UNVERIFIED',
+    PerformedProcedureCodeSequence: [],
+    CurrentRequestedProcedureEvidenceSequence: evidenceItems,
+    // SR document content: root container
+    ValueType: 'CONTAINER',
+    ConceptNameCodeSequence: [dwv.dicom.getCodeItem(codes.report)],
+    ContinuityOfContent: 'SEPARATE',
+    ContentTemplateSequence: [{
+      MappingResource: 'DCMR',
+      TemplateIdentifier: '1500'
+    }],
+    ContentSequence: [
+      dwv.dicom.getContentItem('HAS CONCEPT MOD', 'CODE', codes.language, {
+        ConceptCodeSequence: [dwv.dicom.getCodeItem(codes.english)]
+      }),
+      dwv.dicom.getContentItem(
+        'HAS CONCEPT MOD', 'CODE', codes.procedureReported, {
+          ConceptCodeSequence: [dwv.dicom.getCodeItem(codes.imagingProcedure)]
+        }),
+      dwv.dicom.getContentItem(
+        'CONTAINS', 'CONTAINER', codes.imageLibrary, {
+          ContinuityOfContent: 'SEPARATE',
+          ContentSequence: [
+            dwv.dicom.getContentItem(
+              'CONTAINS', 'CONTAINER', codes.imageLibraryGroup, {
+                ContinuityOfContent: 'SEPARATE',
+                ContentSequence: library
+              })
+          ]
+        }),
+      dwv.dicom.getContentItem(
+        'CONTAINS', 'CONTAINER', codes.imagingMeasurements, {
+          ContinuityOfContent: 'SEPARATE',
+          ContentSequence: groups
+        })
+    ]
+  };
+
+  // patient and study: copied from the source
+  var copied = [
+    'SpecificCharacterSet',
+    'PatientName',
+    'PatientID',
+    'PatientBirthDate',
+    'PatientSex',
+    'StudyInstanceUID',
+    'StudyDate',
+    'StudyTime',
+    'ReferringPhysicianName',
+    'StudyID',
+    'AccessionNumber'
+  ];
+  for (var c = 0; c < copied.length; ++c) {
+    var value = dwv.dicom.getElementString(
+      source, dwv.dicom.getTagFromDictionary(copied[c]).getKey());
+    // SpecificCharacterSet is optional
+    if (value !== '' || copied[c] !== 'SpecificCharacterSet') {
+      tags[copied[c]] = value;
+    }
+  }
+
+  return dwv.dicom.getTagsWithAttributes(tags, attributes);
+};
+
+/**
+ * Get the DICOM elements of an imaging measurement report.
+ *
+ * @param {Array} measurements The list of measurements,
+ *   see dwv.dicom.getMeasurementReportTags.
+ * @param {Array} referencedElements The list of raw DICOM elements of
+ *   the source instances.
+ * @param {object} attributes Optional DICOM attributes,
+ *   see dwv.dicom.getMeasurementReportTags.
+ * @returns {object} The DICOM elements.
+ */
+dwv.dicom.getMeasurementReportElements = function (
+  measurements, referencedElements, attributes) {
+  var tags = dwv.dicom.getMeasurementReportTags(
+    measurements, referencedElements, attributes);
+  return dwv.dicom.getElementsFromJSONTags(tags).elements;
+};
+
+/**
+ * Get an imaging measurement report DICOM buffer (Part 10 file content).
+ *
+ * @param {Array} measurements The list of measurements,
+ *   see dwv.dicom.getMeasurementReportTags.
+ * @param {Array} referencedElements The list of raw DICOM elements of
+ *   the source instances.
+ * @param {object} attributes Optional DICOM attributes,
+ *   see dwv.dicom.getMeasurementReportTags.
+ * @param {dwv.dicom.DicomWriter} writer Optional writer, for ex
+ *   with anonymisation rules.
+ * @returns {ArrayBuffer} The DICOM buffer.
+ */
+dwv.dicom.getMeasurementReportBuffer = function (
+  measurements, referencedElements, attributes, writer) {
+  if (typeof writer === 'undefined') {
+    writer = new dwv.dicom.DicomWriter();
+  }
+  return writer.getBuffer(dwv.dicom.getMeasurementReportElements(
+    measurements, referencedElements, attributes));
+};
+
+/**
+ * Check if a SOP class is a Structured Report one.
+ *
+ * @param {string} sopClassUid The SOP class UID.
+ * @returns {boolean} True if the SOP class is a SR one.
+ */
+dwv.dicom.isStructuredReportSopClass = function (sopClassUid) {
+  return typeof sopClassUid === 'string' &&
+    sopClassUid.indexOf('1.2.840.10008.5.1.4.1.1.88.') === 0;
+};
+
+/**
+ * Get the concept name code of a content item.
+ *
+ * @param {object} item The content item elements.
+ * @returns {Array} The code as [value, scheme designator, meaning],
+ *   null if not present.
+ */
+dwv.dicom.getConceptName = function (item) {
+  if (typeof item.x0040A043 === 'undefined' ||
+    item.x0040A043.value.length === 0) {
+    return null;
+  }
+  var code = item.x0040A043.value[0];
+  return [
+    dwv.dicom.getElementString(code, 'x00080100'),
+    dwv.dicom.getElementString(code, 'x00080102'),
+    dwv.dicom.getElementString(code, 'x00080104')
+  ];
+};
+
+/**
+ * Check if two codes are equal (same value and scheme).
+ *
+ * @param {Array} code0 The first code.
+ * @param {Array} code1 The second code.
+ * @returns {boolean} True if both codes are equal.
+ */
+dwv.dicom.isSameCode = function (code0, code1) {
+  return code0 !== null && code1 !== null &&
+    code0[0] === code1[0] && code0[1] === code1[1];
+};
+
+/**
+ * Get the measurement described by a SCOORD or SCOORD3D content item.
+ *
+ * @param {object} item The content item elements.
+ * @returns {object} The measurement, see
+ *   dwv.dicom.getMeasurementReportTags, with an extra
+ *   referencedFrameOfReferenceUID for world coordinates.
+ */
+dwv.dicom.getCoordinatesMeasurement = function (item) {
+  var measurement = {
+    graphicType: dwv.dicom.getElementString(item, 'x00700023'),
+    graphicData: Array.from(item.x00700022.value),
+    quantification: {}
+  };
+  if (dwv.dicom.getElementString(item, 'x0040A040') === 'SCOORD3D') {
+    measurement.referencedFrameOfReferenceUID =
+      dwv.dicom.getElementString(item, 'x30060024');
+  } else if (typeof item.x0040A730 !== 'undefined') {
+    // selected from image
+    var image = item.x0040A730.value[0];
+    if (typeof image !== 'undefined' &&
+      typeof image.x00081199 !== 'undefined') {
+      var reference = image.x00081199.value[0];
+      measurement.referencedSOPInstanceUID =
+        dwv.dicom.getElementString(reference, 'x00081155');
+      var frame = dwv.dicom.getElementString(reference, 'x00081160');
+      if (frame !== '') {
+        measurement.referencedFrameNumber = parseInt(frame, 10);
+      }
+    }
+  }
+  return measurement;
+};
+
+/**
+ * Get the quantification of a NUM content item.
+ *
+ * @param {object} item The content item elements.
+ * @returns {object} The quantification as a name-{value, unit} object,
+ *   named after the dwv quantification name or the concept meaning,
+ *   empty if the item has no value.
+ */
+dwv.dicom.getNumQuantification = function (item) {
+  var quant = {};
+  if (typeof item.x0040A300 === 'undefined' ||
+    item.x0040A300.value.length === 0) {
+    return quant;
+  }
+  var conceptName = dwv.dicom.getConceptName(item);
+  var name = conceptName[2];
+  var codes = dwv.dicom.quantificationCodes;
+  var keys = Object.keys(codes);
+  for (var i = 0; i < keys.length; ++i) {
+    if (dwv.dicom.isSameCode(codes[keys[i]].concept, conceptName)) {
+      name = keys[i];
+      break;
+    }
+  }
+  var measured = item.x0040A300.value[0];
+  var unit = '';
+  if (typeof measured.x004008EA !== 'undefined') {
+    unit = dwv.dicom.getElementString(measured.x004008EA.value[0], 'x00080100');
+  }
+  quant[name] = {
+    value: parseFloat(dwv.dicom.getElementString(measured, 'x0040A30A')),
+    unit: unit
+  };
+  return quant;
+};
+
+/**
+ * Get the measurements of a Structured Report: its spatial coordinates
+ *   with their associated numeric values.
+ * Supports TID 1500 measurement groups (image region or inferred from
+ *   coordinates) as well as simple SR with SCOORD content.
+ *
+ * @param {object} elements The raw DICOM elements of the SR.
+ * @returns {Array} The list of measurements, see
+ *   dwv.dicom.getMeasurementReportTags, with an extra
+ *   referencedFrameOfReferenceUID for world coordinates and
+ *   without type.
+ */
+dwv.dicom.getMeasurementsFromReport = function (elements) {
+  var measurements = [];
+  var codes = dwv.dicom.measurementReportCodes;
+  var isCoordinates = function (item) {
+    var valueType = dwv.dicom.getElementString(item, 'x0040A040');
+    return valueType === 'SCOORD' || valueType === 'SCOORD3D';
+  };
+  var addQuantification = function (quantification, quant) {
+    var names = Object.keys(quant);
+    for (var i = 0; i < names.length; ++i) {
+      quantification[names[i]] = quant[names[i]];
+    }
+  };
+  var visit = function (items, group) {
+    for (var i = 0; i < items.length; ++i) {
+      var item = items[i];
+      var valueType = dwv.dicom.getElementString(item, 'x0040A040');
+      var conceptName = dwv.dicom.getConceptName(item);
+      var children = [];
+      if (typeof item.x0040A730 !== 'undefined') {
+        children = item.x0040A730.value;
+      }
+
+      if (valueType === 'CONTAINER') {
+        if (dwv.dicom.isSameCode(conceptName, codes.measurementGroup)) {
+          var subGroup = {
+            trackingId: undefined,
+            trackingUid: undefined,
+            region: null,
+            quant: {}
+          };
+          visit(children, subGroup);
+          if (subGroup.region !== null) {
+            subGroup.region.trackingId = subGroup.trackingId;
+            subGroup.region.trackingUid = subGroup.trackingUid;
+            addQuantification(subGroup.region.quantification, subGroup.quant);
+          }
+        } else {
+          visit(children, group);
+        }
+      } else if (valueType === 'TEXT' && group !== null &&
+        dwv.dicom.isSameCode(conceptName, codes.trackingIdentifier)) {
+        group.trackingId = dwv.dicom.getElementString(item, 'x0040A160');
+      } else if (valueType === 'UIDREF' && group !== null &&
+        dwv.dicom.isSameCode(conceptName, codes.trackingUid)) {
+        group.trackingUid = dwv.dicom.getElementString(item, 'x0040A124');
+      } else if (isCoordinates(item)) {
+        var measurement = dwv.dicom.getCoordinatesMeasurement(item);
+        measurements.push(measurement);
+        if (group !== null && group.region === null) {
+          group.region = measurement;
+        }
+      } else if (valueType === 'NUM') {
+        var quant = dwv.dicom.getNumQuantification(item);
+        // inferred from coordinates
+        var source = null;
+        for (var j = 0; j < children.length; ++j) {
+          if (isCoordinates(children[j])) {
+            source = children[j];
+            break;
+          }
+        }
+        if (source !== null) {
+          var inferred = dwv.dicom.getCoordinatesMeasurement(source);
+          // same coordinates as a previous measurement of the group
+          var previous = group !== null ? group.inferred : undefined;
+          if (typeof previous !== 'undefined' &&
+            previous.graphicData.join() === inferred.graphicData.join()) {
+            inferred = previous;
+          } else {
+            if (group !== null) {
+              inferred.trackingId = group.trackingId;
+              inferred.trackingUid = group.trackingUid;
+              group.inferred = inferred;
+            }
+            measurements.push(inferred);
+          }
+          addQuantification(inferred.quantification, quant);
+        } else if (group !== null) {
+          addQuantification(group.quant, quant);
+        }
+      }
+    }
+  };
+
+  if (typeof elements.x0040A730 !== 'undefined') {
+    visit(elements.x0040A730.value, null);
+  }
+  return measurements;
+};
@@ -0,0 +1,567 @@
+// namespaces
+var dwv = dwv || {};
+dwv.dicom = dwv.dicom || {};
+
+/**
+ * Grayscale Softcopy Presentation State Storage SOP Class UID.
+ *
+ * @type {string}
+ */
+dwv.dicom.grayscaleSoftcopyPresentationStateSopClassUid =
+  '1.2.840.10008.5.1.4.1.1.11.1';
+
+/**
+ * Check if a SOP class UID is the one of a Grayscale Softcopy
+ *   Presentation State (GSPS).
+ *
+ * @param {string} sopClassUid The SOP class UID.
+ * @returns {boolean} True if the SOP class is GSPS.
+ */
+dwv.dicom.isPresentationStateSopClass = function (sopClassUid) {
+  return sopClassUid ===
+    dwv.dicom.grayscaleSoftcopyPresentationStateSopClassUid;
+};
+
+/**
+ * Get the list of images referenced by a Referenced Image Sequence.
+ *
+ * @param {object} elements The raw DICOM elements containing
+ *   the sequence.
+ * @returns {Array} The list of referenced images as
+ *   {sopInstanceUID, frameNumbers}, empty if there is no sequence.
+ */
+dwv.dicom.getReferencedImages = function (elements) {
+  var images = [];
+  var items = dwv.dicom.getElementValues(elements, 'x00081140');
+  for (var i = 0; i < items.length; ++i) {
+    var frameNumbers = dwv.dicom.getElementValues(items[i], 'x00081160');
+    images.push({
+      sopInstanceUID: dwv.dicom.getElementValues(items[i], 'x00081155')[0],
+      frameNumbers: frameNumbers.map(function (value) {
+        return parseInt(value, 10);
+      })
+    });
+  }
+  return images;
+};
+
+/**
+ * Get the display colour of a graphic layer.
+ *
+ * @param {object} elements The graphic layer item elements.
+ * @returns {string} The colour as an hex string, undefined if
+ *   not recommended.
+ */
+dwv.dicom.getGraphicLayerColour = function (elements) {
+  var colour;
+  var lab = dwv.dicom.getElementValues(elements, 'x00700401');
+  var grey = dwv.dicom.getElementValues(elements, 'x00700066')[0];
+  if (lab.length === 3) {
+    var rgb = dwv.utils.cielabToSrgb(dwv.utils.uintLabToLab({
+      l: lab[0],
+      a: lab[1],
+      b: lab[2]
+    }));
+    colour = dwv.utils.rgbToHex({
+      r: Math.min(Math.max(Math.round(rgb.r), 0), 255),
+      g: Math.min(Math.max(Math.round(rgb.g), 0), 255),
+      b: Math.min(Math.max(Math.round(rgb.b), 0), 255)
+    });
+  } else if (typeof grey !== 'undefined') {
+    var value = Math.round(grey * 255 / 65535);
+    colour = dwv.utils.rgbToHex({r: value, g: value, b: value});
+  }
+  return colour;
+};
+
+/**
+ * Get the content of a Grayscale Softcopy Presentation State (GSPS).
+ * Items with an empty referencedImages list apply to all the
+ *   images referenced by the presentation state.
+ * Graphic and text positions are given in the annotation units:
+ *   'PIXEL' (image pixels, the top left hand corner of the top left
+ *   pixel being 0,0) or 'DISPLAY' (fraction of the displayed area).
+ *
+ * @param {object} elements The raw DICOM elements of the GSPS.
+ * @returns {object} The presentation state as {referencedImages,
+ *   voiLuts: [{windowCenter, windowWidth, referencedImages}],
+ *   presentationLutShape, imageRotation, imageHorizontalFlip,
+ *   displayedAreas: [{topLeft, bottomRight, sizeMode, pixelSpacing,
+ *   magnificationRatio, referencedImages}],
+ *   graphicLayers: [{name, order, description, colour}],
+ *   annotations: [{layer, referencedImages,
+ *   graphics: [{units, type, data, filled}],
+ *   texts: [{text, boundingBoxUnits, topLeft, bottomRight,
+ *   anchorUnits, anchor, anchorVisible}]}]}.
+ */
+dwv.dicom.getPresentationState = function (elements) {
+  var i;
+  var j;
+  var state = {
+    referencedImages: [],
+    voiLuts: [],
+    presentationLutShape: dwv.dicom.getElementValues(elements, 'x20500020')[0],
+    imageRotation: 0,
+    imageHorizontalFlip:
+      dwv.dicom.getElementValues(elements, 'x00700041')[0] === 'Y',
+    displayedAreas: [],
+    graphicLayers: [],
+    annotations: []
+  };
+
+  // referenced series
+  var series = dwv.dicom.getElementValues(elements, 'x00081115');
+  for (i = 0; i < series.length; ++i) {
+    state.referencedImages =
+      state.referencedImages.concat(dwv.dicom.getReferencedImages(series[i]));
+  }
+
+  // softcopy VOI LUT
+  var voiLuts = dwv.dicom.getElementValues(elements, 'x00283110');
+  for (i = 0; i < voiLuts.length; ++i) {
+    var centers = dwv.dicom.getElementValues(voiLuts[i], 'x00281050');
+    var widths = dwv.dicom.getElementValues(voiLuts[i], 'x00281051');
+    if (centers.length === 0 || widths.length === 0) {
+      dwv.logger.warn('Unsupported presentation state VOI LUT without ' +
+        'window center and width.');
+      continue;
+    }
+    state.voiLuts.push({
+      windowCenter: parseFloat(centers[0]),
+      windowWidth: parseFloat(widths[0]),
+      referencedImages: dwv.dicom.getReferencedImages(voiLuts[i])
+    });
+  }
+
+  // spatial transformation
+  var rotation = dwv.dicom.getElementValues(elements, 'x00700042')[0];
+  if (typeof rotation !== 'undefined') {
+    state.imageRotation = rotation;
+  }
+
+  // displayed area
+  var areas = dwv.dicom.getElementValues(elements, 'x0070005A');
+  for (i = 0; i < areas.length; ++i) {
+    var area = {
+      topLeft: dwv.dicom.getElementValues(areas[i], 'x00700052'),
+      bottomRight: dwv.dicom.getElementValues(areas[i], 'x00700053'),
+      sizeMode: dwv.dicom.getElementValues(areas[i], 'x00700100')[0],
+      referencedImages: dwv.dicom.getReferencedImages(areas[i])
+    };
+    var pixelSpacing = dwv.dicom.getElementValues(areas[i], 'x00700101');
+    if (pixelSpacing.length === 2) {
+      area.pixelSpacing = pixelSpacing.map(parseFloat);
+    }
+    var ratio = dwv.dicom.getElementValues(areas[i], 'x00700103')[0];
+    if (typeof ratio !== 'undefined') {
+      area.magnificationRatio = ratio;
+    }
+    state.displayedAreas.push(area);
+  }
+
+  // graphic layers
+  var layers = dwv.dicom.getElementValues(elements, 'x00700060');
+  for (i = 0; i < layers.length; ++i) {
+    state.graphicLayers.push({
+      name: dwv.dicom.getElementValues(layers[i], 'x00700002')[0],
+      order: parseInt(
+        dwv.dicom.getElementValues(layers[i], 'x00700062')[0], 10),
+      description: dwv.dicom.getElementValues(layers[i], 'x00700068')[0],
+      colour: dwv.dicom.getGraphicLayerColour(layers[i])
+    });
+  }
+
+  // graphic annotations
+  var annotations = dwv.dicom.getElementValues(elements, 'x00700001');
+  for (i = 0; i < annotations.length; ++i) {
+    var annotation = {
+      layer: dwv.dicom.getElementValues(annotations[i], 'x00700002')[0],
+      referencedImages: dwv.dicom.getReferencedImages(annotations[i]),
+      graphics: [],
+      texts: []
+    };
+    var graphics = dwv.dicom.getElementValues(annotations[i], 'x00700009');
+    for (j = 0; j < graphics.length; ++j) {
+      annotation.graphics.push({
+        units: dwv.dicom.getElementValues(graphics[j], 'x00700005')[0],
+        type: dwv.dicom.getElementValues(graphics[j], 'x00700023')[0],
+        data: dwv.dicom.getElementValues(graphics[j], 'x00700022'),
+        filled: dwv.dicom.getElementValues(graphics[j], 'x00700024')[0] === 'Y'
+      });
+    }
+    var texts = dwv.dicom.getElementValues(annotations[i], 'x00700008');
+    for (j = 0; j < texts.length; ++j) {
+      var text = {
+        text: dwv.dicom.getElementValues(texts[j], 'x00700006')[0],
+        boundingBoxUnits:
+          dwv.dicom.getElementValues(texts[j], 'x00700003')[0],
+        topLeft: dwv.dicom.getElementValues(texts[j], 'x00700010'),
+        bottomRight: dwv.dicom.getElementValues(texts[j], 'x00700011'),
+        anchorUnits: dwv.dicom.getElementValues(texts[j], 'x00700004')[0],
+        anchor: dwv.dicom.getElementValues(texts[j], 'x00700014'),
+        anchorVisible:
+          dwv.dicom.getElementValues(texts[j], 'x00700015')[0] === 'Y'
+      };
+      if (typeof text.text === 'undefined') {
+        text.text = '';
+      }
+      annotation.texts.push(text);
+    }
+    state.annotations.push(annotation);
+  }
+
+  return state;
+};
+
+/**
+ * Get the CIE LAB DICOM value of a colour.
+ *
+ * @param {string} colour The colour as an hex string.
+ * @returns {Array} The unsigned CIE LAB triplet.
+ */
+dwv.dicom.getCielabValue = function (colour) {
+  var lab = dwv.utils.labToUintLab(
+    dwv.utils.srgbToCielab(dwv.utils.hexToRgb(colour)));
+  return [Math.round(lab.l), Math.round(lab.a), Math.round(lab.b)];
+};
+
+/**
+ * Get the tags of a presentation state Referenced Image Sequence.
+ *
+ * @param {Array} referencedImages The list of referenced images as
+ *   {sopInstanceUID, frameNumbers}.
+ * @param {object} instances The SOP instance UID indexed raw DICOM
+ *   elements of the referenced instances.
+ * @returns {Array} The sequence items.
+ */
+dwv.dicom.getReferencedImageItems = function (referencedImages, instances) {
+  var items = [];
+  for (var i = 0; i < referencedImages.length; ++i) {
+    var uid = referencedImages[i].sopInstanceUID;
+    var elements = instances[uid];
+    if (typeof elements === 'undefined') {
+      throw new Error('Unknown referenced SOP instance: ' + uid);
+    }
+    var item = {
+      ReferencedSOPClassUID:
+        dwv.dicom.getElementValues(elements, 'x00080016')[0],
+      ReferencedSOPInstanceUID: uid
+    };
+    // frame numbers are only used for multi-frame instances
+    var numberOfFrames = dwv.dicom.getElementValues(elements, 'x00280008')[0];
+    var frameNumbers = referencedImages[i].frameNumbers;
+    if (typeof numberOfFrames !== 'undefined' &&
+      parseInt(numberOfFrames, 10) > 1 &&
+      typeof frameNumbers !== 'undefined' && frameNumbers.length !== 0) {
+      item.ReferencedFrameNumber = frameNumbers.map(function (value) {
+        return value.toString();
+      });
+    }
+    items.push(dwv.dicom.getTagsInOrder(item));
+  }
+  return items;
+};
+
+/**
+ * Add the Referenced Image Sequence of a presentation state item to
+ *   its tags, if the item does not apply to all the images.
+ *
+ * @param {object} tags The item tags.
+ * @param {object} item The item with an optional referencedImages list.
+ * @param {object} instances The SOP instance UID indexed raw DICOM
+ *   elements of the referenced instances.
+ * @returns {object} The item tags, in tag order.
+ */
+dwv.dicom.addReferencedImages = function (tags, item, instances) {
+  if (typeof item.referencedImages !== 'undefined' &&
+    item.referencedImages.length !== 0) {
+    tags.ReferencedImageSequence =
+      dwv.dicom.getReferencedImageItems(item.referencedImages, instances);
+  }
+  return dwv.dicom.getTagsInOrder(tags);
+};
+
+/**
+ * Get the tags of a presentation state graphic object.
+ *
+ * @param {object} graphic The graphic as {units, type, data, filled}.
+ * @returns {object} The graphic object tags.
+ */
+dwv.dicom.getGraphicObjectTags = function (graphic) {
+  var data = graphic.data;
+  var nPoints = data.length / 2;
+  var tags = {
+    GraphicAnnotationUnits: graphic.units,
+    GraphicDimensions: 2,
+    NumberOfGraphicPoints: nPoints,
+    GraphicData: data,
+    GraphicType: graphic.type
+  };
+  // filled is only used for closed graphics
+  var isClosed = graphic.type === 'CIRCLE' || graphic.type === 'ELLIPSE' ||
+    (nPoints > 2 && data[0] === data[data.length - 2] &&
+    data[1] === data[data.length - 1]);
+  if (isClosed) {
+    tags.GraphicFilled = graphic.filled ? 'Y' : 'N';
+  }
+  return dwv.dicom.getTagsInOrder(tags);
+};
+
+/**
+ * Get the tags of a presentation state text object.
+ *
+ * @param {object} text The text as {text, boundingBoxUnits, topLeft,
+ *   bottomRight, anchorUnits, anchor, anchorVisible}.
+ * @returns {object} The text object tags.
+ */
+dwv.dicom.getTextObjectTags = function (text) {
+  var tags = {
+    UnformattedTextValue: text.text
+  };
+  if (typeof text.topLeft !== 'undefined' && text.topLeft.length === 2) {
+    tags.BoundingBoxAnnotationUnits = text.boundingBoxUnits;
+    tags.BoundingBoxTopLeftHandCorner = text.topLeft;
+    tags.BoundingBoxBottomRightHandCorner = text.bottomRight;
+    tags.BoundingBoxTextHorizontalJustification = 'LEFT';
+  }
+  if (typeof text.anchor !== 'undefined' && text.anchor.length === 2) {
+    tags.AnchorPointAnnotationUnits = text.anchorUnits;
+    tags.AnchorPoint = text.anchor;
+    tags.AnchorPointVisibility = text.anchorVisible ? 'Y' : 'N';
+  }
+  return dwv.dicom.getTagsInOrder(tags);
+};
+
+/**
+ * Get the DICOM tags of a Grayscale Softcopy Presentation State (GSPS).
+ *
+ * @param {object} presentation The presentation state, in the
+ *   format of dwv.dicom.getPresentationState, all parts are optional.
+ *   Items without referencedImages apply to all the images. Without
+ *   displayed area, the whole image of the first instance is used.
+ * @param {Array} referencedElements The list of raw DICOM elements of
+ *   the instances the presentation state applies to.
+ * @param {object} attributes Optional DICOM attributes as a name-value
+ *   object, they override the default ones.
+ * @returns {object} The DICOM tags as a name-value object, in tag order.
+ */
+dwv.dicom.getPresentationStateTags = function (
+  presentation, referencedElements, attributes) {
+  if (referencedElements.length === 0) {
+    throw new Error('A presentation state needs referenced instances.');
+  }
+  var sopClassUid = dwv.dicom.grayscaleSoftcopyPresentationStateSopClassUid;
+  var sopInstanceUid = dwv.dicom.getUID('SOPInstanceUID');
+  var now = dwv.dicom.getDicomDateTime(new Date());
+  var source = referencedElements[0];
+  var i;
+
+  // referenced series
+  var instances = {};
+  var series = {};
+  for (i = 0; i < referencedElements.length; ++i) {
+    var elements = referencedElements[i];
+    var uid = dwv.dicom.getElementValues(elements, 'x00080018')[0];
+    instances[uid] = elements;
+    var seriesUid = dwv.dicom.getElementValues(elements, 'x0020000E')[0];
+    if (typeof series[seriesUid] === 'undefined') {
+      series[seriesUid] = [];
+    }
+    series[seriesUid].push({sopInstanceUID: uid, frameNumbers: []});
+  }
+  var seriesItems = [];
+  var seriesUids = Object.keys(series);
+  for (i = 0; i < seriesUids.length; ++i) {
+    seriesItems.push({
+      ReferencedImageSequence:
+        dwv.dicom.getReferencedImageItems(series[seriesUids[i]], instances),
+      SeriesInstanceUID: seriesUids[i]
+    });
+  }
+
+  // displayed area: default to the whole image
+  var areas = presentation.displayedAreas;
+  if (typeof areas === 'undefined' || areas.length === 0) {
+    areas = [{
+      topLeft: [1, 1],
+      bottomRight: [
+        dwv.dicom.getElementValues(source, 'x00280011')[0],
+        dwv.dicom.getElementValues(source, 'x00280010')[0]
+      ],
+      sizeMode: 'SCALE TO FIT'
+    }];
+  }
+  var pixelSpacing = dwv.dicom.getElementValues(source, 'x00280030');
+  var areaItems = [];
+  for (i = 0; i < areas.length; ++i) {
+    var area = {
+      DisplayedAreaTopLeftHandCorner: areas[i].topLeft,
+      DisplayedAreaBottomRightHandCorner: areas[i].bottomRight,
+      PresentationSizeMode: areas[i].sizeMode
+    };
+    if (typeof area.PresentationSizeMode === 'undefined') {
+      area.PresentationSizeMode = 'SCALE TO FIT';
+    }
+    if (pixelSpacing.length === 2) {
+      area.PresentationPixelSpacing = pixelSpacing;
+    } else {
+      area.PresentationPixelAspectRatio = ['1', '1'];
+    }
+    areaItems.push(dwv.dicom.addReferencedImages(area, areas[i], instances));
+  }
+
+  var tags = {
+    // file meta
+    FileMetaInformationVersion: new Uint8Array([0, 1]),
+    MediaStorageSOPClassUID: sopClassUid,
+    MediaStorageSOPInstanceUID: sopInstanceUid,
+    TransferSyntaxUID: '1.2.840.10008.1.2.1',
+    // SOP common
+    SOPClassUID: sopClassUid,
+    SOPInstanceUID: sopInstanceUid,
+    // presentation series
+    Modality: 'PR',
+    SeriesInstanceUID: dwv.dicom.getUID('SeriesInstanceUID'),
+    SeriesNumber: '1',
+    // general equipment
+    Manufacturer: 'dwv',
+    // presentation state identification
+    InstanceNumber: '1',
+    ContentLabel: 'DWV',
+    ContentDescription: '',
+    PresentationCreationDate: now.date,
+    PresentationCreationTime: now.time,
+    ContentCreatorName: '',
+    // presentation state relationship
+    ReferencedSeriesSequence: seriesItems,
+    // displayed area
+    DisplayedAreaSelectionSequence: areaItems,
+    // spatial transformation
+    ImageRotation: presentation.imageRotation ? presentation.imageRotation : 0,
+    ImageHorizontalFlip: presentation.imageHorizontalFlip ? 'Y' : 'N',
+    // softcopy presentation LUT
+    PresentationLUTShape: presentation.presentationLutShape
+      ? presentation.presentationLutShape : 'IDENTITY'
+  };
+
+  // softcopy VOI LUT
+  var voiLuts = presentation.voiLuts;
+  if (typeof voiLuts !== 'undefined' && voiLuts.length !== 0) {
+    tags.SoftcopyVOILUTSequence = [];
+    for (i = 0; i < voiLuts.length; ++i) {
+      tags.SoftcopyVOILUTSequence.push(dwv.dicom.addReferencedImages({
+        WindowCenter: dwv.dicom.getDecimalString(voiLuts[i].windowCenter),
+        WindowWidth: dwv.dicom.getDecimalString(voiLuts[i].windowWidth)
+      }, voiLuts[i], instances));
+    }
+  }
+
+  // graphic layers
+  var layers = presentation.graphicLayers;
+  if (typeof layers !== 'undefined' && layers.length !== 0) {
+    tags.GraphicLayerSequence = [];
+    for (i = 0; i < layers.length; ++i) {
+      var layer = {
+        GraphicLayer: layers[i].name,
+        GraphicLayerOrder: layers[i].order.toString()
+      };
+      if (typeof layers[i].colour !== 'undefined') {
+        layer.GraphicLayerRecommendedDisplayCIELabValue =
+          dwv.dicom.getCielabValue(layers[i].colour);
+      }
+      if (typeof layers[i].description !== 'undefined') {
+        layer.GraphicLayerDescription = layers[i].description;
+      }
+      tags.GraphicLayerSequence.push(dwv.dicom.getTagsInOrder(layer));
+    }
+  }
+
+  // graphic annotations
+  var annotations = presentation.annotations;
+  if (typeof annotations !== 'undefined' && annotations.length !== 0) {
+    tags.GraphicAnnotationSequence = [];
+    for (i = 0; i < annotations.length; ++i) {
+      var annotation = {
+        GraphicLayer: annotations[i].layer
+      };
+      var graphics = annotations[i].graphics;
+      if (typeof graphics !== 'undefined' && graphics.length !== 0) {
+        annotation.GraphicObjectSequence =
+          graphics.map(dwv.dicom.getGraphicObjectTags);
+      }
+      var texts = annotations[i].texts;
+      if (typeof texts !== 'undefined' && texts.length !== 0) {
+        annotation.TextObjectSequence =
+          texts.map(dwv.dicom.getTextObjectTags);
+      }
+      tags.GraphicAnnotationSequence.push(
+        dwv.dicom.addReferencedImages(annotation, annotations[i], instances));
+    }
+  }
+
+  // patient and study: copied from the source
+  var copied = {
+    SpecificCharacterSet: 'x00080005',
+    PatientName: 'x00100010',
+    PatientID: 'x00100020',
+    PatientBirthDate: 'x00100030',
+    PatientSex: 'x00100040',
+    StudyInstanceUID: 'x0020000D',
+    StudyDate: 'x00080020',
+    StudyTime: 'x00080030',
+    ReferringPhysicianName: 'x00080090',
+    StudyID: 'x00200010',
+    AccessionNumber: 'x00080050'
+  };
+  var copiedNames = Object.keys(copied);
+  for (i = 0; i < copiedNames.length; ++i) {
+    var value = dwv.dicom.getElementString(source, copied[copiedNames[i]]);
+    // SpecificCharacterSet is optional
+    if (value.length !== 0 || copiedNames[i] !== 'SpecificCharacterSet') {
+      tags[copiedNames[i]] = value;
+    }
+  }
+
+  return dwv.dicom.getTagsWithAttributes(tags, attributes);
+};
+
+/**
+ * Get the DICOM elements of a Grayscale Softcopy Presentation State.
+ *
+ * @param {object} presentation The presentation state,
+ *   see dwv.dicom.getPresentationStateTags.
+ * @param {Array} referencedElements The list of raw DICOM elements of
+ *   the referenced instances.
+ * @param {object} attributes Optional DICOM attributes,
+ *   see dwv.dicom.getPresentationStateTags.
+ * @returns {object} The DICOM elements.
+ */
+dwv.dicom.getPresentationStateElements = function (
+  presentation, referencedElements, attributes) {
+  var tags = dwv.dicom.getPresentationStateTags(
+    presentation, referencedElements, attributes);
+  return dwv.dicom.getElementsFromJSONTags(tags).elements;
+};
+
+/**
+ * Get a Grayscale Softcopy Presentation State DICOM buffer
+ *   (Part 10 file content).
+ *
+ * @param {object} presentation The presentation state,
+ *   see dwv.dicom.getPresentationStateTags.
+ * @param {Array} referencedElements The list of raw DICOM elements of
+ *   the referenced instances.
+ * @param {object} attributes Optional DICOM attributes,
+ *   see dwv.dicom.getPresentationStateTags.
+ * @param {dwv.dicom.DicomWriter} writer Optional writer, for ex
+ *   with anonymisation rules.
+ * @returns {ArrayBuffer} The DICOM buffer.
+ */
+dwv.dicom.getPresentationStateBuffer = function (
+  presentation, referencedElements, attributes, writer) {
+  if (typeof writer === 'undefined') {
+    writer = new dwv.dicom.DicomWriter();
+  }
+  return writer.getBuffer(dwv.dicom.getPresentationStateElements(
+    presentation, referencedElements, attributes));
+};
@@ -0,0 +1,332 @@
+// namespaces
+var dwv = dwv || {};
+dwv.dicom = dwv.dicom || {};
+
+/**
+ * RT Structure Set Storage SOP Class UID.
+ *
+ * @type {string}
+ */
+dwv.dicom.rtStructureSetSopClassUid = '1.2.840.10008.5.1.4.1.1.481.3';
+
+/**
+ * Check if a SOP class UID is the one of a RT Structure Set.
+ *
+ * @param {string} sopClassUid The SOP class UID.
+ * @returns {boolean} True if the SOP class is RT Structure Set.
+ */
+dwv.dicom.isRtStructureSetSopClass = function (sopClassUid) {
+  return sopClassUid === dwv.dicom.rtStructureSetSopClassUid;
+};
+
+/**
+ * Get the content of a RT Structure Set.
+ * Contour points are given in the patient coordinate system.
+ *
+ * @param {object} elements The raw DICOM elements of the structure set.
+ * @returns {object} The structure set as {label, structures: [{number,
+ *   name, interpretedType, colour, frameOfReferenceUID,
+ *   contours: [{type, points, referencedSOPInstanceUIDs}]}]}, with
+ *   colour an hex string and points a flat list of x, y, z values.
+ */
+dwv.dicom.getStructureSet = function (elements) {
+  var structureSet = {
+    label: dwv.dicom.getElementValues(elements, 'x30060002')[0],
+    structures: []
+  };
+  var i;
+  var numbers = {};
+
+  // Structure Set ROI Sequence
+  var rois = dwv.dicom.getElementValues(elements, 'x30060020');
+  for (i = 0; i < rois.length; ++i) {
+    var structure = {
+      number: parseInt(dwv.dicom.getElementValues(rois[i], 'x30060022')[0], 10),
+      name: dwv.dicom.getElementValues(rois[i], 'x30060026')[0],
+      frameOfReferenceUID: dwv.dicom.getElementValues(rois[i], 'x30060024')[0],
+      contours: []
+    };
+    if (typeof structure.name === 'undefined') {
+      structure.name = '';
+    }
+    numbers[structure.number] = structure;
+    structureSet.structures.push(structure);
+  }
+
+  // RT ROI Observations Sequence
+  var observations = dwv.dicom.getElementValues(elements, 'x30060080');
+  for (i = 0; i < observations.length; ++i) {
+    var observed = numbers[parseInt(
+      dwv.dicom.getElementValues(observations[i], 'x30060084')[0], 10)];
+    var interpretedType =
+      dwv.dicom.getElementValues(observations[i], 'x300600A4')[0];
+    if (typeof observed !== 'undefined' &&
+      typeof interpretedType !== 'undefined' && interpretedType !== '') {
+      observed.interpretedType = interpretedType;
+    }
+  }
+
+  // ROI Contour Sequence
+  var roiContours = dwv.dicom.getElementValues(elements, 'x30060039');
+  for (i = 0; i < roiContours.length; ++i) {
+    var number = parseInt(
+      dwv.dicom.getElementValues(roiContours[i], 'x30060084')[0], 10);
+    var contoured = numbers[number];
+    if (typeof contoured === 'undefined') {
+      dwv.logger.warn('Unknown structure set ROI number: ' + number);
+      continue;
+    }
+    var colour = dwv.dicom.getElementValues(roiContours[i], 'x3006002A');
+    if (colour.length === 3) {
+      contoured.colour = dwv.utils.rgbToHex({
+        r: parseInt(colour[0], 10),
+        g: parseInt(colour[1], 10),
+        b: parseInt(colour[2], 10)
+      });
+    }
+    var contours = dwv.dicom.getElementValues(roiContours[i], 'x30060040');
+    for (var j = 0; j < contours.length; ++j) {
+      var images = dwv.dicom.getElementValues(contours[j], 'x30060016');
+      contoured.contours.push({
+        type: dwv.dicom.getElementValues(contours[j], 'x30060042')[0],
+        points: dwv.dicom.getElementValues(contours[j], 'x30060050').map(
+          function (value) {
+            return parseFloat(value);
+          }),
+        referencedSOPInstanceUIDs: images.map(function (item) {
+          return dwv.dicom.getElementValues(item, 'x00081155')[0];
+        })
+      });
+    }
+  }
+
+  return structureSet;
+};
+
+/**
+ * Get the DICOM tags of a RT Structure Set.
+ *
+ * @param {object} structureSet The structure set, in the format of
+ *   dwv.dicom.getStructureSet: {label, structures}. The structure
+ *   number defaults to its index plus one, its frame of reference to
+ *   the one of the referenced instances and its interpreted type
+ *   to empty. The structure colour is an hex string.
+ * @param {Array} referencedElements The list of raw DICOM elements of
+ *   the instances the contours are drawn on.
+ * @param {object} attributes Optional DICOM attributes as a name-value
+ *   object, they override the default ones.
+ * @returns {object} The DICOM tags as a name-value object, in tag order.
+ */
+dwv.dicom.getStructureSetTags = function (
+  structureSet, referencedElements, attributes) {
+  var structures = structureSet.structures;
+  if (structures.length === 0) {
+    throw new Error('A structure set needs at least one structure.');
+  }
+  if (referencedElements.length === 0) {
+    throw new Error('A structure set needs referenced instances.');
+  }
+  var sopClassUid = dwv.dicom.rtStructureSetSopClassUid;
+  var sopInstanceUid = dwv.dicom.getUID('SOPInstanceUID');
+  var now = dwv.dicom.getDicomDateTime(new Date());
+  var source = referencedElements[0];
+  var i;
+
+  // referenced instances
+  var instances = {};
+  for (i = 0; i < referencedElements.length; ++i) {
+    var uid = dwv.dicom.getElementValues(referencedElements[i], 'x00080018')[0];
+    instances[uid] = referencedElements[i];
+  }
+  var getContourImageItem = function (uid) {
+    var instance = instances[uid];
+    if (typeof instance === 'undefined') {
+      throw new Error('Unknown referenced SOP instance: ' + uid);
+    }
+    return {
+      ReferencedSOPClassUID:
+        dwv.dicom.getElementValues(instance, 'x00080016')[0],
+      ReferencedSOPInstanceUID: uid
+    };
+  };
+  var frameOfReferenceUid = dwv.dicom.getElementValues(source, 'x00200052')[0];
+  if (typeof frameOfReferenceUid === 'undefined' ||
+    frameOfReferenceUid === '') {
+    throw new Error('A structure set needs a frame of reference.');
+  }
+
+  // structures
+  var roiItems = [];
+  var roiContourItems = [];
+  var observationItems = [];
+  var contourUids = [];
+  for (i = 0; i < structures.length; ++i) {
+    var structure = structures[i];
+    var number = typeof structure.number !== 'undefined'
+      ? structure.number : i + 1;
+    roiItems.push({
+      ROINumber: number.toString(),
+      ReferencedFrameOfReferenceUID:
+        typeof structure.frameOfReferenceUID !== 'undefined'
+          ? structure.frameOfReferenceUID : frameOfReferenceUid,
+      ROIName: structure.name,
+      ROIGenerationAlgorithm: 'MANUAL'
+    });
+
+    var contourItems = [];
+    for (var j = 0; j < structure.contours.length; ++j) {
+      var contour = structure.contours[j];
+      var contourItem = {};
+      var uids = contour.referencedSOPInstanceUIDs;
+      if (typeof uids !== 'undefined' && uids.length !== 0) {
+        contourItem.ContourImageSequence = uids.map(getContourImageItem);
+        for (var u = 0; u < uids.length; ++u) {
+          if (contourUids.indexOf(uids[u]) === -1) {
+            contourUids.push(uids[u]);
+          }
+        }
+      }
+      contourItem.ContourGeometricType = contour.type;
+      contourItem.NumberOfContourPoints =
+        Math.floor(contour.points.length / 3).toString();
+      contourItem.ContourNumber = (j + 1).toString();
+      contourItem.ContourData =
+        contour.points.map(dwv.dicom.getDecimalString);
+      contourItems.push(contourItem);
+    }
+    var roiContourItem = {};
+    if (typeof structure.colour !== 'undefined') {
+      var colour = dwv.utils.hexToRgb(structure.colour);
+      roiContourItem.ROIDisplayColor = [
+        colour.r.toString(), colour.g.toString(), colour.b.toString()
+      ];
+    }
+    if (contourItems.length !== 0) {
+      roiContourItem.ContourSequence = contourItems;
+    }
+    roiContourItem.ReferencedROINumber = number.toString();
+    roiContourItems.push(roiContourItem);
+
+    observationItems.push({
+      ObservationNumber: (i + 1).toString(),
+      ReferencedROINumber: number.toString(),
+      RTROIInterpretedType:
+        typeof structure.interpretedType !== 'undefined'
+          ? structure.interpretedType : '',
+      ROIInterpreter: ''
+    });
+  }
+
+  // referenced frame of reference: study, series and contour images
+  var seriesItem = {
+    SeriesInstanceUID: dwv.dicom.getElementValues(source, 'x0020000E')[0]
+  };
+  if (contourUids.length !== 0) {
+    seriesItem.ContourImageSequence = contourUids.map(getContourImageItem);
+  }
+  var referencedFrameOfReferenceItem = {
+    FrameOfReferenceUID: frameOfReferenceUid,
+    RTReferencedStudySequence: [{
+      // Detached Study Management SOP Class
+      ReferencedSOPClassUID: '1.2.840.10008.3.1.2.3.1',
+      ReferencedSOPInstanceUID:
+        dwv.dicom.getElementValues(source, 'x0020000D')[0],
+      RTReferencedSeriesSequence: [seriesItem]
+    }]
+  };
+
+  var tags = {
+    // file meta
+    FileMetaInformationVersion: new Uint8Array([0, 1]),
+    MediaStorageSOPClassUID: sopClassUid,
+    MediaStorageSOPInstanceUID: sopInstanceUid,
+    TransferSyntaxUID: '1.2.840.10008.1.2.1',
+    // SOP common
+    SOPClassUID: sopClassUid,
+    SOPInstanceUID: sopInstanceUid,
+    // RT series
+    Modality: 'RTSTRUCT',
+    SeriesInstanceUID: dwv.dicom.getUID('SeriesInstanceUID'),
+    SeriesNumber: '1',
+    OperatorsName: '',
+    // general equipment
+    Manufacturer: 'dwv',
+    // structure set
+    StructureSetLabel: typeof structureSet.label !== 'undefined'
+      ? structureSet.label : 'DWV',
+    StructureSetDate: now.date,
+    StructureSetTime: now.time,
+    InstanceNumber: '1',
+    ReferencedFrameOfReferenceSequence: [referencedFrameOfReferenceItem],
+    StructureSetROISequence: roiItems,
+    // ROI contour
+    ROIContourSequence: roiContourItems,
+    // RT ROI observations
+    RTROIObservationsSequence: observationItems
+  };
+
+  // patient and study: copied from the source
+  var copied = {
+    SpecificCharacterSet: 'x00080005',
+    PatientName: 'x00100010',
+    PatientID: 'x00100020',
+    PatientBirthDate: 'x00100030',
+    PatientSex: 'x00100040',
+    StudyInstanceUID: 'x0020000D',
+    StudyDate: 'x00080020',
+    StudyTime: 'x00080030',
+    ReferringPhysicianName: 'x00080090',
+    StudyID: 'x00200010',
+    AccessionNumber: 'x00080050'
+  };
+  var copiedNames = Object.keys(copied);
+  for (i = 0; i < copiedNames.length; ++i) {
+    var value = dwv.dicom.getElementString(source, copied[copiedNames[i]]);
+    // SpecificCharacterSet is optional
+    if (value.length !== 0 || copiedNames[i] !== 'SpecificCharacterSet') {
+      tags[copiedNames[i]] = value;
+    }
+  }
+
+  return dwv.dicom.getTagsWithAttributes(tags, attributes);
+};
+
+/**
+ * Get the DICOM elements of a RT Structure Set.
+ *
+ * @param {object} structureSet The structure set,
+ *   see dwv.dicom.getStructureSetTags.
+ * @param {Array} referencedElements The list of raw DICOM elements of
+ *   the referenced instances.
+ * @param {object} attributes Optional DICOM attributes,
+ *   see dwv.dicom.getStructureSetTags.
+ * @returns {object} The DICOM elements.
+ */
+dwv.dicom.getStructureSetElements = function (
+  structureSet, referencedElements, attributes) {
+  var tags = dwv.dicom.getStructureSetTags(
+    structureSet, referencedElements, attributes);
+  return dwv.dicom.getElementsFromJSONTags(tags).elements;
+};
+
+/**
+ * Get a RT Structure Set DICOM buffer (Part 10 file content).
+ *
+ * @param {object} structureSet The structure set,
+ *   see dwv.dicom.getStructureSetTags.
+ * @param {Array} referencedElements The list of raw DICOM elements of
+ *   the referenced instances.
+ * @param {object} attributes Optional DICOM attributes,
+ *   see dwv.dicom.getStructureSetTags.
+ * @param {dwv.dicom.DicomWriter} writer Optional writer, for ex
+ *   with anonymisation rules.
+ * @returns {ArrayBuffer} The DICOM buffer.
+ */
+dwv.dicom.getStructureSetBuffer = function (
+  structureSet, referencedElements, attributes, writer) {
+  if (typeof writer === 'undefined') {
+    writer = new dwv.dicom.DicomWriter();
+  }
+  return writer.getBuffer(dwv.dicom.getStructureSetElements(
+    structureSet, referencedElements, attributes));
+};
@@ -0,0 +1,190 @@
+// namespaces
+var dwv = dwv || {};
+dwv.dicom = dwv.dicom || {};
+
+/**
+ * Secondary Capture SOP class UIDs.
+ * Ref: [Secondary Capture IODs]{@link https://dicom.nema.org/medical/dicom/2022a/output/chtml/part03/sect_A.8.html}.
+ *
+ * @type {object}
+ */
+dwv.dicom.secondaryCaptureSopClasses = {
+  SingleFrame: '1.2.840.10008.5.1.4.1.1.7',
+  GrayscaleByte: '1.2.840.10008.5.1.4.1.1.7.2',
+  GrayscaleWord: '1.2.840.10008.5.1.4.1.1.7.3',
+  TrueColor: '1.2.840.10008.5.1.4.1.1.7.4'
+};
+
+/**
+ * Get the DICOM date and time of a date.
+ *
+ * @param {Date} date The date.
+ * @returns {object} The date and time as {date: 'YYYYMMDD', time: 'HHMMSS'}.
+ */
+dwv.dicom.getDicomDateTime = function (date) {
+  var pad = function (value) {
+    return value.toString().padStart(2, '0');
+  };
+  return {
+    date: date.getFullYear().toString() +
+      pad(date.getMonth() + 1) + pad(date.getDate()),
+    time: pad(date.getHours()) + pad(date.getMinutes()) +
+      pad(date.getSeconds())
+  };
+};
+
+/**
+ * Get the Secondary Capture SOP class UID of an image: the single frame
+ *   one or one of the multi-frame ones.
+ *
+ * @param {dwv.image.Image} image The image.
+ * @returns {string} The SOP class UID.
+ */
+dwv.dicom.getSecondaryCaptureSopClassUid = function (image) {
+  if (dwv.dicom.getNumberOfImageFrames(image) === 1) {
+    return dwv.dicom.secondaryCaptureSopClasses.SingleFrame;
+  }
+  var bitsAllocated = image.getBuffer().BYTES_PER_ELEMENT * 8;
+  var uid;
+  if (image.getNumberOfComponents() === 3 && bitsAllocated === 8) {
+    uid = dwv.dicom.secondaryCaptureSopClasses.TrueColor;
+  } else if (image.getNumberOfComponents() === 1 && bitsAllocated === 8) {
+    uid = dwv.dicom.secondaryCaptureSopClasses.GrayscaleByte;
+  } else if (image.getNumberOfComponents() === 1 && bitsAllocated === 16) {
+    uid = dwv.dicom.secondaryCaptureSopClasses.GrayscaleWord;
+  } else {
+    throw new Error('Unsupported multi-frame Secondary Capture image: ' +
+      image.getNumberOfComponents() + ' components of ' +
+      bitsAllocated + ' bits');
+  }
+  return uid;
+};
+
+/**
+ * Get the number of frames of an image: all its 2D planes.
+ *
+ * @param {dwv.image.Image} image The image.
+ * @returns {number} The number of frames.
+ */
+dwv.dicom.getNumberOfImageFrames = function (image) {
+  var size = image.getGeometry().getSize();
+  return image.getBuffer().length /
+    (size.getDimSize(2) * image.getNumberOfComponents());
+};
+
+/**
+ * Get the DICOM tags of a Secondary Capture image.
+ * The patient, study and series attributes are set empty or generated
+ *   if not provided.
+ *
+ * @param {dwv.image.Image} image The image, for example as created
+ *   by the RawImageLoader or the RawVideoLoader.
+ * @param {object} attributes Optional DICOM attributes as a name-value
+ *   object (for ex {PatientName: 'Doe^John'}), they override the
+ *   default ones.
+ * @returns {object} The DICOM tags as a name-value object, in tag order.
+ */
+dwv.dicom.getSecondaryCaptureTags = function (image, attributes) {
+  var size = image.getGeometry().getSize();
+  var numberOfComponents = image.getNumberOfComponents();
+  var bitsAllocated = image.getBuffer().BYTES_PER_ELEMENT * 8;
+  var numberOfFrames = dwv.dicom.getNumberOfImageFrames(image);
+  var sopClassUid = dwv.dicom.getSecondaryCaptureSopClassUid(image);
+  var sopInstanceUid = dwv.dicom.getUID('SOPInstanceUID');
+  var now = dwv.dicom.getDicomDateTime(new Date());
+  var meta = image.getMeta();
+
+  var tags = {
+    // file meta
+    FileMetaInformationVersion: new Uint8Array([0, 1]),
+    MediaStorageSOPClassUID: sopClassUid,
+    MediaStorageSOPInstanceUID: sopInstanceUid,
+    TransferSyntaxUID: '1.2.840.10008.1.2.1',
+    // SOP common
+    SOPClassUID: sopClassUid,
+    SOPInstanceUID: sopInstanceUid,
+    // patient
+    PatientName: '',
+    PatientID: '',
+    PatientBirthDate: '',
+    PatientSex: '',
+    // general study
+    StudyInstanceUID: dwv.dicom.getUID('StudyInstanceUID'),
+    StudyDate: now.date,
+    StudyTime: now.time,
+    ReferringPhysicianName: '',
+    StudyID: '',
+    AccessionNumber: '',
+    // general series
+    Modality: 'OT',
+    SeriesInstanceUID: dwv.dicom.getUID('SeriesInstanceUID'),
+    SeriesNumber: '1',
+    // SC equipment
+    ConversionType: 'WSD',
+    // general image
+    InstanceNumber: '1',
+    PatientOrientation: '',
+    ContentDate: now.date,
+    ContentTime: now.time,
+    // SC image
+    DateOfSecondaryCapture: now.date,
+    TimeOfSecondaryCapture: now.time,
+    // image pixel
+    SamplesPerPixel: numberOfComponents,
+    PhotometricInterpretation: image.getPhotometricInterpretation(),
+    Rows: size.get(1),
+    Columns: size.get(0),
+    BitsAllocated: bitsAllocated,
+    BitsStored: bitsAllocated,
+    HighBit: bitsAllocated - 1,
+    PixelRepresentation: meta.IsSigned ? 1 : 0
+  };
+  if (numberOfComponents !== 1) {
+    tags.PlanarConfiguration = image.getPlanarConfiguration() === 1 ? 1 : 0;
+  }
+  // multi-frame
+  if (numberOfFrames !== 1) {
+    tags.NumberOfFrames = numberOfFrames.toString();
+    tags.FrameIncrementPointer = ['(0018,1063)'];
+    // default video frame rate of the RawVideoLoader
+    tags.FrameTime = (1000 / 30).toFixed(4);
+  }
+
+  return dwv.dicom.getTagsWithAttributes(tags, attributes);
+};
+
+/**
+ * Get the DICOM elements of a Secondary Capture image.
+ *
+ * @param {dwv.image.Image} image The image.
+ * @param {object} attributes Optional DICOM attributes,
+ *   see dwv.dicom.getSecondaryCaptureTags.
+ * @returns {object} The DICOM elements, including the pixel data.
+ */
+dwv.dicom.getSecondaryCaptureElements = function (image, attributes) {
+  var tags = dwv.dicom.getSecondaryCaptureTags(image, attributes);
+  var res = dwv.dicom.getElementsFromJSONTags(tags);
+  var elements = res.elements;
+
+  // pixel data (all frames)
+  var pixelData = dwv.dicom.getImagePixelDataElement(null, image);
+  var prefixSize = dwv.dicom.getDataElementPrefixByteSize(pixelData.vr, false);
+  pixelData.startOffset = res.offset + prefixSize;
+  pixelData.endOffset = pixelData.startOffset + pixelData.vl;
+  elements.x7FE00010 = pixelData;
+  return elements;
+};
+
+/**
+ * Get a Secondary Capture DICOM buffer (Part 10 file content) of an image.
+ *
+ * @param {dwv.image.Image} image The image.
+ * @param {object} attributes Optional DICOM attributes,
+ *   see dwv.dicom.getSecondaryCaptureTags.
+ * @returns {ArrayBuffer} The DICOM buffer.
+ */
+dwv.dicom.getSecondaryCaptureBuffer = function (image, attributes) {
+  var writer = new dwv.dicom.DicomWriter();
+  return writer.getBuffer(
+    dwv.dicom.getSecondaryCaptureElements(image, attributes));
+};
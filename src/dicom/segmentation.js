@@ -0,0 +1,445 @@
+// namespaces
+var dwv = dwv || {};
+dwv.dicom = dwv.dicom || {};
+
+/**
+ * Segmentation Storage SOP Class UID.
+ *
+ * @type {string}
+ */
+dwv.dicom.segmentationSopClassUid = '1.2.840.10008.5.1.4.1.1.66.4';
+
+/**
+ * Default segmented property code: 'Tissue', as
+ *   [value, scheme designator, meaning].
+ *
+ * @type {Array}
+ */
+dwv.dicom.defaultSegmentedPropertyCode = ['T-D0050', 'SRT', 'Tissue'];
+
+/**
+ * Get the tags of a code sequence item.
+ *
+ * @param {object} code The code as {value, scheme, meaning}, undefined
+ *   to use the default segmented property.
+ * @returns {object} The code item tags.
+ */
+dwv.dicom.getSegmentationCodeItem = function (code) {
+  if (typeof code === 'undefined') {
+    return dwv.dicom.getCodeItem(dwv.dicom.defaultSegmentedPropertyCode);
+  }
+  return dwv.dicom.getCodeItem([code.value, code.scheme, code.meaning]);
+};
+
+/**
+ * Get the tags of a Segment Sequence item.
+ *
+ * @param {object} segment The segment, see dwv.dicom.getSegmentationTags.
+ * @param {number} number The segment number.
+ * @returns {object} The segment item tags.
+ */
+dwv.dicom.getSegmentItem = function (segment, number) {
+  var algorithmType = segment.algorithmType;
+  if (typeof algorithmType === 'undefined') {
+    algorithmType = 'MANUAL';
+  }
+  var item = {
+    SegmentNumber: number,
+    SegmentLabel: segment.label,
+    SegmentAlgorithmType: algorithmType,
+    SegmentedPropertyCategoryCodeSequence: [
+      dwv.dicom.getSegmentationCodeItem(segment.category)
+    ],
+    SegmentedPropertyTypeCodeSequence: [
+      dwv.dicom.getSegmentationCodeItem(segment.type)
+    ]
+  };
+  // the algorithm name is required for non manual segments
+  if (algorithmType !== 'MANUAL') {
+    item.SegmentAlgorithmName = typeof segment.algorithmName !== 'undefined'
+      ? segment.algorithmName : 'dwv';
+  }
+  if (typeof segment.colour !== 'undefined') {
+    var lab = dwv.utils.labToUintLab(dwv.utils.srgbToCielab(segment.colour));
+    item.RecommendedDisplayCIELabValue =
+      [Math.round(lab.l), Math.round(lab.a), Math.round(lab.b)];
+  }
+  return dwv.dicom.getTagsInOrder(item);
+};
+
+/**
+ * Get the segment membership test of mask voxels.
+ *
+ * @param {dwv.image.Image} mask The mask image.
+ * @param {Array} segments The list of segments,
+ *   see dwv.dicom.getSegmentationTags.
+ * @returns {Function} The test as a (value, segmentIndex) function
+ *   returning true if a voxel value belongs to the segment.
+ */
+dwv.dicom.getSegmentMembership = function (mask, segments) {
+  if (segments.length === 1) {
+    var background = mask.getDataRange().min;
+    return function (value) {
+      return value !== background;
+    };
+  }
+  var values = [];
+  for (var i = 0; i < segments.length; ++i) {
+    values.push(typeof segments[i].value !== 'undefined'
+      ? segments[i].value : i + 1);
+  }
+  return function (value, segmentIndex) {
+    return value === values[segmentIndex];
+  };
+};
+
+/**
+ * Get the DICOM tags of a binary Segmentation (SEG).
+ * The mask shares the geometry of its source image: each of its slices
+ *   is derived from the source instance with the same image UID.
+ * Mask voxels equal to the mask minimum value are background. With a
+ *   single segment, all the other voxels belong to it; with several
+ *   segments, voxels belong to the segment whose value they equal.
+ * Only the frames containing segmented voxels are stored.
+ *
+ * @param {dwv.image.Image} mask The single component mask image, for
+ *   example a threshold result.
+ * @param {Array} segments The list of segments as {label, value, colour,
+ *   algorithmType, algorithmName, category, type}: value is the mask
+ *   value of the segment (defaults to its 1 based index), colour is
+ *   an {r, g, b} object, algorithmType one of 'MANUAL' (default),
+ *   'SEMIAUTOMATIC' or 'AUTOMATIC', category and type are codes as
+ *   {value, scheme, meaning} (defaults to 'Tissue').
+ * @param {Array} referencedElements The list of raw DICOM elements of
+ *   the source instances.
+ * @param {object} attributes Optional DICOM attributes as a name-value
+ *   object (for ex {SeriesDescription: 'Liver'}), they override the
+ *   default ones.
+ * @returns {object} The DICOM tags as a name-value object, in tag order,
+ *   without the pixel data.
+ */
+dwv.dicom.getSegmentationTags = function (
+  mask, segments, referencedElements, attributes) {
+  if (mask.getNumberOfComponents() !== 1) {
+    throw new Error('A segmentation mask needs a single component.');
+  }
+  if (segments.length === 0) {
+    throw new Error('A segmentation needs at least one segment.');
+  }
+  if (referencedElements.length === 0) {
+    throw new Error('A segmentation needs referenced instances.');
+  }
+  var sopClassUid = dwv.dicom.segmentationSopClassUid;
+  var sopInstanceUid = dwv.dicom.getUID('SOPInstanceUID');
+  var now = dwv.dicom.getDicomDateTime(new Date());
+  var source = referencedElements[0];
+  var i;
+
+  // source instances
+  var instances = {};
+  for (i = 0; i < referencedElements.length; ++i) {
+    var uid = dwv.dicom.getElementValues(
+      referencedElements[i], 'x00080018')[0];
+    instances[uid] = referencedElements[i];
+  }
+  var sourceSeriesUid =
+    dwv.dicom.getElementValues(source, 'x0020000E')[0];
+
+  // geometry
+  var geometry = mask.getGeometry();
+  var size = geometry.getSize();
+  var spacing = geometry.getSpacing();
+  var orientation = geometry.getOrientation();
+  var origins = geometry.getOrigins();
+  var sliceSize = size.getDimSize(2);
+  var numberOfSlices = size.get(2);
+
+  // frames: ordered by segment then slice
+  var isInSegment = dwv.dicom.getSegmentMembership(mask, segments);
+  var buffer = mask.getBuffer();
+  var frameItems = [];
+  var sliceUids = [];
+  for (var s = 0; s < segments.length; ++s) {
+    for (var k = 0; k < numberOfSlices; ++k) {
+      var offset = k * sliceSize;
+      var isEmpty = true;
+      for (var p = 0; p < sliceSize; ++p) {
+        if (isInSegment(buffer[offset + p], s)) {
+          isEmpty = false;
+          break;
+        }
+      }
+      if (isEmpty) {
+        continue;
+      }
+
+      // derivation: the source slice
+      var sliceUid = mask.getImageUid(new dwv.math.Index([0, 0, k]));
+      var instance = instances[sliceUid];
+      if (typeof instance === 'undefined') {
+        throw new Error('Unknown referenced SOP instance: ' + sliceUid);
+      }
+      if (sliceUids.indexOf(sliceUid) === -1) {
+        sliceUids.push(sliceUid);
+      }
+      var sourceImage = {
+        ReferencedSOPClassUID:
+          dwv.dicom.getElementValues(instance, 'x00080016')[0],
+        ReferencedSOPInstanceUID: sliceUid,
+        PurposeOfReferenceCodeSequence: [dwv.dicom.getCodeItem([
+          '121322',
+          'DCM',
+          'Source image for image processing operation'
+        ])]
+      };
+      var numberOfFrames =
+        dwv.dicom.getElementValues(instance, 'x00280008')[0];
+      if (typeof numberOfFrames !== 'undefined' &&
+        parseInt(numberOfFrames, 10) > 1) {
+        sourceImage.ReferencedFrameNumber = (k + 1).toString();
+      }
+
+      var origin = origins[k];
+      frameItems.push({
+        DerivationImageSequence: [{
+          SourceImageSequence: [dwv.dicom.getTagsInOrder(sourceImage)],
+          DerivationCodeSequence: [
+            dwv.dicom.getCodeItem(['113076', 'DCM', 'Segmentation'])
+          ]
+        }],
+        FrameContentSequence: [{
+          DimensionIndexValues: [s + 1, k + 1]
+        }],
+        PlanePositionSequence: [{
+          ImagePositionPatient: [
+            dwv.dicom.getDecimalString(origin.getX()),
+            dwv.dicom.getDecimalString(origin.getY()),
+            dwv.dicom.getDecimalString(origin.getZ())
+          ]
+        }],
+        SegmentIdentificationSequence: [{
+          ReferencedSegmentNumber: s + 1
+        }]
+      });
+    }
+  }
+  if (frameItems.length === 0) {
+    throw new Error('Cannot create a segmentation from an empty mask.');
+  }
+
+  // shared functional groups
+  var imageOrientationPatient = [];
+  for (var c = 0; c < 2; ++c) {
+    for (var r = 0; r < 3; ++r) {
+      imageOrientationPatient.push(
+        dwv.dicom.getDecimalString(orientation.get(r, c)));
+    }
+  }
+  var sharedItem = {
+    PlaneOrientationSequence: [{
+      ImageOrientationPatient: imageOrientationPatient
+    }],
+    PixelMeasuresSequence: [{
+      // row spacing first
+      PixelSpacing: [
+        dwv.dicom.getDecimalString(spacing.get(1)),
+        dwv.dicom.getDecimalString(spacing.get(0))
+      ],
+      SliceThickness: dwv.dicom.getDecimalString(spacing.get(2))
+    }]
+  };
+
+  // dimensions: segment number and position
+  var dimensionOrganizationUid =
+    dwv.dicom.getUID('DimensionOrganizationUID');
+
+  // segments
+  var segmentItems = [];
+  for (i = 0; i < segments.length; ++i) {
+    segmentItems.push(dwv.dicom.getSegmentItem(segments[i], i + 1));
+  }
+
+  var tags = {
+    // file meta
+    FileMetaInformationVersion: new Uint8Array([0, 1]),
+    MediaStorageSOPClassUID: sopClassUid,
+    MediaStorageSOPInstanceUID: sopInstanceUid,
+    TransferSyntaxUID: '1.2.840.10008.1.2.1',
+    // SOP common
+    SOPClassUID: sopClassUid,
+    SOPInstanceUID: sopInstanceUid,
+    // segmentation series
+    Modality: 'SEG',
+    SeriesInstanceUID: dwv.dicom.getUID('SeriesInstanceUID'),
+    SeriesNumber: '1',
+    // frame of reference
+    PositionReferenceIndicator: '',
+    // enhanced general equipment
+    Manufacturer: 'dwv',
+    ManufacturerModelName: 'dwv',
+    DeviceSerialNumber: '1',
+    SoftwareVersions: dwv.getVersion(),
+    // general image
+    InstanceNumber: '1',
+    ContentDate: now.date,
+    ContentTime: now.time,
+    // image pixel
+    SamplesPerPixel: 1,
+    PhotometricInterpretation: 'MONOCHROME2',
+    Rows: size.get(1),
+    Columns: size.get(0),
+    BitsAllocated: 1,
+    BitsStored: 1,
+    HighBit: 0,
+    PixelRepresentation: 0,
+    // segmentation image
+    ImageType: ['DERIVED', 'PRIMARY'],
+    LossyImageCompression: '00',
+    ContentLabel: 'SEGMENTATION',
+    ContentDescription: '',
+    ContentCreatorName: '',
+    SegmentationType: 'BINARY',
+    SegmentSequence: segmentItems,
+    // multi-frame functional groups
+    NumberOfFrames: frameItems.length.toString(),
+    SharedFunctionalGroupsSequence: [sharedItem],
+    PerFrameFunctionalGroupsSequence: frameItems,
+    // multi-frame dimension
+    DimensionOrganizationSequence: [{
+      DimensionOrganizationUID: dimensionOrganizationUid
+    }],
+    DimensionIndexSequence: [
+      {
+        DimensionOrganizationUID: dimensionOrganizationUid,
+        DimensionIndexPointer: ['(0062,000B)'],
+        FunctionalGroupPointer: ['(0062,000A)'],
+        DimensionDescriptionLabel: 'ReferencedSegmentNumber'
+      },
+      {
+        DimensionOrganizationUID: dimensionOrganizationUid,
+        DimensionIndexPointer: ['(0020,0032)'],
+        FunctionalGroupPointer: ['(0020,9113)'],
+        DimensionDescriptionLabel: 'ImagePositionPatient'
+      }
+    ],
+    // common instance reference
+    ReferencedSeriesSequence: [{
+      ReferencedInstanceSequence: sliceUids.map(function (uid) {
+        return {
+          ReferencedSOPClassUID:
+            dwv.dicom.getElementValues(instances[uid], 'x00080016')[0],
+          ReferencedSOPInstanceUID: uid
+        };
+      }),
+      SeriesInstanceUID: sourceSeriesUid
+    }]
+  };
+
+  // patient, study and frame of reference: copied from the source
+  var copied = {
+    SpecificCharacterSet: 'x00080005',
+    PatientName: 'x00100010',
+    PatientID: 'x00100020',
+    PatientBirthDate: 'x00100030',
+    PatientSex: 'x00100040',
+    StudyInstanceUID: 'x0020000D',
+    StudyDate: 'x00080020',
+    StudyTime: 'x00080030',
+    ReferringPhysicianName: 'x00080090',
+    StudyID: 'x00200010',
+    AccessionNumber: 'x00080050',
+    FrameOfReferenceUID: 'x00200052'
+  };
+  var copiedNames = Object.keys(copied);
+  for (i = 0; i < copiedNames.length; ++i) {
+    var value = dwv.dicom.getElementString(source, copied[copiedNames[i]]);
+    // SpecificCharacterSet is optional
+    if (value.length !== 0 || copiedNames[i] !== 'SpecificCharacterSet') {
+      tags[copiedNames[i]] = value;
+    }
+  }
+  if (tags.FrameOfReferenceUID === '') {
+    tags.FrameOfReferenceUID = dwv.dicom.getUID('FrameOfReferenceUID');
+  }
+
+  return dwv.dicom.getTagsWithAttributes(tags, attributes);
+};
+
+/**
+ * Get the DICOM elements of a binary Segmentation.
+ *
+ * @param {dwv.image.Image} mask The mask image,
+ *   see dwv.dicom.getSegmentationTags.
+ * @param {Array} segments The list of segments,
+ *   see dwv.dicom.getSegmentationTags.
+ * @param {Array} referencedElements The list of raw DICOM elements of
+ *   the source instances.
+ * @param {object} attributes Optional DICOM attributes,
+ *   see dwv.dicom.getSegmentationTags.
+ * @returns {object} The DICOM elements, including the pixel data.
+ */
+dwv.dicom.getSegmentationElements = function (
+  mask, segments, referencedElements, attributes) {
+  var tags = dwv.dicom.getSegmentationTags(
+    mask, segments, referencedElements, attributes);
+  var res = dwv.dicom.getElementsFromJSONTags(tags);
+  var elements = res.elements;
+
+  // frames as one byte per voxel, the writer packs them as bits
+  // (padded to an even number of bytes)
+  var isInSegment = dwv.dicom.getSegmentMembership(mask, segments);
+  var buffer = mask.getBuffer();
+  var sliceSize = mask.getGeometry().getSize().getDimSize(2);
+  var frameItems = tags.PerFrameFunctionalGroupsSequence;
+  var byteLength = Math.ceil(frameItems.length * sliceSize / 16) * 2;
+  var pixels = new Uint8Array(8 * byteLength);
+  for (var f = 0; f < frameItems.length; ++f) {
+    var indices = frameItems[f].FrameContentSequence[0].DimensionIndexValues;
+    var segmentIndex = indices[0] - 1;
+    var offset = (indices[1] - 1) * sliceSize;
+    var frameOffset = f * sliceSize;
+    for (var p = 0; p < sliceSize; ++p) {
+      if (isInSegment(buffer[offset + p], segmentIndex)) {
+        pixels[frameOffset + p] = 1;
+      }
+    }
+  }
+  var prefixSize = dwv.dicom.getDataElementPrefixByteSize('OB', false);
+  elements.x7FE00010 = {
+    tag: {
+      group: '0x7FE0',
+      element: '0x0010',
+      name: 'x7FE00010'
+    },
+    vr: 'OB',
+    vl: byteLength,
+    value: [pixels],
+    startOffset: res.offset + prefixSize,
+    endOffset: res.offset + prefixSize + byteLength
+  };
+  return elements;
+};
+
+/**
+ * Get a binary Segmentation DICOM buffer (Part 10 file content).
+ *
+ * @param {dwv.image.Image} mask The mask image,
+ *   see dwv.dicom.getSegmentationTags.
+ * @param {Array} segments The list of segments,
+ *   see dwv.dicom.getSegmentationTags.
+ * @param {Array} referencedElements The list of raw DICOM elements of
+ *   the source instances.
+ * @param {object} attributes Optional DICOM attributes,
+ *   see dwv.dicom.getSegmentationTags.
+ * @param {dwv.dicom.DicomWriter} writer Optional writer, for ex
+ *   with anonymisation rules.
+ * @returns {ArrayBuffer} The DICOM buffer.
+ */
+dwv.dicom.getSegmentationBuffer = function (
+  mask, segments, referencedElements, attributes, writer) {
+  if (typeof writer === 'undefined') {
+    writer = new dwv.dicom.DicomWriter();
+  }
+  return writer.getBuffer(dwv.dicom.getSegmentationElements(
+    mask, segments, referencedElements, attributes));
+};
@@ -63,6 +63,14 @@ dwv.gui.DrawLayer = function (containerDiv) {
    */
   var baseOffset = {x: 0, y: 0};
 
+  /**
+   * The layer clockwise rotation in degrees.
+   *
+   * @private
+   * @type {number}
+   */
+  var rotation = 0;
+
   /**
    * The draw controller.
    *
@@ -207,6 +215,18 @@ dwv.gui.DrawLayer = function (containerDiv) {
     });
   };
 
+  /**
+   * Set the layer rotation.
+   *
+   * @param {number} angle The clockwise rotation in degrees.
+   */
+  this.setRotation = function (angle) {
+    rotation = angle;
+    konvaStage.rotation(rotation);
+    // update labels
+    updateLabelScale(konvaStage.scale());
+  };
+
   /**
    * Set the base layer offset. Updates the layer offset.
    *
@@ -285,6 +305,13 @@ dwv.gui.DrawLayer = function (containerDiv) {
     // (avoids a not needed vertical scrollbar)
     konvaStage.getContent().setAttribute('style', '');
 
+    // create overlay layer (below the drawings)
+    var overlayLayer = new Konva.Layer({
+      listening: false,
+      visible: true
+    });
+    konvaStage.add(overlayLayer);
+
     // create layer
     konvaLayer = new Konva.Layer({
       listening: false,
@@ -293,7 +320,7 @@ dwv.gui.DrawLayer = function (containerDiv) {
     konvaStage.add(konvaLayer);
 
     // create draw controller
-    drawController = new dwv.ctrl.DrawController(konvaLayer);
+    drawController = new dwv.ctrl.DrawController(konvaLayer, overlayLayer);
   };
 
   /**
@@ -394,8 +421,8 @@ dwv.gui.DrawLayer = function (containerDiv) {
   // common layer methods [end] ---------------
 
   /**
-   * Update label scale: compensate for it so
-   *   that label size stays visually the same.
+   * Update label scale and rotation: compensate for them so
+   *   that labels stay visually the same.
    *
    * @param {object} scale The scale to compensate for as {x,y}.
    */
@@ -404,10 +431,13 @@ dwv.gui.DrawLayer = function (containerDiv) {
     // compensate for scale and times 2 so that font 10 looks like a 10
     var ratioX = 2 / scale.x;
     var ratioY = 2 / scale.y;
+    // compensate rotation: a flip reverses the label rotation
+    var labelRotation = scale.x * scale.y < 0 ? rotation : -rotation;
     // compensate scale for labels
     var labels = konvaStage.find('Label');
     for (var i = 0; i < labels.length; ++i) {
       labels[i].scale({x: ratioX, y: ratioY});
+      labels[i].rotation(labelRotation);
     }
   }
 }; // DrawLayer class
@@ -141,6 +141,22 @@ dwv.gui.LayerGroup = function (containerDiv, groupId) {
    */
   var offset = {x: 0, y: 0, z: 0};
 
+  /**
+   * The layer clockwise rotation in degrees.
+   *
+   * @private
+   * @type {number}
+   */
+  var rotation = 0;
+
+  /**
+   * The fit scale: the display pixels per millimetre at scale one.
+   *
+   * @private
+   * @type {number}
+   */
+  var fitScale = 1;
+
   /**
    * Active view layer index.
    *
@@ -249,6 +265,24 @@ dwv.gui.LayerGroup = function (containerDiv, groupId) {
     return offset;
   };
 
+  /**
+   * Get the layer rotation.
+   *
+   * @returns {number} The clockwise rotation in degrees.
+   */
+  this.getRotation = function () {
+    return rotation;
+  };
+
+  /**
+   * Get the fit scale.
+   *
+   * @returns {number} The display pixels per millimetre at scale one.
+   */
+  this.getFitScale = function () {
+    return fitScale;
+  };
+
   /**
    * Get the number of layers handled by this class.
    *
@@ -573,7 +607,7 @@ dwv.gui.LayerGroup = function (containerDiv, groupId) {
       throw new Error('Cannot fit to zero sized container.');
     }
     // find best fit
-    var fitScale = Math.min(
+    fitScale = Math.min(
       containerDiv.offsetWidth / realSize.x,
       containerDiv.offsetHeight / realSize.y
     );
@@ -684,11 +718,25 @@ dwv.gui.LayerGroup = function (containerDiv, groupId) {
   };
 
   /**
-   * Reset the stage to its initial scale and no offset.
+   * Set the layers' rotation: applied to the display after
+   *   scale and offset, around the display origin.
+   *
+   * @param {number} angle The clockwise rotation in degrees.
+   */
+  this.setRotation = function (angle) {
+    rotation = angle;
+    for (var i = 0; i < layers.length; ++i) {
+      layers[i].setRotation(rotation);
+    }
+  };
+
+  /**
+   * Reset the stage to its initial scale, no offset and no rotation.
    */
   this.reset = function () {
     this.setScale(baseScale);
     this.setOffset({x: 0, y: 0, z: 0});
+    this.setRotation(0);
   };
 
   /**
@@ -119,6 +119,14 @@ dwv.gui.ViewLayer = function (containerDiv) {
    */
   var baseOffset = {x: 0, y: 0};
 
+  /**
+   * The layer clockwise rotation in degrees.
+   *
+   * @private
+   * @type {number}
+   */
+  var rotation = 0;
+
   /**
    * Data update flag.
    *
@@ -272,6 +280,15 @@ dwv.gui.ViewLayer = function (containerDiv) {
     };
   };
 
+  /**
+   * Set the layer rotation.
+   *
+   * @param {number} angle The clockwise rotation in degrees.
+   */
+  this.setRotation = function (angle) {
+    rotation = angle;
+  };
+
   /**
    * Set the base layer offset. Updates the layer offset.
    *
@@ -330,16 +347,19 @@ dwv.gui.ViewLayer = function (containerDiv) {
   };
 
   /**
-   * Remove scale from a display position.
+   * Remove rotation and scale from a display position.
    *
    * @param {number} x The X position.
    * @param {number} y The Y position.
    * @returns {object} The de-scaled position as {x,y}.
    */
   this.displayToPlaneScale = function (x, y) {
+    var angle = rotation * Math.PI / 180;
+    var cos = Math.cos(angle);
+    var sin = Math.sin(angle);
     return {
-      x: x / scale.x,
-      y: y / scale.y
+      x: (cos * x + sin * y) / scale.x,
+      y: (cos * y - sin * x) / scale.y
     };
   };
 
@@ -435,13 +455,17 @@ dwv.gui.ViewLayer = function (containerDiv) {
     // [ a c e ]
     // [ b d f ]
     // [ 0 0 1 ]
+    // (rotation after scale and offset)
+    var angle = rotation * Math.PI / 180;
+    var cos = Math.cos(angle);
+    var sin = Math.sin(angle);
     context.setTransform(
-      scale.x,
-      0,
-      0,
-      scale.y,
-      -1 * offset.x * scale.x,
-      -1 * offset.y * scale.y
+      cos * scale.x,
+      sin * scale.x,
+      -1 * sin * scale.y,
+      cos * scale.y,
+      -1 * (cos * offset.x * scale.x - sin * offset.y * scale.y),
+      -1 * (sin * offset.x * scale.x + cos * offset.y * scale.y)
     );
 
     // disable smoothing (set just before draw, could be reset by resize)
@@ -30,6 +30,14 @@ var hasJpegLosslessDecoder = (typeof jpeg !== 'undefined') &&
 /* global JpxImage */
 var hasJpeg2000Decoder = (typeof JpxImage !== 'undefined');
 
+/**
+ * The JPEG-LS decoder.
+ *
+ * @see decoders/dwv/jpegls.js
+ */
+var hasJpegLsDecoder = (typeof dwv.decoder !== 'undefined') &&
+    (typeof dwv.decoder.JpegLsDecoder !== 'undefined');
+
 /**
  * Asynchronous pixel buffer decoder.
  *
@@ -200,6 +208,17 @@ dwv.image.SynchPixelBufferDecoder = function (algoName, numberOfData) {
       decoder.parse(pixelBuffer);
       // set the pixel buffer
       decodedBuffer = decoder.tiles[0].items;
+    } else if (algoName === 'jpeg-ls') {
+      if (!hasJpegLsDecoder) {
+        throw new Error('No JPEG-LS decoder provided');
+      }
+      // decode DICOM buffer
+      decoder = new dwv.decoder.JpegLsDecoder();
+      // set the pixel buffer
+      decodedBuffer = decoder.decode(
+        pixelBuffer,
+        pixelMeta.bitsAllocated,
+        pixelMeta.isSigned);
     } else if (algoName === 'rle') {
       // decode DICOM buffer
       decoder = new dwv.decoder.RleDecoder();
@@ -320,11 +339,15 @@ dwv.image.PixelBufferDecoder = function (algoName, numberOfData) {
   /**
    * Get data from an input buffer using a DICOM parser.
    *
-   * @param {Array} pixelBuffer The input data buffer.
+   * @param {Array|dwv.dicom.LazyPixelData} pixelBuffer The input data buffer,
+   *   for lazy pixel data, the item at info.itemNumber is read.
    * @param {object} pixelMeta The input meta data.
    * @param {object} info Information object about the input data.
    */
   this.decode = function (pixelBuffer, pixelMeta, info) {
+    if (pixelBuffer instanceof dwv.dicom.LazyPixelData) {
+      pixelBuffer = pixelBuffer.getItem(info.itemNumber);
+    }
     if (!areCallbacksSet) {
       areCallbacksSet = true;
       // set callbacks
@@ -55,6 +55,8 @@ dwv.image.DicomBufferToView = function () {
     var factory;
     if (modality && modality === 'SEG') {
       factory = new dwv.image.MaskFactory();
+    } else if (modality && modality === 'RTDOSE') {
+      factory = new dwv.image.DoseFactory();
     } else {
       factory = new dwv.image.ImageFactory();
     }
@@ -69,7 +71,8 @@ dwv.image.DicomBufferToView = function () {
       self.onloaditem({
         data: {
           image: image,
-          info: dicomParserStore[index].getRawDicomElements()
+          info: dicomParserStore[index].getRawDicomElements(),
+          warnings: dicomParserStore[index].getWarnings()
         },
         source: origin
       });
@@ -170,9 +173,44 @@ dwv.image.DicomBufferToView = function () {
     if (typeof options.defaultCharacterSet !== 'undefined') {
       dicomParser.setDefaultCharacterSet(options.defaultCharacterSet);
     }
+    if (typeof options.lazyPixelData !== 'undefined') {
+      dicomParser.setLazyPixelData(options.lazyPixelData);
+    }
+    if (typeof options.lenientParsing !== 'undefined') {
+      dicomParser.setLenient(options.lenientParsing);
+    }
     // parse the buffer
     try {
       dicomParser.parse(buffer);
+      // structured reports, presentation states and structure sets
+      // do not contain an image
+      var sopClassUid = dwv.dicom.cleanString(
+        dicomParser.getDicomElements().getFromKey('x00080016'));
+      if (dwv.dicom.isStructuredReportSopClass(sopClassUid) ||
+        dwv.dicom.isPresentationStateSopClass(sopClassUid) ||
+        dwv.dicom.isRtStructureSetSopClass(sopClassUid)) {
+        self.onprogress({
+          lengthComputable: true,
+          loaded: 100,
+          total: 100,
+          index: dataIndex,
+          source: origin
+        });
+        self.onloaditem({
+          data: {
+            info: dicomParser.getRawDicomElements(),
+            warnings: dicomParser.getWarnings()
+          },
+          source: origin
+        });
+        self.onload({
+          source: origin
+        });
+        self.onloadend({
+          source: origin
+        });
+        return;
+      }
       // check elements are good for image
       imageFactory.checkElements(dicomParser.getDicomElements());
     } catch (error) {
@@ -189,6 +227,8 @@ dwv.image.DicomBufferToView = function () {
     var pixelBuffer = dicomParser.getRawDicomElements().x7FE00010.value;
     // help GC: discard pixel buffer from elements
     dicomParser.getRawDicomElements().x7FE00010.value = [];
+    // lazy pixel data: items are read by the factory or the decoder
+    var isLazy = pixelBuffer instanceof dwv.dicom.LazyPixelData;
     var syntax = dwv.dicom.cleanString(
       dicomParser.getRawDicomElements().x00020010.value[0]);
     var algoName = dwv.dicom.getSyntaxDecompressionName(syntax);
@@ -196,7 +236,7 @@ dwv.image.DicomBufferToView = function () {
 
     // store
     dicomParserStore[dataIndex] = dicomParser;
-    finalBufferStore[dataIndex] = pixelBuffer[0];
+    finalBufferStore[dataIndex] = isLazy ? pixelBuffer : pixelBuffer[0];
 
     if (needDecompression) {
       // gather pixel buffer meta data
@@ -224,7 +264,8 @@ dwv.image.DicomBufferToView = function () {
       }
 
       // number of items
-      var numberOfItems = pixelBuffer.length;
+      var numberOfItems = isLazy
+        ? pixelBuffer.getNumberOfItems() : pixelBuffer.length;
 
       // setup the decoder (one decoder per all converts)
       if (pixelDecoder === null) {
@@ -248,7 +289,7 @@ dwv.image.DicomBufferToView = function () {
 
       // launch decode
       for (var i = 0; i < numberOfItems; ++i) {
-        pixelDecoder.decode(pixelBuffer[i], pixelMeta,
+        pixelDecoder.decode(isLazy ? pixelBuffer : pixelBuffer[i], pixelMeta,
           {
             itemNumber: i,
             numberOfItems: numberOfItems,
@@ -0,0 +1,200 @@
+// namespaces
+var dwv = dwv || {};
+dwv.image = dwv.image || {};
+
+/**
+ * RT dose {@link dwv.image.Image} factory.
+ *
+ * @class
+ */
+dwv.image.DoseFactory = function () {};
+
+/**
+ * Get an {@link dwv.image.Image} object from a read DICOM RT dose.
+ * The dose frames become the image slices: their positions are given
+ *   by the Grid Frame Offset Vector. The Dose Grid Scaling is stored
+ *   as the image rescale slope so that rescaled values are doses
+ *   (usually in Gy). Stored values are kept on 16 bits.
+ *
+ * @param {object} dicomElements The DICOM tags.
+ * @param {Array|dwv.dicom.LazyPixelData} pixelBuffer The pixel buffer,
+ *   for lazy pixel data, its first item is read.
+ * @returns {dwv.image.Image} A new Image.
+ */
+dwv.image.DoseFactory.prototype.create = function (
+  dicomElements, pixelBuffer) {
+  if (pixelBuffer instanceof dwv.dicom.LazyPixelData) {
+    pixelBuffer = pixelBuffer.getItem(0);
+  }
+  // columns
+  var columns = dicomElements.getFromKey('x00280011');
+  if (!columns) {
+    throw new Error('Missing or empty DICOM image number of columns');
+  }
+  // rows
+  var rows = dicomElements.getFromKey('x00280010');
+  if (!rows) {
+    throw new Error('Missing or empty DICOM image number of rows');
+  }
+  var sliceSize = columns * rows;
+
+  // frames
+  var frames = dicomElements.getFromKey('x00280008');
+  if (!frames) {
+    frames = 1;
+  } else {
+    // IS value, possibly padded
+    frames = parseInt(frames, 10);
+  }
+  if (frames !== pixelBuffer.length / sliceSize) {
+    throw new Error(
+      'Buffer and numberOfFrames meta are not equal.');
+  }
+
+  // Grid Frame Offset Vector
+  var offsets = dicomElements.getFromKey('x3004000C', true);
+  if (frames !== 1 && (!offsets || offsets.length !== frames)) {
+    throw new Error('Missing or badly sized DICOM grid frame offset vector');
+  }
+  if (!offsets) {
+    offsets = [0];
+  }
+  offsets = offsets.map(function (value) {
+    return parseFloat(value);
+  });
+
+  // Dose Grid Scaling
+  var scaling = 1;
+  var doseGridScaling = dicomElements.getFromKey('x3004000E');
+  if (doseGridScaling) {
+    scaling = parseFloat(doseGridScaling);
+  } else {
+    dwv.logger.warn('Missing DICOM dose grid scaling, using 1.');
+  }
+
+  // ImagePositionPatient
+  var imagePositionPatient = dicomElements.getFromKey('x00200032');
+  if (!imagePositionPatient) {
+    throw new Error('Missing or empty DICOM image position patient');
+  }
+  var position = new dwv.math.Point3D(
+    parseFloat(imagePositionPatient[0]),
+    parseFloat(imagePositionPatient[1]),
+    parseFloat(imagePositionPatient[2]));
+
+  // ImageOrientationPatient
+  var imageOrientationPatient = dicomElements.getFromKey('x00200037');
+  if (!imageOrientationPatient) {
+    throw new Error('Missing or empty DICOM image orientation patient');
+  }
+  var rowCosines = new dwv.math.Vector3D(
+    parseFloat(imageOrientationPatient[0]),
+    parseFloat(imageOrientationPatient[1]),
+    parseFloat(imageOrientationPatient[2]));
+  var colCosines = new dwv.math.Vector3D(
+    parseFloat(imageOrientationPatient[3]),
+    parseFloat(imageOrientationPatient[4]),
+    parseFloat(imageOrientationPatient[5]));
+  var normal = rowCosines.crossProduct(colCosines);
+  /* eslint-disable array-element-newline */
+  var orientationMatrix = new dwv.math.Matrix33([
+    rowCosines.getX(), colCosines.getX(), normal.getX(),
+    rowCosines.getY(), colCosines.getY(), normal.getY(),
+    rowCosines.getZ(), colCosines.getZ(), normal.getZ()
+  ]);
+  /* eslint-enable array-element-newline */
+
+  // frame positions (C.8.8.3.2 Grid Frame Offset Vector):
+  // relative to the image position if the first offset is zero,
+  // z coordinates of the planes otherwise
+  var isRelative = offsets[0] === 0;
+  var framePositions = offsets.map(function (offset) {
+    if (isRelative) {
+      return new dwv.math.Point3D(
+        position.getX() + offset * normal.getX(),
+        position.getY() + offset * normal.getY(),
+        position.getZ() + offset * normal.getZ());
+    }
+    return new dwv.math.Point3D(position.getX(), position.getY(), offset);
+  });
+  // slice order: decreasing position along the normal
+  var getNormalPosition = function (point) {
+    return point.getX() * normal.getX() +
+      point.getY() * normal.getY() +
+      point.getZ() * normal.getZ();
+  };
+  var sliceFrames = [];
+  for (var f = 0; f < frames; ++f) {
+    sliceFrames.push(f);
+  }
+  sliceFrames.sort(function (a, b) {
+    return getNormalPosition(framePositions[b]) -
+      getNormalPosition(framePositions[a]);
+  });
+
+  // stored values: 16 bits, requantised if needed
+  var maxValue = 0;
+  var i;
+  for (i = 0; i < pixelBuffer.length; ++i) {
+    if (pixelBuffer[i] > maxValue) {
+      maxValue = pixelBuffer[i];
+    }
+  }
+  var factor = 1;
+  if (maxValue > 65535) {
+    factor = maxValue / 65535;
+    dwv.logger.info('Requantising the dose grid to 16 bits.');
+  }
+  var buffer = new Uint16Array(pixelBuffer.length);
+  for (var s = 0; s < frames; ++s) {
+    var frameOffset = sliceFrames[s] * sliceSize;
+    var sliceOffset = s * sliceSize;
+    for (i = 0; i < sliceSize; ++i) {
+      buffer[sliceOffset + i] =
+        Math.round(Math.max(pixelBuffer[frameOffset + i], 0) / factor);
+    }
+  }
+
+  // geometry
+  var size = new dwv.image.Size([columns, rows, 1]);
+  var spacing = dicomElements.getPixelSpacing();
+  var geometry = new dwv.image.Geometry(
+    framePositions[sliceFrames[0]], size, spacing, orientationMatrix);
+  var sopInstanceUid = dwv.dicom.cleanString(
+    dicomElements.getFromKey('x00080018'));
+  var uids = [sopInstanceUid];
+  for (var m = 1; m < frames; ++m) {
+    geometry.appendOrigin(framePositions[sliceFrames[m]], m);
+    uids.push(sopInstanceUid);
+  }
+
+  // create image
+  var image = new dwv.image.Image(geometry, buffer, uids);
+  image.setPhotometricInterpretation('MONOCHROME2');
+  image.setRescaleSlopeAndIntercept(
+    new dwv.image.RescaleSlopeAndIntercept(scaling * factor, 0));
+  // image meta
+  var getString = function (key) {
+    var value = dicomElements.getFromKey(key);
+    return value ? dwv.dicom.cleanString(value) : undefined;
+  };
+  var meta = {
+    Modality: 'RTDOSE',
+    BitsStored: 16,
+    IsSigned: false,
+    numberOfFiles: 1,
+    windowPresets: {},
+    DoseUnits: getString('x30040002'),
+    DoseType: getString('x30040004'),
+    DoseSummationType: getString('x3004000A'),
+    // null to only hide zero doses
+    doseWashThreshold: null,
+    StudyInstanceUID: dicomElements.getFromKey('x0020000D'),
+    SeriesInstanceUID: dicomElements.getFromKey('x0020000E'),
+    FrameOfReferenceUID: getString('x00200052'),
+    SOPInstanceUID: sopInstanceUid
+  };
+  image.setMeta(meta);
+
+  return image;
+};
@@ -0,0 +1,399 @@
+// namespaces
+var dwv = dwv || {};
+dwv.image = dwv.image || {};
+
+/**
+ * Get the isolines of a 2D scalar grid using marching squares.
+ *
+ * @param {Function} getValue The grid value getter, called with
+ *   column and row indices.
+ * @param {number} columns The number of columns.
+ * @param {number} rows The number of rows.
+ * @param {number} level The isoline level.
+ * @returns {Array} The list of lines as {points, closed} with points
+ *   a list of dwv.math.Point2D in grid coordinates.
+ */
+dwv.image.getMarchingSquaresLines = function (
+  getValue, columns, rows, level) {
+  // edge crossings: horizontal edges from (i, j) to (i + 1, j) have
+  // the id j * columns + i, vertical edges from (i, j) to (i, j + 1)
+  // the id (rows + j) * columns + i
+  var points = {};
+  var links = {};
+  var getPoint = function (i0, j0, i1, j1) {
+    var v0 = getValue(i0, j0);
+    var v1 = getValue(i1, j1);
+    var t = (level - v0) / (v1 - v0);
+    return new dwv.math.Point2D(i0 + t * (i1 - i0), j0 + t * (j1 - j0));
+  };
+  var addEdge = function (id, i0, j0, i1, j1) {
+    if (typeof points[id] === 'undefined') {
+      points[id] = getPoint(i0, j0, i1, j1);
+      links[id] = [];
+    }
+  };
+  var link = function (id0, id1) {
+    links[id0].push(id1);
+    links[id1].push(id0);
+  };
+
+  for (var j = 0; j < rows - 1; ++j) {
+    for (var i = 0; i < columns - 1; ++i) {
+      var v00 = getValue(i, j) >= level;
+      var v10 = getValue(i + 1, j) >= level;
+      var v11 = getValue(i + 1, j + 1) >= level;
+      var v01 = getValue(i, j + 1) >= level;
+      if (v00 === v10 && v10 === v11 && v11 === v01) {
+        continue;
+      }
+      // cell edges: top, right, bottom, left
+      var top = j * columns + i;
+      var right = (rows + j) * columns + i + 1;
+      var bottom = (j + 1) * columns + i;
+      var left = (rows + j) * columns + i;
+      var crossings = [];
+      if (v00 !== v10) {
+        addEdge(top, i, j, i + 1, j);
+        crossings.push(top);
+      }
+      if (v10 !== v11) {
+        addEdge(right, i + 1, j, i + 1, j + 1);
+        crossings.push(right);
+      }
+      if (v11 !== v01) {
+        addEdge(bottom, i, j + 1, i + 1, j + 1);
+        crossings.push(bottom);
+      }
+      if (v01 !== v00) {
+        addEdge(left, i, j, i, j + 1);
+        crossings.push(left);
+      }
+      if (crossings.length === 2) {
+        link(crossings[0], crossings[1]);
+      } else {
+        // saddle: decide with the cell center value
+        var center = (getValue(i, j) + getValue(i + 1, j) +
+          getValue(i + 1, j + 1) + getValue(i, j + 1)) / 4 >= level;
+        if (center === v00) {
+          link(top, right);
+          link(bottom, left);
+        } else {
+          link(top, left);
+          link(right, bottom);
+        }
+      }
+    }
+  }
+
+  // chain the crossings: open lines first (they end at the
+  // grid border), then closed ones
+  var lines = [];
+  var visited = {};
+  var follow = function (start) {
+    var line = [points[start]];
+    visited[start] = true;
+    var previous = null;
+    var current = start;
+    var closed = false;
+    for (;;) {
+      var next = null;
+      for (var l = 0; l < links[current].length; ++l) {
+        var candidate = links[current][l];
+        if (candidate !== previous && !visited[candidate]) {
+          next = candidate;
+          break;
+        }
+        if (candidate === start && previous !== null &&
+          line.length > 2) {
+          closed = true;
+        }
+      }
+      if (next === null) {
+        break;
+      }
+      line.push(points[next]);
+      visited[next] = true;
+      previous = current;
+      current = next;
+    }
+    lines.push({points: line, closed: closed});
+  };
+  // (object keys are strings)
+  var ids = Object.keys(points).map(function (key) {
+    return parseInt(key, 10);
+  });
+  var k;
+  for (k = 0; k < ids.length; ++k) {
+    if (!visited[ids[k]] && links[ids[k]].length === 1) {
+      follow(ids[k]);
+    }
+  }
+  for (k = 0; k < ids.length; ++k) {
+    if (!visited[ids[k]]) {
+      follow(ids[k]);
+    }
+  }
+  return lines;
+};
+
+/**
+ * RT dose helper: dose readout, colour wash display, isodose lines
+ *   and resampling of a dose image, see dwv.image.DoseFactory.
+ *
+ * @class
+ * @param {dwv.image.Image} dose The dose image.
+ */
+dwv.image.DoseHelper = function (dose) {
+
+  /**
+   * The dose meta: doseWashThreshold and DoseUnits.
+   *
+   * @private
+   * @type {object}
+   */
+  var meta = dose.getMeta();
+
+  /**
+   * The dose rescale slope and intercept.
+   *
+   * @private
+   * @type {dwv.image.RescaleSlopeAndIntercept}
+   */
+  var rsi = dose.getRescaleSlopeAndIntercept();
+
+  /**
+   * Get the interpolation neighbours and weight along a dimension.
+   *
+   * @param {number} value The continuous index.
+   * @param {number} max The dimension size.
+   * @returns {object} The neighbours as {i0, i1, t} with t the weight
+   *   of i1, null if outside of the dose grid.
+   */
+  function getNeighbours(value, max) {
+    if (max === 1) {
+      return Math.abs(value) <= 0.5 ? {i0: 0, i1: 0, t: 0} : null;
+    }
+    if (value < 0 || value > max - 1) {
+      return null;
+    }
+    var i0 = Math.min(Math.floor(value), max - 2);
+    return {i0: i0, i1: i0 + 1, t: value - i0};
+  }
+
+  /**
+   * Get the stored dose value at a continuous index using trilinear
+   *   interpolation.
+   *
+   * @param {number} x The continuous column index.
+   * @param {number} y The continuous row index.
+   * @param {number} z The continuous slice index.
+   * @returns {number} The stored value, null if outside of the grid.
+   */
+  function getInterpolatedValue(x, y, z) {
+    var size = dose.getGeometry().getSize();
+    var columns = size.get(0);
+    var sliceSize = size.getDimSize(2);
+    var nx = getNeighbours(x, columns);
+    var ny = getNeighbours(y, size.get(1));
+    var nz = getNeighbours(z, size.get(2));
+    if (nx === null || ny === null || nz === null) {
+      return null;
+    }
+    var buffer = dose.getBuffer();
+    var getValue = function (i, j, k) {
+      return buffer[k * sliceSize + j * columns + i];
+    };
+    var c00 = getValue(nx.i0, ny.i0, nz.i0) * (1 - nx.t) +
+      getValue(nx.i1, ny.i0, nz.i0) * nx.t;
+    var c10 = getValue(nx.i0, ny.i1, nz.i0) * (1 - nx.t) +
+      getValue(nx.i1, ny.i1, nz.i0) * nx.t;
+    var c01 = getValue(nx.i0, ny.i0, nz.i1) * (1 - nx.t) +
+      getValue(nx.i1, ny.i0, nz.i1) * nx.t;
+    var c11 = getValue(nx.i0, ny.i1, nz.i1) * (1 - nx.t) +
+      getValue(nx.i1, ny.i1, nz.i1) * nx.t;
+    var c0 = c00 * (1 - ny.t) + c10 * ny.t;
+    var c1 = c01 * (1 - ny.t) + c11 * ny.t;
+    return c0 * (1 - nz.t) + c1 * nz.t;
+  }
+
+  /**
+   * Get the dose units: 'GY' or 'RELATIVE'.
+   *
+   * @returns {string} The units.
+   */
+  this.getUnits = function () {
+    return meta.DoseUnits;
+  };
+
+  /**
+   * Get the dose at an index.
+   *
+   * @param {dwv.math.Index} index The index.
+   * @returns {number} The dose, null if the index is out of bounds.
+   */
+  this.getDoseAtIndex = function (index) {
+    if (!dose.getGeometry().isIndexInBounds(index)) {
+      return null;
+    }
+    return dose.getRescaledValueAtIndex(index);
+  };
+
+  /**
+   * Get the dose at a world position using trilinear interpolation,
+   *   as when resampling.
+   *
+   * @param {dwv.math.Point3D} point The world position.
+   * @returns {number} The dose, null if outside of the grid.
+   */
+  this.getDoseAtPosition = function (point) {
+    var point3D = dose.getGeometry().worldToPoint(point);
+    var value = getInterpolatedValue(
+      point3D.getX(), point3D.getY(), point3D.getZ());
+    if (value === null) {
+      return null;
+    }
+    return rsi.apply(value);
+  };
+
+  /**
+   * Get the colour wash threshold.
+   *
+   * @returns {number} The minimum displayed dose, null if only
+   *   zero doses are hidden.
+   */
+  this.getWashThreshold = function () {
+    return meta.doseWashThreshold;
+  };
+
+  /**
+   * Set the colour wash threshold: lower doses are not displayed.
+   *
+   * @param {number} threshold The minimum displayed dose, null to
+   *   only hide zero doses.
+   */
+  this.setWashThreshold = function (threshold) {
+    if (threshold !== null && threshold < 0) {
+      throw new Error('The dose wash threshold should be positive: ' +
+        threshold);
+    }
+    meta.doseWashThreshold = threshold;
+  };
+
+  /**
+   * Get the alpha function of the colour wash view: doses below
+   *   the threshold are transparent.
+   *
+   * @returns {Function} The alpha function.
+   */
+  this.getAlphaFunction = function () {
+    // the alpha function is called with stored values
+    var minValue = 1;
+    if (meta.doseWashThreshold !== null) {
+      minValue = Math.max(1, Math.ceil(
+        (meta.doseWashThreshold - rsi.getIntercept()) / rsi.getSlope()));
+    }
+    return function (value) {
+      return value < minValue ? 0 : 0xff;
+    };
+  };
+
+  /**
+   * Get the isodose lines of a slice.
+   *
+   * @param {dwv.math.Index} index The slice index, the values
+   *   of the first two dimensions are not used.
+   * @param {number} level The isodose level.
+   * @returns {Array} The list of lines as {points, closed} with points
+   *   a list of dwv.math.Point2D in drawing coordinates (the pixel
+   *   center is at 0.5).
+   */
+  this.getIsodoseLines = function (index, level) {
+    var size = dose.getGeometry().getSize();
+    var values = index.getValues();
+    values[0] = 0;
+    values[1] = 0;
+    var offset = size.indexToOffset(new dwv.math.Index(values));
+    var columns = size.get(0);
+    var buffer = dose.getBuffer();
+    var getValue = function (i, j) {
+      return rsi.apply(buffer[offset + j * columns + i]);
+    };
+    var lines = dwv.image.getMarchingSquaresLines(
+      getValue, columns, size.get(1), level);
+    // marching squares use pixel centers as grid nodes
+    for (var l = 0; l < lines.length; ++l) {
+      lines[l].points = lines[l].points.map(function (point) {
+        return new dwv.math.Point2D(point.getX() + 0.5, point.getY() + 0.5);
+      });
+    }
+    return lines;
+  };
+
+  /**
+   * Resample the dose on another geometry using trilinear
+   *   interpolation, doses outside of the dose grid are zero.
+   *
+   * @param {dwv.image.Geometry} geometry The target geometry,
+   *   for example the one of the planned CT.
+   * @param {Array} imageUids The target image UIDs.
+   * @returns {dwv.image.Image} The resampled dose image.
+   */
+  this.resample = function (geometry, imageUids) {
+    var doseGeometry = dose.getGeometry();
+
+    // the target to dose index transform is affine
+    var getDosePoint = function (i, j, k) {
+      return doseGeometry.worldToPoint(
+        geometry.pointToWorld(new dwv.math.Point3D(i, j, k)));
+    };
+    var p0 = getDosePoint(0, 0, 0);
+    var getStep = function (point) {
+      return [
+        point.getX() - p0.getX(),
+        point.getY() - p0.getY(),
+        point.getZ() - p0.getZ()
+      ];
+    };
+    var di = getStep(getDosePoint(1, 0, 0));
+    var dj = getStep(getDosePoint(0, 1, 0));
+    var dk = getStep(getDosePoint(0, 0, 1));
+
+    var size = geometry.getSize();
+    if (size.length() > 3) {
+      throw new Error(
+        'Cannot resample a dose on a geometry with more than 3 dimensions.');
+    }
+    var columns = size.get(0);
+    var rows = size.get(1);
+    var slices = size.get(2);
+    // same type as the dose buffer to keep its value range
+    var buffer = new (dose.getBuffer().constructor)(size.getTotalSize());
+    var offset = 0;
+    for (var k = 0; k < slices; ++k) {
+      for (var j = 0; j < rows; ++j) {
+        for (var i = 0; i < columns; ++i) {
+          var value = getInterpolatedValue(
+            p0.getX() + i * di[0] + j * dj[0] + k * dk[0],
+            p0.getY() + i * di[1] + j * dj[1] + k * dk[1],
+            p0.getZ() + i * di[2] + j * dj[2] + k * dk[2]);
+          if (value !== null) {
+            buffer[offset] = Math.round(value);
+          }
+          ++offset;
+        }
+      }
+    }
+
+    var image = new dwv.image.Image(geometry, buffer, imageUids);
+    image.setPhotometricInterpretation('MONOCHROME2');
+    image.setRescaleSlopeAndIntercept(rsi);
+    var resampledMeta = {};
+    var keys = Object.keys(meta);
+    for (var m = 0; m < keys.length; ++m) {
+      resampledMeta[keys[m]] = meta[keys[m]];
+    }
+    image.setMeta(resampledMeta);
+    return image;
+  };
+
+}; // class DoseHelper
@@ -377,6 +377,35 @@ dwv.image.Geometry.prototype.pointToWorld = function (point) {
   );
 };
 
+/**
+ * Convert world coordinates into a 3D point: the reverse of
+ *   pointToWorld, without rounding.
+ *
+ * @param {dwv.math.Point3D} point The world 3D point to convert.
+ * @returns {dwv.math.Point3D} The corresponding 3D point.
+ */
+dwv.image.Geometry.prototype.worldToPoint = function (point) {
+  // compensate for origin
+  var origin = this.getOrigin();
+  var point3D = new dwv.math.Point3D(
+    point.getX() - origin.getX(),
+    point.getY() - origin.getY(),
+    point.getZ() - origin.getZ()
+  );
+  // orient
+  var orientedPoint3D =
+    this.getOrientation().getInverse().multiplyPoint3D(point3D);
+  // remove spacing
+  var spacing = this.getSpacing();
+  var k = orientedPoint3D.getZ() / spacing.get(2);
+  // flip K index (because of the slice order given by getSliceIndex)
+  return new dwv.math.Point3D(
+    orientedPoint3D.getX() / spacing.get(0),
+    orientedPoint3D.getY() / spacing.get(1),
+    flipK(this.getSize(), k)
+  );
+};
+
 /**
  * Convert world coordinates into an index.
  *
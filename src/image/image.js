@@ -1060,3 +1060,41 @@ dwv.image.Image.prototype.compose = function (rhs, operator) {
   }
   return newImage;
 };
+
+/**
+ * Get the index of a referenced image: the slice with the referenced
+ *   SOP instance UID and, for multi-frame data, the referenced frame
+ *   in the fourth dimension.
+ *
+ * @param {dwv.math.Index} index The current index, its other
+ *   dimension values are kept.
+ * @param {string} sopInstanceUid The referenced SOP instance UID.
+ * @param {number} frameNumber The optional referenced frame number
+ *   (one based), only used for multi-frame data.
+ * @returns {dwv.math.Index} The referenced index, null if the image
+ *   is not part of this one.
+ */
+dwv.image.Image.prototype.getReferencedIndex = function (
+  index, sopInstanceUid, frameNumber) {
+  var size = this.getGeometry().getSize();
+  var values = index.getValues();
+  var k = null;
+  for (var i = 0; i < size.get(2); ++i) {
+    values[2] = i;
+    if (this.getImageUid(new dwv.math.Index(values)) === sopInstanceUid) {
+      k = i;
+      break;
+    }
+  }
+  if (k === null) {
+    return null;
+  }
+  values[2] = k;
+  if (size.length() > 3 && typeof frameNumber !== 'undefined') {
+    if (frameNumber < 1 || frameNumber > size.get(3)) {
+      return null;
+    }
+    values[3] = frameNumber - 1;
+  }
+  return new dwv.math.Index(values);
+};
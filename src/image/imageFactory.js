@@ -38,12 +38,16 @@ dwv.image.ImageFactory.prototype.checkElements = function (dicomElements) {
  * Get an {@link dwv.image.Image} object from the read DICOM file.
  *
  * @param {object} dicomElements The DICOM tags.
- * @param {Array} pixelBuffer The pixel buffer.
+ * @param {Array|dwv.dicom.LazyPixelData} pixelBuffer The pixel buffer,
+ *   for lazy pixel data, its first item is read.
  * @param {number} numberOfFiles The input number of files.
  * @returns {dwv.image.Image} A new Image.
  */
 dwv.image.ImageFactory.prototype.create = function (
   dicomElements, pixelBuffer, numberOfFiles) {
+  if (pixelBuffer instanceof dwv.dicom.LazyPixelData) {
+    pixelBuffer = pixelBuffer.getItem(0);
+  }
   // columns
   var columns = dicomElements.getFromKey('x00280011');
   if (!columns) {
@@ -60,7 +64,8 @@ dwv.image.ImageFactory.prototype.create = function (
   // frames
   var frames = dicomElements.getFromKey('x00280008');
   if (frames) {
-    sizeValues.push(frames);
+    // IS value, possibly padded
+    sizeValues.push(parseInt(frames, 10));
   }
 
   // image size
@@ -73,7 +78,8 @@ dwv.image.ImageFactory.prototype.create = function (
   var transferSyntaxUID = dicomElements.getFromKey('x00020010');
   var syntax = dwv.dicom.cleanString(transferSyntaxUID);
   var jpeg2000 = dwv.dicom.isJpeg2000TransferSyntax(syntax);
-  var jpegBase = dwv.dicom.isJpegBaselineTransferSyntax(syntax);
+  var jpegBase = dwv.dicom.isJpegBaselineTransferSyntax(syntax) ||
+    dwv.dicom.isJpegRetiredHuffmanTransferSyntax(syntax);
   var jpegLoss = dwv.dicom.isJpegLosslessTransferSyntax(syntax);
 
   // ImagePositionPatient
@@ -10,7 +10,8 @@ dwv.image = dwv.image || {};
  * @param {number} start The start of the range (included).
  * @param {number} end The end of the range (excluded).
  * @param {number} increment The increment between indicies (default=1).
- * @returns {object} An iterator folowing the iterator and iterable protocol.
+ * @returns {object} An iterator folowing the iterator and iterable protocol,
+ *   its results also give the data index of their value.
  */
 dwv.image.simpleRange = function (dataAccessor, start, end, increment) {
   if (typeof increment === 'undefined') {
@@ -23,6 +24,7 @@ dwv.image.simpleRange = function (dataAccessor, start, end, increment) {
       if (nextIndex < end) {
         var result = {
           value: dataAccessor(nextIndex),
+          index: nextIndex,
           done: false
         };
         nextIndex += increment;
@@ -93,6 +95,7 @@ dwv.image.range = function (dataAccessor, start, maxIter, increment,
       if (mainCount < maxIter) {
         var result = {
           value: dataAccessor(nextIndex),
+          index: nextIndex,
           done: false
         };
         nextIndex += increment;
@@ -134,6 +137,7 @@ dwv.image.rangeRegion = function (
       if (nextIndex < end) {
         var result = {
           value: dataAccessor(nextIndex),
+          index: nextIndex,
           done: false
         };
         regionElementCount += 1;
@@ -174,6 +178,7 @@ dwv.image.rangeRegions = function (
       if (nextIndex < end) {
         var result = {
           value: dataAccessor(nextIndex),
+          index: nextIndex,
           done: false
         };
         regionElementCount += 1;
@@ -240,6 +245,7 @@ dwv.image.simpleRange3d = function (
             dataAccessor(nextIndex1),
             dataAccessor(nextIndex2)
           ],
+          index: nextIndex,
           done: false
         };
         nextIndex += increment;
@@ -274,7 +280,8 @@ dwv.image.simpleRange3d = function (
  * @param {boolean} reverse2 If true, loop from block end to block start.
  * @param {boolean} isPlanar A flag to know if the data is planar
  *   (RRRR...GGGG...BBBB...) or not (RGBRGBRGBRGB...), defaults to false.
- * @returns {object} An iterator folowing the iterator and iterable protocol.
+ * @returns {object} An iterator folowing the iterator and iterable protocol,
+ *   the result index is the data index of the first component.
  */
 dwv.image.range3d = function (dataAccessor, start, maxIter, increment,
   blockMaxIter, blockIncrement, reverse1, reverse2, isPlanar) {
@@ -322,6 +329,7 @@ dwv.image.range3d = function (dataAccessor, start, maxIter, increment,
             r1.value,
             r2.value
           ],
+          index: r0.index,
           done: false
         };
       }
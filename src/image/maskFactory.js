@@ -13,11 +13,15 @@ dwv.image.MaskFactory = function () {};
  * Get an {@link dwv.image.Image} object from the read DICOM file.
  *
  * @param {object} dicomElements The DICOM tags.
- * @param {Array} pixelBuffer The pixel buffer.
+ * @param {Array|dwv.dicom.LazyPixelData} pixelBuffer The pixel buffer,
+ *   for lazy pixel data, its first item is read.
  * @returns {dwv.image.Image} A new Image.
  */
 dwv.image.MaskFactory.prototype.create = function (
   dicomElements, pixelBuffer) {
+  if (pixelBuffer instanceof dwv.dicom.LazyPixelData) {
+    pixelBuffer = pixelBuffer.getItem(0);
+  }
   // columns
   var columns = dicomElements.getFromKey('x00280011');
   if (!columns) {
@@ -38,6 +42,12 @@ dwv.image.MaskFactory.prototype.create = function (
     frames = parseInt(frames, 10);
   }
 
+  // bit packed data is padded to an even number of bytes
+  var bitsAllocated = dicomElements.getFromKey('x00280100');
+  if (bitsAllocated === 1 && pixelBuffer.length > frames * sliceSize) {
+    pixelBuffer = pixelBuffer.subarray(0, frames * sliceSize);
+  }
+
   if (frames !== pixelBuffer.length / sliceSize) {
     throw new Error(
       'Buffer and numberOfFrames meta are not equal.');
@@ -50,9 +60,23 @@ dwv.image.MaskFactory.prototype.create = function (
   } else {
     segType = dwv.dicom.cleanString(segType);
   }
-  if (segType !== 'BINARY') {
+  if (segType !== 'BINARY' && segType !== 'FRACTIONAL') {
     throw new Error('Unsupported segmentation type: ' + segType);
   }
+  // fractional: PROBABILITY or OCCUPANCY
+  var fractionalType;
+  var maxFractionalValue = 1;
+  if (segType === 'FRACTIONAL') {
+    fractionalType = dicomElements.getFromKey('x00620010');
+    if (!fractionalType) {
+      throw new Error('Missing or empty DICOM segmentation fractional type');
+    }
+    fractionalType = dwv.dicom.cleanString(fractionalType);
+    maxFractionalValue = dicomElements.getFromKey('x0062000E');
+    if (!maxFractionalValue) {
+      throw new Error('Missing or empty DICOM maximum fractional value');
+    }
+  }
 
   // check if compressed
   var syntax = dwv.dicom.cleanString(dicomElements.getFromKey('x00020010'));
@@ -74,7 +98,8 @@ dwv.image.MaskFactory.prototype.create = function (
     var label = {
       value: segSequence[i].x00620004.value[0],
       name: dwv.dicom.cleanString(segSequence[i].x00620005.value[0]),
-      algorithmType: dwv.dicom.cleanString(segSequence[i].x00620008.value[0])
+      algorithmType: dwv.dicom.cleanString(segSequence[i].x00620008.value[0]),
+      visible: true
     };
     // Segment Algorithm Name
     if (segSequence[i].x00620009) {
@@ -222,6 +247,14 @@ dwv.image.MaskFactory.prototype.create = function (
     var frameContentSq = frameFunc.x00209111.value;
     // Dimension Index Value
     var dimIndex = frameContentSq[0].x00209157.value;
+    // Segment Identification Sequence
+    // (default to the first dimension index)
+    var segmentNumber = dimIndex[0];
+    if (typeof frameFunc.x0062000A !== 'undefined') {
+      var segmentIdSq = frameFunc.x0062000A.value;
+      // Referenced Segment Number
+      segmentNumber = segmentIdSq[0].x0062000B.value[0];
+    }
     // Plane Position Sequence
     var planePosSq = frameFunc.x00209113.value;
     // Image Position (Patient)
@@ -234,6 +267,7 @@ dwv.image.MaskFactory.prototype.create = function (
     }
     frameInfos.push({
       dimIndex: dimIndex,
+      segmentNumber: segmentNumber,
       imagePosPat: imagePosPat,
       referencedSOPInstanceUID: referencedSOPInstanceUID
     });
@@ -276,43 +310,62 @@ dwv.image.MaskFactory.prototype.create = function (
   // sort positions patient
   posPats.sort(comparePosPat);
 
-  // create output buffer
+  // one mask per segment, values are fractions scaled to [0, 255]
+  // (segments can overlap)
   // as many slices as posPats -> gap slices between groups are not represented
   var numberOfSlices = posPats.length;
-  var mul = storeAsRGB ? 3 : 1;
-  var buffer = new pixelBuffer.constructor(mul * sliceSize * numberOfSlices);
-  buffer.fill(0);
-  // merge frame buffers
+  var segmentMasks = [];
   var sliceOffset = null;
   var sliceIndex = null;
   var frameOffset = null;
   var labelIndex = null;
+  var getLabelIndex = function (segmentNumber) {
+    for (var i = 0; i < labels.length; ++i) {
+      if (labels[i].value === segmentNumber) {
+        return i;
+      }
+    }
+    return -1;
+  };
   for (var f = 0; f < frameInfos.length; ++f) {
     // get the slice index from the position in the posPat array
     sliceIndex = findIndexPosPat(posPats, frameInfos[f].imagePosPat);
     frameOffset = sliceSize * f;
-    labelIndex = frameInfos[f].dimIndex[0] - 1;
-    sliceOffset = sliceSize * sliceIndex;
-    var pixelValue;
-    if (storeAsRGB) {
-      pixelValue = labels[labelIndex].colour;
-    } else {
-      pixelValue = labels[labelIndex].value;
+    labelIndex = getLabelIndex(frameInfos[f].segmentNumber);
+    if (labelIndex === -1) {
+      throw new Error('Unknown segment number: ' +
+        frameInfos[f].segmentNumber);
+    }
+    if (typeof segmentMasks[labelIndex] === 'undefined') {
+      segmentMasks[labelIndex] = new Uint8Array(sliceSize * numberOfSlices);
     }
+    var segmentMask = segmentMasks[labelIndex];
+    sliceOffset = sliceSize * sliceIndex;
     for (var l = 0; l < sliceSize; ++l) {
-      if (pixelBuffer[frameOffset + l] !== 0) {
-        var offset = mul * (sliceOffset + l);
-        if (storeAsRGB) {
-          buffer[offset] = pixelValue.r;
-          buffer[offset + 1] = pixelValue.g;
-          buffer[offset + 2] = pixelValue.b;
-        } else {
-          buffer[offset] = pixelValue;
-        }
+      var value = pixelBuffer[frameOffset + l];
+      if (value !== 0) {
+        segmentMask[sliceOffset + l] = segType === 'BINARY'
+          ? 255 : Math.round(255 * value / maxFractionalValue);
       }
     }
   }
 
+  // output buffer, filled by the segment helper: colours or
+  // segment numbers (from 1 to 65535)
+  var buffer;
+  if (storeAsRGB) {
+    buffer = new Uint8Array(3 * sliceSize * numberOfSlices);
+  } else {
+    var maxSegmentNumber = Math.max.apply(null, labels.map(function (label) {
+      return label.value;
+    }));
+    if (maxSegmentNumber > 255) {
+      buffer = new Uint16Array(sliceSize * numberOfSlices);
+    } else {
+      buffer = new Uint8Array(sliceSize * numberOfSlices);
+    }
+  }
+
   if (typeof spacing === 'undefined') {
     throw Error('No spacing found in DICOM seg file.');
   }
@@ -338,14 +391,20 @@ dwv.image.MaskFactory.prototype.create = function (
   // image meta
   var meta = {
     Modality: 'SEG',
-    BitsStored: 8,
+    BitsStored: 8 * buffer.BYTES_PER_ELEMENT,
     labels: labels,
+    segmentMasks: segmentMasks,
+    fractionalType: fractionalType,
+    // null for a graded display of fractional segmentations
+    fractionalThreshold: null,
     frameInfos: frameInfos,
     SeriesInstanceUID: dicomElements.getFromKey('x0020000E'),
     SOPInstanceUID: dicomElements.getFromKey('x00080018'),
     ImageOrientationPatient: imageOrientationPatient
   };
   image.setMeta(meta);
+  // compose the segments
+  new dwv.image.MaskSegmentHelper(image).update();
 
   return image;
 };
@@ -0,0 +1,224 @@
+// namespaces
+var dwv = dwv || {};
+dwv.image = dwv.image || {};
+
+/**
+ * Mask segment helper: composes the buffer of a segmentation image
+ *   from its per segment masks, see dwv.image.MaskFactory.
+ * The segment visibility and colour and the fractional threshold are
+ *   stored in the image meta, changes are applied by calling update.
+ * At each voxel, the visible segment with the highest fraction is
+ *   displayed. Fractional segmentations are displayed graded (the
+ *   opacity is the fraction) unless a threshold is set.
+ *
+ * @class
+ * @param {dwv.image.Image} mask The segmentation image.
+ */
+dwv.image.MaskSegmentHelper = function (mask) {
+
+  /**
+   * The segmentation meta: labels, segmentMasks, fractionalThreshold
+   *   and, for a graded display, displayedFractions.
+   *
+   * @private
+   * @type {object}
+   */
+  var meta = mask.getMeta();
+
+  /**
+   * Is the display graded: fractional segmentation without threshold.
+   *
+   * @returns {boolean} True if graded.
+   */
+  function isGraded() {
+    return typeof meta.fractionalType !== 'undefined' &&
+      meta.fractionalThreshold === null;
+  }
+
+  /**
+   * Get the index of a segment in the meta labels.
+   *
+   * @param {number} segmentNumber The segment number.
+   * @returns {number} The index.
+   */
+  function getSegmentIndex(segmentNumber) {
+    for (var i = 0; i < meta.labels.length; ++i) {
+      if (meta.labels[i].value === segmentNumber) {
+        return i;
+      }
+    }
+    throw new Error('Unknown segment number: ' + segmentNumber);
+  }
+
+  /**
+   * Get the list of segments.
+   *
+   * @returns {Array} The segments as {value, name, algorithmType,
+   *   algorithmName, colour, visible}, value being the segment number.
+   */
+  this.getSegments = function () {
+    return meta.labels;
+  };
+
+  /**
+   * Is a segment visible.
+   *
+   * @param {number} segmentNumber The segment number.
+   * @returns {boolean} True if the segment is visible.
+   */
+  this.isSegmentVisible = function (segmentNumber) {
+    return meta.labels[getSegmentIndex(segmentNumber)].visible;
+  };
+
+  /**
+   * Set the visibility of a segment.
+   *
+   * @param {number} segmentNumber The segment number.
+   * @param {boolean} flag True to show the segment.
+   */
+  this.setSegmentVisible = function (segmentNumber, flag) {
+    meta.labels[getSegmentIndex(segmentNumber)].visible = flag;
+  };
+
+  /**
+   * Set the colour of a segment.
+   *
+   * @param {number} segmentNumber The segment number.
+   * @param {object} colour The colour as {r, g, b}.
+   */
+  this.setSegmentColour = function (segmentNumber, colour) {
+    if (mask.getNumberOfComponents() !== 3) {
+      throw new Error('Cannot set the colour of a monochrome segmentation.');
+    }
+    meta.labels[getSegmentIndex(segmentNumber)].colour = colour;
+  };
+
+  /**
+   * Get the fractional threshold.
+   *
+   * @returns {number} The threshold in the [0, 1] range, null for
+   *   a graded display.
+   */
+  this.getThreshold = function () {
+    return meta.fractionalThreshold;
+  };
+
+  /**
+   * Set the fractional threshold: voxels with a lower fraction are
+   *   not displayed, the others are displayed with the full segment
+   *   colour.
+   *
+   * @param {number} threshold The threshold in the [0, 1] range, null
+   *   for a graded display.
+   */
+  this.setThreshold = function (threshold) {
+    if (threshold !== null && (threshold < 0 || threshold > 1)) {
+      throw new Error('The fractional threshold should be in [0, 1]: ' +
+        threshold);
+    }
+    meta.fractionalThreshold = threshold;
+  };
+
+  /**
+   * Get the alpha function of the segmentation view: empty voxels are
+   *   transparent and, for a graded display, the opacity is the
+   *   displayed fraction.
+   *
+   * @returns {Function} The alpha function.
+   */
+  this.getAlphaFunction = function () {
+    var res;
+    if (mask.getNumberOfComponents() === 3) {
+      if (isGraded()) {
+        res = function (_value, index) {
+          // RGB data: index of the first component
+          return Math.max(meta.displayedFractions[index / 3], 1);
+        };
+      } else {
+        res = function (value) {
+          if (value[0] === 0 &&
+            value[1] === 0 &&
+            value[2] === 0) {
+            return 1;
+          } else {
+            return 0xff;
+          }
+        };
+      }
+    } else {
+      res = function (value) {
+        return value === 0 ? 1 : 0xff;
+      };
+    }
+    return res;
+  };
+
+  /**
+   * Update the segmentation image buffer from the segment masks.
+   */
+  this.update = function () {
+    var buffer = mask.getBuffer();
+    var isRgb = mask.getNumberOfComponents() === 3;
+    var labels = meta.labels;
+    var masks = meta.segmentMasks;
+    var graded = isGraded();
+    var minFraction = 1;
+    if (meta.fractionalThreshold !== null) {
+      minFraction =
+        Math.max(1, Math.ceil(255 * meta.fractionalThreshold));
+    }
+    // rounded colours, default to white
+    var colours = labels.map(function (label) {
+      if (typeof label.colour === 'undefined') {
+        return {r: 255, g: 255, b: 255};
+      }
+      var clamp = function (value) {
+        return Math.min(Math.max(Math.round(value), 0), 255);
+      };
+      return {
+        r: clamp(label.colour.r),
+        g: clamp(label.colour.g),
+        b: clamp(label.colour.b)
+      };
+    });
+
+    var length = buffer.length / (isRgb ? 3 : 1);
+    if (graded && isRgb && (typeof meta.displayedFractions === 'undefined' ||
+      meta.displayedFractions.length !== length)) {
+      meta.displayedFractions = new Uint8Array(length);
+    }
+    for (var i = 0; i < length; ++i) {
+      // highest visible fraction, the last segment wins on equality
+      var segmentIndex = -1;
+      var fraction = 0;
+      for (var s = 0; s < labels.length; ++s) {
+        if (labels[s].visible && typeof masks[s] !== 'undefined' &&
+          masks[s][i] >= minFraction && masks[s][i] >= fraction) {
+          segmentIndex = s;
+          fraction = masks[s][i];
+        }
+      }
+      if (isRgb) {
+        var offset = 3 * i;
+        if (segmentIndex === -1) {
+          buffer[offset] = 0;
+          buffer[offset + 1] = 0;
+          buffer[offset + 2] = 0;
+        } else {
+          var colour = colours[segmentIndex];
+          buffer[offset] = colour.r;
+          buffer[offset + 1] = colour.g;
+          buffer[offset + 2] = colour.b;
+        }
+        if (graded) {
+          meta.displayedFractions[i] = fraction;
+        }
+      } else {
+        // the buffer is large enough for the segment numbers,
+        // see dwv.image.MaskFactory
+        buffer[i] = segmentIndex === -1 ? 0 : labels[segmentIndex].value;
+      }
+    }
+  };
+
+}; // class MaskSegmentHelper
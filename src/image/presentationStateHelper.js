@@ -0,0 +1,298 @@
+// namespaces
+var dwv = dwv || {};
+dwv.image = dwv.image || {};
+
+/**
+ * Presentation state helper: referenced images, display transform and
+ *   annotation shapes of a Grayscale Softcopy Presentation State (GSPS)
+ *   for a data image, see dwv.dicom.getPresentationState.
+ *
+ * @class
+ * @param {object} state The presentation state.
+ */
+dwv.image.PresentationStateHelper = function (state) {
+
+  /**
+   * Get the image pixel bounds of a displayed area.
+   *
+   * @param {object} area The displayed area, see
+   *   dwv.dicom.getPresentationState.
+   * @param {dwv.image.Size} size The data image size.
+   * @returns {object} The bounds as {x0, y0, x1, y1}.
+   */
+  function getDisplayedAreaBounds(area, size) {
+    if (typeof area === 'undefined' ||
+      area.topLeft.length !== 2 || area.bottomRight.length !== 2) {
+      return {x0: 0, y0: 0, x1: size.get(0), y1: size.get(1)};
+    }
+    // the displayed area corners are one based pixels
+    return {
+      x0: area.topLeft[0] - 1,
+      y0: area.topLeft[1] - 1,
+      x1: area.bottomRight[0],
+      y1: area.bottomRight[1]
+    };
+  }
+
+  /**
+   * Get the indices of a list of referenced images in a data.
+   *
+   * @param {Array} referencedImages The list of referenced images, see
+   *   dwv.dicom.getPresentationState.
+   * @param {dwv.image.Image} image The data image.
+   * @param {dwv.math.Index} index The current data index.
+   * @returns {Array} The list of dwv.math.Index.
+   */
+  this.getIndices = function (referencedImages, image, index) {
+    var indices = [];
+    var ids = [];
+    var addIndex = function (referencedIndex) {
+      if (referencedIndex !== null &&
+        ids.indexOf(referencedIndex.toString()) === -1) {
+        indices.push(referencedIndex);
+        ids.push(referencedIndex.toString());
+      }
+    };
+    for (var i = 0; i < referencedImages.length; ++i) {
+      var reference = referencedImages[i];
+      if (reference.frameNumbers.length === 0) {
+        addIndex(image.getReferencedIndex(index, reference.sopInstanceUID));
+      } else {
+        for (var j = 0; j < reference.frameNumbers.length; ++j) {
+          addIndex(image.getReferencedIndex(index,
+            reference.sopInstanceUID, reference.frameNumbers[j]));
+        }
+      }
+    }
+    return indices;
+  };
+
+  /**
+   * Get the first item that applies to a data.
+   *
+   * @param {Array} items The list of items with a referencedImages
+   *   property, an empty list meaning that the item applies to all
+   *   the presentation state images.
+   * @param {dwv.image.Image} image The data image.
+   * @param {dwv.math.Index} index The current data index.
+   * @returns {object} The item, undefined if none applies.
+   */
+  this.getItem = function (items, image, index) {
+    for (var i = 0; i < items.length; ++i) {
+      if (items[i].referencedImages.length === 0 ||
+        this.getIndices(
+          items[i].referencedImages, image, index).length !== 0) {
+        return items[i];
+      }
+    }
+    return undefined;
+  };
+
+  /**
+   * Get the display transform of the spatial transformation and
+   *   displayed area.
+   * The display is given by: display = R * S * (plane - offset) with R
+   *   the rotation and S the scale, a negative scale flipping the display.
+   *
+   * @param {object} area The displayed area, see
+   *   dwv.dicom.getPresentationState.
+   * @param {dwv.image.Geometry} geometry The data image geometry.
+   * @param {number} fitScale The layer group fit scale: display pixels
+   *   per mm at scale one.
+   * @returns {object} The transform as {rotation, scale, planeOffset}
+   *   with rotation the clockwise angle in degrees, scale the layer
+   *   group scale as {x, y, z} and planeOffset the offset in image
+   *   pixels as {x, y}.
+   */
+  this.getDisplayTransform = function (area, geometry, fitScale) {
+    var size = geometry.getSize();
+    var spacing = geometry.getSpacing();
+    var bounds = getDisplayedAreaBounds(area, size);
+    // the flip is applied before the clockwise rotation
+    var rotation = state.imageRotation;
+    if ([0, 90, 180, 270].indexOf(rotation) === -1) {
+      dwv.logger.warn('Unsupported presentation image rotation: ' +
+        rotation);
+      rotation = 0;
+    }
+    var angle = rotation * Math.PI / 180;
+    var cos = Math.round(Math.cos(angle));
+    var sin = Math.round(Math.sin(angle));
+    // displayed area size as seen on the display (in mm)
+    var areaWidth = (bounds.x1 - bounds.x0) * spacing.get(0);
+    var areaHeight = (bounds.y1 - bounds.y0) * spacing.get(1);
+    if (sin !== 0) {
+      var tmp = areaWidth;
+      areaWidth = areaHeight;
+      areaHeight = tmp;
+    }
+    // display size at scale one (in mm)
+    var width = size.get(0) * spacing.get(0);
+    var height = size.get(1) * spacing.get(1);
+
+    // zoom, the fit scale gives the display pixels per mm
+    var sizeMode = 'SCALE TO FIT';
+    if (typeof area !== 'undefined' &&
+      typeof area.sizeMode !== 'undefined') {
+      sizeMode = area.sizeMode;
+    }
+    var zoom;
+    if (sizeMode === 'TRUE SIZE') {
+      // the presentation pixel spacing is given as [row, column],
+      // the display pixel is the CSS pixel (1/96 inch)
+      var pixelSpacing = spacing.get(0);
+      if (typeof area.pixelSpacing !== 'undefined') {
+        pixelSpacing = area.pixelSpacing[1];
+      }
+      zoom = pixelSpacing * 96 / 25.4 / (fitScale * spacing.get(0));
+    } else if (sizeMode === 'MAGNIFY' &&
+      typeof area.magnificationRatio !== 'undefined') {
+      // display pixels per image pixel
+      zoom = area.magnificationRatio / (fitScale * spacing.get(0));
+    } else {
+      if (sizeMode !== 'SCALE TO FIT') {
+        dwv.logger.warn('Unsupported presentation size mode: ' +
+          sizeMode + ', using SCALE TO FIT.');
+      }
+      zoom = Math.min(width / areaWidth, height / areaHeight);
+    }
+    var scale = {
+      x: state.imageHorizontalFlip ? -zoom : zoom,
+      y: zoom,
+      z: zoom
+    };
+
+    // offset: the displayed area center is the display center,
+    // offset = center - S^-1 * R^-1 * displayCenter
+    var planeOffset = {
+      x: (bounds.x0 + bounds.x1) / 2 -
+        (cos * width + sin * height) / 2 / (spacing.get(0) * scale.x),
+      y: (bounds.y0 + bounds.y1) / 2 -
+        (cos * height - sin * width) / 2 / (spacing.get(1) * scale.y)
+    };
+    return {
+      rotation: rotation,
+      scale: scale,
+      planeOffset: planeOffset
+    };
+  };
+
+  /**
+   * Get the draw shapes of the annotations.
+   *
+   * @param {object} area The displayed area, see
+   *   dwv.dicom.getPresentationState.
+   * @param {Array} indices The data indices of the presentation
+   *   state images.
+   * @param {dwv.image.Image} image The data image.
+   * @param {dwv.math.Index} index The current data index.
+   * @returns {Array} The list of shapes, see
+   *   dwv.ctrl.DrawController.addShapes.
+   */
+  this.getShapes = function (area, indices, image, index) {
+    var bounds = getDisplayedAreaBounds(area, image.getGeometry().getSize());
+    var toPoint = function (units, x, y) {
+      if (units === 'DISPLAY') {
+        return new dwv.math.Point2D(
+          bounds.x0 + x * (bounds.x1 - bounds.x0),
+          bounds.y0 + y * (bounds.y1 - bounds.y0));
+      }
+      return new dwv.math.Point2D(x, y);
+    };
+    // graphic layers
+    var orders = {};
+    var colours = {};
+    for (var l = 0; l < state.graphicLayers.length; ++l) {
+      var layer = state.graphicLayers[l];
+      orders[layer.name] = layer.order;
+      colours[layer.name] = layer.colour;
+    }
+    var getOrder = function (annotation) {
+      var order = orders[annotation.layer];
+      return isNaN(order) ? 0 : order;
+    };
+    // lower order layers are drawn first
+    var annotations = state.annotations.slice().sort(function (a, b) {
+      return getOrder(a) - getOrder(b);
+    });
+
+    var dims = [2];
+    for (var d = 3; d < index.length(); ++d) {
+      dims.push(d);
+    }
+    var shapes = [];
+    for (var i = 0; i < annotations.length; ++i) {
+      var annotation = annotations[i];
+      var annotationShapes = [];
+      var j;
+      // graphic objects
+      for (j = 0; j < annotation.graphics.length; ++j) {
+        var graphic = annotation.graphics[j];
+        var points = [];
+        for (var p = 0; p < graphic.data.length; p += 2) {
+          points.push(toPoint(
+            graphic.units, graphic.data[p], graphic.data[p + 1]));
+        }
+        var graphicType = graphic.type;
+        if (graphicType === 'INTERPOLATED') {
+          graphicType = 'POLYLINE';
+        }
+        var shape = dwv.draw.getShapeFromGraphic(graphicType, points);
+        if (shape === null) {
+          dwv.logger.warn('Unsupported presentation graphic type: ' +
+            graphic.type);
+          continue;
+        }
+        annotationShapes.push(shape);
+      }
+      // text objects: arrow from the visible anchor to the text,
+      // text label otherwise
+      for (j = 0; j < annotation.texts.length; ++j) {
+        var text = annotation.texts[j];
+        var anchor = null;
+        if (text.anchor.length === 2) {
+          anchor = toPoint(text.anchorUnits, text.anchor[0], text.anchor[1]);
+        }
+        var topLeft = null;
+        if (text.topLeft.length === 2) {
+          topLeft = toPoint(
+            text.boundingBoxUnits, text.topLeft[0], text.topLeft[1]);
+        }
+        if (anchor !== null && topLeft !== null && text.anchorVisible &&
+          !anchor.equals(topLeft)) {
+          annotationShapes.push({
+            name: 'Arrow',
+            points: [anchor, topLeft],
+            textExpr: text.text
+          });
+        } else if (topLeft !== null || anchor !== null) {
+          annotationShapes.push({
+            name: 'Text',
+            points: [topLeft !== null ? topLeft : anchor],
+            textExpr: text.text
+          });
+        }
+      }
+      // add the shapes to the annotation images
+      var annotationIndices = indices;
+      if (annotation.referencedImages.length !== 0) {
+        annotationIndices = this.getIndices(
+          annotation.referencedImages, image, index);
+      }
+      for (var k = 0; k < annotationIndices.length; ++k) {
+        var posGroupId = annotationIndices[k].toStringId(dims);
+        for (var s = 0; s < annotationShapes.length; ++s) {
+          shapes.push({
+            name: annotationShapes[s].name,
+            points: annotationShapes[s].points,
+            posGroupId: posGroupId,
+            colour: colours[annotation.layer],
+            textExpr: annotationShapes[s].textExpr
+          });
+        }
+      }
+    }
+    return shapes;
+  };
+
+}; // class PresentationStateHelper
@@ -0,0 +1,127 @@
+// namespaces
+var dwv = dwv || {};
+dwv.image = dwv.image || {};
+
+/**
+ * RLE (Run-length encoding) encoder class, the counterpart of
+ *   the decoders/dwv/rle.js decoder.
+ * Ref: [RLE Compression]{@link https://dicom.nema.org/medical/dicom/2022a/output/chtml/part05/chapter_G.html}.
+ *
+ * @class
+ */
+dwv.image.RleEncoder = function () {};
+
+/**
+ * Encode a frame with the RLE algorithm.
+ *
+ * @param {object} buffer The frame buffer as a typed array.
+ * @param {number} bitsAllocated The bits allocated per element in the buffer.
+ * @param {number} rows The number of rows of the frame.
+ * @param {number} columns The number of columns of the frame.
+ * @param {number} samplesPerPixel The number of samples per pixel
+ *   (3 for RGB).
+ * @param {number} planarConfiguration The planar configuration.
+ * @returns {Uint8Array} The encoded frame: the RLE header followed by
+ *   the segments.
+ */
+dwv.image.RleEncoder.prototype.encode = function (buffer,
+  bitsAllocated, rows, columns, samplesPerPixel, planarConfiguration) {
+  if (bitsAllocated % 8 !== 0) {
+    throw new Error('Unsupported RLE bits allocated: ' + bitsAllocated);
+  }
+  // bytes per element
+  var bpe = bitsAllocated / 8;
+  var numberOfSegments = samplesPerPixel * bpe;
+  if (numberOfSegments > 15) {
+    throw new Error('Too many RLE segments: ' + numberOfSegments);
+  }
+  var sliceSize = rows * columns;
+  var input = new Uint8Array(
+    buffer.buffer, buffer.byteOffset, sliceSize * samplesPerPixel * bpe);
+
+  // index increment in input array
+  var inputIndexIncrement = bpe;
+  if (samplesPerPixel !== 1 && planarConfiguration === 0) {
+    inputIndexIncrement *= samplesPerPixel;
+  }
+
+  // encode segments: one per sample and byte, most significant byte first
+  var segments = [];
+  var row = new Uint8Array(columns);
+  for (var sample = 0; sample < samplesPerPixel; ++sample) {
+    var sampleOffset = sample * bpe;
+    if (planarConfiguration === 1) {
+      sampleOffset = sample * sliceSize * bpe;
+    }
+    for (var b = bpe - 1; b >= 0; --b) {
+      var segment = [];
+      for (var r = 0; r < rows; ++r) {
+        var inputIndex = sampleOffset + b + r * columns * inputIndexIncrement;
+        for (var c = 0; c < columns; ++c) {
+          row[c] = input[inputIndex];
+          inputIndex += inputIndexIncrement;
+        }
+        // rows are encoded separately
+        dwv.image.encodeRleRow(row, segment);
+      }
+      // pad to even length with a no operation
+      if (segment.length % 2 !== 0) {
+        segment.push(0x80);
+      }
+      segments.push(segment);
+    }
+  }
+
+  // RLE header: number of segments and their offsets
+  var headerSize = 64;
+  var size = headerSize;
+  for (var s = 0; s < segments.length; ++s) {
+    size += segments[s].length;
+  }
+  var result = new Uint8Array(size);
+  var header = new DataView(result.buffer);
+  header.setUint32(0, numberOfSegments, true);
+  var offset = headerSize;
+  for (var i = 0; i < segments.length; ++i) {
+    header.setUint32((i + 1) * 4, offset, true);
+    result.set(segments[i], offset);
+    offset += segments[i].length;
+  }
+  return result;
+};
+
+/**
+ * Encode a row with the PackBits algorithm.
+ *
+ * @param {Uint8Array} row The row to encode.
+ * @param {Array} output The array to append the encoded bytes to.
+ */
+dwv.image.encodeRleRow = function (row, output) {
+  var length = row.length;
+  var i = 0;
+  while (i < length) {
+    // replicate run
+    var run = 1;
+    while (i + run < length && run < 128 && row[i + run] === row[i]) {
+      ++run;
+    }
+    if (run > 1) {
+      // output the next byte -count+1 times
+      output.push(257 - run);
+      output.push(row[i]);
+      i += run;
+      continue;
+    }
+    // literal run: until the start of a replicate run
+    var start = i;
+    while (i < length && i - start < 128 &&
+      !(i + 1 < length && row[i] === row[i + 1])) {
+      ++i;
+    }
+    // output the next count+1 bytes literally
+    output.push(i - start - 1);
+    for (var j = start; j < i; ++j) {
+      output.push(row[j]);
+    }
+  }
+};
@@ -90,6 +90,58 @@ dwv.io.FilesLoader = function () {
     defaultCharacterSet = characterSet;
   };
 
+  /**
+   * The lazy pixel data flag (optional).
+   *
+   * @private
+   * @type {boolean}
+   */
+  var lazyPixelData;
+
+  /**
+   * Get the lazy pixel data flag.
+   *
+   * @returns {boolean} The lazy pixel data flag.
+   */
+  this.getLazyPixelData = function () {
+    return lazyPixelData;
+  };
+
+  /**
+   * Set the lazy pixel data flag.
+   *
+   * @param {boolean} flag The lazy pixel data flag.
+   */
+  this.setLazyPixelData = function (flag) {
+    lazyPixelData = flag;
+  };
+
+  /**
+   * The lenient parsing flag (optional).
+   *
+   * @private
+   * @type {boolean}
+   */
+  var lenientParsing;
+
+  /**
+   * Get the lenient parsing flag.
+   *
+   * @returns {boolean} The lenient parsing flag.
+   */
+  this.getLenientParsing = function () {
+    return lenientParsing;
+  };
+
+  /**
+   * Set the lenient parsing flag.
+   *
+   * @param {boolean} flag The lenient parsing flag.
+   */
+  this.setLenientParsing = function (flag) {
+    lenientParsing = flag;
+  };
+
   /**
    * Store the current input.
    *
@@ -210,22 +262,45 @@ dwv.io.FilesLoader = function () {
   }
 
   /**
-   * Load a list of files.
+   * Load a list of files or a folder containing a DICOMDIR.
    *
    * @param {Array} data The list of files to load.
+   * @param {object} options Load options, can contain:
+   *  - seriesInstanceUID: the DICOMDIR series to load,
+   *    defaults to the first one
    */
-  this.load = function (data) {
+  this.load = function (data, options) {
     // check input
     if (typeof data === 'undefined' || data.length === 0) {
       return;
     }
-    storeInputData(data);
 
     // send start event
-    this.onloadstart({
+    self.onloadstart({
       source: data
     });
 
+    // check if DICOMDIR case
+    var dicomDirFile = dwv.io.getDicomDirFile(data);
+    if (typeof dicomDirFile !== 'undefined') {
+      loadDicomDir(dicomDirFile, data, options);
+    } else {
+      loadFiles(data, options);
+    }
+  };
+
+  /**
+   * Load a list of files.
+   *
+   * @param {Array} data The list of files to load.
+   * @param {object} options Load options, can contain:
+   *  - seriesInstanceUID: the DICOMDIR series to load from zip files,
+   *    defaults to the first one
+   * @private
+   */
+  function loadFiles(data, options) {
+    storeInputData(data);
+
     // create prgress handler
     var mproghandler = new dwv.utils.MultiProgressHandler(self.onprogress);
     mproghandler.setNToLoad(data.length);
@@ -247,7 +322,10 @@ dwv.io.FilesLoader = function () {
         // load options
         loader.setOptions({
           numberOfFiles: data.length,
-          defaultCharacterSet: this.getDefaultCharacterSet()
+          defaultCharacterSet: self.getDefaultCharacterSet(),
+          lenientParsing: self.getLenientParsing(),
+          lazyPixelData: self.getLazyPixelData(),
+          seriesInstanceUID: options ? options.seriesInstanceUID : undefined
         });
         // set loader callbacks
         // loader.onloadstart: nothing to do
@@ -315,7 +393,63 @@ dwv.io.FilesLoader = function () {
         reader.readAsArrayBuffer(dataElement);
       }
     }
-  };
+  }
+
+  /**
+   * Load a series of a DICOMDIR from the list of files of its folder.
+   *
+   * @param {object} dicomDirFile The DICOMDIR file.
+   * @param {Array} data The list of files of the DICOMDIR folder.
+   * @param {object} options Load options, can contain:
+   *  - seriesInstanceUID: the series to load, defaults to the first one
+   * @private
+   */
+  function loadDicomDir(dicomDirFile, data, options) {
+    // read DICOMDIR
+    var reader = new FileReader();
+    storeReader(reader);
+    // reader.onloadstart: nothing to do
+    reader.onload = function (event) {
+      // get the series file list
+      var files = [];
+      var tree = dwv.dicom.getDicomDirTree(event.target.result);
+      if (typeof tree !== 'undefined') {
+        var fileIds = dwv.dicom.getDicomDirSeriesFileIds(
+          tree, options ? options.seriesInstanceUID : undefined);
+        if (typeof fileIds !== 'undefined') {
+          files = dwv.io.getDicomDirFiles(dicomDirFile, fileIds, data);
+        }
+      }
+      if (files.length === 0) {
+        self.onerror({
+          source: dicomDirFile,
+          error: 'No series files found in DICOMDIR'
+        });
+        self.onloadend({});
+        return;
+      }
+      // load files
+      try {
+        loadFiles(files);
+      } catch (error) {
+        self.onerror({
+          source: dicomDirFile,
+          error: error
+        });
+        self.onloadend({});
+      }
+    };
+    reader.onerror = function (event) {
+      augmentCallbackEvent(self.onerror, dicomDirFile)(event);
+      self.onloadend({});
+    };
+    reader.onabort = function (event) {
+      augmentCallbackEvent(self.onabort, dicomDirFile)(event);
+      self.onloadend({});
+    };
+    // reader.onloadend: nothing to do
+    reader.readAsArrayBuffer(dicomDirFile);
+  }
 
   /**
    * Abort a load.
@@ -336,6 +470,69 @@ dwv.io.FilesLoader = function () {
 
 }; // class FilesLoader
 
+/**
+ * Get the path of a file: its path relative to the selected folder
+ *   if available, its name otherwise.
+ *
+ * @param {object} file The file.
+ * @returns {string} The file path.
+ */
+dwv.io.getFilePath = function (file) {
+  var path = file.webkitRelativePath;
+  if (typeof path === 'undefined' || path.length === 0) {
+    path = file.name;
+  }
+  return path;
+};
+
+/**
+ * Get the DICOMDIR file from a list of files, typically
+ *   the content of a CD folder.
+ *
+ * @param {Array} files The list of files.
+ * @returns {object} The DICOMDIR file, undefined if not found.
+ */
+dwv.io.getDicomDirFile = function (files) {
+  for (var i = 0; i < files.length; ++i) {
+    if (files[i].name.toUpperCase() === 'DICOMDIR') {
+      return files[i];
+    }
+  }
+};
+
+/**
+ * Get the files referenced by a DICOMDIR from the list of files
+ *   of its folder. Paths are compared case insensitively since
+ *   DICOMDIR file ids are upper case.
+ *
+ * @param {object} dicomDirFile The DICOMDIR file.
+ * @param {Array} fileIds The list of DICOMDIR file ids relative
+ *   to the DICOMDIR, for ex 'IMAGES/IM0'.
+ * @param {Array} files The list of files.
+ * @returns {Array} The list of referenced files that were found.
+ */
+dwv.io.getDicomDirFiles = function (dicomDirFile, fileIds, files) {
+  var rootPath = dwv.utils.getRootPath(dwv.io.getFilePath(dicomDirFile));
+  if (rootPath.length !== 0) {
+    rootPath += '/';
+  }
+  // index files by path
+  var filesByPath = {};
+  for (var i = 0; i < files.length; ++i) {
+    filesByPath[dwv.io.getFilePath(files[i]).toUpperCase()] = files[i];
+  }
+  var result = [];
+  for (var j = 0; j < fileIds.length; ++j) {
+    var file = filesByPath[(rootPath + fileIds[j]).toUpperCase()];
+    if (typeof file === 'undefined') {
+      dwv.logger.warn('DICOMDIR file not found: ' + fileIds[j]);
+      continue;
+    }
+    result.push(file);
+  }
+  return result;
+};
+
 /**
  * Handle a load start event.
  * Default does nothing.
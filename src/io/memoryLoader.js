@@ -74,6 +74,58 @@ dwv.io.MemoryLoader = function () {
     defaultCharacterSet = characterSet;
   };
 
+  /**
+   * The lazy pixel data flag (optional).
+   *
+   * @private
+   * @type {boolean}
+   */
+  var lazyPixelData;
+
+  /**
+   * Get the lazy pixel data flag.
+   *
+   * @returns {boolean} The lazy pixel data flag.
+   */
+  this.getLazyPixelData = function () {
+    return lazyPixelData;
+  };
+
+  /**
+   * Set the lazy pixel data flag.
+   *
+   * @param {boolean} flag The lazy pixel data flag.
+   */
+  this.setLazyPixelData = function (flag) {
+    lazyPixelData = flag;
+  };
+
+  /**
+   * The lenient parsing flag (optional).
+   *
+   * @private
+   * @type {boolean}
+   */
+  var lenientParsing;
+
+  /**
+   * Get the lenient parsing flag.
+   *
+   * @returns {boolean} The lenient parsing flag.
+   */
+  this.getLenientParsing = function () {
+    return lenientParsing;
+  };
+
+  /**
+   * Set the lenient parsing flag.
+   *
+   * @param {boolean} flag The lenient parsing flag.
+   */
+  this.setLenientParsing = function (flag) {
+    lenientParsing = flag;
+  };
+
   /**
    * Store the current input.
    *
@@ -196,7 +248,9 @@ dwv.io.MemoryLoader = function () {
         // load options
         loader.setOptions({
           numberOfFiles: data.length,
-          defaultCharacterSet: this.getDefaultCharacterSet()
+          defaultCharacterSet: this.getDefaultCharacterSet(),
+          lenientParsing: this.getLenientParsing(),
+          lazyPixelData: this.getLazyPixelData()
         });
         // set loader callbacks
         // loader.onloadstart: nothing to do
@@ -20,12 +20,21 @@ dwv.io.MultipartLoader = function () {
   var isLoading = false;
 
   /**
-   * Set the loader options.
+   * Loader options.
    *
-   * @param {object} _opt The input options.
+   * @private
+   * @type {object}
+   */
+  var options = {};
+
+  /**
+   * Set the loader options: the parsing ones are passed
+   *   to the loader of the parts.
+   *
+   * @param {object} opt The input options.
    */
-  this.setOptions = function (_opt) {
-    // does nothing
+  this.setOptions = function (opt) {
+    options = opt;
   };
 
   /**
@@ -53,6 +62,9 @@ dwv.io.MultipartLoader = function () {
     isLoading = true;
 
     var memoryIO = new dwv.io.MemoryLoader();
+    memoryIO.setDefaultCharacterSet(options.defaultCharacterSet);
+    memoryIO.setLenientParsing(options.lenientParsing);
+    memoryIO.setLazyPixelData(options.lazyPixelData);
     // memoryIO.onloadstart: nothing to do
     memoryIO.onprogress = function (progress) {
       // add 50% to take into account the un-Multipartping
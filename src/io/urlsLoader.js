@@ -96,6 +96,58 @@ dwv.io.UrlsLoader = function () {
     defaultCharacterSet = characterSet;
   };
 
+  /**
+   * The lazy pixel data flag (optional).
+   *
+   * @private
+   * @type {boolean}
+   */
+  var lazyPixelData;
+
+  /**
+   * Get the lazy pixel data flag.
+   *
+   * @returns {boolean} The lazy pixel data flag.
+   */
+  this.getLazyPixelData = function () {
+    return lazyPixelData;
+  };
+
+  /**
+   * Set the lazy pixel data flag.
+   *
+   * @param {boolean} flag The lazy pixel data flag.
+   */
+  this.setLazyPixelData = function (flag) {
+    lazyPixelData = flag;
+  };
+
+  /**
+   * The lenient parsing flag (optional).
+   *
+   * @private
+   * @type {boolean}
+   */
+  var lenientParsing;
+
+  /**
+   * Get the lenient parsing flag.
+   *
+   * @returns {boolean} The lenient parsing flag.
+   */
+  this.getLenientParsing = function () {
+    return lenientParsing;
+  };
+
+  /**
+   * Set the lenient parsing flag.
+   *
+   * @param {boolean} flag The lenient parsing flag.
+   */
+  this.setLenientParsing = function (flag) {
+    lenientParsing = flag;
+  };
+
   /**
    * Store the current input.
    *
@@ -248,6 +300,8 @@ dwv.io.UrlsLoader = function () {
    *  - withCredentials: boolean xhr.withCredentials flag to pass
    *    to the request
    *  - batchSize: the size of the request url batch
+   *  - seriesInstanceUID: the DICOMDIR series to load from zip files,
+   *    defaults to the first one
    * @private
    */
   function loadUrls(data, options) {
@@ -278,7 +332,10 @@ dwv.io.UrlsLoader = function () {
         // load options
         loader.setOptions({
           numberOfFiles: data.length,
-          defaultCharacterSet: self.getDefaultCharacterSet()
+          defaultCharacterSet: self.getDefaultCharacterSet(),
+          lenientParsing: self.getLenientParsing(),
+          lazyPixelData: self.getLazyPixelData(),
+          seriesInstanceUID: options ? options.seriesInstanceUID : undefined
         });
         // set loader callbacks
         // loader.onloadstart: nothing to do
@@ -407,10 +464,11 @@ dwv.io.UrlsLoader = function () {
   }
 
   /**
-   * Load a DICOMDIR.
+   * Load a series of a DICOMDIR.
    *
    * @param {string} dicomDirUrl The DICOMDIR url.
-   * @param {object} options Load options.
+   * @param {object} options Load options, can contain:
+   *  - seriesInstanceUID: the series to load, defaults to the first one
    * @private
    */
   function loadDicomDir(dicomDirUrl, options) {
@@ -433,10 +491,21 @@ dwv.io.UrlsLoader = function () {
         self.onloadend({});
         return;
       }
-      // get the file list
-      var list = dwv.dicom.getFileListFromDicomDir(event.target.response);
-      // use the first list
-      var urls = list[0][0];
+      // get the series file list
+      var urls;
+      var tree = dwv.dicom.getDicomDirTree(event.target.response);
+      if (typeof tree !== 'undefined') {
+        urls = dwv.dicom.getDicomDirSeriesFileIds(
+          tree, options ? options.seriesInstanceUID : undefined);
+      }
+      if (typeof urls === 'undefined' || urls.length === 0) {
+        self.onerror({
+          source: dicomDirUrl,
+          error: 'No series files found in DICOMDIR'
+        });
+        self.onloadend({});
+        return;
+      }
       // append root url
       var rootUrl = dwv.utils.getRootPath(dicomDirUrl);
       var fullUrls = [];
@@ -0,0 +1,128 @@
+// namespaces
+var dwv = dwv || {};
+dwv.io = dwv.io || {};
+/**
+ * The zip library.
+ *
+ * @external JSZip
+ * @see https://github.com/Stuk/jszip
+ */
+var JSZip = JSZip || {};
+
+/**
+ * Get a media-like ZIP of DICOM data: the data files and the DICOMDIR
+ *   describing them, as read by the ZipLoader.
+ * Files are stored in a 'DICOM' folder with ids such as
+ *   'DICOM/IM000000'.
+ *
+ * @param {Array} dataList The list of data to export as {elements, image}
+ *   with elements the raw DICOM elements and image the optional decoded
+ *   image, its pixels are then written in place of the elements ones
+ *   (allowing to export edited images or data which pixels were
+ *   released after load).
+ * @param {object} options Optional export options, can contain:
+ *  - writer: the dwv.dicom.DicomWriter to use, for ex with
+ *    anonymisation rules
+ *  - deidentifier: a dwv.dicom.Deidentifier applied before writing
+ *  - transferSyntax: the transfer syntax of the written data
+ *    (native or RLE), defaults to Explicit VR Little Endian
+ *  - type: the JSZip output type, defaults to 'blob'
+ * @returns {Promise} A promise resolving to the ZIP content.
+ */
+dwv.io.getDicomZip = function (dataList, options) {
+  if (typeof options === 'undefined') {
+    options = {};
+  }
+  var writer = options.writer;
+  if (typeof writer === 'undefined') {
+    writer = new dwv.dicom.DicomWriter();
+  }
+  var transferSyntax = options.transferSyntax;
+  if (typeof transferSyntax === 'undefined') {
+    transferSyntax = '1.2.840.10008.1.2.1';
+  }
+
+  var zip = new JSZip();
+  var files = [];
+  for (var i = 0; i < dataList.length; ++i) {
+    var elements = dataList[i].elements;
+    // pixel data from the image (before de-identification
+    // since slices are found with their SOPInstanceUID)
+    if (typeof dataList[i].image !== 'undefined') {
+      elements = dwv.io.getElementsWithImage(
+        elements, dataList[i].image, transferSyntax);
+    } else {
+      elements = dwv.dicom.getElementsWithTransferSyntax(
+        elements, transferSyntax);
+    }
+    if (typeof options.deidentifier !== 'undefined') {
+      elements = options.deidentifier.deidentify(elements);
+    }
+    // id as 8 characters maximum
+    var fileId = 'DICOM/IM' + i.toString().padStart(6, '0');
+    zip.file(fileId, writer.getBuffer(elements));
+    files.push({
+      fileId: fileId,
+      elements: dwv.io.getWrittenElements(elements, writer)
+    });
+  }
+  // DICOMDIR
+  var tree = dwv.dicom.getDicomDirTreeFromElements(files);
+  zip.file('DICOMDIR', dwv.dicom.getDicomDirBuffer(tree));
+
+  var type = options.type;
+  if (typeof type === 'undefined') {
+    type = 'blob';
+  }
+  return zip.generateAsync({type: type});
+};
+
+/**
+ * Get a copy of DICOM elements with the pixel data of their image.
+ *
+ * @param {object} elements The raw DICOM elements.
+ * @param {dwv.image.Image} image The decoded image.
+ * @param {string} transferSyntax The target transfer syntax.
+ * @returns {object} The DICOM elements.
+ */
+dwv.io.getElementsWithImage = function (elements, image, transferSyntax) {
+  var pixelElement = elements.x7FE00010;
+  if (typeof pixelElement === 'undefined') {
+    return elements;
+  }
+  // release the pixel data to force the use of the image
+  var input = {};
+  var keys = Object.keys(elements);
+  for (var i = 0; i < keys.length; ++i) {
+    input[keys[i]] = elements[keys[i]];
+  }
+  input.x7FE00010 = {
+    tag: pixelElement.tag,
+    vr: pixelElement.vr,
+    vl: pixelElement.vl,
+    value: [],
+    startOffset: pixelElement.startOffset,
+    endOffset: pixelElement.startOffset
+  };
+  return dwv.dicom.getElementsWithTransferSyntax(
+    input, transferSyntax, image);
+};
+
+/**
+ * Get the elements as written by a DicomWriter: with its rules applied.
+ *
+ * @param {object} elements The raw DICOM elements.
+ * @param {dwv.dicom.DicomWriter} writer The writer.
+ * @returns {object} The elements to write.
+ */
+dwv.io.getWrittenElements = function (elements, writer) {
+  var result = {};
+  var keys = Object.keys(elements);
+  for (var i = 0; i < keys.length; ++i) {
+    var element = writer.getElementToWrite(elements[keys[i]]);
+    if (element !== null) {
+      result[keys[i]] = element;
+    }
+  }
+  return result;
+};
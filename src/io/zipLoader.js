@@ -27,12 +27,21 @@ dwv.io.ZipLoader = function () {
   var isLoading = false;
 
   /**
-   * Set the loader options.
+   * Loader options.
    *
-   * @param {object} _opt The input options.
+   * @private
+   * @type {object}
+   */
+  var options = {};
+
+  /**
+   * Set the loader options: the parsing ones are passed
+   *   to the loader of the unzipped files.
+   *
+   * @param {object} opt The input options.
    */
-  this.setOptions = function (_opt) {
-    // does nothing
+  this.setOptions = function (opt) {
+    options = opt;
   };
 
   /**
@@ -83,6 +92,9 @@ dwv.io.ZipLoader = function () {
       });
     } else {
       var memoryIO = new dwv.io.MemoryLoader();
+      memoryIO.setDefaultCharacterSet(options.defaultCharacterSet);
+      memoryIO.setLenientParsing(options.lenientParsing);
+      memoryIO.setLazyPixelData(options.lazyPixelData);
       // memoryIO.onloadstart: nothing to do
       memoryIO.onprogress = function (progress) {
         // add 50% to take into account the un-zipping
@@ -123,16 +135,55 @@ dwv.io.ZipLoader = function () {
 
     JSZip.loadAsync(buffer).then(function (zip) {
       files = [];
-      zobjs = zip.file(/.*\.dcm/);
-      // recursively load zip files into the files array
-      var num = files.length;
-      filename = zobjs[num].name;
-      zobjs[num].async('arrayBuffer').then(function (content) {
-        zipAsyncCallback(content, origin, index);
-      });
+      // media-like zip: load the files of one series of the
+      // first DICOMDIR (a data index holds a single image)
+      var dicomDirs = zip.file(/(^|\/)DICOMDIR$/);
+      if (dicomDirs.length !== 0) {
+        if (dicomDirs.length > 1) {
+          dwv.logger.warn('Only loading the first DICOMDIR of the zip, ' +
+            'skipping: ' + dicomDirs.slice(1).map(function (item) {
+            return item.name;
+          }).join(', '));
+        }
+        dicomDirs[0].async('arrayBuffer').then(function (content) {
+          zobjs = dwv.io.getDicomDirZipObjects(
+            zip, dicomDirs[0].name, content, options.seriesInstanceUID);
+          loadZipObjects(origin, index);
+        });
+      } else {
+        zobjs = zip.file(/.*\.dcm/);
+        loadZipObjects(origin, index);
+      }
     });
   };
 
+  /**
+   * Load the zip objects.
+   *
+   * @param {object} origin The origin of the file.
+   * @param {number} index The data index.
+   * @private
+   */
+  function loadZipObjects(origin, index) {
+    if (zobjs.length === 0) {
+      isLoading = false;
+      self.onerror({
+        source: origin,
+        error: 'No DICOM data found in zip'
+      });
+      self.onloadend({
+        source: origin
+      });
+      return;
+    }
+    // recursively load zip files into the files array
+    var num = files.length;
+    filename = zobjs[num].name;
+    zobjs[num].async('arrayBuffer').then(function (content) {
+      zipAsyncCallback(content, origin, index);
+    });
+  }
+
   /**
    * Abort load: pass to listeners.
    */
@@ -146,6 +197,53 @@ dwv.io.ZipLoader = function () {
 
 }; // class DicomDataLoader
 
+/**
+ * Get the zip objects of a series of a DICOMDIR. The other series
+ *   are skipped with a warning.
+ *
+ * @param {object} zip The JSZip object.
+ * @param {string} dicomDirName The DICOMDIR path in the zip.
+ * @param {ArrayBuffer} dicomDirBuffer The DICOMDIR content.
+ * @param {string} seriesInstanceUID Optional SeriesInstanceUID of the
+ *   series, defaults to the first series of the DICOMDIR.
+ * @returns {Array} The list of zip objects.
+ */
+dwv.io.getDicomDirZipObjects = function (
+  zip, dicomDirName, dicomDirBuffer, seriesInstanceUID) {
+  var zobjs = [];
+  var tree = dwv.dicom.getDicomDirTree(dicomDirBuffer);
+  if (typeof tree === 'undefined') {
+    return zobjs;
+  }
+  var fileIds = dwv.dicom.getDicomDirSeriesFileIds(tree, seriesInstanceUID);
+  if (typeof fileIds === 'undefined') {
+    dwv.logger.warn('DICOMDIR series not found: ' + seriesInstanceUID);
+    return zobjs;
+  }
+  var skipped = dwv.dicom.getDicomDirSeriesUids(tree).filter(
+    function (uid, index) {
+      return typeof seriesInstanceUID === 'undefined'
+        ? index !== 0 : uid !== seriesInstanceUID;
+    });
+  if (skipped.length !== 0) {
+    dwv.logger.warn('Only loading one DICOMDIR series, skipping: ' +
+      skipped.join(', '));
+  }
+  var rootPath = dwv.utils.getRootPath(dicomDirName);
+  if (rootPath.length !== 0) {
+    rootPath += '/';
+  }
+  for (var i = 0; i < fileIds.length; ++i) {
+    var zobj = zip.file(rootPath + fileIds[i]);
+    if (zobj === null) {
+      dwv.logger.warn('DICOMDIR file not found in zip: ' + fileIds[i]);
+      continue;
+    }
+    zobjs.push(zobj);
+  }
+  return zobjs;
+};
+
 /**
  * Check if the loader can load the provided file.
  *
@@ -228,9 +228,9 @@ dwv.math.getIndexFromStringId = function (inputStr) {
   var pointLength = 0;
   var dim;
   for (var i = 0; i < strIds.length; ++i) {
-    dim = parseInt(strIds[i].substring(1, 2), 10);
-    if (dim > pointLength) {
-      pointLength = dim;
+    dim = parseInt(strIds[i].substring(1, 3), 10);
+    if (dim + 1 > pointLength) {
+      pointLength = dim + 1;
     }
   }
   if (pointLength === 0) {
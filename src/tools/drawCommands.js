@@ -26,7 +26,9 @@ dwv.tool.GetShapeDisplayName = function (shape) {
       displayName = 'roi';
     }
   } else if (shape instanceof Konva.Rect) {
-    displayName = 'rectangle';
+    // text shapes are empty rectangles
+    displayName = shape.getParent().name() === 'text-group'
+      ? 'text' : 'rectangle';
   } else if (shape instanceof Konva.Ellipse) {
     displayName = 'ellipse';
   }
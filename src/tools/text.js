@@ -0,0 +1,167 @@
+// namespaces
+var dwv = dwv || {};
+/** @namespace */
+dwv.tool = dwv.tool || {};
+/** @namespace */
+dwv.tool.draw = dwv.tool.draw || {};
+/**
+ * The Konva namespace.
+ *
+ * @external Konva
+ * @see https://konvajs.org/
+ */
+var Konva = Konva || {};
+
+/**
+ * Default draw label text.
+ */
+dwv.tool.draw.defaultTextLabelText = '';
+
+/**
+ * Text factory: a label without drawn shape, for example
+ *   for presentation state text objects.
+ *
+ * @class
+ */
+dwv.tool.draw.TextFactory = function () {
+  /**
+   * Get the name of the shape group.
+   *
+   * @returns {string} The name.
+   */
+  this.getGroupName = function () {
+    return 'text-group';
+  };
+  /**
+   * Get the number of points needed to build the shape.
+   *
+   * @returns {number} The number of points.
+   */
+  this.getNPoints = function () {
+    return 1;
+  };
+  /**
+   * Get the timeout between point storage.
+   *
+   * @returns {number} The timeout in milliseconds.
+   */
+  this.getTimeout = function () {
+    return 0;
+  };
+};
+
+/**
+ * Is the input group a group of this factory?
+ *
+ * @param {object} group The group to test.
+ * @returns {boolean} True if the group is from this fcatory.
+ */
+dwv.tool.draw.TextFactory.prototype.isFactoryGroup = function (group) {
+  return this.getGroupName() === group.name();
+};
+
+/**
+ * Create a text shape to be displayed.
+ *
+ * @param {Array} points The points from which to extract the text
+ *   position: its top left corner.
+ * @param {object} style The drawing style.
+ * @param {object} _viewController The associated view controller.
+ * @returns {object} The Konva object.
+ */
+dwv.tool.draw.TextFactory.prototype.create = function (
+  points, style, _viewController) {
+  // draw shape: an empty rectangle holding the position and colour
+  var kshape = new Konva.Rect({
+    x: points[0].getX(),
+    y: points[0].getY(),
+    width: 0,
+    height: 0,
+    stroke: style.getLineColour(),
+    strokeWidth: style.getStrokeWidth(),
+    strokeScaleEnabled: false,
+    name: 'shape'
+  });
+  // text
+  var ktext = new Konva.Text({
+    fontSize: style.getFontSize(),
+    fontFamily: style.getFontFamily(),
+    fill: style.getLineColour(),
+    padding: style.getTextPadding(),
+    shadowColor: style.getShadowLineColour(),
+    shadowOffset: style.getShadowOffset(),
+    name: 'text'
+  });
+  var textExpr = '';
+  if (typeof dwv.tool.draw.textLabelText !== 'undefined') {
+    textExpr = dwv.tool.draw.textLabelText;
+  } else {
+    textExpr = dwv.tool.draw.defaultTextLabelText;
+  }
+  ktext.setText(textExpr);
+  // meta data
+  ktext.meta = {
+    textExpr: textExpr,
+    quantification: {}
+  };
+  // label
+  var klabel = new Konva.Label({
+    x: points[0].getX(),
+    y: points[0].getY(),
+    scale: style.applyZoomScale(1),
+    visible: textExpr.length !== 0,
+    name: 'label'
+  });
+  klabel.add(ktext);
+  klabel.add(new Konva.Tag({
+    fill: style.getLineColour(),
+    opacity: style.getTagOpacity()
+  }));
+
+  // return group
+  var group = new Konva.Group();
+  group.name(this.getGroupName());
+  group.add(klabel);
+  group.add(kshape);
+  group.visible(true); // dont inherit
+  return group;
+};
+
+/**
+ * Get anchors to update a text shape.
+ *
+ * @param {object} shape The associated shape.
+ * @param {object} style The application style.
+ * @returns {Array} A list of anchors.
+ */
+dwv.tool.draw.TextFactory.prototype.getAnchors = function (shape, style) {
+  return [
+    dwv.tool.draw.getDefaultAnchor(shape.x(), shape.y(), 'topLeft', style)
+  ];
+};
+
+/**
+ * Update a text shape.
+ * Warning: do NOT use 'this' here, this method is passed
+ *   as is to the change command.
+ *
+ * @param {object} anchor The active anchor.
+ * @param {object} _style The app style.
+ * @param {object} _viewController The associated view controller.
+ */
+dwv.tool.draw.TextFactory.prototype.update = function (
+  anchor, _style, _viewController) {
+  // parent group
+  var group = anchor.getParent();
+  // associated shape
+  var krect = group.getChildren(function (node) {
+    return node.name() === 'shape';
+  })[0];
+  // associated label
+  var klabel = group.getChildren(function (node) {
+    return node.name() === 'label';
+  })[0];
+  // update shape and label
+  krect.position(anchor.position());
+  klabel.position(anchor.position());
+};
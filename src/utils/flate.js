@@ -0,0 +1,489 @@
+// namespaces
+var dwv = dwv || {};
+dwv.utils = dwv.utils || {};
+
+/**
+ * Raw DEFLATE (RFC 1951) tables.
+ * Ref: [DEFLATE]{@link https://www.rfc-editor.org/rfc/rfc1951#section-3.2.5}.
+ *
+ * @type {object}
+ */
+/* eslint-disable array-element-newline */
+dwv.utils.flateTables = {
+  // base length for codes 257..285
+  lengthBase: [
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+    35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+  ],
+  // extra bits for codes 257..285
+  lengthExtra: [
+    0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+    3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+  ],
+  // base distance for codes 0..29
+  distBase: [
+    1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+    257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145,
+    8193, 12289, 16385, 24577
+  ],
+  // extra bits for distance codes 0..29
+  distExtra: [
+    0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+    7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+  ],
+  // order of the code length code lengths
+  codeLengthOrder: [
+    16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15
+  ]
+};
+/* eslint-enable array-element-newline */
+
+/**
+ * Growable byte output used by the inflater and deflater.
+ *
+ * @class
+ * @param {number} initialSize The initial size of the buffer.
+ */
+dwv.utils.ByteOutput = function (initialSize) {
+  var data = new Uint8Array(Math.max(initialSize, 1024));
+  var length = 0;
+
+  /**
+   * Make sure the buffer can hold size more bytes.
+   *
+   * @param {number} size The number of bytes to add.
+   */
+  this.reserve = function (size) {
+    if (length + size > data.length) {
+      var newSize = data.length * 2;
+      while (length + size > newSize) {
+        newSize *= 2;
+      }
+      var newData = new Uint8Array(newSize);
+      newData.set(data.subarray(0, length));
+      data = newData;
+    }
+  };
+
+  /**
+   * Append a byte.
+   *
+   * @param {number} value The byte to append.
+   */
+  this.push = function (value) {
+    this.reserve(1);
+    data[length++] = value;
+  };
+
+  /**
+   * Copy length bytes from distance bytes back (LZ77 back reference).
+   *
+   * @param {number} distance The distance to look back.
+   * @param {number} size The number of bytes to copy.
+   */
+  this.copyBack = function (distance, size) {
+    this.reserve(size);
+    // byte per byte to allow for overlapping copies
+    for (var i = 0; i < size; ++i) {
+      data[length] = data[length - distance];
+      ++length;
+    }
+  };
+
+  /**
+   * Append an array of bytes.
+   *
+   * @param {Uint8Array} array The bytes to append.
+   */
+  this.pushArray = function (array) {
+    this.reserve(array.length);
+    data.set(array, length);
+    length += array.length;
+  };
+
+  /**
+   * Get the current length.
+   *
+   * @returns {number} The number of written bytes.
+   */
+  this.getLength = function () {
+    return length;
+  };
+
+  /**
+   * Get the written bytes.
+   *
+   * @returns {Uint8Array} A copy of the written bytes.
+   */
+  this.getData = function () {
+    return data.slice(0, length);
+  };
+};
+
+/**
+ * Inflate (decompress) raw DEFLATE data, i.e. without zlib or gzip header.
+ * The inflater bundled in JSZip (pako) is not exposed: JSZip only gives
+ *   access to it through the asynchronous zip file API. The DICOM parser
+ *   being synchronous, deflated data sets are inflated with this
+ *   synchronous implementation.
+ *
+ * @param {Uint8Array} input The compressed data.
+ * @returns {Uint8Array} The decompressed data.
+ */
+dwv.utils.inflateRaw = function (input) {
+  var inPos = 0;
+  var bitBuffer = 0;
+  var bitCount = 0;
+  var output = new dwv.utils.ByteOutput(input.length * 4);
+
+  /**
+   * Get bits from the input stream.
+   *
+   * @param {number} need The number of bits to read.
+   * @returns {number} The bits value.
+   */
+  function getBits(need) {
+    var value = bitBuffer;
+    while (bitCount < need) {
+      if (inPos >= input.length) {
+        throw new Error('Unexpected end of deflate data.');
+      }
+      value |= input[inPos++] << bitCount;
+      bitCount += 8;
+    }
+    bitBuffer = value >>> need;
+    bitCount -= need;
+    return value & ((1 << need) - 1);
+  }
+
+  /**
+   * Build a canonical Huffman decoding table.
+   *
+   * @param {Array} lengths The list of code lengths.
+   * @returns {object} The table as {count, symbol}.
+   */
+  function buildHuffman(lengths) {
+    var count = new Uint16Array(16);
+    var symbol = new Uint16Array(lengths.length);
+    var s;
+    for (s = 0; s < lengths.length; ++s) {
+      count[lengths[s]]++;
+    }
+    var offsets = new Uint16Array(16);
+    for (var len = 1; len < 15; ++len) {
+      offsets[len + 1] = offsets[len] + count[len];
+    }
+    for (s = 0; s < lengths.length; ++s) {
+      if (lengths[s] !== 0) {
+        symbol[offsets[lengths[s]]++] = s;
+      }
+    }
+    return {count: count, symbol: symbol};
+  }
+
+  /**
+   * Decode a symbol from the input stream.
+   *
+   * @param {object} huffman The Huffman table.
+   * @returns {number} The symbol.
+   */
+  function decodeSymbol(huffman) {
+    var code = 0;
+    var first = 0;
+    var index = 0;
+    for (var len = 1; len < 16; ++len) {
+      code |= getBits(1);
+      var count = huffman.count[len];
+      if (code - count < first) {
+        return huffman.symbol[index + (code - first)];
+      }
+      index += count;
+      first += count;
+      first <<= 1;
+      code <<= 1;
+    }
+    throw new Error('Bad Huffman code in deflate data.');
+  }
+
+  /**
+   * Inflate a compressed block.
+   *
+   * @param {object} lengthCode The literal/length Huffman table.
+   * @param {object} distCode The distance Huffman table.
+   */
+  function inflateCodes(lengthCode, distCode) {
+    var symbol = 0;
+    while (symbol !== 256) {
+      symbol = decodeSymbol(lengthCode);
+      if (symbol < 256) {
+        output.push(symbol);
+      } else if (symbol > 256) {
+        symbol -= 257;
+        if (symbol >= 29) {
+          throw new Error('Bad length symbol in deflate data.');
+        }
+        var len = dwv.utils.flateTables.lengthBase[symbol] +
+          getBits(dwv.utils.flateTables.lengthExtra[symbol]);
+        var distSymbol = decodeSymbol(distCode);
+        if (distSymbol >= 30) {
+          throw new Error('Bad distance symbol in deflate data.');
+        }
+        var dist = dwv.utils.flateTables.distBase[distSymbol] +
+          getBits(dwv.utils.flateTables.distExtra[distSymbol]);
+        if (dist > output.getLength()) {
+          throw new Error('Distance too far back in deflate data.');
+        }
+        output.copyBack(dist, len);
+      }
+    }
+  }
+
+  // fixed Huffman tables
+  var fixedLengths = [];
+  var i;
+  for (i = 0; i < 288; ++i) {
+    if (i < 144) {
+      fixedLengths.push(8);
+    } else if (i < 256) {
+      fixedLengths.push(9);
+    } else if (i < 280) {
+      fixedLengths.push(7);
+    } else {
+      fixedLengths.push(8);
+    }
+  }
+  var fixedDist = [];
+  for (i = 0; i < 30; ++i) {
+    fixedDist.push(5);
+  }
+  var fixedLengthCode = null;
+  var fixedDistCode = null;
+
+  var isLast = false;
+  while (!isLast) {
+    isLast = getBits(1) === 1;
+    var type = getBits(2);
+    if (type === 0) {
+      // stored block: skip remaining bits of the current byte
+      bitBuffer = 0;
+      bitCount = 0;
+      if (inPos + 4 > input.length) {
+        throw new Error('Unexpected end of deflate data.');
+      }
+      var len = input[inPos] | (input[inPos + 1] << 8);
+      var nlen = input[inPos + 2] | (input[inPos + 3] << 8);
+      inPos += 4;
+      if (len !== (~nlen & 0xffff)) {
+        throw new Error('Bad stored block length in deflate data.');
+      }
+      if (inPos + len > input.length) {
+        throw new Error('Unexpected end of deflate data.');
+      }
+      output.pushArray(input.subarray(inPos, inPos + len));
+      inPos += len;
+    } else if (type === 1) {
+      // fixed Huffman codes
+      if (fixedLengthCode === null) {
+        fixedLengthCode = buildHuffman(fixedLengths);
+        fixedDistCode = buildHuffman(fixedDist);
+      }
+      inflateCodes(fixedLengthCode, fixedDistCode);
+    } else if (type === 2) {
+      // dynamic Huffman codes
+      var nlen2 = getBits(5) + 257;
+      var ndist = getBits(5) + 1;
+      var ncode = getBits(4) + 4;
+      var codeLengths = new Array(19).fill(0);
+      for (i = 0; i < ncode; ++i) {
+        codeLengths[dwv.utils.flateTables.codeLengthOrder[i]] = getBits(3);
+      }
+      var codeLengthCode = buildHuffman(codeLengths);
+      var lengths = [];
+      while (lengths.length < nlen2 + ndist) {
+        var symbol = decodeSymbol(codeLengthCode);
+        if (symbol < 16) {
+          lengths.push(symbol);
+        } else {
+          var repeatValue = 0;
+          var repeat = 0;
+          if (symbol === 16) {
+            if (lengths.length === 0) {
+              throw new Error('Repeat with no first length in deflate data.');
+            }
+            repeatValue = lengths[lengths.length - 1];
+            repeat = 3 + getBits(2);
+          } else if (symbol === 17) {
+            repeat = 3 + getBits(3);
+          } else {
+            repeat = 11 + getBits(7);
+          }
+          if (lengths.length + repeat > nlen2 + ndist) {
+            throw new Error('Too many lengths in deflate data.');
+          }
+          for (var r = 0; r < repeat; ++r) {
+            lengths.push(repeatValue);
+          }
+        }
+      }
+      inflateCodes(
+        buildHuffman(lengths.slice(0, nlen2)),
+        buildHuffman(lengths.slice(nlen2)));
+    } else {
+      throw new Error('Bad block type in deflate data.');
+    }
+  }
+
+  return output.getData();
+};
+
+/**
+ * Deflate (compress) data as raw DEFLATE, i.e. without zlib or gzip header.
+ * Uses LZ77 with fixed Huffman codes: a simple but fair compression.
+ *
+ * @param {Uint8Array} input The data to compress.
+ * @returns {Uint8Array} The compressed data.
+ */
+dwv.utils.deflateRaw = function (input) {
+  var output = new dwv.utils.ByteOutput(input.length / 2);
+  var bitBuffer = 0;
+  var bitCount = 0;
+
+  /**
+   * Write bits, least significant first.
+   *
+   * @param {number} value The value to write.
+   * @param {number} nBits The number of bits to write.
+   */
+  function putBits(value, nBits) {
+    bitBuffer |= value << bitCount;
+    bitCount += nBits;
+    while (bitCount >= 8) {
+      output.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  }
+
+  /**
+   * Write a Huffman code, most significant bit first.
+   *
+   * @param {number} code The code.
+   * @param {number} nBits The code length.
+   */
+  function putCode(code, nBits) {
+    var reversed = 0;
+    for (var i = 0; i < nBits; ++i) {
+      reversed = (reversed << 1) | ((code >>> i) & 1);
+    }
+    putBits(reversed, nBits);
+  }
+
+  /**
+   * Write a literal/length symbol using the fixed Huffman code.
+   *
+   * @param {number} symbol The symbol (0-287).
+   */
+  function putSymbol(symbol) {
+    if (symbol < 144) {
+      putCode(0x30 + symbol, 8);
+    } else if (symbol < 256) {
+      putCode(0x190 + symbol - 144, 9);
+    } else if (symbol < 280) {
+      putCode(symbol - 256, 7);
+    } else {
+      putCode(0xc0 + symbol - 280, 8);
+    }
+  }
+
+  /**
+   * Get the index of the last base lower or equal to the value.
+   *
+   * @param {Array} bases The list of bases.
+   * @param {number} value The value to find.
+   * @returns {number} The index.
+   */
+  function findBase(bases, value) {
+    var index = bases.length - 1;
+    while (bases[index] > value) {
+      --index;
+    }
+    return index;
+  }
+
+  var windowSize = 32768;
+  var maxMatch = 258;
+  var maxChain = 64;
+  var hashSize = 1 << 15;
+  var head = new Int32Array(hashSize).fill(-1);
+  var prev = new Int32Array(windowSize);
+  var hash = function (pos) {
+    return ((input[pos] << 10) ^ (input[pos + 1] << 5) ^ input[pos + 2]) &
+      (hashSize - 1);
+  };
+  var insert = function (pos) {
+    if (pos + 2 < input.length) {
+      var h = hash(pos);
+      prev[pos & (windowSize - 1)] = head[h];
+      head[h] = pos;
+    }
+  };
+
+  // single final block with fixed Huffman codes
+  putBits(1, 1);
+  putBits(1, 2);
+
+  var pos = 0;
+  while (pos < input.length) {
+    var bestLength = 0;
+    var bestDist = 0;
+    if (pos + 2 < input.length) {
+      var candidate = head[hash(pos)];
+      var chain = 0;
+      var maxLength = Math.min(maxMatch, input.length - pos);
+      while (candidate >= 0 &&
+        pos - candidate <= windowSize &&
+        chain < maxChain) {
+        var len = 0;
+        while (len < maxLength && input[candidate + len] === input[pos + len]) {
+          ++len;
+        }
+        if (len > bestLength) {
+          bestLength = len;
+          bestDist = pos - candidate;
+          if (len === maxLength) {
+            break;
+          }
+        }
+        candidate = prev[candidate & (windowSize - 1)];
+        ++chain;
+      }
+    }
+
+    if (bestLength >= 3) {
+      var lengthIndex = findBase(dwv.utils.flateTables.lengthBase, bestLength);
+      putSymbol(257 + lengthIndex);
+      putBits(bestLength - dwv.utils.flateTables.lengthBase[lengthIndex],
+        dwv.utils.flateTables.lengthExtra[lengthIndex]);
+      var distIndex = findBase(dwv.utils.flateTables.distBase, bestDist);
+      putCode(distIndex, 5);
+      putBits(bestDist - dwv.utils.flateTables.distBase[distIndex],
+        dwv.utils.flateTables.distExtra[distIndex]);
+      for (var k = 0; k < bestLength; ++k) {
+        insert(pos + k);
+      }
+      pos += bestLength;
+    } else {
+      putSymbol(input[pos]);
+      insert(pos);
+      ++pos;
+    }
+  }
+  // end of block
+  putSymbol(256);
+  // flush
+  if (bitCount > 0) {
+    output.push(bitBuffer & 0xff);
+  }
+
+  return output.getData();
+};
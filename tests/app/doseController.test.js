@@ -0,0 +1,79 @@
+/**
+ * Tests for the 'app/doseController.js' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit */
+
+/**
+ * Tests for {@link dwv.ctrl.DoseController} resampling.
+ *
+ * @function module:tests/app~DoseController
+ */
+QUnit.test('Test dose controller resampling.', function (assert) {
+  // stage with the given displayed data
+  var displayed = [];
+  var stage = {
+    getViewLayersByDataIndex: function (index) {
+      return displayed.indexOf(index) === -1 ? [] : [{}];
+    }
+  };
+  var dataController = new dwv.ctrl.DataController();
+  var controller = new dwv.ctrl.DoseController(stage, dataController);
+  // 8x8x1 planning image with 1mm pixels, z=3 between the
+  // second and third dose frames
+  var getPlanningImage = function (frameOfReferenceUid) {
+    var geometry = new dwv.image.Geometry(
+      new dwv.math.Point3D(0, 0, 3),
+      new dwv.image.Size([8, 8, 1]),
+      new dwv.image.Spacing([1, 1, 1]));
+    var image = new dwv.image.Image(
+      geometry, new Int16Array(64), ['1.2.3.4.6']);
+    image.setMeta({Modality: 'CT'});
+    return {
+      image: image,
+      meta: {x00200052: {value: [frameOfReferenceUid]}}
+    };
+  };
+  var addData = function (index, data) {
+    dataController.addNew(index, data.image, data.meta);
+  };
+
+  // planning image loaded first: resampled at load
+  var planning = getPlanningImage('1.2.3.5');
+  addData(0, planning);
+  var dose = controller.getResampledDose(1, dwv.test.getTestDoseImage());
+  assert.ok(dose.getGeometry().equals(planning.image.getGeometry()),
+    'Resampled at load');
+
+  // planning image loaded after the dose: resampled with the image
+  controller.reset();
+  dataController.reset();
+  var ownDose = dwv.test.getTestDoseImage();
+  dose = controller.getResampledDose(0, ownDose);
+  assert.equal(dose, ownDose, 'Own grid without planning image');
+  dataController.addNew(0, dose, {});
+  // other frame of reference
+  addData(1, getPlanningImage('1.2.3.6'));
+  controller.onImageLoad(1);
+  assert.equal(dataController.get(0).image, ownDose,
+    'Own grid with another frame of reference');
+  addData(2, planning);
+  controller.onImageLoad(2);
+  dose = dataController.get(0).image;
+  assert.ok(dose.getGeometry().equals(planning.image.getGeometry()),
+    'Resampled with the planning image');
+  var index = new dwv.math.Index([4, 4, 0]);
+  assert.equal(
+    dose.getRescaledValueAtIndex(index), 2.5, 'Resampled dose');
+
+  // displayed dose: kept on its own grid
+  controller.reset();
+  dataController.reset();
+  dose = controller.getResampledDose(0, ownDose);
+  dataController.addNew(0, dose, {});
+  displayed.push(0);
+  addData(1, planning);
+  controller.onImageLoad(1);
+  assert.equal(dataController.get(0).image, ownDose,
+    'Own grid when displayed');
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests for the 'app/drawController.js' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit */
+
+/**
+ * Tests for {@link dwv.draw.getPositionImageReference}.
+ *
+ * @function module:tests/app~getPositionImageReference
+ */
+QUnit.test('Test draw position image reference.', function (assert) {
+  var spacing = new dwv.image.Spacing([1, 1, 1]);
+  var origin = new dwv.math.Point3D(0, 0, 0);
+
+  // multi-frame instance: frames are the fourth dimension
+  var size0 = new dwv.image.Size([2, 2, 1, 3]);
+  var image0 = new dwv.image.Image(
+    new dwv.image.Geometry(origin, size0, spacing),
+    new Uint8Array(size0.getTotalSize()), ['1.2.3.1']);
+  var reference0 = dwv.draw.getPositionImageReference(
+    image0, new dwv.math.Index([0, 0, 0, 2]));
+  assert.equal(reference0.sopInstanceUID, '1.2.3.1', 'Multi-frame uid');
+  assert.equal(reference0.frameNumber, 3, 'Multi-frame frame number');
+
+  // one instance per slice
+  var size1 = new dwv.image.Size([2, 2, 2]);
+  var image1 = new dwv.image.Image(
+    new dwv.image.Geometry(origin, size1, spacing),
+    new Uint8Array(size1.getTotalSize()), ['1.2.3.1', '1.2.3.2']);
+  var reference1 = dwv.draw.getPositionImageReference(
+    image1, new dwv.math.Index([0, 0, 1]));
+  assert.equal(reference1.sopInstanceUID, '1.2.3.2', 'Slice uid');
+  assert.equal(reference1.frameNumber, 1, 'Slice frame number');
+});
+
+/**
+ * Tests for {@link dwv.draw.getDrawPointWorld}.
+ *
+ * @function module:tests/app~getDrawPointWorld
+ */
+QUnit.test('Test draw point world position.', function (assert) {
+  var size = new dwv.image.Size([4, 4, 3]);
+  var spacing = new dwv.image.Spacing([2, 3, 1.5]);
+  var geometry = new dwv.image.Geometry(
+    new dwv.math.Point3D(10, 20, 30), size, spacing);
+  // center of the (1, 2, 0) pixel
+  var expected = geometry.pointToWorld(new dwv.math.Point3D(1, 2, 0));
+
+  // axial view: drawings have the pixel center at 0.5
+  var axialHelper = new dwv.image.PlaneHelper(
+    spacing, geometry.getOrientation(), dwv.math.getIdentityMat33());
+  var axial = dwv.draw.getDrawPointWorld(geometry, axialHelper, 1.5, 2.5, 0);
+  assert.ok(axial.equals(expected), 'Axial pixel center');
+
+  // coronal view: plane (x, y, k) is image (x, k, y)
+  var coronalHelper = new dwv.image.PlaneHelper(
+    spacing, geometry.getOrientation(), dwv.math.getCoronalMat33());
+  var coronal = dwv.draw.getDrawPointWorld(
+    geometry, coronalHelper, 1.5, 0.5, 2);
+  assert.ok(coronal.equals(expected), 'Coronal pixel center');
+});
@@ -0,0 +1,53 @@
+/**
+ * Tests for the 'app/structureSetController.js' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit */
+
+/**
+ * Tests for {@link dwv.ctrl.StructureSetController}.
+ *
+ * @function module:tests/app~StructureSetController
+ */
+QUnit.test('Test structure set controller structures.', function (assert) {
+  // stage without displayed data
+  var stage = {
+    getNumberOfLayerGroups: function () {
+      return 0;
+    }
+  };
+  var controller = new dwv.ctrl.StructureSetController(
+    stage, new dwv.ctrl.DataController());
+  assert.deepEqual(controller.getStructures(), [], 'No structures');
+
+  // structures are listed even without displayed data
+  var elements = dwv.dicom.getElementsFromJSONTags(
+    dwv.test.getTestStructureSetTags()).elements;
+  controller.addDrawings(elements, new dwv.gui.Style());
+  var structures = controller.getStructures();
+  assert.equal(structures.length, 2, 'Number of structures');
+  assert.deepEqual(structures[0], {
+    name: 'Body',
+    number: 1,
+    interpretedType: 'EXTERNAL',
+    colour: '#ff0000',
+    visible: true
+  }, 'First structure');
+  assert.equal(structures[1].name, 'Line', 'Second structure');
+
+  // visibility
+  controller.setStructureVisibility(0, false);
+  assert.notOk(controller.getStructures()[0].visible, 'Hidden structure');
+  controller.toggleStructureVisibility(0);
+  assert.ok(controller.getStructures()[0].visible, 'Toggled structure');
+  assert.throws(function () {
+    controller.setStructureVisibility(2, false);
+  }, new Error('Unknown structure index: 2'), 'Unknown structure');
+
+  // the list is not modified from outside
+  structures[1].visible = false;
+  assert.ok(controller.getStructures()[1].visible, 'Copied structures');
+
+  controller.reset();
+  assert.deepEqual(controller.getStructures(), [], 'Reset structures');
+});
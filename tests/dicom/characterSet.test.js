@@ -0,0 +1,134 @@
+// namespace
+var dwv = dwv || {};
+dwv.test = dwv.test || {};
+
+/**
+ * Tests for the 'dicom/characterSet.js' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit */
+
+/**
+ * Get a byte array from an hexadecimal string.
+ *
+ * @param {string} str The string as a space separated list of bytes.
+ * @returns {Uint8Array} The byte array.
+ */
+dwv.test.hexToBytes = function (str) {
+  var list = str.split(' ');
+  var bytes = new Uint8Array(list.length);
+  for (var i = 0; i < list.length; ++i) {
+    bytes[i] = parseInt(list[i], 16);
+  }
+  return bytes;
+};
+
+/**
+ * Person name examples of the DICOM standard, see PS3.5 Annexes H, I and J.
+ *
+ * @type {Array}
+ */
+dwv.test.codeExtensionExamples = [
+  {
+    terms: ['', 'ISO 2022 IR 87'],
+    name: 'Yamada^Tarou=山田^太郎=やまだ^たろう',
+    bytes: '59 61 6d 61 64 61 5e 54 61 72 6f 75 3d 1b 24 42 3b 33 45 44 ' +
+      '1b 28 42 5e 1b 24 42 42 40 4f 3a 1b 28 42 3d 1b 24 42 24 64 24 5e ' +
+      '24 40 1b 28 42 5e 1b 24 42 24 3f 24 6d 24 26 1b 28 42'
+  },
+  {
+    terms: ['ISO 2022 IR 13', 'ISO 2022 IR 87'],
+    name: 'ﾔﾏﾀﾞ^ﾀﾛｳ=山田^太郎=やまだ^たろう',
+    bytes: 'd4 cf c0 de 5e c0 db b3 3d 1b 24 42 3b 33 45 44 1b 28 4a 5e ' +
+      '1b 24 42 42 40 4f 3a 1b 28 4a 3d 1b 24 42 24 64 24 5e 24 40 1b 28 ' +
+      '4a 5e 1b 24 42 24 3f 24 6d 24 26 1b 28 4a'
+  },
+  {
+    terms: ['', 'ISO 2022 IR 149'],
+    name: 'Hong^Gildong=洪^吉洞=홍^길동',
+    bytes: '48 6f 6e 67 5e 47 69 6c 64 6f 6e 67 3d 1b 24 29 43 fb f3 5e ' +
+      '1b 24 29 43 d1 ce d4 d7 3d 1b 24 29 43 c8 ab 5e 1b 24 29 43 b1 e6 ' +
+      'b5 bf'
+  },
+  {
+    terms: ['ISO 2022 IR 6', 'ISO 2022 IR 58'],
+    name: 'Zhang^XiaoDong=张^小东=',
+    bytes: '5a 68 61 6e 67 5e 58 69 61 6f 44 6f 6e 67 3d 1b 24 29 41 d5 c5 ' +
+      '5e 1b 24 29 41 d0 a1 b6 ab 3d'
+  }
+];
+
+/**
+ * Tests for {@link dwv.dicom.decodeWithCodeExtensions} and
+ *   {@link dwv.dicom.encodeWithCodeExtensions}.
+ *
+ * @function module:tests/dicom~codeExtensions
+ */
+QUnit.test('Test ISO 2022 code extensions.', function (assert) {
+  var examples = dwv.test.codeExtensionExamples;
+  for (var i = 0; i < examples.length; ++i) {
+    var terms = examples[i].terms;
+    var label = terms.join('\\');
+    assert.ok(dwv.dicom.isCodeExtensionCharacterSet(terms),
+      'Code extension ' + label);
+    var bytes = dwv.test.hexToBytes(examples[i].bytes);
+    assert.equal(dwv.dicom.decodeWithCodeExtensions(bytes, terms, true),
+      examples[i].name, 'Decode ' + label);
+    assert.deepEqual(
+      dwv.dicom.encodeWithCodeExtensions(examples[i].name, terms, true),
+      bytes, 'Encode ' + label);
+  }
+
+  // not code extensions
+  assert.notOk(dwv.dicom.isCodeExtensionCharacterSet(['ISO_IR 100']),
+    'Single term');
+  assert.notOk(dwv.dicom.isCodeExtensionCharacterSet(['', 'ISO_IR 192']),
+    'Unsupported term');
+});
+
+/**
+ * Tests for {@link dwv.dicom.DicomParser} and {@link dwv.dicom.DicomWriter}
+ *   with a multi-valued SpecificCharacterSet.
+ *
+ * @function module:tests/dicom~codeExtensionsParseWrite
+ */
+QUnit.test('Test ISO 2022 code extensions parse and write.',
+  function (assert) {
+    var example = dwv.test.codeExtensionExamples[0];
+    var json = {
+      '00080005': {vr: 'CS', Value: [null, 'ISO 2022 IR 87']},
+      '00080016': {vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.7']},
+      '00080018': {vr: 'UI', Value: ['1.2.3.4.5']},
+      '00081030': {vr: 'LO', Value: ['検査\\CT']},
+      '00100010': {
+        vr: 'PN',
+        Value: [dwv.dicom.getDicomJsonPersonName(example.name)]
+      }
+    };
+    var elements = dwv.dicom.getElementsFromDicomJson(json);
+    var writer = new dwv.dicom.DicomWriter();
+    var buffer = writer.getBuffer(elements);
+
+    // check written bytes
+    var parser = new dwv.dicom.DicomParser();
+    parser.parse(buffer);
+    var rawTags = parser.getRawDicomElements();
+    var nameElement = rawTags.x00100010;
+    var nameBytes = new Uint8Array(buffer, nameElement.startOffset,
+      nameElement.endOffset - nameElement.startOffset);
+    var expected = dwv.test.hexToBytes(example.bytes);
+    assert.deepEqual(nameBytes, expected, 'Written bytes');
+
+    // check read values
+    var tags = parser.getDicomElements();
+    assert.equal(tags.getFromKey('x00100010'), example.name,
+      'PatientName');
+    assert.deepEqual(tags.getFromKey('x00081030', true), ['検査', 'CT '],
+      'StudyDescription');
+
+    // write again
+    var buffer2 = writer.getBuffer(rawTags);
+    assert.deepEqual(new Uint8Array(buffer2), new Uint8Array(buffer),
+      'Round trip');
+  }
+);
@@ -0,0 +1,266 @@
+// namespace
+var dwv = dwv || {};
+dwv.test = dwv.test || {};
+
+/**
+ * Tests for the 'dicom/deidentifier.js' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit */
+
+/**
+ * Tests for {@link dwv.dicom.Deidentifier} basic profile.
+ * Using remote file for CI integration.
+ *
+ * @function module:tests/dicom~deidentifierBasicProfile
+ */
+QUnit.test('Test Basic Profile de-identification.', function (assert) {
+  var done = assert.async();
+
+  var request = new XMLHttpRequest();
+  var url = '/tests/data/dicompyler-ct.0.dcm';
+  request.open('GET', url, true);
+  request.responseType = 'arraybuffer';
+  request.onload = function (/*event*/) {
+    var dicomParser = new dwv.dicom.DicomParser();
+    dicomParser.parse(this.response);
+    var rawTags = dicomParser.getRawDicomElements();
+    var studyUid = dwv.dicom.cleanString(rawTags.x0020000D.value[0]);
+    var sopUid = dwv.dicom.cleanString(rawTags.x00080018.value[0]);
+
+    var deidentifier = new dwv.dicom.Deidentifier();
+    var elements = deidentifier.deidentify(rawTags);
+    assert.equal(rawTags.x00100010.value[0], 'boost^breast',
+      'Input elements not modified');
+
+    // write and read back
+    var dicomWriter = new dwv.dicom.DicomWriter();
+    var parser2 = new dwv.dicom.DicomParser();
+    parser2.parse(dicomWriter.getBuffer(elements));
+    var tags = parser2.getDicomElements();
+
+    assert.equal(tags.getFromKey('x00100010'), '', 'PatientName');
+    assert.equal(tags.getFromKey('x00100020'), '', 'PatientID');
+    assert.equal(tags.getFromKey('x00080080'), 'ANONYMIZED',
+      'InstitutionName');
+    assert.equal(tags.getFromKey('x00081010'), 'ANONYMIZED', 'StationName');
+    assert.equal(tags.getFromKey('x00080020'), '', 'StudyDate');
+    assert.equal(tags.getFromKey('x00080021'), '19000101', 'SeriesDate');
+    assert.equal(tags.getFromKey('x00080060'), 'CT', 'Modality kept');
+
+    // UIDs
+    var newStudyUid = tags.getFromKey('x0020000D');
+    assert.notEqual(newStudyUid, studyUid, 'StudyInstanceUID replaced');
+    assert.ok(newStudyUid.length <= 64, 'StudyInstanceUID length');
+    assert.equal(tags.getFromKey('x00020003'), tags.getFromKey('x00080018'),
+      'Consistent SOPInstanceUID');
+    var newSopUid = dwv.dicom.cleanString(tags.getFromKey('x00080018'));
+    assert.equal(deidentifier.getUid(sopUid), newSopUid, 'Deterministic UID');
+    // random default salt
+    var deidentifier2 = new dwv.dicom.Deidentifier();
+    assert.notEqual(deidentifier2.getUidSalt(), deidentifier.getUidSalt(),
+      'Random salt');
+    assert.notEqual(deidentifier2.getUid(sopUid), newSopUid, 'Salted UID');
+    // same salt across sessions
+    var deidentifier3 = new dwv.dicom.Deidentifier({
+      uidSalt: deidentifier.getUidSalt()
+    });
+    assert.equal(deidentifier3.getUid(sopUid), newSopUid, 'Same salt UID');
+    assert.equal(dwv.dicom.cleanString(tags.getFromKey('x00080016')),
+      '1.2.840.10008.5.1.4.1.1.2', 'SOPClassUID kept');
+
+    // de-identification attributes
+    assert.equal(dwv.dicom.cleanString(tags.getFromKey('x00120062')), 'YES',
+      'PatientIdentityRemoved');
+    assert.equal(dwv.dicom.cleanString(tags.getFromKey('x00280303')),
+      'REMOVED', 'LongitudinalTemporalInformationModified');
+    var codes = parser2.getRawDicomElements().x00120064.value;
+    assert.equal(codes.length, 1, 'Number of method codes');
+    assert.equal(codes[0].x00080100.value[0], '113100', 'Method code');
+
+    // shifted dates
+    deidentifier = new dwv.dicom.Deidentifier({
+      retainLongitudinalDates: true,
+      dateOffset: -1
+    });
+    var parser3 = new dwv.dicom.DicomParser();
+    parser3.parse(dicomWriter.getBuffer(deidentifier.deidentify(rawTags)));
+    tags = parser3.getDicomElements();
+    assert.equal(tags.getFromKey('x00080020'), '19001231', 'Shifted StudyDate');
+    assert.equal(tags.getFromKey('x00080030'), '000000', 'StudyTime kept');
+    assert.equal(dwv.dicom.cleanString(tags.getFromKey('x00280303')),
+      'MODIFIED',
+      'Modified LongitudinalTemporalInformationModified');
+    codes = parser3.getRawDicomElements().x00120064.value;
+    assert.equal(codes[1].x00080100.value[0], '113107', 'Option code');
+
+    done();
+  };
+  request.send(null);
+});
+
+/**
+ * Tests for {@link dwv.dicom.Deidentifier} sequences.
+ * Using remote file for CI integration.
+ *
+ * @function module:tests/dicom~deidentifierSequences
+ */
+QUnit.test('Test de-identification of sequences.', function (assert) {
+  var done = assert.async();
+
+  var request = new XMLHttpRequest();
+  var url = '/tests/data/dwv-test-sequence.dcm';
+  request.open('GET', url, true);
+  request.responseType = 'arraybuffer';
+  request.onload = function (/*event*/) {
+    var dicomParser = new dwv.dicom.DicomParser();
+    dicomParser.parse(this.response);
+    var rawTags = dicomParser.getRawDicomElements();
+    var refUid = dwv.dicom.cleanString(
+      rawTags.x00081140.value[0].x00081155.value[0]);
+
+    var deidentifier = new dwv.dicom.Deidentifier();
+    var dicomWriter = new dwv.dicom.DicomWriter();
+    var parser2 = new dwv.dicom.DicomParser();
+    parser2.parse(dicomWriter.getBuffer(deidentifier.deidentify(rawTags)));
+    var tags = parser2.getRawDicomElements();
+
+    // referenced UIDs replaced in kept sequences
+    var newRefUid = dwv.dicom.cleanString(
+      tags.x00081140.value[0].x00081155.value[0]);
+    assert.equal(newRefUid, deidentifier.getUid(refUid),
+      'ReferencedImageSequence UID');
+    assert.equal(dwv.dicom.cleanString(
+      tags.x00082112.value[0].x00081155.value[0]), newRefUid,
+    'SourceImageSequence UID');
+    assert.equal(dwv.dicom.cleanString(
+      tags.x00081140.value[0].x00081150.value[0]),
+    '1.2.840.10008.5.1.4.1.1.4', 'ReferencedSOPClassUID kept');
+    // removed sequences
+    assert.equal(typeof tags.x00081120, 'undefined',
+      'ReferencedPatientSequence');
+    assert.equal(typeof tags.x00080096, 'undefined',
+      'ReferringPhysicianIdentificationSequence');
+    assert.equal(typeof tags.x00081050, 'undefined',
+      'PerformingPhysicianName');
+
+    done();
+  };
+  request.send(null);
+});
+
+/**
+ * Tests for {@link dwv.dicom.Deidentifier} options.
+ *
+ * @function module:tests/dicom~deidentifierOptions
+ */
+QUnit.test('Test de-identification options.', function (assert) {
+  // actions
+  var deidentifier = new dwv.dicom.Deidentifier();
+  assert.equal(deidentifier.getAction('StudyInstanceUID'), 'U', 'Basic UID');
+  assert.equal(deidentifier.getAction('SeriesDate'), 'D', 'Basic date');
+  assert.equal(deidentifier.getAction('Modality'), null, 'Not listed');
+  deidentifier = new dwv.dicom.Deidentifier({
+    retainUids: true,
+    retainDeviceIdentity: true,
+    retainLongitudinalDates: true,
+    cleanDescriptors: true
+  });
+  assert.equal(deidentifier.getAction('StudyInstanceUID'), 'K', 'Retain UID');
+  assert.equal(deidentifier.getAction('StationName'), 'K', 'Retain device');
+  assert.equal(deidentifier.getAction('SeriesDate'), 'C', 'Retain date');
+  assert.equal(deidentifier.getAction('StudyDescription'), 'C',
+    'Clean descriptor');
+  assert.equal(deidentifier.getAction('PatientName'), 'Z', 'Not optional');
+
+  // date shift
+  assert.equal(dwv.dicom.shiftDicomDate('20200301', -1), '20200229',
+    'Shift date');
+  assert.equal(dwv.dicom.shiftDicomDate('20201231120000', 1),
+    '20210101120000', 'Shift date time');
+  assert.equal(dwv.dicom.shiftDicomDate('2020', 1), '2020', 'Partial date');
+
+  // clean descriptors
+  var elements = {
+    x00100010: {value: ['Doe^John']},
+    x00100020: {value: ['id123 ']}
+  };
+  var identifiers = dwv.dicom.getPatientIdentifiers(elements);
+  assert.deepEqual(identifiers, ['Doe', 'John', 'id123'], 'Identifiers');
+  assert.equal(dwv.dicom.removeIdentifiers('Scan of JOHN doe (ID123)',
+    identifiers), 'Scan of   ()', 'Remove identifiers');
+});
+
+/**
+ * Tests for {@link dwv.dicom.Deidentifier} of descriptors, structured
+ *   content, annotations and not listed attributes.
+ *
+ * @function module:tests/dicom~deidentifierAttributes
+ */
+QUnit.test('Test de-identification of attributes.', function (assert) {
+  var tags = {
+    TransferSyntaxUID: '1.2.840.10008.1.2.1',
+    SOPClassUID: '1.2.840.10008.5.1.4.1.1.7',
+    Modality: 'OT',
+    Manufacturer: 'dwv',
+    Rows: 2,
+    ProtocolName: 'Doe protocol',
+    AcquisitionProtocolName: 'Doe acquisition',
+    ContentSequence: {
+      0: {
+        ValueType: 'TEXT',
+        TextValue: 'John Doe'
+      }
+    },
+    TextValue: 'John Doe',
+    GraphicAnnotationSequence: {
+      0: {
+        GraphicLayer: 'LAYER'
+      }
+    },
+    OverlayDate: '20200101',
+    CurveDate: '20200101',
+    DateOfSecondaryCapture: '20200101',
+    ScheduledStationName: 'Doe station',
+    PatientInstitutionResidence: 'Doe hospital',
+    CommentsOnThePerformedProcedureStep: 'John Doe'
+  };
+  var rawTags = dwv.dicom.getElementsFromJSONTags(tags).elements;
+  var deidentifier = new dwv.dicom.Deidentifier();
+  var elements = deidentifier.deidentify(rawTags);
+
+  var removed = [
+    'ContentSequence',
+    'TextValue',
+    'OverlayDate',
+    'CurveDate',
+    'DateOfSecondaryCapture',
+    'ScheduledStationName',
+    'PatientInstitutionResidence',
+    'CommentsOnThePerformedProcedureStep'
+  ];
+  for (var i = 0; i < removed.length; ++i) {
+    var key = dwv.dicom.getTagFromDictionary(removed[i]).getKey();
+    assert.equal(typeof elements[key], 'undefined', removed[i] + ' removed');
+  }
+  // replaced
+  assert.equal(elements.x00181030.value[0], 'ANONYMIZED', 'ProtocolName');
+  assert.equal(elements.x00189423.value[0], 'ANONYMIZED',
+    'AcquisitionProtocolName');
+  assert.equal(elements.x00700001.value.length, 0,
+    'GraphicAnnotationSequence');
+  // kept
+  assert.equal(elements.x00080060.value[0], 'OT', 'Modality');
+  assert.equal(dwv.dicom.cleanString(elements.x00080070.value[0]), 'dwv',
+    'Manufacturer');
+  assert.equal(elements.x00280010.value[0], 2, 'Rows');
+
+  // actions of not listed attributes
+  assert.equal(deidentifier.getAction('CommentsOnThePerformedProcedureStep',
+    'ST'), 'X', 'Not listed text');
+  assert.equal(deidentifier.getAction(null, 'UN'), 'X', 'Unknown');
+  assert.equal(deidentifier.getAction('Manufacturer', 'LO'), null,
+    'Not listed safe text');
+  assert.equal(deidentifier.getAction('Rows', 'US'), null,
+    'Not listed number');
+});
@@ -0,0 +1,281 @@
+// namespace
+var dwv = dwv || {};
+dwv.test = dwv.test || {};
+
+/**
+ * Tests for the 'dicom/dicomJson.js' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit, BigInt, BigInt64Array, BigUint64Array */
+
+/**
+ * Tests for {@link dwv.dicom.toDicomJson} and
+ *   {@link dwv.dicom.getElementsFromDicomJson} with parsed data.
+ *
+ * @function module:tests/dicom~dicomJsonRoundTrip
+ */
+QUnit.test('Test DICOM JSON round trip.', function (assert) {
+  var done = assert.async(2);
+
+  // meta elements updated by the writer
+  var removeWriterMeta = function (json) {
+    delete json['00020000'];
+    delete json['00020001'];
+    delete json['00020012'];
+    delete json['00020013'];
+  };
+
+  var request = new XMLHttpRequest();
+  var url = '/tests/data/dwv-test-sequence.dcm';
+  request.open('GET', url, true);
+  request.responseType = 'arraybuffer';
+  request.onload = function (/*event*/) {
+    var dicomParser = new dwv.dicom.DicomParser();
+    dicomParser.parse(this.response);
+    var json = dwv.dicom.toDicomJson(dicomParser.getRawDicomElements());
+
+    assert.deepEqual(json['00081050'],
+      {vr: 'PN', Value: [{Alphabetic: 'Dr'}]}, 'PN attribute');
+    assert.deepEqual(json['00280010'],
+      {vr: 'US', Value: [32]}, 'US attribute');
+    assert.equal(
+      json['00081110'].Value[0]['0040A170'].Value[0]['00080100'].Value[0],
+      '123456', 'Sequence attribute');
+    assert.equal(json['00081120'].Value, undefined, 'Empty sequence');
+    assert.ok(typeof json['7FE00010'].InlineBinary !== 'undefined',
+      'Pixel data inline binary');
+
+    // write and parse back
+    var elements = dwv.dicom.getElementsFromDicomJson(json);
+    var writer = new dwv.dicom.DicomWriter();
+    var parser2 = new dwv.dicom.DicomParser();
+    parser2.parse(writer.getBuffer(elements));
+    var json2 = dwv.dicom.toDicomJson(parser2.getRawDicomElements());
+
+    removeWriterMeta(json);
+    removeWriterMeta(json2);
+    assert.deepEqual(json2, json, 'Round trip');
+
+    done();
+  };
+  request.send(null);
+
+  var request2 = new XMLHttpRequest();
+  var url2 = '/tests/data/dwv-test-jpegls.dcm';
+  request2.open('GET', url2, true);
+  request2.responseType = 'arraybuffer';
+  request2.onload = function (/*event*/) {
+    var dicomParser = new dwv.dicom.DicomParser();
+    dicomParser.parse(this.response);
+    var rawElements = dicomParser.getRawDicomElements();
+    var fragments = rawElements.x7FE00010.value;
+    // pixel data as bulk data
+    var json = dwv.dicom.toDicomJson(rawElements, function (key) {
+      return key === '7FE00010' ? 'bulk/pixels' : undefined;
+    });
+    assert.deepEqual(json['7FE00010'],
+      {vr: 'OB', BulkDataURI: 'bulk/pixels'}, 'Pixel data bulk data URI');
+
+    // write and parse back
+    var elements = dwv.dicom.getElementsFromDicomJson(
+      json, {'bulk/pixels': fragments});
+    var writer = new dwv.dicom.DicomWriter();
+    var parser2 = new dwv.dicom.DicomParser();
+    parser2.parse(writer.getBuffer(elements));
+    var rawElements2 = parser2.getRawDicomElements();
+    assert.equal(rawElements2.x7FE00010.vl, 'u/l', 'Encapsulated pixel data');
+    assert.deepEqual(rawElements2.x7FE00010.value, fragments,
+      'Encapsulated pixel data fragments');
+
+    // inline item stream
+    var json3 = dwv.dicom.toDicomJson(rawElements);
+    var elements3 = dwv.dicom.getElementsFromDicomJson(json3);
+    assert.deepEqual(elements3.x7FE00010.value, fragments,
+      'Encapsulated pixel data inline binary');
+
+    done();
+  };
+  request2.send(null);
+});
+
+/**
+ * Tests for {@link dwv.dicom.getElementsFromDicomJson} with
+ *   a DICOMweb like input.
+ *
+ * @function module:tests/dicom~dicomJsonToElements
+ */
+QUnit.test('Test DICOM JSON to elements.', function (assert) {
+  var json = {
+    '00080016': {vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.7']},
+    '00080018': {vr: 'UI', Value: ['1.2.3.4.5']},
+    '00081140': {
+      vr: 'SQ',
+      Value: [
+        {'00081155': {vr: 'UI', Value: ['1.2.3']}},
+        {'00081155': {vr: 'UI', Value: ['1.2.3.4']}}
+      ]
+    },
+    '00100010': {
+      vr: 'PN',
+      Value: [{Alphabetic: 'Yamada^Tarou', Phonetic: 'yamada^tarou'}]
+    },
+    '00101010': {vr: 'AS'},
+    '00181310': {vr: 'US', Value: [0, 2, 2, 0]},
+    '00200013': {vr: 'IS', Value: [12]},
+    '00280030': {vr: 'DS', Value: [0.5, 0.25]},
+    '00280009': {vr: 'AT', Value: ['00181063']},
+    '00280002': {vr: 'US', Value: [1]},
+    '00280010': {vr: 'US', Value: [2]},
+    '00280011': {vr: 'US', Value: [2]},
+    '00280100': {vr: 'US', Value: [8]},
+    '00280101': {vr: 'US', Value: [8]},
+    '00280103': {vr: 'US', Value: [0]},
+    '7FE00010': {vr: 'OB', BulkDataURI: 'bulk/pixels'}
+  };
+  var pixels = new Uint8Array([1, 2, 3, 4]);
+  var elements = dwv.dicom.getElementsFromDicomJson(
+    json, {'bulk/pixels': pixels.buffer});
+  // created meta
+  assert.equal(elements.x00020002.value[0], '1.2.840.10008.5.1.4.1.1.7\0',
+    'MediaStorageSOPClassUID');
+  assert.equal(elements.x00020010.value[0], '1.2.840.10008.1.2.1\0',
+    'TransferSyntaxUID');
+
+  // write and parse
+  var writer = new dwv.dicom.DicomWriter();
+  var parser = new dwv.dicom.DicomParser();
+  parser.parse(writer.getBuffer(elements));
+  var tags = parser.getDicomElements();
+  assert.equal(tags.getFromKey('x00020003'), '1.2.3.4.5\0',
+    'MediaStorageSOPInstanceUID');
+  assert.equal(tags.getFromKey('x00100010'), 'Yamada^Tarou==yamada^tarou',
+    'PatientName');
+  assert.equal(tags.getFromKey('x00200013'), '12', 'InstanceNumber');
+  assert.deepEqual(tags.getFromKey('x00280030', true), ['0.5', '0.25'],
+    'PixelSpacing');
+  assert.deepEqual(tags.getFromKey('x00181310', true),
+    new Uint16Array([0, 2, 2, 0]), 'AcquisitionMatrix');
+  var rawTags = parser.getRawDicomElements();
+  assert.equal(rawTags.x00101010.vl, 0, 'Empty PatientAge');
+  assert.equal(rawTags.x00280009.value[0], '(0018,1063)',
+    'FrameIncrementPointer');
+  assert.equal(rawTags.x00081140.value.length, 2, 'Sequence length');
+  assert.equal(rawTags.x00081140.value[1].x00081155.value[0], '1.2.3.4\0',
+    'Sequence item');
+  assert.deepEqual(rawTags.x7FE00010.value[0], pixels, 'PixelData');
+
+  // back to JSON
+  var json2 = dwv.dicom.toDicomJson(rawTags);
+  assert.deepEqual(json2['00100010'], json['00100010'], 'PN to JSON');
+  assert.deepEqual(json2['00280030'], json['00280030'], 'DS to JSON');
+  assert.deepEqual(json2['00280009'], json['00280009'], 'AT to JSON');
+  assert.deepEqual(json2['7FE00010'], {vr: 'OB', InlineBinary: 'AQIDBA=='},
+    'OB to JSON');
+});
+
+/**
+ * Tests for {@link dwv.dicom.getElementsFromDicomJson} and
+ *   {@link dwv.dicom.toDicomJson} with float and 64 bit integer values.
+ *
+ * @function module:tests/dicom~dicomJsonNumberTypes
+ */
+QUnit.test('Test DICOM JSON number types round trip.', function (assert) {
+  var json = {
+    '00080016': {vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.7']},
+    '00080018': {vr: 'UI', Value: ['1.2.3.4.5']},
+    // [1.5, -2.25]
+    '00660016': {vr: 'OF', InlineBinary: 'AADAPwAAEMA='},
+    // [3.125]
+    '7FE00009': {vr: 'OD', InlineBinary: 'AAAAAAAACUA='},
+    '00110010': {vr: 'LO', Value: ['DWV TEST']},
+    // 64 bit integers, as strings out of the safe integer range
+    '00111001': {vr: 'SV', Value: [-5, '-9007199254740993']},
+    '00111002': {vr: 'UV', Value: [7, '18446744073709551615']}
+  };
+  var elements = dwv.dicom.getElementsFromDicomJson(json);
+  assert.deepEqual(elements.x00660016.value, new Float32Array([1.5, -2.25]),
+    'OF value');
+  assert.deepEqual(elements.x7FE00009.value, new Float64Array([3.125]),
+    'OD value');
+  assert.ok(elements.x00111001.value instanceof BigInt64Array, 'SV type');
+  assert.equal(elements.x00111001.value[1], BigInt('-9007199254740993'),
+    'SV value');
+  assert.ok(elements.x00111002.value instanceof BigUint64Array, 'UV type');
+  assert.equal(elements.x00111002.value[1], BigInt('18446744073709551615'),
+    'UV value');
+  assert.deepEqual(dwv.dicom.toDicomJson(elements)['00111001'],
+    json['00111001'], 'SV to JSON');
+
+  // write and parse
+  var writer = new dwv.dicom.DicomWriter();
+  var parser = new dwv.dicom.DicomParser();
+  parser.parse(writer.getBuffer(elements));
+  var rawTags = parser.getRawDicomElements();
+  assert.deepEqual(rawTags.x00660016.value, new Float32Array([1.5, -2.25]),
+    'Parsed OF value');
+  assert.deepEqual(rawTags.x7FE00009.value, new Float64Array([3.125]),
+    'Parsed OD value');
+  assert.equal(rawTags.x00111001.value[0], BigInt(-5), 'Parsed SV value');
+  assert.equal(rawTags.x00111002.value[1], BigInt('18446744073709551615'),
+    'Parsed UV value');
+
+  // back to JSON
+  var json2 = dwv.dicom.toDicomJson(rawTags);
+  var keys = ['00660016', '7FE00009', '00111001', '00111002'];
+  for (var i = 0; i < keys.length; ++i) {
+    assert.deepEqual(json2[keys[i]], json[keys[i]],
+      json[keys[i]].vr + ' round trip');
+  }
+});
+
+/**
+ * Tests for {@link dwv.dicom.getElementsFromDicomJson} and the DICOM
+ *   writer and parser without BigInt64Array support (for example
+ *   Safari < 15).
+ *
+ * @function module:tests/dicom~dicomJsonNoBigInt
+ */
+QUnit.test('Test DICOM without BigInt typed arrays.', function (assert) {
+  var json = {
+    '00080016': {vr: 'UI', Value: ['1.2.840.10008.5.1.4.1.1.7']},
+    '00080018': {vr: 'UI', Value: ['1.2.3.4.5']},
+    '00280010': {vr: 'US', Value: [2]},
+    '00110010': {vr: 'LO', Value: ['DWV TEST']},
+    '00111001': {vr: 'SV', Value: [-5]}
+  };
+  var buffer = new dwv.dicom.DicomWriter().getBuffer(
+    dwv.dicom.getElementsFromDicomJson(json));
+
+  // remove the global typed arrays
+  var bigInt64Array = window.BigInt64Array;
+  var bigUint64Array = window.BigUint64Array;
+  delete window.BigInt64Array;
+  delete window.BigUint64Array;
+  try {
+    // parse: SV values are kept as raw bytes
+    var parser = new dwv.dicom.DicomParser();
+    parser.parse(buffer);
+    var rawTags = parser.getRawDicomElements();
+    assert.equal(rawTags.x00280010.value[0], 2, 'Parsed US value');
+    assert.ok(rawTags.x00111001.value instanceof Uint8Array,
+      'Parsed SV raw type');
+    assert.equal(rawTags.x00111001.value.length, 8, 'Parsed SV raw length');
+    // write again
+    var buffer2 = new dwv.dicom.DicomWriter().getBuffer(rawTags);
+    assert.deepEqual(new Uint8Array(buffer2), new Uint8Array(buffer),
+      'Written raw SV');
+    // JSON import
+    assert.equal(dwv.dicom.getElementsFromDicomJson({
+      '00280010': {vr: 'US', Value: [2]}
+    }).x00280010.value[0], 2, 'JSON US value');
+    assert.throws(function () {
+      dwv.dicom.getElementsFromDicomJson({
+        '00111001': {vr: 'SV', Value: [-5]}
+      });
+    }, new Error('Cannot read SV values without BigInt support.'),
+    'JSON SV value');
+  } finally {
+    window.BigInt64Array = bigInt64Array;
+    window.BigUint64Array = bigUint64Array;
+  }
+});
@@ -190,6 +190,492 @@ QUnit.test('Test sequence DICOM parsing.', function (assert) {
   request.send(null);
 });
 
+/**
+ * Tests for {@link dwv.dicom.DicomParser} using deflated DICOM data.
+ * Using remote file for CI integration.
+ *
+ * @function module:tests/dicom~dicomParserDeflatedDicom
+ */
+QUnit.test('Test deflated DICOM parsing.', function (assert) {
+  var done = assert.async();
+
+  var request = new XMLHttpRequest();
+  var url = '/tests/data/dwv-test-deflate.dcm';
+  request.open('GET', url, true);
+  request.responseType = 'arraybuffer';
+  request.onerror = function (event) {
+    console.log(event);
+  };
+  request.onload = function (/*event*/) {
+    assert.ok((this.response.byteLength !== 0), 'Got a response.');
+
+    // parse DICOM
+    var dicomParser = new dwv.dicom.DicomParser();
+    dicomParser.parse(this.response);
+
+    // raw tags
+    var rawTags = dicomParser.getRawDicomElements();
+    assert.equal(dwv.dicom.cleanString(rawTags.x00020010.value[0]),
+      '1.2.840.10008.1.2.1.99', 'Transfer syntax');
+    // same values as the simple data
+    assert.equal(rawTags.x00280010.value[0], 32, 'Number of rows (raw)');
+    assert.equal(rawTags.x00280011.value[0], 32, 'Number of columns (raw)');
+    assert.equal(rawTags.x00081140.value[0].x00081155.value[0],
+      '1.3.12.2.1107.5.2.32.35162.2012021515511672669154094',
+      'ReferencedImageSequence SQ (raw)');
+    assert.equal(rawTags.x7FE00010.vl, 2060, 'Pixel data length');
+
+    // finish async test
+    done();
+  };
+  request.send(null);
+});
+
+/**
+ * Tests for {@link dwv.dicom.inflateDataSet}: raw DEFLATE (as required
+ *   by the standard) and zlib wrapped data sets.
+ *
+ * @function module:tests/dicom~inflateDataSet
+ */
+QUnit.test('Test inflateDataSet.', function (assert) {
+  // 2 bytes 'meta' followed by 'abcabcabcabc' deflated
+  var getBuffer = function (deflated) {
+    var bytes = new Uint8Array(2 + deflated.length);
+    bytes.set([1, 2]);
+    bytes.set(deflated, 2);
+    return bytes.buffer;
+  };
+  var getDataSet = function (buffer) {
+    return dwv.utils.uint8ArrayToString(new Uint8Array(buffer, 2));
+  };
+
+  // raw DEFLATE (from zlib.deflateRawSync)
+  /* eslint-disable array-element-newline */
+  var raw = [0x4b, 0x4c, 0x4a, 0x4e, 0x84, 0x21, 0x00];
+  var inflated = dwv.dicom.inflateDataSet(getBuffer(raw), 2);
+  assert.deepEqual(Array.from(new Uint8Array(inflated, 0, 2)), [1, 2],
+    'Raw: meta is kept');
+  assert.equal(getDataSet(inflated), 'abcabcabcabc', 'Raw: data set');
+
+  // zlib wrapped (from zlib.deflateSync): header and adler32 checksum
+  var zlib = [
+    0x78, 0x9c, 0x4b, 0x4c, 0x4a, 0x4e, 0x84, 0x21, 0x00,
+    0x1d, 0xe0, 0x04, 0x99
+  ];
+  /* eslint-enable array-element-newline */
+  inflated = dwv.dicom.inflateDataSet(getBuffer(zlib), 2);
+  assert.deepEqual(Array.from(new Uint8Array(inflated, 0, 2)), [1, 2],
+    'Zlib: meta is kept');
+  assert.equal(getDataSet(inflated), 'abcabcabcabc', 'Zlib: data set');
+
+  // neither raw nor zlib
+  assert.throws(function () {
+    dwv.dicom.inflateDataSet(getBuffer([0x07, 0x00]), 2);
+  }, 'Bad deflated data set');
+});
+
+/**
+ * Tests for {@link dwv.dicom.DicomParser} using a stop tag and
+ *   lazy pixel data.
+ *
+ * @function module:tests/dicom~dicomParserLazyPixelData
+ */
+QUnit.test('Test header only and lazy DICOM parsing.', function (assert) {
+  var done = assert.async(2);
+
+  var request = new XMLHttpRequest();
+  var url = '/tests/data/dwv-test-simple.dcm';
+  request.open('GET', url, true);
+  request.responseType = 'arraybuffer';
+  request.onload = function (/*event*/) {
+    // reference parse
+    var refParser = new dwv.dicom.DicomParser();
+    refParser.parse(this.response);
+    var refPixels = refParser.getRawDicomElements().x7FE00010.value[0];
+
+    // header only
+    var headerParser = new dwv.dicom.DicomParser();
+    headerParser.setStopTagKey('x7FE00010');
+    headerParser.parse(this.response);
+    var headerTags = headerParser.getRawDicomElements();
+    assert.equal(headerTags.x00280010.value[0], 32, 'Header rows');
+    assert.equal(typeof headerTags.x7FE00010, 'undefined',
+      'Header no pixel data');
+
+    // lazy
+    var lazyParser = new dwv.dicom.DicomParser();
+    lazyParser.setLazyPixelData(true);
+    lazyParser.parse(this.response);
+    var lazyTags = lazyParser.getRawDicomElements();
+    var lazy = lazyTags.x7FE00010.value;
+    assert.ok(lazy instanceof dwv.dicom.LazyPixelData, 'Lazy value');
+    assert.notOk(lazy.isEncapsulated(), 'Lazy native');
+    assert.equal(lazy.getNumberOfItems(), 1, 'Lazy number of items');
+    var ranges = lazy.getRanges();
+    assert.equal(ranges.length, 1, 'Lazy number of ranges');
+    assert.equal(ranges[0].length, 2060, 'Lazy range length');
+    assert.equal(ranges[0].offset + ranges[0].length,
+      this.response.byteLength, 'Lazy range end');
+    assert.deepEqual(lazy.getItem(0), refPixels, 'Lazy item');
+    assert.deepEqual(lazy.read(), [refPixels], 'Lazy read');
+
+    // lazy values are read when writing or serialising
+    var refTags = refParser.getRawDicomElements();
+    var writer = new dwv.dicom.DicomWriter();
+    assert.deepEqual(new Uint8Array(writer.getBuffer(lazyTags)),
+      new Uint8Array(writer.getBuffer(refTags)), 'Lazy write');
+    assert.ok(lazyTags.x7FE00010.value instanceof dwv.dicom.LazyPixelData,
+      'Lazy value is kept after write');
+    assert.deepEqual(dwv.dicom.toDicomJson(lazyTags),
+      dwv.dicom.toDicomJson(refTags), 'Lazy DICOM JSON');
+    assert.equal(new dwv.dicom.DicomElementsWrapper(lazyTags).dump(),
+      new dwv.dicom.DicomElementsWrapper(refTags).dump(), 'Lazy dump');
+
+    // finish async test
+    done();
+  };
+  request.send(null);
+
+  var request2 = new XMLHttpRequest();
+  var url2 = '/tests/data/dwv-test-jpegls.dcm';
+  request2.open('GET', url2, true);
+  request2.responseType = 'arraybuffer';
+  request2.onload = function (/*event*/) {
+    // reference parse
+    var refParser = new dwv.dicom.DicomParser();
+    refParser.parse(this.response);
+    var refItems = refParser.getRawDicomElements().x7FE00010.value;
+
+    // lazy
+    var lazyParser = new dwv.dicom.DicomParser();
+    lazyParser.setLazyPixelData(true);
+    lazyParser.parse(this.response);
+    var lazy = lazyParser.getRawDicomElements().x7FE00010.value;
+    assert.ok(lazy.isEncapsulated(), 'Lazy encapsulated');
+    assert.equal(lazy.getNumberOfItems(), refItems.length,
+      'Lazy encapsulated number of items');
+    assert.deepEqual(lazy.read(), refItems, 'Lazy encapsulated read');
+
+    // finish async test
+    done();
+  };
+  request2.send(null);
+});
+
+/**
+ * Tests for {@link dwv.dicom.DicomParser} lenient mode with
+ *   a truncated file and a VR mismatch.
+ *
+ * @function module:tests/dicom~dicomParserLenientTruncated
+ */
+QUnit.test('Test lenient DICOM parsing: truncated data.', function (assert) {
+  var done = assert.async();
+
+  var request = new XMLHttpRequest();
+  var url = '/tests/data/dwv-test-simple.dcm';
+  request.open('GET', url, true);
+  request.responseType = 'arraybuffer';
+  request.onload = function (/*event*/) {
+    // remove the end of the pixel data
+    var truncated = this.response.slice(0, this.response.byteLength - 100);
+    // strict
+    assert.throws(function () {
+      var strictParser = new dwv.dicom.DicomParser();
+      strictParser.parse(truncated);
+    }, 'Strict truncated parse throws');
+    // lenient
+    var parser = new dwv.dicom.DicomParser();
+    parser.setLenient(true);
+    parser.parse(truncated);
+    var rawTags = parser.getRawDicomElements();
+    assert.equal(rawTags.x00280010.value[0], 32, 'Truncated rows');
+    assert.equal(rawTags.x7FE00010.vl, 1960, 'Truncated pixel data length');
+    assert.equal(rawTags.x7FE00010.value[0].length, 980,
+      'Truncated pixel data');
+    var warnings = parser.getWarnings();
+    var last = warnings[warnings.length - 1];
+    assert.equal(last.kind, 'truncated', 'Truncated warning kind');
+    assert.equal(last.tag, 'x7FE00010', 'Truncated warning tag');
+    assert.equal(last.offset, 424, 'Truncated warning offset');
+
+    // Modality: CS -> SH
+    var bytes = new Uint8Array(this.response.slice(0));
+    var modalityOffset = 0;
+    for (var i = 132; i < bytes.length - 6; ++i) {
+      if (bytes[i] === 0x08 && bytes[i + 1] === 0x00 &&
+        bytes[i + 2] === 0x60 && bytes[i + 3] === 0x00) {
+        modalityOffset = i;
+        break;
+      }
+    }
+    bytes[modalityOffset + 4] = 'S'.charCodeAt(0);
+    bytes[modalityOffset + 5] = 'H'.charCodeAt(0);
+    var parser2 = new dwv.dicom.DicomParser();
+    parser2.setLenient(true);
+    parser2.parse(bytes.buffer);
+    assert.equal(parser2.getRawDicomElements().x00080060.value[0], 'MR',
+      'VR mismatch value');
+    var vrWarnings = parser2.getWarnings().filter(function (item) {
+      return item.kind === 'vr-mismatch';
+    });
+    assert.deepEqual(vrWarnings.length, 1, 'VR mismatch warning');
+    assert.equal(vrWarnings[0].tag, 'x00080060', 'VR mismatch warning tag');
+    assert.equal(vrWarnings[0].offset, modalityOffset,
+      'VR mismatch warning offset');
+
+    // finish async test
+    done();
+  };
+  request.send(null);
+});
+
+/**
+ * Tests for {@link dwv.dicom.DicomParser} lenient mode with
+ *   files truncated at any offset.
+ *
+ * @function module:tests/dicom~dicomParserLenientTruncatedAnywhere
+ */
+QUnit.test('Test lenient DICOM parsing: truncated anywhere.',
+  function (assert) {
+    var done = assert.async();
+    var files = [
+      'dwv-test-simple.dcm',
+      'dwv-test-sequence.dcm',
+      'osirix-cerebrix.dcm'
+    ];
+    // silence the truncation warnings
+    var logLevel = dwv.logger.level;
+    dwv.logger.level = dwv.utils.logger.levels.ERROR;
+
+    var checkFile = function (buffer, name) {
+      var failures = [];
+      // past the preamble and magic word
+      for (var i = 133; i < buffer.byteLength; ++i) {
+        var parser = new dwv.dicom.DicomParser();
+        parser.setLenient(true);
+        try {
+          parser.parse(buffer.slice(0, i));
+        } catch (error) {
+          failures.push(i + ': ' + error.message);
+        }
+      }
+      assert.deepEqual(failures, [], 'No error for truncated ' + name);
+    };
+
+    var count = 0;
+    var onload = function (name) {
+      return function (/*event*/) {
+        checkFile(this.response, name);
+        ++count;
+        if (count === files.length) {
+          dwv.logger.level = logLevel;
+          done();
+        }
+      };
+    };
+    for (var f = 0; f < files.length; ++f) {
+      var request = new XMLHttpRequest();
+      request.open('GET', '/tests/data/' + files[f], true);
+      request.responseType = 'arraybuffer';
+      request.onload = onload(files[f]);
+      request.send(null);
+    }
+  }
+);
+
+/**
+ * Tests for {@link dwv.dicom.DicomParser} lenient mode with
+ *   missing delimitation items.
+ *
+ * @function module:tests/dicom~dicomParserLenientDelimiter
+ */
+QUnit.test('Test lenient DICOM parsing: missing delimiter.', function (assert) {
+  // undefined length sequence
+  var tags = {
+    TransferSyntaxUID: '1.2.840.10008.1.2.1\0',
+    Modality: 'MR',
+    ReferencedImageSequence: {
+      explicitLength: false,
+      item0: {ReferencedSOPInstanceUID: '1.2.3.4'}
+    },
+    PatientName: 'dwv^patient'
+  };
+  var elements = dwv.dicom.getElementsFromJSONTags(tags).elements;
+  var writer = new dwv.dicom.DicomWriter();
+  var buffer = writer.getBuffer(elements);
+
+  // remove the delimitation items
+  var removeDelimiter = function (input, element) {
+    var bytes = new Uint8Array(input);
+    for (var i = 132; i < bytes.length - 8; ++i) {
+      if (bytes[i] === 0xfe && bytes[i + 1] === 0xff &&
+        bytes[i + 2] === element && bytes[i + 3] === 0xe0) {
+        var res = new Uint8Array(bytes.length - 8);
+        res.set(bytes.subarray(0, i));
+        res.set(bytes.subarray(i + 8), i);
+        return res.buffer;
+      }
+    }
+    return null;
+  };
+
+  var checkParse = function (input, expectedKey) {
+    assert.throws(function () {
+      var strictParser = new dwv.dicom.DicomParser();
+      strictParser.parse(input);
+    }, 'Strict parse throws (' + expectedKey + ')');
+    var parser = new dwv.dicom.DicomParser();
+    parser.setLenient(true);
+    parser.parse(input);
+    var rawTags = parser.getRawDicomElements();
+    assert.equal(rawTags.x00081140.value[0].x00081155.value[0], '1.2.3.4\0',
+      'Sequence item (' + expectedKey + ')');
+    assert.equal(rawTags.x00100010.value[0], 'dwv^patient ',
+      'Element after sequence (' + expectedKey + ')');
+    var warnings = parser.getWarnings().filter(function (item) {
+      return item.kind === 'missing-delimiter';
+    });
+    assert.equal(warnings.length, 1, 'Warning (' + expectedKey + ')');
+    assert.equal(warnings[0].tag, expectedKey,
+      'Warning tag (' + expectedKey + ')');
+  };
+
+  // sequence delimitation item
+  var noSeqDelim = removeDelimiter(buffer, 0xdd);
+  checkParse(noSeqDelim, 'x00081140');
+  // item delimitation item
+  checkParse(removeDelimiter(buffer, 0x0d), 'xFFFEE00D');
+});
+
+/**
+ * Tests for {@link dwv.dicom.DicomParser} using private dictionaries.
+ *
+ * @function module:tests/dicom~dicomParserPrivateDictionary
+ */
+QUnit.test('Test private dictionary DICOM parsing.', function (assert) {
+  dwv.dicom.registerPrivateDictionary('DWV TEST', {
+    '0x0029': {
+      '0xxx08': ['CS', '1', 'DwvTestType'],
+      '0xxx10': ['OB', '1', 'DwvTestData']
+    }
+  });
+
+  // tag lookup
+  var tag = new dwv.dicom.Tag('0x0029', '0x1110', 'DWV TEST');
+  assert.equal(tag.getNameFromDictionary(), 'DwvTestData', 'Tag name');
+  assert.equal(tag.getVrFromDictionary(), 'OB', 'Tag VR');
+  assert.equal(tag.getPrivateCreatorKey(), 'x00290011', 'Creator key');
+  var tag1 = new dwv.dicom.Tag('0x0029', '0x1110');
+  assert.equal(tag1.getNameFromDictionary(), null, 'No creator tag name');
+  var tag2 = new dwv.dicom.Tag('0x0029', '0x0011');
+  assert.ok(tag2.isPrivateCreator(), 'Is private creator');
+  assert.equal(tag2.getNameFromDictionary(), 'PrivateCreator',
+    'Private creator name');
+
+  // implicit VR data with two private blocks, only one reserved
+  var tags = {
+    TransferSyntaxUID: '1.2.840.10008.1.2\0',
+    Modality: 'MR'
+  };
+  var elements = dwv.dicom.getElementsFromJSONTags(tags).elements;
+  var addElement = function (element, vr, value, size) {
+    elements['x0029' + element.substring(2)] = {
+      tag: {group: '0x0029', element: element},
+      vr: vr,
+      vl: size,
+      value: value,
+      startOffset: 0,
+      endOffset: size
+    };
+  };
+  addElement('0x0011', 'LO', ['DWV TEST'], 8);
+  addElement('0x1108', 'CS', ['TYPE'], 4);
+  addElement('0x1110', 'OB', new Uint8Array([1, 2, 3, 4]), 4);
+  addElement('0x1210', 'OB', new Uint8Array([1, 2, 3, 4]), 4);
+  var writer = new dwv.dicom.DicomWriter();
+  var parser = new dwv.dicom.DicomParser();
+  parser.parse(writer.getBuffer(elements));
+  var rawTags = parser.getRawDicomElements();
+  assert.equal(rawTags.x00290011.value[0], 'DWV TEST', 'Private creator');
+  assert.equal(rawTags.x00291108.tag.privateCreator, 'DWV TEST',
+    'Element private creator');
+  assert.equal(rawTags.x00291108.vr, 'CS', 'Private VR (CS)');
+  assert.equal(rawTags.x00291108.value[0], 'TYPE', 'Private value (CS)');
+  assert.equal(rawTags.x00291110.vr, 'OB', 'Private VR (OB)');
+  assert.equal(rawTags.x00291210.vr, 'UN', 'Unreserved block VR');
+
+  // dump
+  var dump = parser.getDicomElements().dump();
+  assert.ok(dump.indexOf('4, 1 DwvTestData') !== -1, 'Dump name');
+  assert.ok(dump.indexOf('4, 4 Unknown Tag & Data') !== -1,
+    'Dump unknown name');
+
+  delete dwv.dicom.privateDictionaries['DWV TEST'];
+});
+
+/**
+ * Tests for {@link dwv.dicom.DicomParser} private creators in
+ *   sequence items.
+ *
+ * @function module:tests/dicom~dicomParserNestedPrivateCreators
+ */
+QUnit.test('Test nested private creators DICOM parsing.', function (assert) {
+  var tags = {
+    TransferSyntaxUID: '1.2.840.10008.1.2.1',
+    Modality: 'MR'
+  };
+  var elements = dwv.dicom.getElementsFromJSONTags(tags).elements;
+  var getElement = function (element, vr, value, size) {
+    return {
+      tag: {group: '0x0029', element: element},
+      vr: vr,
+      vl: size,
+      value: value,
+      startOffset: 0,
+      endOffset: size
+    };
+  };
+  var getItem = function (itemElements, size) {
+    itemElements.xFFFEE000 = {
+      tag: {group: '0xFFFE', element: '0xE000', name: 'xFFFEE000'},
+      vr: 'NONE',
+      vl: size,
+      value: []
+    };
+    return itemElements;
+  };
+  // both items use the (0029,0011) creator slot of the data set,
+  // the first one reserves it for another creator
+  var item0 = getItem({
+    x00290011: getElement('0x0011', 'LO', ['DWV TEST B'], 10),
+    x00291108: getElement('0x1108', 'LO', ['nested'], 6)
+  }, 32);
+  var item1 = getItem({
+    x00291108: getElement('0x1108', 'LO', ['item1 '], 6)
+  }, 14);
+  elements.x00290011 = getElement('0x0011', 'LO', ['DWV TEST A'], 10);
+  elements.x00291108 = getElement('0x1108', 'LO', ['top '], 4);
+  elements.x00291120 = getElement('0x1120', 'SQ', [item0, item1], 62);
+  elements.x00291130 = getElement('0x1130', 'LO', ['after '], 6);
+
+  var writer = new dwv.dicom.DicomWriter();
+  var parser = new dwv.dicom.DicomParser();
+  parser.parse(writer.getBuffer(elements));
+  var rawTags = parser.getRawDicomElements();
+  assert.equal(rawTags.x00291108.tag.privateCreator, 'DWV TEST A',
+    'Top level element creator');
+  var items = rawTags.x00291120.value;
+  assert.equal(items.length, 2, 'Number of items');
+  assert.equal(items[0].x00291108.tag.privateCreator, 'DWV TEST B',
+    'First item element creator');
+  assert.equal(items[1].x00291108.tag.privateCreator, 'DWV TEST A',
+    'Second item element creator');
+  assert.equal(rawTags.x00291130.tag.privateCreator, 'DWV TEST A',
+    'Element after the sequence creator');
+  assert.equal(dwv.dicom.cleanString(rawTags.x00291130.value[0]), 'after',
+    'Element after value');
+});
+
 /**
  * Tests for {@link dwv.dicom.cleanString}.
  *
@@ -294,3 +780,68 @@ QUnit.test('Test DICOMDIR parsing.', function (assert) {
   };
   request.send(null);
 });
+
+/**
+ * Tests for {@link dwv.dicom.getDicomDirTree}.
+ * Using remote file for CI integration.
+ *
+ * @function module:tests/dicom~getDicomDirTree
+ */
+QUnit.test('Test DICOMDIR tree.', function (assert) {
+  var done = assert.async();
+
+  var request = new XMLHttpRequest();
+  var url = '/tests/data/DICOMDIR';
+  request.open('GET', url, true);
+  request.responseType = 'arraybuffer';
+  request.onload = function (/*event*/) {
+    var tree = dwv.dicom.getDicomDirTree(this.response);
+
+    // patient
+    assert.equal(tree.length, 1, 'Number of patients');
+    var patient = tree[0];
+    assert.equal(patient.type, 'PATIENT', 'Patient type');
+    assert.equal(patient.attributes.PatientName, 'Anonymized4',
+      'Patient name');
+    assert.equal(patient.children.length, 2, 'Number of studies');
+    // study
+    var study = patient.children[0];
+    assert.equal(study.type, 'STUDY', 'Study type');
+    assert.equal(study.attributes.StudyDate, '20171009', 'Study date');
+    assert.equal(study.attributes.StudyDescription, 'OSTEO^GENOU DROIT',
+      'Study description');
+    assert.equal(study.children.length, 2, 'Number of series');
+    // series
+    var series = study.children[1];
+    assert.equal(series.type, 'SERIES', 'Series type');
+    assert.equal(series.attributes.Modality, 'MR', 'Series modality');
+    assert.equal(series.children.length, 20, 'Number of instances');
+    // image
+    var image = series.children[0];
+    assert.equal(image.type, 'IMAGE', 'Image type');
+    assert.equal(image.fileId, 'IMAGES/IM23', 'Image file id');
+    assert.equal(image.attributes.ReferencedSOPClassUIDInFile,
+      '1.2.840.10008.5.1.4.1.1.4', 'Image SOP class');
+    assert.equal(typeof image.attributes.DirectoryRecordType, 'undefined',
+      'No record structure attributes');
+
+    // series file ids
+    var fileIds = dwv.dicom.getDicomDirSeriesFileIds(tree);
+    assert.equal(fileIds.length, 23, 'Default series file ids');
+    assert.equal(fileIds[0], 'IMAGES/IM0', 'Default series first file id');
+    fileIds = dwv.dicom.getDicomDirSeriesFileIds(
+      tree, series.attributes.SeriesInstanceUID);
+    assert.equal(fileIds.length, 20, 'Series file ids');
+    assert.equal(fileIds[0], 'IMAGES/IM23', 'Series first file id');
+    assert.equal(typeof dwv.dicom.getDicomDirSeriesFileIds(tree, '1.2.3'),
+      'undefined', 'Unknown series');
+
+    // series uids
+    var uids = dwv.dicom.getDicomDirSeriesUids(tree);
+    assert.equal(uids.length, 3, 'Number of series uids');
+    assert.equal(uids[1], series.attributes.SeriesInstanceUID, 'Series uid');
+
+    done();
+  };
+  request.send(null);
+});
@@ -0,0 +1,150 @@
+// namespace
+var dwv = dwv || {};
+dwv.test = dwv.test || {};
+
+/**
+ * Tests for the 'dicom/dicomValidator.js' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit */
+
+/**
+ * Tests for {@link dwv.dicom.validateDicomElements}.
+ *
+ * @function module:tests/dicom~validateDicomElements
+ */
+QUnit.test('Test DICOM elements validation.', function (assert) {
+  var tags = {
+    FileMetaInformationVersion: new Uint8Array([0, 1]),
+    MediaStorageSOPClassUID: '1.2.840.10008.5.1.4.1.1.7',
+    MediaStorageSOPInstanceUID: '1.2.3.4',
+    TransferSyntaxUID: '1.2.840.10008.1.2.1',
+    SpecificCharacterSet: 'ISO_IR 100',
+    ImageType: ['ORIGINAL', 'PRIMARY'],
+    SOPInstanceUID: '1.2.3.4',
+    StudyDate: '20220101',
+    StudyTime: '101010.123',
+    PatientName: 'Doe^Jöhn',
+    Rows: 2
+  };
+  var report = dwv.dicom.validateDicomElements(
+    dwv.dicom.getElementsFromJSONTags(tags).elements);
+  assert.ok(report.isValid, 'Valid elements');
+  assert.equal(report.issues.length, 0, 'No issues');
+
+  // bad values
+  delete tags.FileMetaInformationVersion;
+  delete tags.SpecificCharacterSet;
+  tags.ImageType = 'original';
+  tags.SOPInstanceUID = '1.02.3';
+  tags.StudyDate = '2022.01.01';
+  tags.StudyTime = '25';
+  tags.StationName = 'a-very-long-station-name';
+  tags.Rows = [1, 2];
+  var elements = dwv.dicom.getElementsFromJSONTags(tags).elements;
+  // wrong VR
+  elements.x00080060 = {
+    tag: {group: '0x0008', element: '0x0060', name: 'x00080060'},
+    vr: 'LO',
+    value: ['MR']
+  };
+  report = dwv.dicom.validateDicomElements(elements);
+  assert.notOk(report.isValid, 'Invalid elements');
+
+  var getKinds = function (tagKey) {
+    var kinds = [];
+    for (var i = 0; i < report.issues.length; ++i) {
+      if (report.issues[i].tag === tagKey) {
+        kinds.push(report.issues[i].kind);
+      }
+    }
+    return kinds;
+  };
+  assert.deepEqual(getKinds('x00020001'), ['meta'], 'Missing meta');
+  assert.deepEqual(getKinds('x00020003'), ['meta'], 'Inconsistent meta');
+  assert.deepEqual(getKinds('x00080008'), ['vm', 'repertoire'],
+    'CS multiplicity and repertoire');
+  assert.deepEqual(getKinds('x00080018'), ['format'], 'UI format');
+  assert.deepEqual(getKinds('x00080020'), ['format'], 'DA format');
+  assert.deepEqual(getKinds('x00080030'), ['format'], 'TM format');
+  assert.deepEqual(getKinds('x00080060'), ['vr'], 'VR');
+  assert.deepEqual(getKinds('x00081010'), ['length'], 'SH length');
+  assert.deepEqual(getKinds('x00100010'), ['repertoire'],
+    'Default repertoire');
+  assert.deepEqual(getKinds('x00280010'), ['vm'], 'US multiplicity');
+});
+
+/**
+ * Tests for {@link dwv.dicom.validateMultiplicity}.
+ *
+ * @function module:tests/dicom~validateMultiplicity
+ */
+QUnit.test('Test value multiplicity validation.', function (assert) {
+  var count = 0;
+  var context = {
+    addIssue: function () {
+      ++count;
+    }
+  };
+  var isValid = function (number, vm) {
+    count = 0;
+    dwv.dicom.validateMultiplicity(number, vm, 'x', 'name', context);
+    return count === 0;
+  };
+  assert.ok(isValid(1, '1'), '1 for 1');
+  assert.notOk(isValid(2, '1'), '2 for 1');
+  assert.ok(isValid(0, '1'), 'Empty for 1');
+  assert.ok(isValid(3, '1-3'), '3 for 1-3');
+  assert.notOk(isValid(4, '1-3'), '4 for 1-3');
+  assert.ok(isValid(10, '1-n'), '10 for 1-n');
+  assert.ok(isValid(4, '2-2n'), '4 for 2-2n');
+  assert.notOk(isValid(3, '2-2n'), '3 for 2-2n');
+  assert.ok(isValid(6, '3-3n'), '6 for 3-3n');
+});
+
+/**
+ * Tests for {@link dwv.dicom.DicomWriter} strict mode.
+ * Using remote file for CI integration.
+ *
+ * @function module:tests/dicom~dicomWriterStrict
+ */
+QUnit.test('Test strict DICOM writing.', function (assert) {
+  var done = assert.async();
+
+  var request = new XMLHttpRequest();
+  var url = '/tests/data/bbmri-53323131.dcm';
+  request.open('GET', url, true);
+  request.responseType = 'arraybuffer';
+  request.onload = function (/*event*/) {
+    var dicomParser = new dwv.dicom.DicomParser();
+    dicomParser.parse(this.response);
+    var rawTags = dicomParser.getRawDicomElements();
+
+    var dicomWriter = new dwv.dicom.DicomWriter();
+    dicomWriter.setStrict(true);
+    var buffer = dicomWriter.getBuffer(rawTags);
+    // written data is valid, including the writer meta elements
+    var parser2 = new dwv.dicom.DicomParser();
+    parser2.parse(buffer);
+    var report = dwv.dicom.validateDicomElements(
+      parser2.getRawDicomElements());
+    assert.ok(report.isValid, 'Valid written data');
+
+    // invalid date
+    dicomWriter.rules = {
+      default: {action: 'copy', value: null},
+      StudyDate: {action: 'replace', value: '2022-01-01'}
+    };
+    assert.throws(function () {
+      dicomWriter.getBuffer(rawTags);
+    }, /Invalid DA value for StudyDate/, 'Strict write of invalid data');
+
+    // not strict
+    dicomWriter.setStrict(false);
+    buffer = dicomWriter.getBuffer(rawTags);
+    assert.ok(buffer.byteLength !== 0, 'Non strict write of invalid data');
+
+    done();
+  };
+  request.send(null);
+});
@@ -101,6 +101,242 @@ QUnit.test('Test multiframe writer support.', function (assert) {
   request.send(null);
 });
 
+/**
+ * Tests for {@link dwv.dicom.DicomWriter} RLE encoding.
+ * Using remote file for CI integration.
+ *
+ * @function module:tests/dicom~dicomWriterRle
+ */
+QUnit.test('Test RLE writer support.', function (assert) {
+  var done = assert.async();
+
+  var request = new XMLHttpRequest();
+  var url = '/tests/data/multiframe-test1.dcm';
+  request.open('GET', url, true);
+  request.responseType = 'arraybuffer';
+  request.onerror = function (event) {
+    console.log(event);
+  };
+  request.onload = function (/*event*/) {
+    assert.ok((this.response.byteLength !== 0), 'Got a response.');
+
+    // parse DICOM
+    var dicomParser = new dwv.dicom.DicomParser();
+    dicomParser.parse(this.response);
+    var rawTags = dicomParser.getRawDicomElements();
+    var pixels = rawTags.x7FE00010.value[0];
+    var syntax = rawTags.x00020010.value[0];
+
+    var numFrames = 16;
+    var sliceSize = 256 * 256;
+
+    // write RLE
+    var rleSyntax = '1.2.840.10008.1.2.5';
+    var dicomWriter = new dwv.dicom.DicomWriter();
+    var buffer = dicomWriter.getBuffer(rawTags, rleSyntax);
+    assert.ok(buffer.byteLength < this.response.byteLength,
+      'RLE buffer is smaller');
+    assert.equal(rawTags.x00020010.value[0], syntax,
+      'Input elements not modified');
+
+    // read back
+    dicomParser = new dwv.dicom.DicomParser();
+    dicomParser.parse(buffer);
+    var rleTags = dicomParser.getRawDicomElements();
+    assert.equal(dwv.dicom.cleanString(rleTags.x00020010.value[0]),
+      rleSyntax, 'Transfer syntax');
+    var fragments = rleTags.x7FE00010.value;
+    assert.equal(fragments.length, numFrames, 'Number of fragments');
+
+    // basic offset table: first item after the element header
+    // (the parsed start offset is shifted by the table length)
+    var view = new DataView(buffer);
+    var tableOffset = rleTags.x7FE00010.startOffset - 4 * numFrames + 8;
+    assert.equal(view.getUint32(tableOffset - 4, true), 4 * numFrames,
+      'Basic offset table length');
+    var expectedOffset = 0;
+    var isOffsetTableOk = true;
+    for (var i = 0; i < numFrames; ++i) {
+      isOffsetTableOk = isOffsetTableOk &&
+        view.getUint32(tableOffset + 4 * i, true) === expectedOffset;
+      expectedOffset += 8 + fragments[i].length;
+    }
+    assert.ok(isOffsetTableOk, 'Basic offset table values');
+
+    // decode
+    var decoder = new dwv.decoder.RleDecoder();
+    var isPixelOk = true;
+    for (var f = 0; f < numFrames; ++f) {
+      var frame = decoder.decode(fragments[f], 8, false, sliceSize, 1, 0);
+      var original = pixels.subarray(f * sliceSize, (f + 1) * sliceSize);
+      for (var j = 0; j < sliceSize && isPixelOk; ++j) {
+        isPixelOk = frame[j] === original[j];
+      }
+    }
+    assert.ok(isPixelOk, 'Decoded pixel data');
+
+    // bad conversion
+    assert.throws(function () {
+      dicomWriter.getBuffer(rleTags, '1.2.840.10008.1.2.1');
+    }, 'Unsupported conversion');
+
+    // finish async test
+    done();
+  };
+  request.send(null);
+});
+
+/**
+ * Tests for {@link dwv.dicom.DicomWriter} Explicit VR Little Endian
+ *   transcoding of implicit and big endian data.
+ * Using remote file for CI integration.
+ *
+ * @function module:tests/dicom~dicomWriterExplicitLittleEndian
+ */
+QUnit.test('Test Explicit VR Little Endian transcoding.', function (assert) {
+  var urls = [
+    '/tests/data/dicompyler-ct.0.dcm',
+    '/tests/data/gdcm-US-RGB-8-epicard.dcm'
+  ];
+  var explicitSyntax = '1.2.840.10008.1.2.1';
+  // meta elements updated by the writer
+  var metaKeys = ['00020000', '00020001', '00020010', '00020012', '00020013'];
+
+  var checkUrl = function (url) {
+    var done = assert.async();
+    var request = new XMLHttpRequest();
+    request.open('GET', url, true);
+    request.responseType = 'arraybuffer';
+    request.onload = function (/*event*/) {
+      var dicomParser = new dwv.dicom.DicomParser();
+      dicomParser.parse(this.response);
+      var rawTags = dicomParser.getRawDicomElements();
+
+      var dicomWriter = new dwv.dicom.DicomWriter();
+      var buffer = dicomWriter.getExplicitLittleEndianBuffer(rawTags);
+
+      // read back
+      var parser2 = new dwv.dicom.DicomParser();
+      parser2.parse(buffer);
+      var rawTags2 = parser2.getRawDicomElements();
+      assert.equal(dwv.dicom.cleanString(rawTags2.x00020010.value[0]),
+        explicitSyntax, 'Transfer syntax ' + url);
+      assert.ok(rawTags2.x7FE00010.vr === 'OB' ||
+        rawTags2.x7FE00010.vr === 'OW', 'Pixel data VR ' + url);
+
+      var json = dwv.dicom.toDicomJson(rawTags);
+      var json2 = dwv.dicom.toDicomJson(rawTags2);
+      for (var i = 0; i < metaKeys.length; ++i) {
+        delete json[metaKeys[i]];
+        delete json2[metaKeys[i]];
+      }
+      assert.deepEqual(json2, json, 'Data set ' + url);
+
+      done();
+    };
+    request.send(null);
+  };
+
+  for (var i = 0; i < urls.length; ++i) {
+    checkUrl(urls[i]);
+  }
+});
+
+/**
+ * Tests for {@link dwv.dicom.DicomWriter} Explicit VR Little Endian
+ *   transcoding of compressed data.
+ * Using remote file for CI integration.
+ *
+ * @function module:tests/dicom~dicomWriterExplicitLittleEndianCompressed
+ */
+QUnit.test('Test compressed data transcoding.', function (assert) {
+  var done = assert.async();
+
+  var request = new XMLHttpRequest();
+  var url = '/tests/data/leadtools-flowers-8-mono2-rle.dcm';
+  request.open('GET', url, true);
+  request.responseType = 'arraybuffer';
+  request.onload = function (/*event*/) {
+    var dicomParser = new dwv.dicom.DicomParser();
+    dicomParser.parse(this.response);
+    var rawTags = dicomParser.getRawDicomElements();
+    var rows = rawTags.x00280010.value[0];
+    var columns = rawTags.x00280011.value[0];
+
+    // decode
+    var decoder = new dwv.decoder.RleDecoder();
+    var pixels = decoder.decode(
+      rawTags.x7FE00010.value[0], 8, false, rows * columns, 1, 0);
+    var geometry = new dwv.image.Geometry(
+      new dwv.math.Point3D(0, 0, 0),
+      new dwv.image.Size([columns, rows, 1]),
+      new dwv.image.Spacing([1, 1, 1]));
+    var image = new dwv.image.Image(geometry, pixels,
+      [dwv.dicom.cleanString(rawTags.x00080018.value[0])]);
+
+    // no decoded image
+    var dicomWriter = new dwv.dicom.DicomWriter();
+    assert.throws(function () {
+      dicomWriter.getExplicitLittleEndianBuffer(rawTags);
+    }, 'Compressed data without image');
+
+    // read back
+    var buffer = dicomWriter.getExplicitLittleEndianBuffer(rawTags, image);
+    var parser2 = new dwv.dicom.DicomParser();
+    parser2.parse(buffer);
+    var rawTags2 = parser2.getRawDicomElements();
+    assert.equal(dwv.dicom.cleanString(rawTags2.x00020010.value[0]),
+      '1.2.840.10008.1.2.1', 'Transfer syntax');
+    assert.equal(rawTags2.x7FE00010.vr, 'OB', 'Pixel data VR');
+    assert.deepEqual(rawTags2.x7FE00010.value[0], pixels, 'Pixel data');
+
+    done();
+  };
+  request.send(null);
+});
+
+/**
+ * Tests for {@link dwv.dicom.setDecodedImageAttributes}.
+ *
+ * @function module:tests/dicom~setDecodedImageAttributes
+ */
+QUnit.test('Test decoded image attributes.', function (assert) {
+  var geometry = new dwv.image.Geometry(
+    new dwv.math.Point3D(0, 0, 0),
+    new dwv.image.Size([2, 2, 1]),
+    new dwv.image.Spacing([1, 1, 1]));
+  var image = new dwv.image.Image(geometry, new Uint8Array(12), ['1.2.3']);
+  image.setPhotometricInterpretation('RGB');
+  image.setPlanarConfiguration(1);
+
+  // JPEG 2000: interleaved RGB
+  var elements = {};
+  dwv.dicom.setDecodedImageAttributes(
+    elements, image, '1.2.840.10008.1.2.4.91');
+  assert.equal(dwv.dicom.cleanString(elements.x00280004.value[0]), 'RGB',
+    'JPEG 2000 photometric');
+  assert.equal(elements.x00280006.value[0], 0, 'JPEG 2000 planar');
+
+  // JPEG-LS: interleaved RGB
+  elements = {};
+  dwv.dicom.setDecodedImageAttributes(
+    elements, image, '1.2.840.10008.1.2.4.80');
+  assert.equal(elements.x00280006.value[0], 0, 'JPEG-LS planar');
+
+  // RLE: planar configuration of the decoded image
+  elements = {};
+  dwv.dicom.setDecodedImageAttributes(
+    elements, image, '1.2.840.10008.1.2.5');
+  assert.equal(dwv.dicom.cleanString(elements.x00280004.value[0]), 'RGB',
+    'RLE photometric');
+  assert.equal(elements.x00280006.value[0], 1, 'RLE planar');
+  image.setPlanarConfiguration(0);
+  elements = {};
+  dwv.dicom.setDecodedImageAttributes(
+    elements, image, '1.2.840.10008.1.2.5');
+  assert.equal(elements.x00280006.value[0], 0, 'RLE interleaved');
+});
+
 /**
  * Tests for {@link dwv.dicom.DicomWriter} anomnymisation.
  * Using remote file for CI integration.
@@ -195,6 +431,57 @@ QUnit.test('Test patient anonymisation', function (assert) {
   request.send(null);
 });
 
+/**
+ * Tests for {@link dwv.dicom.DicomWriter} deflated writing.
+ * Using remote file for CI integration.
+ *
+ * @function module:tests/dicom~dicomWriterDeflate
+ */
+QUnit.test('Test deflated writer support.', function (assert) {
+  var done = assert.async();
+
+  var request = new XMLHttpRequest();
+  var url = '/tests/data/bbmri-53323131.dcm';
+  request.open('GET', url, true);
+  request.responseType = 'arraybuffer';
+  request.onerror = function (event) {
+    console.log(event);
+  };
+  request.onload = function (/*event*/) {
+    assert.ok((this.response.byteLength !== 0), 'Got a response.');
+
+    // parse DICOM
+    var dicomParser = new dwv.dicom.DicomParser();
+    dicomParser.parse(this.response);
+    var rawTags = dicomParser.getRawDicomElements();
+    var pixels = rawTags.x7FE00010.value[0].slice();
+
+    // write deflated
+    var deflatedSyntax = '1.2.840.10008.1.2.1.99';
+    var dicomWriter = new dwv.dicom.DicomWriter();
+    dicomWriter.rules = {
+      default: {action: 'copy', value: null},
+      TransferSyntaxUID: {action: 'replace', value: deflatedSyntax}
+    };
+    var buffer = dicomWriter.getBuffer(rawTags);
+    assert.ok(buffer.byteLength < this.response.byteLength,
+      'Deflated buffer is smaller');
+
+    // read back
+    dicomParser = new dwv.dicom.DicomParser();
+    dicomParser.parse(buffer);
+    rawTags = dicomParser.getRawDicomElements();
+    assert.equal(dwv.dicom.cleanString(rawTags.x00020010.value[0]),
+      deflatedSyntax, 'Transfer syntax');
+    assert.equal(rawTags.x00280010.value[0], 256, 'Number of rows');
+    assert.deepEqual(rawTags.x7FE00010.value[0], pixels, 'Pixel data');
+
+    // finish async test
+    done();
+  };
+  request.send(null);
+});
+
 /**
  * Get a string representation of an object.
  * TypedArray.toString can return '[object Uint8Array]' on old browsers
@@ -0,0 +1,112 @@
+// namespace
+var dwv = dwv || {};
+dwv.test = dwv.test || {};
+
+/**
+ * Tests for the 'dicom/dicomXml.js' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit */
+
+/**
+ * Tests for {@link dwv.dicom.toNativeDicomXml} and
+ *   {@link dwv.dicom.getElementsFromNativeDicomXml} with parsed data.
+ *
+ * @function module:tests/dicom~nativeDicomXmlRoundTrip
+ */
+QUnit.test('Test Native DICOM Model round trip.', function (assert) {
+  var done = assert.async();
+
+  var request = new XMLHttpRequest();
+  var url = '/tests/data/dwv-test-sequence.dcm';
+  request.open('GET', url, true);
+  request.responseType = 'arraybuffer';
+  request.onload = function (/*event*/) {
+    var dicomParser = new dwv.dicom.DicomParser();
+    dicomParser.parse(this.response);
+    var rawElements = dicomParser.getRawDicomElements();
+    var pixels = rawElements.x7FE00010.value[0];
+
+    // pixel data as bulk data
+    var uri = 'bulk?part=pixels&id=1';
+    var xml = dicomParser.getDicomElements().dumpToXml(function (key) {
+      return key === '7FE00010' ? uri : undefined;
+    });
+    assert.ok(xml.indexOf('<DicomAttribute tag="00081050" vr="PN" ' +
+      'keyword="PerformingPhysicianName">') !== -1, 'PN attribute');
+    assert.ok(xml.indexOf('<Alphabetic><FamilyName>Dr</FamilyName>' +
+      '</Alphabetic>') !== -1, 'PN value');
+    assert.ok(xml.indexOf('<BulkData uri="bulk?part=pixels&amp;id=1"/>') !==
+      -1, 'Bulk data');
+
+    // write and parse back
+    var bulkData = {};
+    bulkData[uri] = pixels;
+    var elements = dwv.dicom.getElementsFromNativeDicomXml(xml, bulkData);
+    var writer = new dwv.dicom.DicomWriter();
+    var parser2 = new dwv.dicom.DicomParser();
+    parser2.parse(writer.getBuffer(elements));
+
+    var json = dwv.dicom.toDicomJson(rawElements);
+    var json2 = dwv.dicom.toDicomJson(parser2.getRawDicomElements());
+    // meta elements updated by the writer
+    var metaKeys = ['00020000', '00020001', '00020012', '00020013'];
+    for (var i = 0; i < metaKeys.length; ++i) {
+      delete json[metaKeys[i]];
+      delete json2[metaKeys[i]];
+    }
+    assert.deepEqual(json2, json, 'Round trip');
+
+    done();
+  };
+  request.send(null);
+});
+
+/**
+ * Tests for {@link dwv.dicom.getElementsFromNativeDicomXml}.
+ *
+ * @function module:tests/dicom~nativeDicomXmlToElements
+ */
+QUnit.test('Test Native DICOM Model to elements.', function (assert) {
+  var xml = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<NativeDicomModel xml:space="preserve">\n' +
+    '<DicomAttribute tag="00080008" vr="CS" keyword="ImageType">' +
+    '<Value number="1">ORIGINAL</Value>' +
+    '<Value number="3">AXIAL</Value>' +
+    '</DicomAttribute>\n' +
+    '<DicomAttribute tag="00100010" vr="PN" keyword="PatientName">' +
+    '<PersonName number="1">' +
+    '<Alphabetic><FamilyName>Doe</FamilyName><GivenName>John</GivenName>' +
+    '<NameSuffix>Jr</NameSuffix></Alphabetic>' +
+    '<Phonetic><FamilyName>doe</FamilyName></Phonetic>' +
+    '</PersonName>' +
+    '</DicomAttribute>\n' +
+    '<DicomAttribute tag="00181310" vr="US">' +
+    '<Value number="1">256</Value><Value number="2">128</Value>' +
+    '</DicomAttribute>\n' +
+    '<DicomAttribute tag="00081140" vr="SQ">' +
+    '<Item number="1"><DicomAttribute tag="00081155" vr="UI">' +
+    '<Value number="1">1.2.3</Value></DicomAttribute></Item>' +
+    '</DicomAttribute>\n' +
+    '<DicomAttribute tag="00091010" vr="OB">' +
+    '<InlineBinary>AQID</InlineBinary>' +
+    '</DicomAttribute>\n' +
+    '</NativeDicomModel>\n';
+
+  var elements = dwv.dicom.getElementsFromNativeDicomXml(xml);
+  assert.deepEqual(elements.x00080008.value, ['ORIGINAL', '', 'AXIAL '],
+    'Empty value');
+  assert.deepEqual(elements.x00100010.value, ['Doe^John^^^Jr==doe'],
+    'Person name');
+  assert.deepEqual(elements.x00181310.value, new Uint16Array([256, 128]),
+    'US value');
+  assert.equal(elements.x00081140.value[0].x00081155.value[0], '1.2.3\0',
+    'Sequence value');
+  assert.deepEqual(elements.x00091010.value, new Uint8Array([1, 2, 3, 0]),
+    'Inline binary');
+
+  // bad input
+  assert.throws(function () {
+    dwv.dicom.getElementsFromNativeDicomXml('<NotDicom/>');
+  }, 'Bad root');
+});
@@ -0,0 +1,240 @@
+// namespace
+var dwv = dwv || {};
+dwv.test = dwv.test || {};
+
+/**
+ * Tests for the 'dicom/measurementReport.js' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit */
+
+/**
+ * Tests for {@link dwv.dicom.getMeasurementReportBuffer}.
+ * Using remote file for CI integration.
+ *
+ * @function module:tests/dicom~getMeasurementReportBuffer
+ */
+QUnit.test('Test measurement report creation.', function (assert) {
+  var done = assert.async();
+
+  var request = new XMLHttpRequest();
+  var url = '/tests/data/bbmri-53323131.dcm';
+  request.open('GET', url, true);
+  request.responseType = 'arraybuffer';
+  request.onload = function (/*event*/) {
+    var dicomParser = new dwv.dicom.DicomParser();
+    dicomParser.parse(this.response);
+    var source = dicomParser.getRawDicomElements();
+    var sourceTags = dicomParser.getDicomElements();
+    var sopInstanceUid = dwv.dicom.cleanString(
+      sourceTags.getFromKey('x00080018'));
+
+    var measurements = [
+      {
+        trackingId: 'ruler0',
+        type: 'Ruler',
+        graphicType: 'POLYLINE',
+        graphicData: [10, 20, 30, 40],
+        referencedSOPInstanceUID: sopInstanceUid,
+        referencedFrameNumber: 1,
+        quantification: {length: {value: 28.2842712, unit: 'mm'}}
+      },
+      {
+        trackingId: 'rect0',
+        type: 'Rectangle',
+        graphicType: 'POLYGON',
+        graphicData: [0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 0, 0],
+        quantification: {
+          surface: {value: 0.01, unit: 'cm2'},
+          mean: {value: 12.5, unit: ''},
+          p25: {value: 10, unit: ''}
+        }
+      }
+    ];
+    var buffer = dwv.dicom.getMeasurementReportBuffer(
+      measurements, [source], {SeriesDescription: 'Measurements'});
+
+    var parser = new dwv.dicom.DicomParser();
+    parser.parse(buffer);
+    var elements = parser.getRawDicomElements();
+    assert.ok(dwv.dicom.validateDicomElements(elements).isValid,
+      'Valid elements');
+    var tags = parser.getDicomElements();
+    assert.equal(dwv.dicom.cleanString(tags.getFromKey('x00080016')),
+      '1.2.840.10008.5.1.4.1.1.88.34', 'SOPClassUID');
+    assert.equal(tags.getFromKey('x00080060'), 'SR', 'Modality');
+    assert.equal(tags.getFromKey('x00100020'),
+      sourceTags.getFromKey('x00100020'), 'PatientID');
+    assert.equal(tags.getFromKey('x0020000D'),
+      sourceTags.getFromKey('x0020000D'), 'StudyInstanceUID');
+    assert.equal(dwv.dicom.cleanString(tags.getFromKey('x0008103E')),
+      'Measurements', 'SeriesDescription');
+    assert.equal(
+      elements.x0040A504.value[0].x0040DB00.value[0], '1500',
+      'TemplateIdentifier');
+    var evidence = elements.x0040A375.value[0].x00081115.value[0];
+    assert.equal(
+      dwv.dicom.cleanString(evidence.x00081199.value[0].x00081155.value[0]),
+      sopInstanceUid, 'Evidence');
+
+    var getCodeValue = function (item) {
+      return dwv.dicom.cleanString(item.x0040A043.value[0].x00080100.value[0]);
+    };
+    var content = elements.x0040A730.value;
+    assert.equal(content.length, 4, 'Root content');
+    assert.equal(getCodeValue(content[2]), '111028', 'Image library');
+    var groups = content[3].x0040A730.value;
+    assert.equal(groups.length, 2, 'Measurement groups');
+
+    // ruler: length inferred from the image coordinates
+    var rulerContent = groups[0].x0040A730.value;
+    assert.equal(rulerContent[0].x0040A160.value[0], 'ruler0',
+      'Tracking identifier');
+    var length = rulerContent[2];
+    assert.equal(getCodeValue(length), '410668003', 'Length concept');
+    var measured = length.x0040A300.value[0];
+    assert.equal(dwv.dicom.cleanString(measured.x0040A30A.value[0]),
+      '28.284271', 'Length value');
+    assert.equal(dwv.dicom.cleanString(
+      measured.x004008EA.value[0].x00080100.value[0]), 'mm', 'Length unit');
+    var scoord = length.x0040A730.value[0];
+    assert.equal(dwv.dicom.cleanString(scoord.x0040A010.value[0]),
+      'INFERRED FROM', 'Length source relationship');
+    assert.equal(scoord.x0040A040.value[0], 'SCOORD', 'Image coordinates');
+    assert.deepEqual(Array.from(scoord.x00700022.value), [10, 20, 30, 40],
+      'Image coordinates data');
+    var image = scoord.x0040A730.value[0].x00081199.value[0];
+    assert.equal(dwv.dicom.cleanString(image.x00081155.value[0]),
+      sopInstanceUid, 'Image reference');
+    assert.equal(typeof image.x00081160, 'undefined',
+      'No frame number for single frame data');
+
+    // rectangle: image region with its stats, unknown p25 is not stored
+    var rectContent = groups[1].x0040A730.value;
+    assert.equal(rectContent.length, 5, 'Rectangle content');
+    var region = rectContent[2];
+    assert.equal(getCodeValue(region), '111030', 'Image region');
+    assert.equal(region.x0040A040.value[0], 'SCOORD3D', 'World coordinates');
+    assert.equal(dwv.dicom.cleanString(region.x00700023.value[0]), 'POLYGON',
+      'Graphic type');
+    assert.equal(region.x30060024.value[0],
+      sourceTags.getFromKey('x00200052'), 'Frame of reference');
+    assert.equal(getCodeValue(rectContent[3]), '42798000', 'Area concept');
+    assert.equal(getCodeValue(rectContent[4]), '373098007', 'Mean concept');
+
+    // unknown referenced instance
+    measurements[0].referencedSOPInstanceUID = '1.2.3';
+    assert.throws(function () {
+      dwv.dicom.getMeasurementReportBuffer(measurements, [source]);
+    }, /Unknown referenced SOP instance: 1.2.3/, 'Unknown instance');
+
+    done();
+  };
+  request.send(null);
+});
+
+/**
+ * Tests for {@link dwv.dicom.getMeasurementsFromReport}.
+ * Using remote file for CI integration.
+ *
+ * @function module:tests/dicom~getMeasurementsFromReport
+ */
+QUnit.test('Test measurement report reading.', function (assert) {
+  var done = assert.async();
+
+  var request = new XMLHttpRequest();
+  var url = '/tests/data/bbmri-53323131.dcm';
+  request.open('GET', url, true);
+  request.responseType = 'arraybuffer';
+  request.onload = function (/*event*/) {
+    var dicomParser = new dwv.dicom.DicomParser();
+    dicomParser.parse(this.response);
+    var source = dicomParser.getRawDicomElements();
+    var sourceTags = dicomParser.getDicomElements();
+    var sopInstanceUid = dwv.dicom.cleanString(
+      sourceTags.getFromKey('x00080018'));
+    var frameOfReferenceUid = dwv.dicom.cleanString(
+      sourceTags.getFromKey('x00200052'));
+
+    var measurements = [
+      {
+        trackingId: 'protractor0',
+        trackingUid: '1.2.3.4.5.6',
+        type: 'Protractor',
+        graphicType: 'POLYLINE',
+        graphicData: [10, 20, 30, 40, 50, 20],
+        referencedSOPInstanceUID: sopInstanceUid,
+        referencedFrameNumber: 1,
+        quantification: {angle: {value: 90, unit: 'deg'}}
+      },
+      {
+        trackingId: 'ellipse0',
+        type: 'Ellipse',
+        graphicType: 'ELLIPSE',
+        graphicData: [0, 1, 0, 2, 1, 0, 1, 0, 0, 1, 2, 0],
+        quantification: {
+          surface: {value: 0.02, unit: 'cm2'},
+          min: {value: 1, unit: ''},
+          max: {value: 3, unit: ''}
+        }
+      }
+    ];
+    var buffer = dwv.dicom.getMeasurementReportBuffer(
+      measurements, [source]);
+
+    var parser = new dwv.dicom.DicomParser();
+    parser.parse(buffer);
+    var sopClassUid = dwv.dicom.cleanString(
+      parser.getDicomElements().getFromKey('x00080016'));
+    assert.ok(dwv.dicom.isStructuredReportSopClass(sopClassUid),
+      'Structured report SOP class');
+    assert.notOk(dwv.dicom.isStructuredReportSopClass(
+      dwv.dicom.cleanString(sourceTags.getFromKey('x00080016'))),
+    'Image SOP class');
+
+    var results = dwv.dicom.getMeasurementsFromReport(
+      parser.getRawDicomElements());
+    assert.equal(results.length, 2, 'Number of measurements');
+
+    // protractor: image coordinates
+    var protractor = results[0];
+    assert.equal(protractor.trackingId, 'protractor0', 'Tracking id 0');
+    assert.equal(protractor.trackingUid, '1.2.3.4.5.6', 'Tracking uid 0');
+    assert.equal(protractor.graphicType, 'POLYLINE', 'Graphic type 0');
+    assert.deepEqual(protractor.graphicData, [10, 20, 30, 40, 50, 20],
+      'Graphic data 0');
+    assert.equal(protractor.referencedSOPInstanceUID, sopInstanceUid,
+      'Referenced instance');
+    assert.equal(typeof protractor.referencedFrameNumber, 'undefined',
+      'No frame number for single frame data');
+    assert.deepEqual(protractor.quantification,
+      {angle: {value: 90, unit: 'deg'}}, 'Quantification 0');
+
+    // ellipse: world coordinates
+    var ellipse = results[1];
+    assert.equal(ellipse.trackingId, 'ellipse0', 'Tracking id 1');
+    assert.equal(ellipse.graphicType, 'ELLIPSE', 'Graphic type 1');
+    assert.deepEqual(ellipse.graphicData,
+      [0, 1, 0, 2, 1, 0, 1, 0, 0, 1, 2, 0], 'Graphic data 1');
+    assert.equal(ellipse.referencedFrameOfReferenceUID, frameOfReferenceUid,
+      'Referenced frame of reference');
+    assert.equal(ellipse.quantification.surface.value, 0.02, 'Surface');
+    assert.equal(ellipse.quantification.surface.unit, 'cm2', 'Surface unit');
+    assert.equal(ellipse.quantification.min.value, 1, 'Min');
+    assert.equal(ellipse.quantification.max.value, 3, 'Max');
+
+    // round trip: the tracking is kept
+    var parser2 = new dwv.dicom.DicomParser();
+    parser2.parse(dwv.dicom.getMeasurementReportBuffer(results, [source]));
+    var results2 = dwv.dicom.getMeasurementsFromReport(
+      parser2.getRawDicomElements());
+    assert.equal(results2[0].trackingId, 'protractor0', 'Kept tracking id');
+    assert.equal(results2[0].trackingUid, '1.2.3.4.5.6', 'Kept tracking uid');
+    assert.ok(ellipse.trackingUid.length !== 0, 'Generated tracking uid');
+    assert.equal(results2[1].trackingUid, ellipse.trackingUid,
+      'Kept generated tracking uid');
+
+    done();
+  };
+  request.send(null);
+});
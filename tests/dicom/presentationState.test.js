@@ -0,0 +1,286 @@
+// namespace
+var dwv = dwv || {};
+dwv.test = dwv.test || {};
+
+/**
+ * Tests for the 'dicom/presentationState.js' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit */
+
+/**
+ * Tests for {@link dwv.dicom.getPresentationState}.
+ *
+ * @function module:tests/dicom~getPresentationState
+ */
+QUnit.test('Test presentation state reading.', function (assert) {
+  var sopClassUid = '1.2.840.10008.5.1.4.1.1.11.1';
+  var tags = {
+    FileMetaInformationVersion: new Uint8Array([0, 1]),
+    MediaStorageSOPClassUID: sopClassUid,
+    MediaStorageSOPInstanceUID: '1.2.3.4',
+    TransferSyntaxUID: '1.2.840.10008.1.2.1',
+    SOPClassUID: sopClassUid,
+    SOPInstanceUID: '1.2.3.4',
+    Modality: 'PR',
+    ReferencedSeriesSequence: [
+      {
+        ReferencedImageSequence: [
+          {
+            ReferencedSOPClassUID: '1.2.840.10008.5.1.4.1.1.2',
+            ReferencedSOPInstanceUID: '1.2.3.5.1'
+          },
+          {
+            ReferencedSOPClassUID: '1.2.840.10008.5.1.4.1.1.2',
+            ReferencedSOPInstanceUID: '1.2.3.5.2'
+          }
+        ],
+        SeriesInstanceUID: '1.2.3.5'
+      }
+    ],
+    WindowCenter: '40',
+    WindowWidth: '400',
+    SoftcopyVOILUTSequence: [
+      {
+        WindowCenter: '40',
+        WindowWidth: '400'
+      }
+    ],
+    PresentationLUTShape: 'INVERSE',
+    ImageHorizontalFlip: 'Y',
+    ImageRotation: 180,
+    DisplayedAreaSelectionSequence: [
+      {
+        ReferencedImageSequence: [
+          {
+            ReferencedSOPClassUID: '1.2.840.10008.5.1.4.1.1.2',
+            ReferencedSOPInstanceUID: '1.2.3.5.2'
+          }
+        ],
+        DisplayedAreaTopLeftHandCorner: [11, 21],
+        DisplayedAreaBottomRightHandCorner: [110, 120],
+        PresentationSizeMode: 'SCALE TO FIT',
+        PresentationPixelSpacing: ['0.5', '0.5']
+      }
+    ],
+    GraphicLayerSequence: [
+      {
+        GraphicLayer: 'LAYER1',
+        GraphicLayerOrder: '2',
+        GraphicLayerRecommendedDisplayGrayscaleValue: 65535
+      },
+      {
+        GraphicLayer: 'LAYER0',
+        GraphicLayerOrder: '1',
+        GraphicLayerRecommendedDisplayCIELabValue: [34866, 53484, 50171]
+      }
+    ],
+    GraphicAnnotationSequence: [
+      {
+        GraphicLayer: 'LAYER0',
+        GraphicObjectSequence: [
+          {
+            GraphicAnnotationUnits: 'PIXEL',
+            GraphicDimensions: 2,
+            NumberOfGraphicPoints: 2,
+            GraphicData: [10, 20, 30, 40],
+            GraphicType: 'POLYLINE',
+            GraphicFilled: 'N'
+          }
+        ],
+        TextObjectSequence: [
+          {
+            AnchorPointAnnotationUnits: 'DISPLAY',
+            UnformattedTextValue: 'Lesion',
+            AnchorPoint: [0.5, 0.25],
+            AnchorPointVisibility: 'Y'
+          }
+        ]
+      }
+    ]
+  };
+  var elements = dwv.dicom.getElementsFromJSONTags(tags).elements;
+  var writer = new dwv.dicom.DicomWriter();
+  var parser = new dwv.dicom.DicomParser();
+  parser.parse(writer.getBuffer(elements));
+  var rawElements = parser.getRawDicomElements();
+
+  assert.ok(dwv.dicom.isPresentationStateSopClass(sopClassUid),
+    'Presentation state SOP class');
+  assert.notOk(dwv.dicom.isPresentationStateSopClass(
+    '1.2.840.10008.5.1.4.1.1.2'), 'Image SOP class');
+
+  var state = dwv.dicom.getPresentationState(rawElements);
+  assert.deepEqual(state.referencedImages, [
+    {sopInstanceUID: '1.2.3.5.1', frameNumbers: []},
+    {sopInstanceUID: '1.2.3.5.2', frameNumbers: []}
+  ], 'Referenced images');
+  assert.deepEqual(state.voiLuts,
+    [{windowCenter: 40, windowWidth: 400, referencedImages: []}],
+    'VOI LUTs');
+  assert.equal(state.presentationLutShape, 'INVERSE',
+    'Presentation LUT shape');
+  assert.equal(state.imageRotation, 180, 'Image rotation');
+  assert.ok(state.imageHorizontalFlip, 'Image horizontal flip');
+
+  assert.equal(state.displayedAreas.length, 1, 'Displayed areas');
+  var area = state.displayedAreas[0];
+  assert.deepEqual(area.topLeft, [11, 21], 'Displayed area top left');
+  assert.deepEqual(area.bottomRight, [110, 120],
+    'Displayed area bottom right');
+  assert.equal(area.sizeMode, 'SCALE TO FIT', 'Presentation size mode');
+  assert.deepEqual(area.pixelSpacing, [0.5, 0.5],
+    'Presentation pixel spacing');
+  assert.equal(area.referencedImages[0].sopInstanceUID, '1.2.3.5.2',
+    'Displayed area referenced image');
+
+  assert.equal(state.graphicLayers.length, 2, 'Graphic layers');
+  assert.equal(state.graphicLayers[0].name, 'LAYER1', 'Layer name');
+  assert.equal(state.graphicLayers[0].order, 2, 'Layer order');
+  assert.equal(state.graphicLayers[0].colour, '#ffffff', 'Grey colour');
+  // CIE LAB red
+  assert.equal(state.graphicLayers[1].colour, '#ff0000', 'Lab colour');
+
+  assert.equal(state.annotations.length, 1, 'Annotations');
+  var annotation = state.annotations[0];
+  assert.equal(annotation.layer, 'LAYER0', 'Annotation layer');
+  assert.equal(annotation.referencedImages.length, 0,
+    'Annotation applies to all images');
+  assert.equal(annotation.graphics.length, 1, 'Graphic objects');
+  assert.equal(annotation.graphics[0].units, 'PIXEL', 'Graphic units');
+  assert.equal(annotation.graphics[0].type, 'POLYLINE', 'Graphic type');
+  assert.deepEqual(annotation.graphics[0].data, [10, 20, 30, 40],
+    'Graphic data');
+  assert.notOk(annotation.graphics[0].filled, 'Graphic filled');
+  assert.equal(annotation.texts.length, 1, 'Text objects');
+  var text = annotation.texts[0];
+  assert.equal(text.text, 'Lesion', 'Text value');
+  assert.equal(text.anchorUnits, 'DISPLAY', 'Anchor units');
+  assert.deepEqual(text.anchor, [0.5, 0.25], 'Anchor point');
+  assert.ok(text.anchorVisible, 'Anchor visibility');
+  assert.deepEqual(text.topLeft, [], 'No bounding box');
+});
+
+/**
+ * Tests for {@link dwv.dicom.getPresentationStateBuffer}.
+ * Using remote file for CI integration.
+ *
+ * @function module:tests/dicom~getPresentationStateBuffer
+ */
+QUnit.test('Test presentation state creation.', function (assert) {
+  var done = assert.async();
+
+  var request = new XMLHttpRequest();
+  var url = '/tests/data/bbmri-53323131.dcm';
+  request.open('GET', url, true);
+  request.responseType = 'arraybuffer';
+  request.onload = function (/*event*/) {
+    var dicomParser = new dwv.dicom.DicomParser();
+    dicomParser.parse(this.response);
+    var source = dicomParser.getRawDicomElements();
+    var sourceTags = dicomParser.getDicomElements();
+    var sopInstanceUid = dwv.dicom.cleanString(
+      sourceTags.getFromKey('x00080018'));
+    var referencedImages = [
+      {sopInstanceUID: sopInstanceUid, frameNumbers: [1]}
+    ];
+
+    var presentation = {
+      voiLuts: [{windowCenter: 40.5, windowWidth: 400}],
+      presentationLutShape: 'INVERSE',
+      imageRotation: 180,
+      imageHorizontalFlip: false,
+      displayedAreas: [{
+        topLeft: [11, 21],
+        bottomRight: [110, 120],
+        sizeMode: 'SCALE TO FIT'
+      }],
+      graphicLayers: [{name: 'LAYER0', order: 1, colour: '#ff0000'}],
+      annotations: [{
+        layer: 'LAYER0',
+        referencedImages: referencedImages,
+        graphics: [
+          {units: 'PIXEL', type: 'POLYLINE', data: [10, 20, 30, 40]},
+          {units: 'PIXEL', type: 'CIRCLE', data: [10, 20, 15, 20]}
+        ],
+        texts: [{
+          text: 'Lesion',
+          boundingBoxUnits: 'PIXEL',
+          topLeft: [30, 40],
+          bottomRight: [60, 50],
+          anchorUnits: 'PIXEL',
+          anchor: [10, 20],
+          anchorVisible: true
+        }]
+      }]
+    };
+    var buffer = dwv.dicom.getPresentationStateBuffer(
+      presentation, [source], {ContentDescription: 'Window and arrow'});
+
+    var parser = new dwv.dicom.DicomParser();
+    parser.parse(buffer);
+    var elements = parser.getRawDicomElements();
+    assert.ok(dwv.dicom.validateDicomElements(elements).isValid,
+      'Valid elements');
+    var tags = parser.getDicomElements();
+    assert.equal(dwv.dicom.cleanString(tags.getFromKey('x00080016')),
+      '1.2.840.10008.5.1.4.1.1.11.1', 'SOPClassUID');
+    assert.equal(dwv.dicom.cleanString(tags.getFromKey('x00080060')), 'PR',
+      'Modality');
+    assert.equal(tags.getFromKey('x0020000D'),
+      sourceTags.getFromKey('x0020000D'), 'StudyInstanceUID');
+    assert.equal(dwv.dicom.cleanString(tags.getFromKey('x00700081')),
+      'Window and arrow', 'ContentDescription');
+    var series = elements.x00081115.value[0];
+    assert.equal(series.x0020000E.value[0],
+      sourceTags.getFromKey('x0020000E'), 'Referenced series');
+    var area = elements.x0070005A.value[0];
+    assert.deepEqual(area.x00700101.value.map(dwv.dicom.cleanString),
+      sourceTags.getFromKey('x00280030').map(dwv.dicom.cleanString),
+      'Presentation pixel spacing');
+    var graphics = elements.x00700001.value[0].x00700009.value;
+    assert.equal(typeof graphics[0].x00700024, 'undefined',
+      'No filled flag for open graphics');
+    assert.equal(dwv.dicom.cleanString(graphics[1].x00700024.value[0]), 'N',
+      'Filled flag for closed graphics');
+
+    // read back
+    var state = dwv.dicom.getPresentationState(elements);
+    assert.deepEqual(state.referencedImages,
+      [{sopInstanceUID: sopInstanceUid, frameNumbers: []}],
+      'Referenced images');
+    assert.deepEqual(state.voiLuts,
+      [{windowCenter: 40.5, windowWidth: 400, referencedImages: []}],
+      'VOI LUTs');
+    assert.equal(state.presentationLutShape, 'INVERSE',
+      'Presentation LUT shape');
+    assert.equal(state.imageRotation, 180, 'Image rotation');
+    assert.notOk(state.imageHorizontalFlip, 'Image horizontal flip');
+    assert.deepEqual(state.displayedAreas[0].topLeft, [11, 21],
+      'Displayed area top left');
+    assert.deepEqual(state.displayedAreas[0].bottomRight, [110, 120],
+      'Displayed area bottom right');
+    assert.equal(state.graphicLayers[0].colour, '#ff0000', 'Layer colour');
+    var annotation = state.annotations[0];
+    // single frame: no frame number
+    assert.deepEqual(annotation.referencedImages,
+      [{sopInstanceUID: sopInstanceUid, frameNumbers: []}],
+      'Annotation referenced images');
+    assert.deepEqual(annotation.graphics[0].data, [10, 20, 30, 40],
+      'Graphic data');
+    assert.equal(annotation.graphics[1].type, 'CIRCLE', 'Graphic type');
+    assert.equal(annotation.texts[0].text, 'Lesion', 'Text value');
+    assert.deepEqual(annotation.texts[0].anchor, [10, 20], 'Anchor');
+    assert.deepEqual(annotation.texts[0].bottomRight, [60, 50],
+      'Bounding box');
+
+    // unknown referenced instance
+    referencedImages[0].sopInstanceUID = '1.2.3';
+    assert.throws(function () {
+      dwv.dicom.getPresentationStateBuffer(presentation, [source]);
+    }, /Unknown referenced SOP instance: 1.2.3/, 'Unknown instance');
+
+    done();
+  };
+  request.send(null);
+});
@@ -0,0 +1,202 @@
+// namespace
+var dwv = dwv || {};
+dwv.test = dwv.test || {};
+
+/**
+ * Tests for the 'dicom/rtStructureSet.js' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit */
+
+/**
+ * Get the tags of a test RT structure set: a closed 'Body' contour
+ *   referencing an image and an open 'Line' contour.
+ *
+ * @returns {object} The structure set tags.
+ */
+dwv.test.getTestStructureSetTags = function () {
+  return {
+    SOPClassUID: '1.2.840.10008.5.1.4.1.1.481.3',
+    StructureSetLabel: 'Plan',
+    StructureSetROISequence: {
+      item0: {
+        ROINumber: 1,
+        ReferencedFrameOfReferenceUID: '1.2.3',
+        ROIName: 'Body'
+      },
+      item1: {
+        ROINumber: 2,
+        ReferencedFrameOfReferenceUID: '1.2.3',
+        ROIName: 'Line'
+      }
+    },
+    ROIContourSequence: {
+      item0: {
+        ReferencedROINumber: 1,
+        ROIDisplayColor: [255, 0, 0],
+        ContourSequence: {
+          item0: {
+            ContourImageSequence: {
+              item0: {
+                ReferencedSOPClassUID: '1.2.840.10008.5.1.4.1.1.2',
+                ReferencedSOPInstanceUID: '1.2.3.4.1'
+              }
+            },
+            ContourGeometricType: 'CLOSED_PLANAR',
+            NumberOfContourPoints: 3,
+            ContourData: [0, 0, 1.5, 10, 0, 1.5, 10, 10, 1.5]
+          }
+        }
+      },
+      item1: {
+        ReferencedROINumber: 2,
+        ROIDisplayColor: [0, 128, 255],
+        ContourSequence: {
+          item0: {
+            ContourGeometricType: 'OPEN_PLANAR',
+            NumberOfContourPoints: 2,
+            ContourData: [0, 0, 3, 5, 5, 3]
+          }
+        }
+      }
+    },
+    RTROIObservationsSequence: {
+      item0: {
+        ObservationNumber: 1,
+        ReferencedROINumber: 1,
+        RTROIInterpretedType: 'EXTERNAL'
+      }
+    }
+  };
+};
+
+/**
+ * Tests for {@link dwv.dicom.getStructureSet}.
+ *
+ * @function module:tests/dicom~getStructureSet
+ */
+QUnit.test('Test structure set parsing.', function (assert) {
+  var tags = dwv.test.getTestStructureSetTags();
+  var elements = dwv.dicom.getElementsFromJSONTags(tags).elements;
+  assert.ok(dwv.dicom.isRtStructureSetSopClass(
+    dwv.dicom.cleanString(elements.x00080016.value[0])), 'SOP class');
+
+  var structureSet = dwv.dicom.getStructureSet(elements);
+  assert.equal(structureSet.label, 'Plan', 'Label');
+  assert.equal(structureSet.structures.length, 2, 'Number of structures');
+
+  var body = structureSet.structures[0];
+  assert.equal(body.number, 1, 'First number');
+  assert.equal(body.name, 'Body', 'First name');
+  assert.equal(body.interpretedType, 'EXTERNAL', 'First interpreted type');
+  assert.equal(body.frameOfReferenceUID, '1.2.3', 'First frame of reference');
+  assert.equal(body.colour, '#ff0000', 'First colour');
+  assert.equal(body.contours.length, 1, 'First number of contours');
+  assert.equal(body.contours[0].type, 'CLOSED_PLANAR', 'First contour type');
+  assert.deepEqual(body.contours[0].points,
+    [0, 0, 1.5, 10, 0, 1.5, 10, 10, 1.5], 'First contour points');
+  assert.deepEqual(body.contours[0].referencedSOPInstanceUIDs,
+    ['1.2.3.4.1'], 'First contour image');
+
+  var line = structureSet.structures[1];
+  assert.equal(line.name, 'Line', 'Second name');
+  assert.equal(typeof line.interpretedType, 'undefined',
+    'Second interpreted type');
+  assert.equal(line.colour, '#0080ff', 'Second colour');
+  assert.equal(line.contours[0].type, 'OPEN_PLANAR', 'Second contour type');
+  assert.deepEqual(line.contours[0].referencedSOPInstanceUIDs, [],
+    'Second contour image');
+});
+
+/**
+ * Tests for {@link dwv.dicom.getStructureSetBuffer}.
+ *
+ * @function module:tests/dicom~getStructureSetBuffer
+ */
+QUnit.test('Test structure set creation.', function (assert) {
+  var source = dwv.dicom.getElementsFromJSONTags({
+    SOPClassUID: '1.2.840.10008.5.1.4.1.1.2',
+    SOPInstanceUID: '1.2.3.4.1',
+    PatientName: 'Test^Patient',
+    PatientID: 'P1',
+    StudyInstanceUID: '1.2.3',
+    SeriesInstanceUID: '1.2.3.4',
+    FrameOfReferenceUID: '1.2.3.5'
+  }).elements;
+
+  var structureSet = {
+    structures: [
+      {
+        name: 'Body',
+        colour: '#ff0000',
+        contours: [{
+          type: 'CLOSED_PLANAR',
+          points: [0, 0, 1.5, 10.25, 0, 1.5, 10.25, 10, 1.5],
+          referencedSOPInstanceUIDs: ['1.2.3.4.1']
+        }, {
+          type: 'CLOSED_PLANAR',
+          points: [0, 0, 3, 5, 0, 3, 5, 5, 3],
+          referencedSOPInstanceUIDs: []
+        }]
+      },
+      {
+        name: 'Target',
+        colour: '#00ff00',
+        interpretedType: 'PTV',
+        contours: []
+      }
+    ]
+  };
+  var buffer = dwv.dicom.getStructureSetBuffer(structureSet, [source]);
+
+  var parser = new dwv.dicom.DicomParser();
+  parser.parse(buffer);
+  var elements = parser.getRawDicomElements();
+  assert.ok(dwv.dicom.validateDicomElements(elements).isValid,
+    'Valid elements');
+  var tags = parser.getDicomElements();
+  assert.ok(dwv.dicom.isRtStructureSetSopClass(
+    dwv.dicom.cleanString(tags.getFromKey('x00080016'))), 'SOPClassUID');
+  assert.equal(dwv.dicom.cleanString(tags.getFromKey('x00080060')),
+    'RTSTRUCT', 'Modality');
+  assert.equal(dwv.dicom.cleanString(tags.getFromKey('x00100020')), 'P1',
+    'PatientID');
+  var frameItem = elements.x30060010.value[0];
+  assert.equal(dwv.dicom.cleanString(frameItem.x00200052.value[0]),
+    '1.2.3.5', 'Frame of reference');
+  var seriesItem =
+    frameItem.x30060012.value[0].x30060014.value[0];
+  assert.equal(dwv.dicom.cleanString(seriesItem.x0020000E.value[0]),
+    '1.2.3.4', 'Referenced series');
+  assert.equal(seriesItem.x30060016.value.length, 1,
+    'Referenced contour images');
+
+  // read back
+  var read = dwv.dicom.getStructureSet(elements);
+  assert.equal(read.label, 'DWV', 'Default label');
+  assert.equal(read.structures.length, 2, 'Number of structures');
+  var body = read.structures[0];
+  assert.equal(body.number, 1, 'First number');
+  assert.equal(body.name, 'Body', 'First name');
+  assert.equal(body.colour, '#ff0000', 'First colour');
+  assert.equal(body.frameOfReferenceUID, '1.2.3.5',
+    'First frame of reference');
+  assert.equal(body.contours.length, 2, 'First number of contours');
+  assert.deepEqual(body.contours[0].points,
+    [0, 0, 1.5, 10.25, 0, 1.5, 10.25, 10, 1.5], 'First contour points');
+  assert.deepEqual(body.contours[0].referencedSOPInstanceUIDs,
+    ['1.2.3.4.1'], 'First contour image');
+  assert.deepEqual(body.contours[1].referencedSOPInstanceUIDs, [],
+    'Second contour image');
+  var target = read.structures[1];
+  assert.equal(target.interpretedType, 'PTV', 'Second interpreted type');
+  assert.equal(target.contours.length, 0, 'Second number of contours');
+
+  // unknown image
+  structureSet.structures[0].contours[0].referencedSOPInstanceUIDs =
+    ['1.2.3.4.2'];
+  assert.throws(function () {
+    dwv.dicom.getStructureSetBuffer(structureSet, [source]);
+  }, new Error('Unknown referenced SOP instance: 1.2.3.4.2'),
+  'Unknown image');
+});
@@ -0,0 +1,104 @@
+// namespace
+var dwv = dwv || {};
+dwv.test = dwv.test || {};
+
+/**
+ * Tests for the 'dicom/secondaryCapture.js' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit */
+
+/**
+ * Tests for {@link dwv.dicom.getSecondaryCaptureBuffer}.
+ *
+ * @function module:tests/dicom~getSecondaryCaptureBuffer
+ */
+QUnit.test('Test Secondary Capture creation.', function (assert) {
+  // RGB image as created by the RawImageLoader
+  var buffer = new Uint8Array(5 * 3 * 3);
+  for (var i = 0; i < buffer.length; ++i) {
+    buffer[i] = i;
+  }
+  var image = dwv.image.getDefaultImage(5, 3, 0, buffer, 1, 0);
+  var attributes = {
+    PatientName: 'Doe^John',
+    PatientID: '123',
+    StudyDescription: 'Photo'
+  };
+  var dicomBuffer = dwv.dicom.getSecondaryCaptureBuffer(image, attributes);
+
+  var parser = new dwv.dicom.DicomParser();
+  parser.parse(dicomBuffer);
+  var elements = parser.getRawDicomElements();
+  assert.ok(dwv.dicom.validateDicomElements(elements).isValid,
+    'Valid elements');
+  var tags = parser.getDicomElements();
+  assert.equal(dwv.dicom.cleanString(tags.getFromKey('x00080016')),
+    '1.2.840.10008.5.1.4.1.1.7', 'SOPClassUID');
+  assert.equal(tags.getFromKey('x00020003'), tags.getFromKey('x00080018'),
+    'SOPInstanceUID');
+  assert.ok(dwv.utils.startsWith(tags.getFromKey('x0020000D'),
+    dwv.dicom.getDwvUIDPrefix()), 'StudyInstanceUID');
+  assert.equal(tags.getFromKey('x00100010'), 'Doe^John', 'PatientName');
+  assert.equal(dwv.dicom.cleanString(tags.getFromKey('x00081030')), 'Photo',
+    'StudyDescription');
+  assert.equal(tags.getFromKey('x00080060'), 'OT', 'Modality');
+  assert.equal(tags.getFromKey('x00280002'), 3, 'SamplesPerPixel');
+  assert.equal(dwv.dicom.cleanString(tags.getFromKey('x00280004')), 'RGB',
+    'PhotometricInterpretation');
+  assert.equal(tags.getFromKey('x00280006'), 0, 'PlanarConfiguration');
+  assert.equal(tags.getFromKey('x00280010'), 3, 'Rows');
+  assert.equal(tags.getFromKey('x00280011'), 5, 'Columns');
+  assert.equal(tags.getFromKey('x00280100'), 8, 'BitsAllocated');
+  assert.equal(typeof elements.x00280008, 'undefined', 'No NumberOfFrames');
+  var pixels = elements.x7FE00010.value[0];
+  assert.equal(pixels.length, buffer.length + 1, 'Padded pixel data');
+  assert.deepEqual(Array.from(pixels.subarray(0, buffer.length)),
+    Array.from(buffer), 'Pixel data');
+
+  // unknown attribute
+  assert.throws(function () {
+    dwv.dicom.getSecondaryCaptureTags(image, {Foo: 'bar'});
+  }, /Unknown DICOM attribute: Foo/, 'Unknown attribute');
+});
+
+/**
+ * Tests for {@link dwv.dicom.getSecondaryCaptureBuffer} with
+ *   multi-frame images.
+ *
+ * @function module:tests/dicom~getSecondaryCaptureBufferMultiFrame
+ */
+QUnit.test('Test Multi-frame Secondary Capture creation.', function (assert) {
+  // video as created by the RawVideoLoader
+  var frame = new Uint8Array(4 * 2 * 3);
+  var image = dwv.image.getDefaultImage(4, 2, 1, frame, 3, 0);
+  image.appendFrameBuffer(frame, 1);
+  image.appendFrameBuffer(frame, 2);
+  assert.equal(dwv.dicom.getNumberOfImageFrames(image), 3,
+    'Number of image frames');
+
+  var parser = new dwv.dicom.DicomParser();
+  parser.parse(dwv.dicom.getSecondaryCaptureBuffer(image));
+  var elements = parser.getRawDicomElements();
+  assert.ok(dwv.dicom.validateDicomElements(elements).isValid,
+    'Valid elements');
+  var tags = parser.getDicomElements();
+  assert.equal(dwv.dicom.cleanString(tags.getFromKey('x00080016')),
+    '1.2.840.10008.5.1.4.1.1.7.4', 'True colour SOPClassUID');
+  assert.equal(dwv.dicom.cleanString(tags.getFromKey('x00280008')), '3',
+    'NumberOfFrames');
+  assert.equal(tags.getFromKey('x00280009'), '(0018,1063)',
+    'FrameIncrementPointer');
+  assert.equal(elements.x7FE00010.value[0].length, 3 * frame.length,
+    'Pixel data length');
+
+  // grayscale
+  var size = new dwv.image.Size([2, 2, 2]);
+  var geometry = new dwv.image.Geometry(
+    new dwv.math.Point3D(0, 0, 0), size, new dwv.image.Spacing([1, 1, 1]));
+  var grayImage = new dwv.image.Image(
+    geometry, new Uint16Array(8), ['0', '1']);
+  grayImage.setMeta({});
+  assert.equal(dwv.dicom.getSecondaryCaptureSopClassUid(grayImage),
+    '1.2.840.10008.5.1.4.1.1.7.3', 'Grayscale word SOPClassUID');
+});
@@ -0,0 +1,121 @@
+// namespace
+var dwv = dwv || {};
+dwv.test = dwv.test || {};
+
+/**
+ * Tests for the 'dicom/segmentation.js' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit */
+
+/**
+ * Tests for {@link dwv.dicom.getSegmentationBuffer}.
+ *
+ * @function module:tests/dicom~getSegmentationBuffer
+ */
+QUnit.test('Test segmentation creation.', function (assert) {
+  var done = assert.async();
+
+  var request = new XMLHttpRequest();
+  var url = '/tests/data/bbmri-53323131.dcm';
+  request.open('GET', url, true);
+  request.responseType = 'arraybuffer';
+  request.onload = function (/*event*/) {
+    var dicomParser = new dwv.dicom.DicomParser();
+    dicomParser.parse(this.response);
+    var source = dicomParser.getRawDicomElements();
+    var sourceTags = dicomParser.getDicomElements();
+    var image = new dwv.image.ImageFactory().create(
+      sourceTags, source.x7FE00010.value[0], 1);
+
+    // two segments: a square and a line
+    var size = image.getGeometry().getSize();
+    var columns = size.get(0);
+    var buffer = new Uint8Array(size.getDimSize(2));
+    var i;
+    var j;
+    for (j = 10; j < 20; ++j) {
+      for (i = 10; i < 20; ++i) {
+        buffer[j * columns + i] = 1;
+      }
+    }
+    for (i = 30; i < 40; ++i) {
+      buffer[30 * columns + i] = 2;
+    }
+    var mask = new dwv.image.Image(
+      image.getGeometry(), buffer, [image.getImageUid()]);
+    var segments = [
+      {label: 'Square', colour: {r: 255, g: 0, b: 0}},
+      {
+        label: 'Line',
+        colour: {r: 0, g: 0, b: 255},
+        algorithmType: 'SEMIAUTOMATIC'
+      }
+    ];
+    var segBuffer = dwv.dicom.getSegmentationBuffer(
+      mask, segments, [source], {SeriesDescription: 'Shapes'});
+
+    var parser = new dwv.dicom.DicomParser();
+    parser.parse(segBuffer);
+    var elements = parser.getRawDicomElements();
+    assert.ok(dwv.dicom.validateDicomElements(elements).isValid,
+      'Valid elements');
+    var tags = parser.getDicomElements();
+    assert.equal(dwv.dicom.cleanString(tags.getFromKey('x00080016')),
+      '1.2.840.10008.5.1.4.1.1.66.4', 'SOPClassUID');
+    assert.equal(tags.getFromKey('x0020000D'),
+      sourceTags.getFromKey('x0020000D'), 'StudyInstanceUID');
+    assert.equal(tags.getFromKey('x00280100'), 1, 'BitsAllocated');
+    assert.equal(dwv.dicom.cleanString(tags.getFromKey('x00280008')), '2',
+      'NumberOfFrames');
+    var segmentItems = elements.x00620002.value;
+    assert.equal(typeof segmentItems[0].x00620009, 'undefined',
+      'No algorithm name for manual segments');
+    assert.equal(dwv.dicom.cleanString(segmentItems[1].x00620009.value[0]),
+      'dwv', 'Algorithm name for semi automatic segments');
+    var frameItem = elements.x52009230.value[1];
+    var sourceImage = frameItem.x00089124.value[0].x00082112.value[0];
+    assert.equal(sourceImage.x00081155.value[0],
+      sourceTags.getFromKey('x00080018'), 'Derivation source image');
+    assert.deepEqual(Array.from(frameItem.x00209111.value[0].x00209157.value),
+      [2, 1], 'Dimension index values');
+
+    // read back
+    var factory = new dwv.image.MaskFactory();
+    var segImage = factory.create(tags, elements.x7FE00010.value[0]);
+    var labels = segImage.getMeta().labels;
+    assert.equal(labels.length, 2, 'Number of labels');
+    assert.equal(labels[0].name, 'Square', 'First label name');
+    assert.equal(labels[1].name, 'Line', 'Second label name');
+    assert.equal(Math.round(labels[0].colour.r), 255, 'First label colour');
+    assert.equal(Math.round(labels[1].colour.b), 255, 'Second label colour');
+    assert.ok(segImage.getGeometry().getOrigin().isSimilar(
+      image.getGeometry().getOrigin(), 1e-4), 'Origin');
+    var segBufferRead = segImage.getBuffer();
+    var isSame = true;
+    for (var p = 0; p < buffer.length; ++p) {
+      var expected = 0;
+      if (buffer[p] === 1) {
+        expected = Math.round(labels[0].colour.r);
+      }
+      if (segBufferRead[3 * p] !== expected ||
+        (buffer[p] === 2) !== (segBufferRead[3 * p + 2] !== 0)) {
+        isSame = false;
+        break;
+      }
+    }
+    assert.ok(isSame, 'Read mask');
+
+    // empty mask
+    var emptyMask = new dwv.image.Image(image.getGeometry(),
+      new Uint8Array(size.getDimSize(2)), [image.getImageUid()]);
+    assert.throws(function () {
+      dwv.dicom.getSegmentationBuffer(emptyMask, segments, [source]);
+    }, new Error('Cannot create a segmentation from an empty mask.'),
+    'Empty mask');
+
+    // finish async test
+    done();
+  };
+  request.send(null);
+});
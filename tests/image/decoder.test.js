@@ -0,0 +1,228 @@
+// namespace
+var dwv = dwv || {};
+dwv.test = dwv.test || {};
+
+/**
+ * Tests for the 'image/decoder.js' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit */
+
+/**
+ * Load a list of urls as array buffers.
+ *
+ * @param {Array} urls The urls to load.
+ * @param {Function} callback The function to call with the list of buffers.
+ */
+dwv.test.loadBuffers = function (urls, callback) {
+  var buffers = [];
+  var count = 0;
+  var onload = function (index) {
+    return function (/*event*/) {
+      buffers[index] = this.response;
+      ++count;
+      if (count === urls.length) {
+        callback(buffers);
+      }
+    };
+  };
+  for (var i = 0; i < urls.length; ++i) {
+    var request = new XMLHttpRequest();
+    request.open('GET', urls[i], true);
+    request.responseType = 'arraybuffer';
+    request.onerror = function (event) {
+      console.log(event);
+    };
+    request.onload = onload(i);
+    request.send(null);
+  }
+};
+
+/**
+ * Tests for {@link dwv.image.SynchPixelBufferDecoder} with JPEG-LS data.
+ * The JPEG-LS data is the lossless compression of 'bbmri-53323131'.
+ *
+ * @function module:tests/image~decodeJpegLs
+ */
+QUnit.test('Test JPEG-LS decoding.', function (assert) {
+  var done = assert.async();
+
+  dwv.test.loadBuffers([
+    '/tests/data/dwv-test-jpegls.dcm',
+    '/tests/data/bbmri-53323131.dcm'
+  ], function (buffers) {
+    // JPEG-LS data
+    var parser = new dwv.dicom.DicomParser();
+    parser.parse(buffers[0]);
+    var elements = parser.getRawDicomElements();
+    var syntax = dwv.dicom.cleanString(elements.x00020010.value[0]);
+    assert.equal(dwv.dicom.getSyntaxDecompressionName(syntax), 'jpeg-ls',
+      'Decompression name');
+    assert.ok(dwv.dicom.isReadSupportedTransferSyntax(syntax),
+      'Read support');
+    // reference data
+    var refParser = new dwv.dicom.DicomParser();
+    refParser.parse(buffers[1]);
+    var refPixels = refParser.getRawDicomElements().x7FE00010.value[0];
+
+    var decoder = new dwv.image.SynchPixelBufferDecoder('jpeg-ls', 1);
+    decoder.ondecodeditem = function (event) {
+      var decoded = event.data[0];
+      assert.ok(decoded instanceof Uint16Array, 'Decoded type');
+      assert.equal(decoded.length, refPixels.length, 'Decoded length');
+      var isSame = true;
+      for (var i = 0; i < refPixels.length; ++i) {
+        if (decoded[i] !== refPixels[i]) {
+          isSame = false;
+          break;
+        }
+      }
+      assert.ok(isSame, 'Decoded values');
+    };
+    decoder.ondecodeend = function () {
+      done();
+    };
+    decoder.decode(elements.x7FE00010.value[0], {
+      bitsAllocated: 16,
+      isSigned: false,
+      sliceSize: 256 * 256,
+      samplesPerPixel: 1,
+      planarConfiguration: 0
+    }, {itemNumber: 0});
+  });
+});
+
+/**
+ * Tests for {@link dwv.decoder.JpegLsDecoder} with 8 bit lossless and
+ *   near-lossless data.
+ * The JPEG-LS streams were created with CharLS from an 8x4 test image.
+ *
+ * @function module:tests/image~decodeJpegLs8
+ */
+QUnit.test('Test 8 bit JPEG-LS decoding.', function (assert) {
+  /* eslint-disable array-element-newline */
+  var original = [
+    0, 30, 60, 90, 120, 150, 180, 210,
+    7, 48, 89, 130, 171, 157, 198, 239,
+    14, 66, 118, 115, 167, 164, 216, 12,
+    21, 84, 92, 155, 163, 171, 234, 242
+  ];
+  // lossless (NEAR=0)
+  var lossless = new Uint8Array([
+    0xff, 0xd8, 0xff, 0xf7, 0x00, 0x0b, 0x08, 0x00, 0x04, 0x00, 0x08, 0x01,
+    0x01, 0x11, 0x00, 0xff, 0xda, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x00,
+    0x00, 0x80, 0x00, 0xe0, 0x00, 0x77, 0x2d, 0xda, 0xb3, 0x62, 0x30, 0x02,
+    0x0c, 0x00, 0x00, 0x04, 0x30, 0xfd, 0x00, 0x00, 0x18, 0x6f, 0x99, 0x7e,
+    0x0a, 0x37, 0x4e, 0x19, 0xc0, 0x00, 0x20, 0x00, 0x00, 0x0b, 0xe9, 0x02,
+    0x00, 0x70, 0x00, 0x00, 0x20, 0xff, 0xd9
+  ]);
+  // near-lossless (NEAR=2)
+  var nearLossless = new Uint8Array([
+    0xff, 0xd8, 0xff, 0xf7, 0x00, 0x0b, 0x08, 0x00, 0x04, 0x00, 0x08, 0x01,
+    0x01, 0x11, 0x00, 0xff, 0xda, 0x00, 0x08, 0x01, 0x01, 0x00, 0x02, 0x00,
+    0x00, 0x81, 0x83, 0x06, 0x74, 0xad, 0x28, 0x20, 0x20, 0x80, 0x16, 0x88,
+    0x08, 0x84, 0x63, 0x68, 0x20, 0x24, 0x42, 0x80, 0x02, 0x44, 0x30, 0x02,
+    0xff, 0xd9
+  ]);
+  // CharLS decoded near-lossless values
+  var nearLosslessRef = [
+    0, 30, 60, 90, 121, 148, 181, 210,
+    5, 50, 90, 131, 171, 157, 196, 240,
+    15, 65, 116, 116, 166, 162, 216, 10,
+    20, 86, 92, 157, 161, 171, 236, 240
+  ];
+  /* eslint-enable array-element-newline */
+
+  var decoder = new dwv.decoder.JpegLsDecoder();
+  var decoded = decoder.decode(lossless, 8, false);
+  assert.ok(decoded instanceof Uint8Array, 'Lossless decoded type');
+  assert.deepEqual(Array.from(decoded), original, 'Lossless decoded values');
+
+  decoded = decoder.decode(nearLossless, 8, false);
+  assert.ok(decoded instanceof Uint8Array, 'Near-lossless decoded type');
+  assert.deepEqual(Array.from(decoded), nearLosslessRef,
+    'Near-lossless decoded values');
+  var maxError = 0;
+  for (var i = 0; i < original.length; ++i) {
+    maxError = Math.max(maxError, Math.abs(decoded[i] - original[i]));
+  }
+  assert.ok(maxError <= 2, 'Near-lossless error bound');
+});
+
+/**
+ * Tests for {@link dwv.image.SynchPixelBufferDecoder} with JPEG
+ *   extended 12 bits data.
+ * The JPEG data is the lossy compression of 'bbmri-53323131'
+ *   (with a quantization of 4 for all coefficients).
+ *
+ * @function module:tests/image~decodeJpegExtended
+ */
+QUnit.test('Test JPEG extended 12 bits decoding.', function (assert) {
+  var done = assert.async();
+
+  dwv.test.loadBuffers([
+    '/tests/data/dwv-test-jpeg12.dcm',
+    '/tests/data/bbmri-53323131.dcm'
+  ], function (buffers) {
+    // JPEG data
+    var parser = new dwv.dicom.DicomParser();
+    parser.parse(buffers[0]);
+    var elements = parser.getRawDicomElements();
+    var syntax = dwv.dicom.cleanString(elements.x00020010.value[0]);
+    assert.equal(dwv.dicom.getSyntaxDecompressionName(syntax),
+      'jpeg-baseline', 'Decompression name');
+    assert.ok(dwv.dicom.isReadSupportedTransferSyntax(syntax),
+      'Read support');
+    // reference data
+    var refParser = new dwv.dicom.DicomParser();
+    refParser.parse(buffers[1]);
+    var refPixels = refParser.getRawDicomElements().x7FE00010.value[0];
+
+    var decoder = new dwv.image.SynchPixelBufferDecoder('jpeg-baseline', 1);
+    decoder.ondecodeditem = function (event) {
+      var decoded = event.data[0];
+      assert.ok(decoded instanceof Uint16Array, 'Decoded type');
+      assert.equal(decoded.length, refPixels.length, 'Decoded length');
+      var maxDiff = 0;
+      for (var i = 0; i < refPixels.length; ++i) {
+        maxDiff = Math.max(maxDiff, Math.abs(decoded[i] - refPixels[i]));
+      }
+      assert.ok(maxDiff <= 5, 'Decoded values (lossy)');
+    };
+    decoder.ondecodeend = function () {
+      done();
+    };
+    decoder.decode(elements.x7FE00010.value[0], {
+      bitsAllocated: 16,
+      isSigned: false,
+      sliceSize: 256 * 256,
+      samplesPerPixel: 1,
+      planarConfiguration: 0
+    }, {itemNumber: 0});
+  });
+});
+
+/**
+ * Tests for the JPEG transfer syntax helpers.
+ *
+ * @function module:tests/image~jpegSyntaxes
+ */
+QUnit.test('Test JPEG transfer syntaxes support.', function (assert) {
+  // extended (process 2 & 4)
+  var syntax = '1.2.840.10008.1.2.4.51';
+  assert.ok(dwv.dicom.isReadSupportedTransferSyntax(syntax), '51 supported');
+  assert.notOk(dwv.dicom.isJpegRetiredTransferSyntax(syntax), '51 retired');
+  // retired huffman progressive (process 10 & 12)
+  syntax = '1.2.840.10008.1.2.4.55';
+  assert.ok(dwv.dicom.isJpegRetiredTransferSyntax(syntax), '55 retired');
+  assert.ok(dwv.dicom.isReadSupportedTransferSyntax(syntax), '55 supported');
+  assert.equal(dwv.dicom.getSyntaxDecompressionName(syntax),
+    'jpeg-baseline', '55 decompression name');
+  // retired arithmetic (process 3 & 5)
+  syntax = '1.2.840.10008.1.2.4.52';
+  assert.ok(dwv.dicom.isJpegRetiredTransferSyntax(syntax), '52 retired');
+  assert.notOk(dwv.dicom.isReadSupportedTransferSyntax(syntax),
+    '52 not supported');
+  assert.equal(dwv.dicom.getSyntaxDecompressionName(syntax), null,
+    '52 decompression name');
+});
@@ -0,0 +1,147 @@
+// namespace
+var dwv = dwv || {};
+dwv.test = dwv.test || {};
+
+/**
+ * Tests for the 'image/doseHelper.js' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit */
+
+/**
+ * Get a test RT dose image: a 4x4 grid with 2mm pixels and three frames
+ *   2mm apart, with a 2x2 block at the center.
+ *
+ * @returns {dwv.image.Image} The dose image.
+ */
+dwv.test.getTestDoseImage = function () {
+  var tags = {
+    SOPClassUID: '1.2.840.10008.5.1.4.1.1.481.2',
+    SOPInstanceUID: '1.2.3.4.5',
+    Modality: 'RTDOSE',
+    ImagePositionPatient: ['0', '0', '0'],
+    ImageOrientationPatient: ['1', '0', '0', '0', '1', '0'],
+    FrameOfReferenceUID: '1.2.3.5',
+    NumberOfFrames: '3',
+    Rows: 4,
+    Columns: 4,
+    PixelSpacing: ['2', '2'],
+    DoseUnits: 'GY',
+    DoseType: 'PHYSICAL',
+    DoseSummationType: 'PLAN',
+    GridFrameOffsetVector: ['0', '2', '4'],
+    DoseGridScaling: '0.001'
+  };
+  var elements = new dwv.dicom.DicomElementsWrapper(
+    dwv.dicom.getElementsFromJSONTags(tags).elements);
+  // frame f: 2x2 block at (f + 1) Gy
+  var pixels = new Uint32Array(3 * 16);
+  for (var f = 0; f < 3; ++f) {
+    var offset = f * 16;
+    pixels[offset + 5] = (f + 1) * 1000;
+    pixels[offset + 6] = (f + 1) * 1000;
+    pixels[offset + 9] = (f + 1) * 1000;
+    pixels[offset + 10] = (f + 1) * 1000;
+  }
+  return new dwv.image.DoseFactory().create(elements, pixels);
+};
+
+/**
+ * Tests for {@link dwv.image.DoseFactory}.
+ *
+ * @function module:tests/image~DoseFactory
+ */
+QUnit.test('Test dose creation.', function (assert) {
+  var dose = dwv.test.getTestDoseImage();
+  var geometry = dose.getGeometry();
+  assert.equal(geometry.getSize().get(2), 3, 'Number of slices');
+  assert.equal(geometry.getSpacing().get(2), 2, 'Slice spacing');
+  assert.equal(dose.getMeta().Modality, 'RTDOSE', 'Modality');
+  assert.equal(dose.getMeta().DoseUnits, 'GY', 'Dose units');
+
+  var helper = new dwv.image.DoseHelper(dose);
+  var getDose = function (x, y, z) {
+    return helper.getDoseAtPosition(new dwv.math.Point3D(x, y, z));
+  };
+  assert.ok(dwv.math.isSimilar(getDose(2, 2, 0), 1, 1e-6), 'First frame');
+  assert.ok(dwv.math.isSimilar(getDose(4, 4, 4), 3, 1e-6), 'Last frame');
+  assert.ok(dwv.math.isSimilar(getDose(2, 2, 1), 1.5, 1e-6),
+    'Between frames');
+  assert.ok(dwv.math.isSimilar(getDose(3, 2, 0), 1, 1e-6), 'Inside block');
+  assert.ok(dwv.math.isSimilar(getDose(1, 2, 0), 0.5, 1e-6),
+    'Block border');
+  assert.equal(getDose(0, 0, 2), 0, 'Zero dose');
+  assert.equal(getDose(0, 0, 10), null, 'Out of grid');
+});
+
+/**
+ * Tests for {@link dwv.image.DoseHelper} display.
+ *
+ * @function module:tests/image~DoseHelper
+ */
+QUnit.test('Test dose wash and isodose lines.', function (assert) {
+  var helper = new dwv.image.DoseHelper(dwv.test.getTestDoseImage());
+
+  // colour wash
+  assert.equal(helper.getWashThreshold(), null, 'Default wash threshold');
+  assert.equal(helper.getAlphaFunction()(0), 0, 'Zero dose is hidden');
+  assert.equal(helper.getAlphaFunction()(1000), 0xff, 'Dose is shown');
+  helper.setWashThreshold(1.5);
+  assert.equal(helper.getAlphaFunction()(1000), 0, 'Low dose is hidden');
+  assert.equal(helper.getAlphaFunction()(2000), 0xff, 'High dose is shown');
+  assert.throws(function () {
+    helper.setWashThreshold(-1);
+  }, new Error('The dose wash threshold should be positive: -1'),
+  'Bad threshold');
+
+  // isodose: a closed line around the block of the 1 Gy frame
+  // (slices are ordered by decreasing position)
+  var lines = helper.getIsodoseLines(new dwv.math.Index([0, 0, 2]), 0.5);
+  assert.equal(lines.length, 1, 'Number of lines');
+  assert.ok(lines[0].closed, 'Closed line');
+  assert.equal(lines[0].points.length, 8, 'Number of points');
+  var xs = lines[0].points.map(function (point) {
+    return point.getX();
+  });
+  assert.equal(Math.min.apply(null, xs), 1, 'Line min x');
+  assert.equal(Math.max.apply(null, xs), 3, 'Line max x');
+  assert.equal(helper.getIsodoseLines(
+    new dwv.math.Index([0, 0, 2]), 2).length, 0, 'No line above max');
+});
+
+/**
+ * Tests for {@link dwv.image.DoseHelper} resampling.
+ *
+ * @function module:tests/image~DoseHelperResample
+ */
+QUnit.test('Test dose resampling.', function (assert) {
+  var helper = new dwv.image.DoseHelper(dwv.test.getTestDoseImage());
+
+  // 1mm grid shifted by half a dose voxel
+  var size = new dwv.image.Size([8, 8, 1]);
+  var spacing = new dwv.image.Spacing([1, 1, 1]);
+  var geometry = new dwv.image.Geometry(
+    new dwv.math.Point3D(1, 1, 3), size, spacing);
+  var resampled = helper.resample(geometry, ['1.2.3.4.6']);
+  assert.ok(resampled.getGeometry().equals(geometry), 'Geometry');
+  var resampledHelper = new dwv.image.DoseHelper(resampled);
+  var getDose = function (i, j) {
+    return resampledHelper.getDoseAtIndex(new dwv.math.Index([i, j, 0]));
+  };
+  // z = 3: between the 2 and 3 Gy frames
+  assert.ok(dwv.math.isSimilar(getDose(1, 1), 2.5, 1e-6), 'Block center');
+  assert.ok(dwv.math.isSimilar(getDose(0, 0), 2.5 / 4, 1e-6),
+    'Interpolated border');
+  assert.equal(getDose(7, 7), 0, 'Outside of the dose grid');
+  // same interpolation as the direct readout
+  var getDirectDose = function (i, j) {
+    return helper.getDoseAtPosition(geometry.pointToWorld(
+      new dwv.math.Point3D(i, j, 0)));
+  };
+  assert.ok(dwv.math.isSimilar(getDirectDose(1, 1), 2.5, 1e-6),
+    'Direct block center');
+  assert.ok(dwv.math.isSimilar(getDirectDose(0, 0), 2.5 / 4, 1e-6),
+    'Direct interpolated border');
+  assert.equal(getDirectDose(7, 7), null, 'Direct outside of the dose grid');
+  assert.equal(resampled.getMeta().Modality, 'RTDOSE', 'Modality');
+});
@@ -48,3 +48,22 @@ QUnit.test('Test Geometry.', function (assert) {
     assert.true(index.equals(resPoint2), 'worldToIndex #' + i);
   }
 });
+
+/**
+ * Tests for {@link dwv.image.Geometry} point and world conversion.
+ *
+ * @function module:tests/image~geometryPoint
+ */
+QUnit.test('Test Geometry point to world.', function (assert) {
+  var size = new dwv.image.Size([4, 4, 1]);
+  var spacing = new dwv.image.Spacing([0.5, 0.5, 2]);
+  var geometry = new dwv.image.Geometry(
+    new dwv.math.Point3D(10, 20, 30), size, spacing);
+  geometry.appendOrigin(new dwv.math.Point3D(10, 20, 32), 1);
+
+  var point = new dwv.math.Point3D(1.5, 2.25, 1);
+  var world = geometry.pointToWorld(point);
+  assert.ok(world.equals(new dwv.math.Point3D(10.75, 21.125, 32)),
+    'pointToWorld');
+  assert.ok(geometry.worldToPoint(world).equals(point), 'worldToPoint');
+});
@@ -491,3 +491,44 @@ QUnit.test('Test ImageFactory.', function (assert) {
     zeroStats.asObject(),
     'Rescaled values should be equal');
 });
+
+/**
+ * Tests for {@link dwv.image.Image} referenced index.
+ * Using remote file for CI integration.
+ *
+ * @function module:tests/image~getReferencedIndex
+ */
+QUnit.test('Test Image referenced index.', function (assert) {
+  var done = assert.async();
+
+  var request = new XMLHttpRequest();
+  var url = '/tests/data/multiframe-test1.dcm';
+  request.open('GET', url, true);
+  request.responseType = 'arraybuffer';
+  request.onload = function (/*event*/) {
+    var dicomParser = new dwv.dicom.DicomParser();
+    dicomParser.parse(this.response);
+    var rawTags = dicomParser.getRawDicomElements();
+    var sopInstanceUid = dwv.dicom.cleanString(rawTags.x00080018.value[0]);
+    var factory = new dwv.image.ImageFactory();
+    var image = factory.create(
+      dicomParser.getDicomElements(), rawTags.x7FE00010.value[0]);
+    var size = image.getGeometry().getSize();
+    assert.equal(size.get(2), 1, 'Number of slices');
+    assert.equal(size.get(3), 16, 'Number of frames');
+
+    var index = new dwv.math.Index([0, 0, 0, 0]);
+    var frameIndex = image.getReferencedIndex(index, sopInstanceUid, 5);
+    assert.equal(frameIndex.get(2), 0, 'Frame slice');
+    assert.equal(frameIndex.get(3), 4, 'Frame');
+    assert.equal(image.getReferencedIndex(index, sopInstanceUid).get(3), 0,
+      'No frame number');
+    assert.equal(image.getReferencedIndex(index, sopInstanceUid, 17), null,
+      'Out of range frame');
+    assert.equal(image.getReferencedIndex(index, '1.2.3', 1), null,
+      'Unknown instance');
+
+    done();
+  };
+  request.send(null);
+});
@@ -0,0 +1,152 @@
+/**
+ * Tests for the 'image/maskSegmentHelper.js' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit */
+
+/**
+ * Tests for {@link dwv.image.MaskSegmentHelper} with an overlapping
+ *   fractional segmentation.
+ *
+ * @function module:tests/image~MaskSegmentHelper
+ */
+QUnit.test('Test fractional and overlapping segments.', function (assert) {
+  // source image
+  var columns = 32;
+  var size = new dwv.image.Size([columns, columns, 1]);
+  var spacing = new dwv.image.Spacing([1, 1, 1]);
+  var origin = new dwv.math.Point3D(0, 0, 0);
+  var geometry = new dwv.image.Geometry(origin, size, spacing);
+  var source = {
+    x00080016: {value: ['1.2.840.10008.5.1.4.1.1.2']},
+    x00080018: {value: ['1.2.3.4.1']},
+    x0020000E: {value: ['1.2.3.4']}
+  };
+
+  // tags: two non empty segments on one slice
+  var labelMap = new Uint8Array(columns * columns);
+  labelMap[0] = 1;
+  labelMap[1] = 2;
+  var mask = new dwv.image.Image(geometry, labelMap, ['1.2.3.4.1']);
+  var segments = [
+    {label: 'First', colour: {r: 255, g: 0, b: 0}},
+    {label: 'Second', colour: {r: 0, g: 0, b: 255}}
+  ];
+  var tags = dwv.dicom.getSegmentationTags(mask, segments, [source], {
+    SegmentationType: 'FRACTIONAL',
+    SegmentationFractionalType: 'PROBABILITY',
+    MaximumFractionalValue: 100,
+    BitsAllocated: 8,
+    BitsStored: 8,
+    HighBit: 7
+  });
+  var elements = new dwv.dicom.DicomElementsWrapper(
+    dwv.dicom.getElementsFromJSONTags(tags).elements);
+
+  // overlapping squares: [10, 20[ at 0.5 and [15, 25[ at 1
+  var sliceSize = columns * columns;
+  var pixels = new Uint8Array(2 * sliceSize);
+  for (var j = 10; j < 25; ++j) {
+    for (var i = 10; i < 25; ++i) {
+      if (i < 20 && j < 20) {
+        pixels[j * columns + i] = 50;
+      }
+      if (i >= 15 && j >= 15) {
+        pixels[sliceSize + j * columns + i] = 100;
+      }
+    }
+  }
+  var image = new dwv.image.MaskFactory().create(elements, pixels);
+  var meta = image.getMeta();
+  assert.equal(meta.fractionalType, 'PROBABILITY', 'Fractional type');
+  assert.equal(meta.segmentMasks.length, 2, 'One mask per segment');
+  assert.equal(meta.segmentMasks[0][17 * columns + 17], 128,
+    'First mask keeps the overlap');
+  assert.equal(meta.segmentMasks[1][17 * columns + 17], 255,
+    'Second mask keeps the overlap');
+
+  var getColour = function (i, j) {
+    var offset = 3 * (j * columns + i);
+    var buffer = image.getBuffer();
+    return [buffer[offset], buffer[offset + 1], buffer[offset + 2]];
+  };
+  var getAlpha = function (i, j) {
+    return helper.getAlphaFunction()(
+      getColour(i, j), 3 * (j * columns + i));
+  };
+
+  // graded display
+  var helper = new dwv.image.MaskSegmentHelper(image);
+  assert.equal(helper.getThreshold(), null, 'Default graded display');
+  assert.deepEqual(getColour(12, 12), [255, 0, 0], 'Graded first');
+  assert.deepEqual(getColour(17, 17), [0, 0, 255], 'Highest fraction');
+  assert.deepEqual(getColour(2, 2), [0, 0, 0], 'Empty');
+  assert.equal(getAlpha(12, 12), 128, 'Graded alpha');
+  assert.equal(getAlpha(17, 17), 255, 'Graded full alpha');
+  assert.equal(getAlpha(2, 2), 1, 'Empty alpha');
+
+  // threshold
+  helper.setThreshold(0.6);
+  helper.update();
+  assert.deepEqual(getColour(12, 12), [0, 0, 0], 'Below threshold');
+  helper.setThreshold(0.5);
+  helper.update();
+  assert.deepEqual(getColour(12, 12), [255, 0, 0], 'Above threshold');
+  assert.equal(getAlpha(12, 12), 255, 'Threshold alpha');
+  assert.throws(function () {
+    helper.setThreshold(2);
+  }, new Error('The fractional threshold should be in [0, 1]: 2'),
+  'Bad threshold');
+
+  // visibility
+  helper.setSegmentVisible(2, false);
+  helper.update();
+  assert.notOk(helper.isSegmentVisible(2), 'Hidden segment');
+  assert.deepEqual(getColour(17, 17), [255, 0, 0], 'Hidden overlap');
+  assert.deepEqual(getColour(22, 22), [0, 0, 0], 'Hidden second');
+
+  // colour
+  helper.setSegmentColour(1, {r: 0, g: 255, b: 0});
+  helper.update();
+  assert.deepEqual(getColour(12, 12), [0, 255, 0], 'New colour');
+  assert.throws(function () {
+    helper.setSegmentVisible(3, true);
+  }, new Error('Unknown segment number: 3'), 'Unknown segment');
+});
+
+/**
+ * Tests for {@link dwv.image.MaskSegmentHelper} with a large
+ *   segment number.
+ *
+ * @function module:tests/image~MaskSegmentHelperNumber
+ */
+QUnit.test('Test large segment number.', function (assert) {
+  var columns = 4;
+  var size = new dwv.image.Size([columns, columns, 1]);
+  var spacing = new dwv.image.Spacing([1, 1, 1]);
+  var origin = new dwv.math.Point3D(0, 0, 0);
+  var geometry = new dwv.image.Geometry(origin, size, spacing);
+  var source = {
+    x00080016: {value: ['1.2.840.10008.5.1.4.1.1.2']},
+    x00080018: {value: ['1.2.3.4.1']},
+    x0020000E: {value: ['1.2.3.4']}
+  };
+  var labelMap = new Uint8Array(columns * columns);
+  labelMap[5] = 1;
+  var mask = new dwv.image.Image(geometry, labelMap, ['1.2.3.4.1']);
+  // monochrome segmentation: no colour
+  var tags = dwv.dicom.getSegmentationTags(
+    mask, [{label: 'Large'}], [source]);
+  tags.SegmentSequence[0].SegmentNumber = 300;
+  tags.PerFrameFunctionalGroupsSequence[0]
+    .SegmentIdentificationSequence[0].ReferencedSegmentNumber = 300;
+  var elements = new dwv.dicom.DicomElementsWrapper(
+    dwv.dicom.getElementsFromJSONTags(tags).elements);
+
+  var pixels = new Uint8Array(columns * columns);
+  pixels[5] = 1;
+  var image = new dwv.image.MaskFactory().create(elements, pixels);
+  assert.equal(image.getBuffer()[5], 300, 'Segment number');
+  assert.equal(image.getBuffer()[0], 0, 'Background');
+  assert.equal(image.getMeta().BitsStored, 16, 'Bits stored');
+});
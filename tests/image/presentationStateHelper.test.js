@@ -0,0 +1,123 @@
+/**
+ * Tests for the 'image/presentationStateHelper.js' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit */
+
+/**
+ * Tests for {@link dwv.image.PresentationStateHelper} display transform.
+ * The display is given by: display = R * S * (plane - offset).
+ *
+ * @function module:tests/image~PresentationStateHelper
+ */
+QUnit.test('Test presentation display transform.', function (assert) {
+  // 100x50 image with 1mm pixels
+  var geometry = new dwv.image.Geometry(
+    new dwv.math.Point3D(0, 0, 0),
+    new dwv.image.Size([100, 50, 1]),
+    new dwv.image.Spacing([1, 1, 1]));
+  var getTransform = function (rotation, flip, area) {
+    var helper = new dwv.image.PresentationStateHelper({
+      imageRotation: rotation,
+      imageHorizontalFlip: flip
+    });
+    return helper.getDisplayTransform(area, geometry, 1);
+  };
+
+  // default: the whole image fits the display
+  var transform = getTransform(0, false);
+  assert.equal(transform.rotation, 0, 'Default rotation');
+  assert.deepEqual(transform.scale, {x: 1, y: 1, z: 1}, 'Default scale');
+  assert.deepEqual(transform.planeOffset, {x: 0, y: 0}, 'Default offset');
+
+  // rotation: the rotated image fits the display,
+  // the image center stays at the display center
+  transform = getTransform(90, false);
+  assert.equal(transform.rotation, 90, 'Rotation');
+  assert.deepEqual(transform.scale, {x: 0.5, y: 0.5, z: 0.5},
+    'Rotation scale');
+  assert.deepEqual(transform.planeOffset, {x: 0, y: 125}, 'Rotation offset');
+
+  // unsupported rotation
+  transform = getTransform(45, false);
+  assert.equal(transform.rotation, 0, 'Unsupported rotation');
+
+  // flip: the image left border is at the display right border
+  transform = getTransform(0, true);
+  assert.deepEqual(transform.scale, {x: -1, y: 1, z: 1}, 'Flip scale');
+  assert.deepEqual(transform.planeOffset, {x: 100, y: 0}, 'Flip offset');
+
+  // displayed area: its top left corner is at the display origin
+  // (one based pixels)
+  transform = getTransform(0, false, {
+    topLeft: [26, 13],
+    bottomRight: [75, 37]
+  });
+  assert.deepEqual(transform.scale, {x: 2, y: 2, z: 2}, 'Area scale');
+  assert.deepEqual(transform.planeOffset, {x: 25, y: 12}, 'Area offset');
+  transform = getTransform(0, false, {
+    topLeft: [26, 13],
+    bottomRight: [75, 37],
+    sizeMode: 'SCALE TO FIT'
+  });
+  assert.deepEqual(transform.scale, {x: 2, y: 2, z: 2}, 'Fit area scale');
+});
+
+/**
+ * Tests for {@link dwv.image.PresentationStateHelper} display zoom.
+ *
+ * @function module:tests/image~PresentationStateHelper
+ */
+QUnit.test('Test presentation display zoom.', function (assert) {
+  // 100x50 image with 0.5mm pixels
+  var geometry = new dwv.image.Geometry(
+    new dwv.math.Point3D(0, 0, 0),
+    new dwv.image.Size([100, 50, 1]),
+    new dwv.image.Spacing([0.5, 0.5, 1]));
+  var helper = new dwv.image.PresentationStateHelper({
+    imageRotation: 0,
+    imageHorizontalFlip: false
+  });
+  // display pixels per mm at scale one
+  var fitScale = 2;
+  // display pixels per image pixel
+  var getMagnification = function (area) {
+    var transform = helper.getDisplayTransform(area, geometry, fitScale);
+    return transform.scale.x * fitScale * 0.5;
+  };
+  var area = {
+    topLeft: [1, 1],
+    bottomRight: [100, 50]
+  };
+
+  // true size: one image pixel is displayed with its physical size
+  // (the display pixel is 1/96 inch)
+  area.sizeMode = 'TRUE SIZE';
+  area.pixelSpacing = [0.5, 0.5];
+  assert.ok(dwv.math.isSimilar(
+    getMagnification(area), 0.5 * 96 / 25.4, 1e-6), 'True size');
+  // the presentation pixel spacing is [row, column]
+  area.pixelSpacing = [0.5, 0.25];
+  assert.ok(dwv.math.isSimilar(
+    getMagnification(area), 0.25 * 96 / 25.4, 1e-6),
+  'True size with column spacing');
+  // default to the image pixel spacing
+  delete area.pixelSpacing;
+  assert.ok(dwv.math.isSimilar(
+    getMagnification(area), 0.5 * 96 / 25.4, 1e-6),
+  'True size with image spacing');
+
+  // magnify: one image pixel is displayed with the ratio
+  area.sizeMode = 'MAGNIFY';
+  area.magnificationRatio = 3;
+  assert.ok(dwv.math.isSimilar(getMagnification(area), 3, 1e-6),
+    'Magnify');
+
+  // fallback to scale to fit
+  delete area.magnificationRatio;
+  assert.ok(dwv.math.isSimilar(getMagnification(area), fitScale * 0.5, 1e-6),
+    'Magnify without ratio');
+  area.sizeMode = 'UNKNOWN';
+  assert.ok(dwv.math.isSimilar(getMagnification(area), fitScale * 0.5, 1e-6),
+    'Unknown size mode');
+});
@@ -0,0 +1,84 @@
+// namespace
+var dwv = dwv || {};
+dwv.test = dwv.test || {};
+
+/**
+ * Tests for the 'image/rleEncoder.js' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit */
+
+/**
+ * Tests for {@link dwv.image.encodeRleRow}.
+ *
+ * @function module:tests/image~encodeRleRow
+ */
+QUnit.test('Test RLE row encoding.', function (assert) {
+  var encode = function (values) {
+    var output = [];
+    dwv.image.encodeRleRow(new Uint8Array(values), output);
+    return output;
+  };
+  assert.deepEqual(encode([7]), [0, 7], 'Single byte');
+  assert.deepEqual(encode([1, 1, 1, 2, 3, 4, 4]), [254, 1, 1, 2, 3, 255, 4],
+    'Replicate and literal runs');
+
+  // long runs are split at 128 bytes
+  var values = [];
+  for (var i = 0; i < 130; ++i) {
+    values.push(5);
+  }
+  assert.deepEqual(encode(values), [129, 5, 255, 5], 'Long replicate run');
+  values = [];
+  for (var j = 0; j < 130; ++j) {
+    values.push(j);
+  }
+  var output = encode(values);
+  assert.equal(output[0], 127, 'Long literal run first header');
+  assert.equal(output[129], 1, 'Long literal run second header');
+  assert.equal(output.length, 132, 'Long literal run length');
+});
+
+/**
+ * Tests for {@link dwv.image.RleEncoder}.
+ *
+ * @function module:tests/image~rleEncoder
+ */
+QUnit.test('Test RLE encoder.', function (assert) {
+  var encoder = new dwv.image.RleEncoder();
+  var decoder = new dwv.decoder.RleDecoder();
+
+  // 16 bits: one segment per byte
+  var pixels = new Uint16Array([0, 0, 258, 258, 1000, 2, 3, 65535]);
+  var encoded = encoder.encode(pixels, 16, 2, 4, 1, 0);
+  var header = new DataView(encoded.buffer);
+  assert.equal(header.getUint32(0, true), 2, 'Number of segments (16 bits)');
+  assert.equal(header.getUint32(4, true), 64, 'First segment offset');
+  assert.equal(encoded.length % 2, 0, 'Even length');
+  assert.deepEqual(decoder.decode(encoded, 16, false, 8, 1, 0), pixels,
+    'Round trip (16 bits)');
+
+  // RGB: one segment per sample
+  var rgb = new Uint8Array([
+    255,
+    0,
+    0,
+    255,
+    0,
+    0,
+    0,
+    0,
+    255,
+    10,
+    20,
+    30
+  ]);
+  encoded = encoder.encode(rgb, 8, 2, 2, 3, 0);
+  header = new DataView(encoded.buffer);
+  assert.equal(header.getUint32(0, true), 3, 'Number of segments (RGB)');
+  assert.deepEqual(decoder.decode(encoded, 8, false, 4, 3, 0), rgb,
+    'Round trip (RGB, planar configuration 0)');
+  encoded = encoder.encode(rgb, 8, 2, 2, 3, 1);
+  assert.deepEqual(decoder.decode(encoded, 8, false, 4, 3, 1), rgb,
+    'Round trip (RGB, planar configuration 1)');
+});
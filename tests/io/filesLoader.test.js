@@ -0,0 +1,43 @@
+// namespace
+var dwv = dwv || {};
+dwv.test = dwv.test || {};
+
+/**
+ * Tests for the 'io/filesLoader.js' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit */
+
+/**
+ * Tests for {@link dwv.io.getDicomDirFiles}.
+ *
+ * @function module:tests/io~getDicomDirFiles
+ */
+QUnit.test('Test DICOMDIR folder files.', function (assert) {
+  // folder selection
+  var files = [
+    {name: 'IM0', webkitRelativePath: 'cd/images/IM0'},
+    {name: 'DICOMDIR', webkitRelativePath: 'cd/DICOMDIR'},
+    {name: 'IM1', webkitRelativePath: 'cd/images/IM1'},
+    {name: 'IM2', webkitRelativePath: 'cd/images/IM2'}
+  ];
+  var dicomDirFile = dwv.io.getDicomDirFile(files);
+  assert.equal(dicomDirFile, files[1], 'DICOMDIR file');
+  var result = dwv.io.getDicomDirFiles(
+    dicomDirFile, ['IMAGES/IM2', 'IMAGES/IM0', 'IMAGES/IM3'], files);
+  assert.deepEqual(result, [files[3], files[0]], 'Folder files');
+
+  // file selection
+  files = [
+    {name: 'dicomdir', webkitRelativePath: ''},
+    {name: 'IM0', webkitRelativePath: ''}
+  ];
+  dicomDirFile = dwv.io.getDicomDirFile(files);
+  assert.equal(dicomDirFile, files[0], 'Lower case DICOMDIR file');
+  result = dwv.io.getDicomDirFiles(dicomDirFile, ['IM0'], files);
+  assert.deepEqual(result, [files[1]], 'Selected files');
+
+  // no DICOMDIR
+  assert.equal(typeof dwv.io.getDicomDirFile([files[1]]), 'undefined',
+    'No DICOMDIR file');
+});
@@ -0,0 +1,143 @@
+// namespace
+var dwv = dwv || {};
+dwv.test = dwv.test || {};
+
+/**
+ * Tests for the 'io/zipExporter.js' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit, JSZip */
+
+/**
+ * Load test files as a list of {elements}.
+ *
+ * @param {Array} urls The file urls.
+ * @param {Function} callback The function called with the list.
+ */
+dwv.test.loadDicomElementsList = function (urls, callback) {
+  var dataList = [];
+  var onload = function (index) {
+    return function () {
+      var parser = new dwv.dicom.DicomParser();
+      parser.parse(this.response);
+      dataList[index] = {elements: parser.getRawDicomElements()};
+      if (Object.keys(dataList).length === urls.length) {
+        callback(dataList);
+      }
+    };
+  };
+  for (var i = 0; i < urls.length; ++i) {
+    var request = new XMLHttpRequest();
+    request.open('GET', urls[i], true);
+    request.responseType = 'arraybuffer';
+    request.onload = onload(i);
+    request.send(null);
+  }
+};
+
+/**
+ * Tests for {@link dwv.io.getDicomZip}.
+ * Using remote file for CI integration.
+ *
+ * @function module:tests/io~getDicomZip
+ */
+QUnit.test('Test DICOM zip export.', function (assert) {
+  var done = assert.async();
+
+  var urls = [
+    '/tests/data/bbmri-53323131.dcm',
+    '/tests/data/bbmri-53323275.dcm',
+    '/tests/data/dicompyler-ct.0.dcm'
+  ];
+  dwv.test.loadDicomElementsList(urls, function (dataList) {
+    var options = {
+      deidentifier: new dwv.dicom.Deidentifier(),
+      type: 'arraybuffer'
+    };
+    dwv.io.getDicomZip(dataList, options).then(function (content) {
+      return JSZip.loadAsync(content);
+    }).then(function (zip) {
+      assert.equal(zip.file(/.*/).length, 4, 'Number of zip files');
+      var promises = [
+        zip.file('DICOMDIR').async('arrayBuffer'),
+        zip.file('DICOM/IM000002').async('arrayBuffer')
+      ];
+      return Promise.all(promises);
+    }).then(function (buffers) {
+      // DICOMDIR
+      var tree = dwv.dicom.getDicomDirTree(buffers[0]);
+      // de-identified patients share the same empty id
+      assert.equal(tree.length, 1, 'Number of patients');
+      assert.equal(tree[0].children.length, 2, 'Number of studies');
+      var study = tree[0].children[0];
+      assert.equal(study.children.length, 1, 'Number of series');
+      var instances = study.children[0].children;
+      assert.equal(instances.length, 2, 'Number of instances');
+      assert.equal(instances[1].type, 'IMAGE', 'Instance type');
+      assert.equal(instances[1].fileId, 'DICOM/IM000001', 'Instance file id');
+      var instance = tree[0].children[1].children[0].children[0];
+      assert.equal(instance.fileId, 'DICOM/IM000002', 'Last file id');
+
+      // data: de-identified and consistent with the DICOMDIR
+      var parser = new dwv.dicom.DicomParser();
+      parser.parse(buffers[1]);
+      var tags = parser.getDicomElements();
+      assert.equal(tags.getFromKey('x00100010'), '', 'De-identified data');
+      assert.equal(dwv.dicom.cleanString(tags.getFromKey('x00080018')),
+        instance.attributes.ReferencedSOPInstanceUIDInFile,
+        'Referenced SOP instance');
+      assert.equal(dwv.dicom.cleanString(tags.getFromKey('x00020010')),
+        '1.2.840.10008.1.2.1', 'Transfer syntax');
+
+      done();
+    });
+  });
+});
+
+/**
+ * Tests for {@link dwv.dicom.getDicomDirBuffer} offsets.
+ * Using remote file for CI integration.
+ *
+ * @function module:tests/io~getDicomDirBuffer
+ */
+QUnit.test('Test DICOMDIR writing.', function (assert) {
+  var done = assert.async();
+
+  var urls = [
+    '/tests/data/bbmri-53323131.dcm',
+    '/tests/data/dicompyler-ct.0.dcm'
+  ];
+  dwv.test.loadDicomElementsList(urls, function (dataList) {
+    var files = [];
+    for (var i = 0; i < dataList.length; ++i) {
+      files.push({fileId: 'DICOM/IM' + i, elements: dataList[i].elements});
+    }
+    var tree = dwv.dicom.getDicomDirTreeFromElements(files);
+    var buffer = dwv.dicom.getDicomDirBuffer(tree);
+
+    var parser = new dwv.dicom.DicomParser();
+    parser.parse(buffer);
+    var elements = parser.getRawDicomElements();
+    assert.ok(dwv.dicom.validateDicomElements(elements).isValid,
+      'Valid DICOMDIR');
+    // offsets point to items
+    var view = new DataView(buffer);
+    var isItem = function (offset) {
+      return view.getUint16(offset, true) === 0xfffe &&
+        view.getUint16(offset + 2, true) === 0xe000;
+    };
+    assert.ok(isItem(elements.x00041200.value[0]), 'First record offset');
+    assert.ok(isItem(elements.x00041202.value[0]), 'Last record offset');
+    var records = elements.x00041220.value;
+    assert.equal(records.length, 8, 'Number of records');
+    // first patient: next is the second patient, lower is its study
+    assert.equal(records[0].x00041400.value[0], elements.x00041202.value[0],
+      'Next patient offset');
+    assert.ok(isItem(records[0].x00041420.value[0]), 'Lower level offset');
+    assert.equal(records[3].x00041420.value[0], 0, 'No lower level');
+    assert.equal(dwv.dicom.cleanString(records[3].x00041430.value[0]),
+      'IMAGE', 'Record type');
+
+    done();
+  });
+});
@@ -114,6 +114,12 @@ QUnit.test('Test Point stringId.', function (assert) {
   assert.ok(dwv.math.getIndexFromStringId(i02strId).equals(i02),
     'getFromStringId #02');
 
+  var i03 = new dwv.math.Index([3]);
+  var i03strId = '#0-3';
+  assert.equal(i03.toStringId(), i03strId, 'toStringId #03');
+  assert.ok(dwv.math.getIndexFromStringId(i03strId).equals(i03),
+    'getFromStringId #03');
+
   // error case
   var i10 = new dwv.math.Index([0, 0, 0]);
   assert.throws(function () {
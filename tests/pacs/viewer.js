@@ -6,6 +6,7 @@ dwv.image.decoderScripts = {
   jpeg2000: '../../decoders/pdfjs/decode-jpeg2000.js',
   'jpeg-lossless': '../../decoders/rii-mango/decode-jpegloss.js',
   'jpeg-baseline': '../../decoders/pdfjs/decode-jpegbaseline.js',
+  'jpeg-ls': '../../decoders/dwv/decode-jpegls.js',
   rle: '../../decoders/dwv/decode-rle.js'
 };
 // logger level (optional)
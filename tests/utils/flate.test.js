@@ -0,0 +1,76 @@
+/**
+ * Tests for the 'utils/flate' file.
+ */
+// Do not warn if these variables were not defined before.
+/* global QUnit */
+
+/**
+ * Tests for {@link dwv.utils.inflateRaw}.
+ *
+ * @function module:tests/utils~inflateRaw
+ */
+QUnit.test('Test inflateRaw.', function (assert) {
+  // stored block: BFINAL=1, BTYPE=00, LEN=3, NLEN=~3, 'abc'
+  var stored = new Uint8Array([1, 3, 0, 0xfc, 0xff, 97, 98, 99]);
+  assert.equal(
+    dwv.utils.uint8ArrayToString(dwv.utils.inflateRaw(stored)),
+    'abc', 'Inflate stored block');
+
+  // fixed Huffman block (from zlib.deflateRawSync('aaaaaaaaaa'))
+  var fixed = new Uint8Array([0x4b, 0x4c, 0x84, 0x01, 0x00]);
+  assert.equal(
+    dwv.utils.uint8ArrayToString(dwv.utils.inflateRaw(fixed)),
+    'aaaaaaaaaa', 'Inflate fixed block');
+
+  // bad block type
+  var bad = new Uint8Array([7]);
+  assert.throws(function () {
+    dwv.utils.inflateRaw(bad);
+  }, 'Inflate bad block type');
+  // truncated
+  var truncated = new Uint8Array([1, 3, 0, 0xfc, 0xff, 97]);
+  assert.throws(function () {
+    dwv.utils.inflateRaw(truncated);
+  }, 'Inflate truncated data');
+});
+
+/**
+ * Tests for {@link dwv.utils.deflateRaw}.
+ *
+ * @function module:tests/utils~deflateRaw
+ */
+QUnit.test('Test deflateRaw.', function (assert) {
+  // empty
+  var empty = new Uint8Array(0);
+  assert.equal(
+    dwv.utils.inflateRaw(dwv.utils.deflateRaw(empty)).length, 0,
+    'Deflate empty');
+
+  // text with repetitions
+  var str = '';
+  for (var i = 0; i < 100; ++i) {
+    str += 'The sky is blue. ' + i;
+  }
+  var input = new Uint8Array(str.length);
+  for (var j = 0; j < str.length; ++j) {
+    input[j] = str.charCodeAt(j);
+  }
+  var deflated = dwv.utils.deflateRaw(input);
+  assert.ok(deflated.length < input.length / 2, 'Deflate compresses');
+  assert.deepEqual(dwv.utils.inflateRaw(deflated), input,
+    'Deflate/inflate round trip (text)');
+
+  // long runs and random data
+  var data = new Uint8Array(70000);
+  var seed = 1;
+  for (var k = 0; k < data.length; ++k) {
+    if (k % 1000 < 500) {
+      data[k] = 0;
+    } else {
+      seed = (seed * 16807) % 2147483647;
+      data[k] = seed & 0xff;
+    }
+  }
+  assert.deepEqual(dwv.utils.inflateRaw(dwv.utils.deflateRaw(data)), data,
+    'Deflate/inflate round trip (binary)');
+});